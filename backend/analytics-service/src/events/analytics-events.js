@@ -5,6 +5,7 @@
 
 const kafka = require('kafka-node');
 const { v4: uuidv4 } = require('uuid');
+const { startSpan, getTraceContext, formatTraceparent } = require('../../../shared/utils/tracing');
 
 // Kafka configuration
 const kafkaClientOptions = {
@@ -61,6 +62,9 @@ const initializeProducer = async () => {
  * @returns {Promise<void>}
  */
 const publishEvent = async (eventType, data) => {
+    // Publishing is a span of the current request's trace, consumers continue from it
+    const span = startSpan(getTraceContext());
+
     try {
         // Initialize producer if not connected
         if (!isConnected) {
@@ -73,6 +77,7 @@ const publishEvent = async (eventType, data) => {
             type: eventType,
             timestamp: new Date().toISOString(),
             service: 'analytics-service',
+            traceparent: formatTraceparent(span),
             data
         };
 
@@ -95,7 +100,7 @@ const publishEvent = async (eventType, data) => {
                     console.error(`Failed to publish event ${eventType}:`, err);
                     reject(err);
                 } else {
-                    console.log(`Event ${eventType} published successfully:`, data);
+                    console.log(`Event ${eventType} published successfully (trace ${span.traceId}):`, data);
                     resolve(data);
                 }
             });
@@ -108,6 +113,7 @@ const publishEvent = async (eventType, data) => {
             type: eventType,
             timestamp: new Date().toISOString(),
             service: 'analytics-service',
+            traceparent: formatTraceparent(span),
             data
         });
     }
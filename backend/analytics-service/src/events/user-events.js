@@ -0,0 +1,65 @@
+/**
+ * User Events
+ * Answers the data requests auth-service publishes for user accounts
+ *
+ * user.erasure.requested - permanently delete the user's visits and metrics
+ */
+
+const kafka = require('kafka-node');
+const { Op } = require('sequelize');
+const { Visitor, Metric } = require('../models');
+const { publishEvent } = require('./analytics-events');
+const { answerDataRequest, createUserEventConsumer } = require('../../../shared/utils/user-events');
+
+/**
+ * Export the visits and metrics recorded for a user, including soft-deleted records
+ * @param {Object} data - { userId }, from the internal export endpoint
+ * @returns {Promise<Object>} Exported data
+ */
+const exportUserData = async ({ userId }) => {
+    const visitors = await Visitor.findAll({ where: { userId }, order: [['createdAt', 'ASC']], paranoid: false });
+
+    // Same metrics as erasure: the user's and those of the user's visits
+    const metrics = await Metric.findAll({
+        where: { [Op.or]: [{ userId }, { visitorId: visitors.map(visitor => visitor.id) }] },
+        order: [['createdAt', 'ASC']],
+        paranoid: false
+    });
+
+    return { data: { visitors, metrics } };
+};
+
+/**
+ * Permanently delete the visits and metrics recorded for a user
+ * @param {Object} data - Event data
+ * @returns {Promise<Object>} Number of records deleted per model
+ */
+const eraseUserData = async ({ userId }) => {
+    const visitors = await Visitor.findAll({ where: { userId }, attributes: ['id'], paranoid: false });
+    const visitorIds = visitors.map(visitor => visitor.id);
+
+    // Metrics of the user's visits are theirs even when recorded before they signed in
+    const deleted = {
+        metrics: await Metric.destroy({
+            where: { [Op.or]: [{ userId }, { visitorId: visitorIds }] },
+            force: true
+        }),
+        visitors: await Visitor.destroy({ where: { id: visitorIds }, force: true })
+    };
+
+    return { deleted };
+};
+
+const { startUserEventConsumer, stopUserEventConsumer } = createUserEventConsumer({
+    kafka,
+    groupId: 'analytics-service-user-events', // One instance handles each event
+    handlers: {
+        'user.erasure.requested': answerDataRequest(publishEvent, 'user.erasure', eraseUserData)
+    }
+});
+
+module.exports = {
+    exportUserData,
+    startUserEventConsumer,
+    stopUserEventConsumer
+};
@@ -10,9 +10,9 @@ module.exports = {
         host: process.env.API_GATEWAY_HOST || '0.0.0.0',
         cors: {
             origin: process.env.CORS_ORIGIN || '*', // In production, set to frontend domain(s)
-            methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization'],
-            exposedHeaders: ['X-Total-Count'],
+            methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Accept-Version', 'traceparent', 'tracestate'],
+            exposedHeaders: ['X-Total-Count', 'ETag', 'X-Cache', 'X-Trace-ID', 'API-Version', 'Deprecation', 'Sunset', 'Link'],
             credentials: true
         },
         rateLimiter: {
@@ -20,6 +20,16 @@ module.exports = {
             max: 100, // Limit each IP to 100 requests per windowMs
             standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
             legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+        },
+        // Requests per rateLimiter.windowMs, counted per API key, user or anonymous IP
+        rateLimitTiers: {
+            anonymous: { max: parseInt(process.env.RATE_LIMIT_ANONYMOUS_MAX) || 100 },
+            user: { max: parseInt(process.env.RATE_LIMIT_USER_MAX) || 300 },
+            apiKey: { max: parseInt(process.env.RATE_LIMIT_API_KEY_MAX) || 600 },
+            // Role tiers, a user gets the most generous tier among their roles
+            roles: {
+                admin: { max: parseInt(process.env.RATE_LIMIT_ADMIN_MAX) || 1000 }
+            }
         }
     },
 
@@ -28,7 +38,8 @@ module.exports = {
         timeout: 10000, // 10 seconds
         proxyTimeout: 10000, // 10 seconds
         changeOrigin: true,
-        pathRewrite: true, // Set to specific rules if needed
+        xfwd: true, // Send X-Forwarded-* headers so services see the client IP
+        pathRewrite: {}, // Default rewrite rules ({ pattern: replacement }), services and versions can set their own in routes.js
     },
 
     // Authentication configuration
@@ -40,6 +51,15 @@ module.exports = {
         tokenCookieName: 'access_token',
         expiresIn: '1h',
         refreshExpiresIn: '7d',
+        // API keys issued by the auth service, sent in the X-API-Key header
+        apiKeys: {
+            header: 'X-API-Key',
+            verifyPath: '/internal/api-keys/verify', // Auth service endpoint checking a key
+            internalToken: process.env.INTERNAL_API_TOKEN, // Sent as X-Internal-Token to the verify endpoint, required by auth-service
+            timeout: 3000, // 3 seconds per verification
+            cacheTtl: 30000, // 30 seconds a verified key is trusted, also the longest delay for a revocation to apply
+            cacheMaxEntries: 1000
+        }
     },
 
     // Circuit breaker configuration for service resilience
@@ -47,6 +67,53 @@ module.exports = {
         failureThreshold: 50, // Percentage threshold for opening circuit
         resetTimeout: 30000, // Time in ms to reset circuit
         maxFailures: 5, // Maximum number of failures before opening circuit
+        monitoringPeriod: 60000, // Rolling window in ms over which failures are counted
+    },
+
+    // Route manifests published by each service (GET /_routes)
+    routeManifests: {
+        enabled: process.env.ROUTE_MANIFESTS_ENABLED !== 'false',
+        path: '/_routes',
+        timeout: 5000, // 5 seconds per attempt
+        retries: 5, // Attempts per service before giving up
+        retryDelay: 2000, // 2 seconds between attempts
+        // When true, an unreachable manifest aborts startup instead of falling back to routes.js
+        required: process.env.ROUTE_MANIFESTS_REQUIRED === 'true'
+    },
+
+    // API versioning, see `versions` in routes.js
+    apiVersioning: {
+        requestHeader: 'Accept-Version', // Selects the version on unversioned paths, e.g. "v2" or "2"
+        responseHeader: 'API-Version' // Version that served the request
+    },
+
+    // Response cache for routes that opt in with `cache` in routes.js
+    responseCache: {
+        enabled: process.env.RESPONSE_CACHE_ENABLED !== 'false',
+        backend: process.env.RESPONSE_CACHE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'memory'), // Options: 'memory', 'redis'
+        redisUrl: process.env.REDIS_URL,
+        keyPrefix: 'cache:', // Redis key prefix
+        maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 1000, // LRU size of the memory backend
+        defaultTtl: 60, // Seconds, when neither the route nor the service sets one
+        events: {
+            kafkaHost: process.env.KAFKA_BROKERS || 'localhost:9092',
+            topics: ['project-events', 'blog-events'],
+            groupIdPrefix: 'api-gateway-cache' // Each instance joins its own group, named after it
+        },
+        // Event type prefixes that make a service's cached responses stale
+        invalidateOn: {
+            projects: ['project.', 'technology.', 'technologies.', 'user.erasure.'],
+            blog: ['article.', 'category.', 'comment.', 'user.erasure.']
+        }
+    },
+
+    // Upstream health polling configuration
+    healthCheck: {
+        path: '/health', // Health endpoint exposed by every service
+        interval: 15000, // 15 seconds between polls
+        timeout: 3000, // 3 seconds before a poll is considered failed
+        // Services that must be up for the gateway to report ready
+        requiredServices: (process.env.HEALTH_REQUIRED_SERVICES || 'auth').split(',').map(name => name.trim()).filter(Boolean)
     },
 
     // Logging configuration
@@ -54,7 +121,7 @@ module.exports = {
         level: process.env.LOG_LEVEL || 'info',
         logRequests: true,
         logResponses: true,
-        excludePaths: ['/api/health', '/api/metrics'],
+        excludePaths: ['/api/health', '/api/metrics', '/health', '/health/live', '/health/ready', '/metrics'],
         elkEnabled: process.env.ELK_ENABLED === 'true',
         elkHost: process.env.ELASTICSEARCH_URL || 'http://elasticsearch:9200',
         elkIndex: 'api-gateway-logs'
@@ -63,7 +130,8 @@ module.exports = {
     // Service discovery configuration
     serviceDiscovery: {
         enabled: process.env.SERVICE_DISCOVERY_ENABLED === 'true',
-        provider: process.env.SERVICE_DISCOVERY_PROVIDER || 'static', // Options: 'static', 'consul', 'etcd'
-        refreshInterval: 60000, // 1 minute - how often to refresh service endpoints
+        provider: process.env.SERVICE_DISCOVERY_PROVIDER || 'static', // Options: 'static', 'file', 'consul', 'etcd'
+        refreshInterval: parseInt(process.env.SERVICE_DISCOVERY_REFRESH_INTERVAL) || 60000, // 1 minute - how often to refresh service endpoints
+        registryFile: process.env.SERVICE_REGISTRY_FILE || './service-registry.json', // JSON or YAML registry used by the 'file' provider
     }
 };
\ No newline at end of file
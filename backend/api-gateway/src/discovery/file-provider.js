@@ -0,0 +1,143 @@
+/**
+ * File Discovery Provider
+ * Resolves service instances from a JSON or YAML registry on disk and reloads it on change
+ *
+ * Registry format:
+ *   services:
+ *     blog:
+ *       - http://blog-service-1:3004
+ *       - url: http://blog-service-2:3004
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Parse registry file contents according to the file extension
+ * @param {string} filePath - Registry file path
+ * @param {string} contents - Raw file contents
+ * @returns {Object} - Parsed registry document
+ */
+const parseRegistry = (filePath, contents) => {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.yml' || extension === '.yaml') {
+        return yaml.load(contents) || {};
+    }
+
+    return JSON.parse(contents);
+};
+
+/**
+ * Normalize the registry document into instance URLs keyed by service name
+ * @param {Object} registry - Parsed registry document
+ * @returns {Object} - Instance URLs keyed by service name
+ */
+const toSnapshot = (registry) => {
+    const services = registry && registry.services;
+
+    if (!services || typeof services !== 'object') {
+        throw new Error('Registry must contain a "services" object');
+    }
+
+    const snapshot = {};
+
+    Object.entries(services).forEach(([serviceKey, instances]) => {
+        const list = Array.isArray(instances) ? instances : [instances];
+
+        snapshot[serviceKey] = list
+            .map(instance => (typeof instance === 'string' ? instance : instance && instance.url))
+            .filter(url => {
+                try {
+                    new URL(url);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            });
+    });
+
+    return snapshot;
+};
+
+/**
+ * Create the file provider
+ * @param {Object} options - Provider options
+ * @param {string} options.registryFile - Path to the JSON/YAML registry
+ * @param {number} options.refreshInterval - Fallback reload interval in ms
+ * @param {Object} options.logger - Logger instance
+ * @returns {Object} - Discovery provider
+ */
+const createFileProvider = ({ registryFile, refreshInterval, logger }) => {
+    const filePath = path.resolve(registryFile);
+
+    let watcher = null;
+    let refreshTimer = null;
+    let lastContents = null;
+
+    /**
+     * Read the registry and publish it if it changed
+     * A broken file keeps the last good snapshot in place
+     * @param {Function} onUpdate - Called with the instance snapshot
+     */
+    const reload = (onUpdate) => {
+        try {
+            const contents = fs.readFileSync(filePath, 'utf8');
+
+            if (contents === lastContents) return;
+
+            const snapshot = toSnapshot(parseRegistry(filePath, contents));
+            lastContents = contents;
+
+            logger.info(`Service registry loaded from ${filePath}`, {
+                services: Object.keys(snapshot).length
+            });
+
+            onUpdate(snapshot);
+        } catch (error) {
+            logger.error(`Failed to load service registry from ${filePath}:`, { error: error.message });
+        }
+    };
+
+    return {
+        name: 'file',
+
+        /**
+         * Load the registry and watch it for changes
+         * @param {Function} onUpdate - Called with the instance snapshot
+         */
+        start: (onUpdate) => {
+            reload(onUpdate);
+
+            // fs.watch is not reliable on every filesystem (e.g. bind mounts), so also poll
+            try {
+                watcher = fs.watch(filePath, () => reload(onUpdate));
+                watcher.on('error', (error) => {
+                    logger.warn(`Stopped watching ${filePath}:`, { error: error.message });
+                });
+            } catch (error) {
+                logger.warn(`Cannot watch ${filePath}, relying on periodic refresh`, { error: error.message });
+            }
+
+            refreshTimer = setInterval(() => reload(onUpdate), refreshInterval);
+            refreshTimer.unref();
+        },
+
+        stop: () => {
+            if (watcher) {
+                watcher.close();
+                watcher = null;
+            }
+
+            if (refreshTimer) {
+                clearInterval(refreshTimer);
+                refreshTimer = null;
+            }
+        }
+    };
+};
+
+module.exports = {
+    createFileProvider
+};
@@ -0,0 +1,113 @@
+/**
+ * Service Discovery
+ * Keeps the current instance list for every routed service and balances requests across them
+ *
+ * A provider is an object exposing:
+ *   name    - provider identifier
+ *   start(onUpdate) - begins discovery, calls onUpdate({ serviceKey: [url, ...] }) whenever instances change
+ *   stop()  - releases watchers and timers
+ */
+
+const config = require('../config/gateway.config');
+const routes = require('../routes/routes');
+const { createStaticProvider } = require('./static-provider');
+const { createFileProvider } = require('./file-provider');
+const { logger } = require('../middleware/logger.middleware');
+
+// Provider factories keyed by config name
+const providers = {
+    static: () => createStaticProvider(),
+    file: () => createFileProvider({
+        registryFile: config.serviceDiscovery.registryFile,
+        refreshInterval: config.serviceDiscovery.refreshInterval,
+        logger
+    })
+};
+
+// Current instances and round-robin cursors keyed by service name
+const instances = new Map();
+const cursors = new Map();
+
+let activeProvider = null;
+
+/**
+ * Replace the known instances with a provider snapshot
+ * Services missing from the snapshot keep their static target from routes.js
+ * @param {Object} snapshot - Instance URLs keyed by service name
+ */
+const applySnapshot = (snapshot) => {
+    Object.entries(snapshot).forEach(([serviceKey, urls]) => {
+        if (!routes[serviceKey]) {
+            logger.warn(`Discovery returned unknown service "${serviceKey}", ignoring`);
+            return;
+        }
+
+        if (!urls.length) {
+            logger.warn(`Discovery returned no instances for "${serviceKey}", keeping previous instances`);
+            return;
+        }
+
+        instances.set(serviceKey, urls);
+        logger.info(`Service "${serviceKey}" instances: ${urls.join(', ')}`);
+    });
+};
+
+/**
+ * Start the configured discovery provider
+ * Falls back to the static provider when discovery is disabled
+ */
+const startServiceDiscovery = () => {
+    if (activeProvider) return;
+
+    const providerName = config.serviceDiscovery.enabled ? config.serviceDiscovery.provider : 'static';
+    const factory = providers[providerName];
+
+    if (!factory) {
+        throw new Error(`Unsupported service discovery provider: ${providerName}`);
+    }
+
+    activeProvider = factory();
+    activeProvider.start(applySnapshot);
+
+    logger.info(`Service discovery started with "${activeProvider.name}" provider`);
+};
+
+/**
+ * Stop the active discovery provider
+ */
+const stopServiceDiscovery = () => {
+    if (activeProvider) {
+        activeProvider.stop();
+        activeProvider = null;
+    }
+};
+
+/**
+ * Get every known instance of a service
+ * @param {string} serviceKey - Service key in routes.js
+ * @returns {string[]} - Instance base URLs
+ */
+const getInstances = (serviceKey) => {
+    return instances.get(serviceKey) || [routes[serviceKey].target];
+};
+
+/**
+ * Pick the next instance of a service in round-robin order
+ * @param {string} serviceKey - Service key in routes.js
+ * @returns {string} - Instance base URL
+ */
+const resolveTarget = (serviceKey) => {
+    const urls = getInstances(serviceKey);
+    const cursor = cursors.get(serviceKey) || 0;
+
+    cursors.set(serviceKey, (cursor + 1) % urls.length);
+
+    return urls[cursor % urls.length];
+};
+
+module.exports = {
+    startServiceDiscovery,
+    stopServiceDiscovery,
+    getInstances,
+    resolveTarget
+};
@@ -0,0 +1,49 @@
+/**
+ * Static Discovery Provider
+ * Resolves service instances from the targets declared in routes.js
+ */
+
+const routes = require('../routes/routes');
+
+/**
+ * Create the static provider
+ * A target may list several instances separated by commas,
+ * e.g. BLOG_SERVICE_URL=http://blog-1:3004,http://blog-2:3004
+ * @returns {Object} - Discovery provider
+ */
+const createStaticProvider = () => {
+    /**
+     * Build the instance snapshot from the route table
+     * @returns {Object} - Instance URLs keyed by service name
+     */
+    const load = () => {
+        const snapshot = {};
+
+        Object.keys(routes).forEach(serviceKey => {
+            snapshot[serviceKey] = String(routes[serviceKey].target)
+                .split(',')
+                .map(url => url.trim())
+                .filter(Boolean);
+        });
+
+        return snapshot;
+    };
+
+    return {
+        name: 'static',
+
+        /**
+         * Publish the static instances once, they never change at runtime
+         * @param {Function} onUpdate - Called with the instance snapshot
+         */
+        start: (onUpdate) => {
+            onUpdate(load());
+        },
+
+        stop: () => {}
+    };
+};
+
+module.exports = {
+    createStaticProvider
+};
@@ -0,0 +1,89 @@
+/**
+ * Cache Events
+ * Invalidates cached responses when services publish changes to the event bus
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const kafka = require('kafka-node');
+const config = require('../config/gateway.config');
+const { getCacheStore } = require('../utils/response-cache.util');
+const { startSpan, runWithTraceContext } = require('../../../shared/utils/tracing');
+const { logger } = require('../middleware/logger.middleware');
+
+let consumer = null;
+
+/**
+ * Find the services whose cached responses an event makes stale
+ * @param {string} eventType - Event type, e.g. project.updated
+ * @returns {string[]} - Service keys to invalidate
+ */
+const getStaleServices = (eventType) => {
+    return Object.entries(config.responseCache.invalidateOn)
+        .filter(([, prefixes]) => prefixes.some(prefix => eventType.startsWith(prefix)))
+        .map(([serviceKey]) => serviceKey);
+};
+
+/**
+ * Handle an event bus message
+ * @param {Object} message - Kafka message
+ */
+const handleMessage = async (message) => {
+    try {
+        const event = JSON.parse(message.value);
+        const serviceKeys = getStaleServices(event.type || '');
+
+        // Continue the trace of the request that published the event
+        await runWithTraceContext(startSpan(event.traceparent), async () => {
+            for (const serviceKey of serviceKeys) {
+                const removed = await getCacheStore().invalidate(serviceKey);
+                logger.info(`Response cache for "${serviceKey}" invalidated by ${event.type}`, { removed });
+            }
+        });
+    } catch (error) {
+        logger.error('Error processing cache invalidation event:', { error: error.message });
+    }
+};
+
+/**
+ * Subscribe to the service topics that invalidate the response cache
+ * Each gateway instance reads every message from the head of the topics: it joins a consumer
+ * group of its own, new on each start, so no offset committed earlier replays old invalidations
+ */
+const startCacheInvalidation = () => {
+    if (consumer || !config.responseCache.enabled) return;
+
+    const { kafkaHost, topics, groupIdPrefix } = config.responseCache.events;
+
+    consumer = new kafka.ConsumerGroup({
+        kafkaHost,
+        groupId: `${groupIdPrefix}-${os.hostname()}-${crypto.randomUUID()}`,
+        fromOffset: 'latest', // Only applies to groups without committed offsets, as this one is
+        autoCommit: false
+    }, topics);
+
+    consumer.on('message', handleMessage);
+
+    consumer.on('error', (err) => {
+        // Cached entries still expire with their TTL while the event bus is unreachable
+        logger.error('Cache invalidation consumer error:', { error: err.message });
+    });
+
+    logger.info(`Response cache listening for invalidation events on ${topics.join(', ')}`);
+};
+
+/**
+ * Close the invalidation consumer
+ */
+const stopCacheInvalidation = () => {
+    if (consumer) {
+        consumer.close(false, () => {}); // Nothing to commit, the group is not joined again
+        consumer = null;
+    }
+};
+
+module.exports = {
+    startCacheInvalidation,
+    stopCacheInvalidation,
+    getStaleServices
+};
@@ -6,31 +6,63 @@
 const server = require('./server');
 const config = require('./config/gateway.config');
 const { logger } = require('./middleware/logger.middleware');
+const { startHealthChecks, stopHealthChecks } = require('./utils/health-check.util');
+const { startServiceDiscovery, stopServiceDiscovery } = require('./discovery');
+const { loadRouteTable } = require('./routes/manifest-loader');
+const { startCacheInvalidation, stopCacheInvalidation } = require('./events/cache-events');
 
 // Start the server
 const PORT = config.server.port;
 const HOST = config.server.host;
 
-server.listen(PORT, HOST, () => {
-    logger.info(`API Gateway started on http://${HOST}:${PORT}`);
-    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-
-    // Log which services are being routed
-    const routes = require('./config/routes');
-    const services = Object.keys(routes).map(key => {
-        return {
-            name: key,
-            prefix: routes[key].prefix,
-            target: routes[key].target
-        };
-    });
+let httpServer = null;
+
+/**
+ * Resolve upstream services, build the route table and start listening
+ * Exits when the route table cannot be built, so conflicts never reach traffic
+ */
+const start = async () => {
+    // Resolve upstream instances before accepting traffic
+    startServiceDiscovery();
+
+    let routeTable;
+    try {
+        routeTable = await loadRouteTable();
+        server.registerServiceRoutes(routeTable);
+    } catch (error) {
+        logger.error('Failed to build the gateway route table:', { error: error.message });
+        process.exit(1);
+    }
+
+    httpServer = server.listen(PORT, HOST, () => {
+        logger.info(`API Gateway started on http://${HOST}:${PORT}`);
+        logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+        // Log which services are being routed
+        const services = Object.keys(routeTable).map(key => {
+            return {
+                name: key,
+                prefix: routeTable[key].prefix,
+                target: routeTable[key].target,
+                routes: routeTable[key].routes.length
+            };
+        });
 
-    logger.info(`Registered services: ${services.length}`);
+        logger.info(`Registered services: ${services.length}`);
 
-    services.forEach(service => {
-        logger.info(`Service "${service.name}" at ${service.prefix} -> ${service.target}`);
+        services.forEach(service => {
+            logger.info(`Service "${service.name}" at ${service.prefix} -> ${service.target} (${service.routes} routes)`);
+        });
+
+        // Start polling upstream health endpoints
+        startHealthChecks();
+
+        // Drop cached responses when services publish changes
+        startCacheInvalidation();
     });
-});
+};
+
+start();
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -55,8 +87,17 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 function gracefulShutdown(signal) {
     logger.info(`${signal} received. Shutting down gracefully...`);
 
-    // Close the server
-    server.close(() => {
+    // Stop upstream health polling, discovery watchers and event consumers
+    stopHealthChecks();
+    stopServiceDiscovery();
+    stopCacheInvalidation();
+
+    // Close the server, if it got as far as listening
+    if (!httpServer) {
+        process.exit(0);
+    }
+
+    httpServer.close(() => {
         logger.info('Server closed');
         process.exit(0);
     });
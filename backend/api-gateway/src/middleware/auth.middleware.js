@@ -1,11 +1,14 @@
 /**
  * Authentication Middleware
- * Validates JWT tokens and enforces authentication rules
+ * Validates JWT tokens and API keys and enforces authentication rules
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const JwksClient = require('jwks-rsa');
+const { JwksClient } = require('jwks-rsa');
 const config = require('../config/gateway.config');
+const { resolveTarget } = require('../discovery');
+const { formatTraceparent } = require('../../../shared/utils/tracing');
 const { formatError } = require('../../../shared/utils/response-formatter');
 const { UNAUTHORIZED, FORBIDDEN } = require('../../../shared/utils/http-status');
 
@@ -50,37 +53,114 @@ const verifyToken = async (token) => {
         const signingKey = await getSigningKey(decodedToken.header.kid);
 
         // Verify token with retrieved key
-        return jwt.verify(token, signingKey, {
+        const payload = jwt.verify(token, signingKey, {
             algorithms: config.auth.algorithms,
             issuer: config.auth.issuer,
             audience: config.auth.audience
         });
+
+        // Only access tokens authenticate requests, refresh tokens are for the auth service
+        if (payload.type !== 'access') {
+            throw new Error('Invalid token type');
+        }
+
+        return payload;
     } catch (error) {
         console.error('Token verification error:', error.message);
         throw new Error(error.message || 'Invalid token');
     }
 };
 
+// API keys verified recently, keyed by their SHA-256 so raw keys are never held in memory
+const apiKeyCache = new Map();
+
+/**
+ * Verify an API key with the auth service
+ * Results are cached for config.auth.apiKeys.cacheTtl, failures are not cached
+ * @param {string} key - API key
+ * @param {Object} req - Express request object, for trace propagation
+ * @returns {Promise<Object>} - { apiKey, user, accessToken } as returned by the auth service
+ */
+const verifyApiKey = async (key, req) => {
+    const { verifyPath, internalToken, timeout, cacheTtl, cacheMaxEntries } = config.auth.apiKeys;
+    const cacheKey = crypto.createHash('sha256').update(key).digest('hex');
+    const cached = apiKeyCache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.result;
+    }
+
+    apiKeyCache.delete(cacheKey);
+
+    let response;
+    try {
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (internalToken) {
+            headers['X-Internal-Token'] = internalToken;
+        }
+
+        if (req.traceContext) {
+            headers.traceparent = formatTraceparent(req.traceContext);
+        }
+
+        response = await fetch(`${resolveTarget('auth')}${verifyPath}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ key }),
+            signal: AbortSignal.timeout(timeout)
+        });
+    } catch (error) {
+        console.error('API key verification error:', error.message);
+        throw new Error('Unable to verify API key');
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(body.message || 'Invalid API key');
+    }
+
+    const result = body.data;
+
+    // Evict the oldest entry when the cache is full
+    if (apiKeyCache.size >= cacheMaxEntries) {
+        apiKeyCache.delete(apiKeyCache.keys().next().value);
+    }
+
+    // Never trust the result longer than the access token it carries stays valid
+    const tokenExpiresAt = result.accessToken ? new Date(result.accessToken.expiresAt).getTime() - timeout : Infinity;
+    apiKeyCache.set(cacheKey, { result, expiresAt: Math.min(Date.now() + cacheTtl, tokenExpiresAt) });
+
+    return result;
+};
+
 /**
- * Extract token from request
+ * Extract credentials from request
  * @param {Object} req - Express request object
- * @returns {string|null} - JWT token or null if not found
+ * @returns {Object|null} - { type: 'apiKey' | 'jwt', value } or null if not found
  */
 const extractToken = (req) => {
-    // Check Authorization header first
+    // API keys take precedence, they are only ever sent on purpose
+    const apiKey = req.get(config.auth.apiKeys.header);
+    if (apiKey) {
+        return { type: 'apiKey', value: apiKey.trim() };
+    }
+
+    // Check Authorization header
     const authHeader = req.headers.authorization;
     if (authHeader && authHeader.startsWith('Bearer ')) {
-        return authHeader.substring(7);
+        return { type: 'jwt', value: authHeader.substring(7) };
     }
 
     // Check for token in cookies
     if (req.cookies && req.cookies[config.auth.tokenCookieName]) {
-        return req.cookies[config.auth.tokenCookieName];
+        return { type: 'jwt', value: req.cookies[config.auth.tokenCookieName] };
     }
 
     // Check for token in query parameter (less secure, consider removing in production)
     if (req.query && req.query.token) {
-        return req.query.token;
+        return { type: 'jwt', value: req.query.token };
     }
 
     return null;
@@ -107,8 +187,23 @@ const authenticate = (required = true) => {
                 return next();
             }
 
+            // API key: the auth service resolves its owner and scoped permissions
+            if (token.type === 'apiKey') {
+                const { apiKey, user, accessToken } = await verifyApiKey(token.value, req);
+                req.apiKey = apiKey;
+                req.apiKeyAccessToken = accessToken ? accessToken.token : null;
+                req.user = {
+                    id: user.id,
+                    email: user.email,
+                    roles: user.roles || [],
+                    permissions: user.permissions || []
+                };
+
+                return next();
+            }
+
             // Verify token and set user in request
-            const decoded = await verifyToken(token);
+            const decoded = await verifyToken(token.value);
             req.user = {
                 id: decoded.sub,
                 email: decoded.email,
@@ -124,11 +219,36 @@ const authenticate = (required = true) => {
 
             // If auth is optional, continue without user data
             req.user = null;
+            req.apiKey = null;
+            req.apiKeyAccessToken = null;
             next();
         }
     };
 };
 
+/**
+ * Forward the identity of the caller on a proxied request
+ * Services authenticate JWTs only: an API key is replaced with the access token
+ * the auth service minted for it, and the raw key never leaves the gateway
+ * @param {Object} proxyReq - Outgoing request to the service
+ * @param {Object} req - Express request object
+ */
+const forwardIdentity = (proxyReq, req) => {
+    if (req.user) {
+        proxyReq.setHeader('X-User-ID', req.user.id);
+        proxyReq.setHeader('X-User-Roles', JSON.stringify(req.user.roles));
+    }
+
+    // Identify the API key the request was authenticated with
+    if (req.apiKey) {
+        proxyReq.removeHeader(config.auth.apiKeys.header);
+        proxyReq.setHeader('X-API-Key-ID', req.apiKey.id);
+        if (req.apiKeyAccessToken) {
+            proxyReq.setHeader('Authorization', `Bearer ${req.apiKeyAccessToken}`);
+        }
+    }
+};
+
 /**
  * Role-based access control middleware
  * @param {string|string[]} roles - Required role(s) for access
@@ -154,6 +274,26 @@ const hasRole = (roles) => {
     };
 };
 
+/**
+ * Check whether a set of granted permissions satisfies a required permission
+ * A scoped ':own' permission is also granted by its ':any' counterpart
+ * (e.g. 'blog:write:any' satisfies 'blog:write:own')
+ * @param {string[]} granted - Permissions carried by the user
+ * @param {string} required - Permission to check
+ * @returns {boolean} - True if the permission is granted
+ */
+const isPermissionGranted = (granted, required) => {
+    if (granted.includes(required)) {
+        return true;
+    }
+
+    if (required.endsWith(':own')) {
+        return granted.includes(`${required.slice(0, -':own'.length)}:any`);
+    }
+
+    return false;
+};
+
 /**
  * Permission-based access control middleware
  * @param {string|string[]} permissions - Required permission(s) for access
@@ -170,7 +310,7 @@ const hasPermission = (permissions) => {
 
         // Check if user has all required permissions
         const hasRequiredPermissions = requiredPermissions.every(permission =>
-            req.user.permissions.includes(permission)
+            isPermissionGranted(req.user.permissions, permission)
         );
 
         if (!hasRequiredPermissions) {
@@ -183,6 +323,7 @@ const hasPermission = (permissions) => {
 
 module.exports = {
     authenticate,
+    forwardIdentity,
     hasRole,
     hasPermission
 };
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * Response Cache Middleware
+ * Serves opted-in public GET routes from the gateway cache and fills it from proxied responses
+ */
+
+const crypto = require('crypto');
+const config = require('../config/gateway.config');
+const { buildCacheKey, getCacheStore, parseCacheControl, getResponseTtl } = require('../utils/response-cache.util');
+const { observeCacheLookup } = require('../utils/metrics.util');
+const { logger } = require('./logger.middleware');
+
+// Upstream headers that describe the connection rather than the response
+const UNCACHED_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'date', 'age', 'x-cache'];
+
+/**
+ * Check whether an If-None-Match header matches an ETag
+ * @param {string} ifNoneMatch - If-None-Match request header
+ * @param {string} etag - Stored ETag
+ * @returns {boolean} - True when the client copy is still fresh
+ */
+const isNotModified = (ifNoneMatch, etag) => {
+    if (!ifNoneMatch || !etag) return false;
+
+    const stripWeak = (tag) => tag.trim().replace(/^W\//, '');
+
+    return ifNoneMatch.trim() === '*' ||
+        ifNoneMatch.split(',').some(tag => stripWeak(tag) === stripWeak(etag));
+};
+
+/**
+ * Response cache middleware for a proxied route
+ * Routes opt in with `cache: true` or `cache: { ttl }` in routes.js
+ * @param {string} serviceKey - Key of the service in routes.js
+ * @param {Object} route - Route entry
+ * @returns {Function} - Express middleware function
+ */
+const responseCache = (serviceKey, route) => {
+    const routeTtl = (route.cache && route.cache.ttl) || config.responseCache.defaultTtl;
+
+    return async (req, res, next) => {
+        if (req.method !== 'GET') return next();
+
+        const key = buildCacheKey(serviceKey, req);
+        const requestDirectives = parseCacheControl(req.headers['cache-control']);
+
+        // Clients asking for a fresh copy skip the lookup but still refresh the entry
+        if (!requestDirectives['no-cache'] && !requestDirectives['no-store']) {
+            let entry = null;
+
+            try {
+                entry = await getCacheStore().get(key);
+            } catch (error) {
+                logger.warn(`Response cache lookup failed for ${key}:`, { error: error.message });
+            }
+
+            if (entry) {
+                observeCacheLookup(serviceKey, 'hit');
+
+                res.set(entry.headers);
+                res.set('ETag', entry.etag);
+                res.set('Age', String(Math.floor((Date.now() - entry.storedAt) / 1000)));
+                res.set('X-Cache', 'HIT');
+
+                if (isNotModified(req.headers['if-none-match'], entry.etag)) {
+                    return res.status(304).end();
+                }
+
+                return res.status(entry.status).send(Buffer.from(entry.body, 'base64'));
+            }
+        }
+
+        observeCacheLookup(serviceKey, 'miss');
+        res.set('X-Cache', 'MISS');
+
+        // Conditional requests are left to the service so it can still answer 304
+        if (!requestDirectives['no-store'] && !req.headers['if-none-match']) {
+            req.responseCache = { key, ttl: routeTtl };
+        }
+
+        next();
+    };
+};
+
+/**
+ * Prepare the upstream request of a cacheable route
+ * The full identity-encoded body is needed to fill the cache; the gateway compresses it for the client
+ * @param {Object} proxyReq - Outgoing proxy request
+ * @param {Object} req - Express request object
+ */
+const prepareCacheableRequest = (proxyReq, req) => {
+    if (!req.responseCache) return;
+
+    proxyReq.removeHeader('accept-encoding');
+    proxyReq.removeHeader('if-modified-since');
+};
+
+/**
+ * Store the upstream response of a cacheable route once it has been fully received
+ * Only successful responses without cookies that Cache-Control allows to be shared are stored
+ * @param {Object} proxyRes - Upstream response
+ * @param {Object} req - Express request object
+ */
+const storeProxyResponse = (proxyRes, req) => {
+    if (!req.responseCache || proxyRes.statusCode !== 200 || proxyRes.headers['set-cookie']) return;
+
+    const ttl = getResponseTtl(proxyRes.headers, req.responseCache.ttl);
+
+    if (!ttl) return;
+
+    const chunks = [];
+    proxyRes.on('data', chunk => chunks.push(chunk));
+
+    proxyRes.on('end', () => {
+        const body = Buffer.concat(chunks);
+        const headers = {};
+
+        Object.entries(proxyRes.headers).forEach(([name, value]) => {
+            if (!UNCACHED_HEADERS.includes(name)) {
+                headers[name] = value;
+            }
+        });
+
+        const entry = {
+            status: proxyRes.statusCode,
+            headers,
+            body: body.toString('base64'),
+            etag: proxyRes.headers.etag || `W/"${crypto.createHash('sha1').update(body).digest('base64')}"`,
+            storedAt: Date.now()
+        };
+
+        getCacheStore().set(req.responseCache.key, entry, ttl).catch(error => {
+            logger.warn(`Response cache store failed for ${req.responseCache.key}:`, { error: error.message });
+        });
+    });
+};
+
+module.exports = {
+    responseCache,
+    prepareCacheableRequest,
+    storeProxyResponse
+};
@@ -0,0 +1,79 @@
+/**
+ * Circuit Breaker Middleware
+ * Fails fast when an upstream service is known to be unavailable
+ */
+
+const { getBreaker, STATES } = require('../utils/circuit-breaker.util');
+const { logger } = require('./logger.middleware');
+const { formatError } = require('../../../shared/utils/response-formatter');
+const { SERVICE_UNAVAILABLE } = require('../../../shared/utils/http-status');
+
+/**
+ * Log circuit state transitions
+ * @param {string} name - Service key
+ * @param {string} from - Previous state
+ * @param {string} to - New state
+ */
+const logStateChange = (name, from, to) => {
+    const message = `Circuit for "${name}" changed from ${from} to ${to}`;
+
+    if (to === STATES.OPEN) {
+        logger.warn(message);
+    } else {
+        logger.info(message);
+    }
+};
+
+/**
+ * Circuit breaker middleware for a proxied service
+ * Attaches the breaker to the request so the proxy can report the outcome
+ * @param {string} serviceKey - Key of the service in routes.js
+ * @returns {Function} - Express middleware function
+ */
+const circuitBreaker = (serviceKey) => {
+    const breaker = getBreaker(serviceKey, { onStateChange: logStateChange });
+
+    return (req, res, next) => {
+        if (!breaker.canRequest()) {
+            res.setHeader('Retry-After', Math.ceil(breaker.getRetryAfter() / 1000));
+
+            return res.status(SERVICE_UNAVAILABLE).json(
+                formatError('Service Unavailable', `The ${serviceKey} service is temporarily unavailable`)
+            );
+        }
+
+        req.circuitBreaker = breaker;
+        next();
+    };
+};
+
+/**
+ * Report the outcome of a proxied request to its circuit breaker
+ * Upstream 5xx responses count as failures, everything else as success
+ * @param {Object} req - Express request object
+ * @param {number} statusCode - Upstream response status code
+ */
+const recordProxyResponse = (req, statusCode) => {
+    if (!req.circuitBreaker) return;
+
+    if (statusCode >= 500) {
+        req.circuitBreaker.recordFailure();
+    } else {
+        req.circuitBreaker.recordSuccess();
+    }
+};
+
+/**
+ * Report a proxy transport error (refused connection, timeout...) to its circuit breaker
+ * @param {Object} req - Express request object
+ */
+const recordProxyError = (req) => {
+    if (!req.circuitBreaker) return;
+    req.circuitBreaker.recordFailure();
+};
+
+module.exports = {
+    circuitBreaker,
+    recordProxyResponse,
+    recordProxyError
+};
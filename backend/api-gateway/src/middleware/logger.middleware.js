@@ -8,11 +8,18 @@ const morgan = require('morgan');
 const { createLogger, format, transports } = require('winston');
 const { ElasticsearchTransport } = require('winston-elasticsearch');
 const config = require('../config/gateway.config');
+const { getTraceFields } = require('../../../shared/utils/tracing');
+
+/**
+ * Add the trace ids of the current request to every log entry
+ */
+const traceFormat = format((info) => Object.assign(info, getTraceFields()));
 
 // Create Winston logger
 const logger = createLogger({
     level: config.logging.level,
     format: format.combine(
+        traceFormat(),
         format.timestamp(),
         format.json()
     ),
@@ -89,6 +96,8 @@ const morganFormat = (tokens, req, res) => {
 
     return JSON.stringify({
         'request-id': req.id,
+        'trace-id': req.traceContext ? req.traceContext.traceId : undefined,
+        'span-id': req.traceContext ? req.traceContext.spanId : undefined,
         'remote-address': tokens['remote-addr'](req, res),
         'time': tokens['date'](req, res, 'iso'),
         'method': tokens['method'](req, res),
@@ -0,0 +1,36 @@
+/**
+ * Metrics Middleware
+ * Records request counts and latency for Prometheus
+ */
+
+const { observeRequest } = require('../utils/metrics.util');
+
+/**
+ * Metrics collection middleware for a proxied route
+ * Uses the route template rather than the raw URL to keep label cardinality bounded
+ * @param {string} serviceKey - Key of the service in routes.js
+ * @param {string} routePath - Route template, e.g. /api/blog/articles/:slug
+ * @returns {Function} - Express middleware function
+ */
+const collectMetrics = (serviceKey, routePath) => {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+
+        res.on('finish', () => {
+            const durationSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+            observeRequest({
+                service: serviceKey,
+                route: routePath,
+                method: req.method,
+                status_code: res.statusCode
+            }, durationSeconds);
+        });
+
+        next();
+    };
+};
+
+module.exports = {
+    collectMetrics
+};
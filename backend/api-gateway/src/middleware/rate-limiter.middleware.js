@@ -7,8 +7,8 @@ const rateLimit = require('express-rate-limit');
 const RedisStore = require('rate-limit-redis');
 const Redis = require('ioredis');
 const config = require('../config/gateway.config');
-const { formatError } = require('../../../shared/utils/response-formatter');
-const { TOO_MANY_REQUESTS } = require('../../../shared/utils/http-status');
+const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
+const { OK, TOO_MANY_REQUESTS, SERVICE_UNAVAILABLE } = require('../../../shared/utils/http-status');
 
 // Initialize Redis client if Redis URL is provided in environment
 let redisClient;
@@ -27,10 +27,11 @@ if (process.env.REDIS_URL) {
 
 /**
  * Create a rate limiter middleware with optional custom configuration
+ * @param {string} name - Limiter name, keeps the counters of each limiter apart in the store
  * @param {Object} options - Custom rate limiter options to override defaults
  * @returns {Function} - Express middleware function
  */
-const createRateLimiter = (options = {}) => {
+const createRateLimiter = (name, options = {}) => {
     // Default options from config
     const defaultOptions = config.server.rateLimiter;
 
@@ -49,11 +50,11 @@ const createRateLimiter = (options = {}) => {
         }
     };
 
-    // Use Redis store if Redis client is available
+    // Use Redis store if Redis client is available, so every gateway instance shares the counters
     if (redisClient) {
         limiterOptions.store = new RedisStore({
             sendCommand: (...args) => redisClient.call(...args),
-            prefix: 'rl:',  // Redis key prefix
+            prefix: `rl:${name}:`,  // Redis key prefix
         });
     }
 
@@ -61,30 +62,100 @@ const createRateLimiter = (options = {}) => {
 };
 
 /**
- * Standard rate limiter for most API routes
+ * Identify the caller a request is counted against
+ * API keys and users get their own quota wherever they connect from, anonymous callers are counted by IP
+ * @param {Object} req - Express request object
+ * @returns {string} - Rate limit key
  */
-const standardLimiter = createRateLimiter();
+const getClientKey = (req) => {
+    if (req.apiKey) {
+        return `apikey:${req.apiKey.id}`;
+    }
+
+    if (req.user) {
+        return `user:${req.user.id}`;
+    }
+
+    return `ip:${req.ip}`;
+};
+
+/**
+ * Resolve the rate limit tier of a request
+ * Users get the most generous tier among their roles, or the 'user' tier when no role has one
+ * @param {Object} req - Express request object
+ * @returns {Object} - Tier { name, max }
+ */
+const resolveTier = (req) => {
+    const tiers = config.server.rateLimitTiers;
+
+    if (req.apiKey) {
+        return { name: 'apiKey', ...tiers.apiKey };
+    }
+
+    if (!req.user) {
+        return { name: 'anonymous', ...tiers.anonymous };
+    }
+
+    return (req.user.roles || [])
+        .filter(role => tiers.roles[role])
+        .reduce(
+            (best, role) => (tiers.roles[role].max > best.max ? { name: role, ...tiers.roles[role] } : best),
+            { name: 'user', ...tiers.user }
+        );
+};
+
+/**
+ * Tiered rate limiter for API routes
+ * Must run after authentication so the caller's identity and roles are known
+ */
+const tieredLimiter = createRateLimiter('tiered', {
+    keyGenerator: getClientKey,
+    max: (req) => resolveTier(req).max
+});
 
 /**
  * Strict rate limiter for sensitive operations (login, registration, etc.)
  */
-const strictLimiter = createRateLimiter({
+const strictLimiter = createRateLimiter('strict', {
     windowMs: 60 * 60 * 1000, // 1 hour
     max: 20, // 20 requests per hour
     message: 'Too many attempts, please try again later'
 });
 
 /**
- * Relaxed rate limiter for public endpoints
+ * Rate limit status handler
+ * Returns the caller's tier and remaining quota without counting as a request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
  */
-const publicLimiter = createRateLimiter({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 300, // 300 requests per 15 minutes
-});
+const rateLimitStatus = async (req, res) => {
+    try {
+        const tier = resolveTier(req);
+        const usage = await tieredLimiter.getKey(getClientKey(req));
+        const used = usage ? usage.totalHits : 0;
+
+        return res.status(OK).json(
+            formatResponse('Rate limit status retrieved successfully', {
+                tier: tier.name,
+                limit: tier.max,
+                remaining: Math.max(tier.max - used, 0),
+                windowMs: config.server.rateLimiter.windowMs,
+                resetTime: usage && usage.resetTime ? new Date(usage.resetTime).toISOString() : null
+            })
+        );
+    } catch (error) {
+        console.error('Rate limit status error:', error);
+        return res.status(SERVICE_UNAVAILABLE).json(
+            formatError('Rate Limit Error', 'Rate limit status is temporarily unavailable')
+        );
+    }
+};
 
 module.exports = {
-    standardLimiter,
+    tieredLimiter,
     strictLimiter,
-    publicLimiter,
-    createRateLimiter
+    createRateLimiter,
+    getClientKey,
+    resolveTier,
+    rateLimitStatus
 };
\ No newline at end of file
@@ -0,0 +1,177 @@
+/**
+ * API Versioning Middleware
+ * Resolves the API version of a request and maps it to its upstream target and path
+ *
+ * A version is selected by the path (/api/v2/blog/...) or, on unversioned paths,
+ * by the Accept-Version header, falling back to the service default version.
+ */
+
+const config = require('../config/gateway.config');
+const { formatError } = require('../../../shared/utils/response-formatter');
+const { BAD_REQUEST } = require('../../../shared/utils/http-status');
+
+/**
+ * Build the versioned prefix of a service, e.g. /api/blog -> /api/v2/blog
+ * @param {string} prefix - Unversioned service prefix
+ * @param {string} version - Version name, e.g. v2
+ * @returns {string} - Versioned prefix
+ */
+const toVersionedPrefix = (prefix, version) => prefix.replace(/^\/api(?=\/|$)/, `/api/${version}`);
+
+/**
+ * Normalize an Accept-Version value, accepting both "2" and "v2"
+ * @param {string} value - Header value
+ * @returns {string} - Version name
+ */
+const normalizeVersion = (value) => {
+    const version = String(value).trim().toLowerCase();
+    return /^\d+$/.test(version) ? `v${version}` : version;
+};
+
+/**
+ * Parse a date option of a version
+ * @param {string} serviceKey - Service key in routes.js
+ * @param {string} version - Version name
+ * @param {string} option - Option name
+ * @param {string} value - Date value
+ * @returns {Date|null} - Parsed date, null when not set
+ */
+const parseVersionDate = (serviceKey, version, option, value) => {
+    if (!value) return null;
+
+    const date = new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${option} date "${value}" for ${serviceKey} API ${version}`);
+    }
+
+    return date;
+};
+
+/**
+ * Build the response headers announcing the deprecation of a version
+ * Deprecation follows RFC 9745, Sunset follows RFC 8594
+ * @param {string} serviceKey - Service key in routes.js
+ * @param {string} version - Version name
+ * @param {Object} options - Version options from routes.js
+ * @returns {Object} - Header values keyed by header name
+ */
+const buildDeprecationHeaders = (serviceKey, version, options) => {
+    const headers = {};
+    const deprecation = parseVersionDate(serviceKey, version, 'deprecation', options.deprecation);
+    const sunset = parseVersionDate(serviceKey, version, 'sunset', options.sunset);
+
+    if (deprecation) {
+        headers.Deprecation = `@${Math.floor(deprecation.getTime() / 1000)}`;
+    }
+
+    if (sunset) {
+        headers.Sunset = sunset.toUTCString();
+    }
+
+    if (options.link && (deprecation || sunset)) {
+        headers.Link = `<${options.link}>; rel="deprecation"; type="text/html"`;
+    }
+
+    return headers;
+};
+
+/**
+ * API version middleware for a proxied route
+ * Sets req.apiVersion and the version response headers
+ * @param {string} serviceKey - Service key in routes.js
+ * @param {Object} service - Service entry from the route table
+ * @param {string|null} pathVersion - Version taken from the mount path, null on unversioned paths
+ * @returns {Function} - Express middleware function
+ */
+const apiVersion = (serviceKey, service, pathVersion) => {
+    const versions = service.versions || {};
+    const deprecationHeaders = {};
+
+    Object.keys(versions).forEach(version => {
+        deprecationHeaders[version] = buildDeprecationHeaders(serviceKey, version, versions[version]);
+    });
+
+    return (req, res, next) => {
+        // Services without versions ignore Accept-Version
+        if (!Object.keys(versions).length) return next();
+
+        let version = pathVersion;
+
+        if (!version) {
+            const requested = req.headers[config.apiVersioning.requestHeader.toLowerCase()];
+
+            // Unversioned responses differ by the version header
+            res.vary(config.apiVersioning.requestHeader);
+
+            if (requested) {
+                version = normalizeVersion(requested);
+
+                if (!versions[version]) {
+                    return res.status(BAD_REQUEST).json(
+                        formatError(
+                            'Unsupported API version',
+                            `Version "${requested}" is not available for ${serviceKey}, supported versions: ${Object.keys(versions).join(', ')}`
+                        )
+                    );
+                }
+            } else {
+                version = service.defaultVersion;
+            }
+        }
+
+        req.apiVersion = version;
+
+        if (version) {
+            res.set(config.apiVersioning.responseHeader, version);
+            res.set(deprecationHeaders[version]);
+        }
+
+        next();
+    };
+};
+
+/**
+ * Get the upstream base URL for the request version, when it differs from the service target
+ * @param {Object} service - Service entry from the route table
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Version target, null to use service discovery
+ */
+const getVersionTarget = (service, req) => {
+    const options = req.apiVersion && service.versions && service.versions[req.apiVersion];
+    return (options && options.target) || null;
+};
+
+/**
+ * Rewrite a request path for the upstream service
+ * The version segment is removed, then the first matching rewrite rule of the version
+ * (or of the service) is applied, as http-proxy-middleware does for object rules
+ * @param {Object} service - Service entry from the route table
+ * @param {string} path - Request path including the query string
+ * @param {Object} req - Express request object
+ * @returns {string} - Upstream path
+ */
+const rewriteUpstreamPath = (service, path, req) => {
+    let upstreamPath = path;
+
+    if (req.apiVersion) {
+        const versionedPrefix = toVersionedPrefix(service.prefix, req.apiVersion);
+
+        if (upstreamPath.startsWith(versionedPrefix)) {
+            upstreamPath = `${service.prefix}${upstreamPath.slice(versionedPrefix.length)}`;
+        }
+    }
+
+    const options = req.apiVersion && service.versions && service.versions[req.apiVersion];
+    const rules = (options && options.pathRewrite) || service.pathRewrite || config.proxy.pathRewrite || {};
+    const rule = Object.keys(rules).find(pattern => new RegExp(pattern).test(upstreamPath));
+
+    return rule ? upstreamPath.replace(new RegExp(rule), rules[rule]) : upstreamPath;
+};
+
+module.exports = {
+    toVersionedPrefix,
+    apiVersion,
+    getVersionTarget,
+    rewriteUpstreamPath
+};
@@ -0,0 +1,209 @@
+/**
+ * Route Manifest Loader
+ * Builds the gateway proxy table from the route manifests published by each service
+ */
+
+const config = require('../config/gateway.config');
+const routes = require('./routes');
+const { resolveTarget } = require('../discovery');
+const { logger } = require('../middleware/logger.middleware');
+
+// Service routes that are never exposed through the gateway
+const INTERNAL_PATHS = ['/health', '/_routes'];
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build the full gateway path of a service route
+ * @param {string} prefix - Service prefix, e.g. /api/blog
+ * @param {string} path - Route path relative to the service router
+ * @returns {string} - Full gateway path
+ */
+const toFullPath = (prefix, path) => (path === '/' || path === '' ? prefix : `${prefix}${path}`);
+
+/**
+ * Key identifying the requests a route matches, regardless of parameter names
+ * @param {string} method - HTTP method
+ * @param {string} fullPath - Full gateway path
+ * @returns {string} - Route signature
+ */
+const toSignature = (method, fullPath) => `${method.toUpperCase()} ${fullPath.replace(/:[^/]+/g, ':param')}`;
+
+/**
+ * Fetch the route manifest of a service, retrying while it starts up
+ * @param {string} serviceKey - Service key in routes.js
+ * @returns {Promise<Object>} - Route manifest
+ */
+const fetchManifest = async (serviceKey) => {
+    const { retries, retryDelay, timeout, path } = config.routeManifests;
+    let lastError;
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        const url = `${resolveTarget(serviceKey)}${path}`;
+
+        try {
+            const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+
+            if (!response.ok) {
+                throw new Error(`Unexpected status ${response.status}`);
+            }
+
+            const manifest = await response.json();
+
+            if (!manifest || !Array.isArray(manifest.routes)) {
+                throw new Error('Manifest has no "routes" array');
+            }
+
+            return manifest;
+        } catch (error) {
+            lastError = error;
+            logger.warn(`Route manifest for "${serviceKey}" unavailable (attempt ${attempt}/${retries})`, {
+                url,
+                error: error.message
+            });
+
+            if (attempt < retries) {
+                await delay(retryDelay);
+            }
+        }
+    }
+
+    throw new Error(`Could not load route manifest for "${serviceKey}": ${lastError.message}`);
+};
+
+/**
+ * Merge manifest routes with the edge access policy declared in routes.js
+ * The service decides which routes exist; the gateway may only add requirements on top
+ * @param {string} serviceKey - Service key in routes.js
+ * @param {Object} manifest - Route manifest published by the service
+ * @returns {Object[]} - Route entries for the proxy table
+ */
+const mergeWithPolicy = (serviceKey, manifest) => {
+    const service = routes[serviceKey];
+    const policies = new Map(service.routes.map(route => [
+        toSignature(route.method, toFullPath(service.prefix, route.path)),
+        route
+    ]));
+    const matched = new Set();
+
+    const merged = manifest.routes
+        .filter(route => !INTERNAL_PATHS.includes(route.path))
+        .map(route => {
+            const signature = toSignature(route.method, toFullPath(service.prefix, route.path));
+            const policy = policies.get(signature) || {};
+
+            if (policies.has(signature)) {
+                matched.add(signature);
+            }
+
+            return {
+                path: route.path,
+                method: route.method.toUpperCase(),
+                auth: route.auth === true || policy.auth === true,
+                roles: [...new Set([...(route.roles || []), ...(policy.roles || [])])],
+                permissions: [...new Set([...(route.permissions || []), ...(policy.permissions || [])])],
+                cache: policy.cache
+            };
+        });
+
+    // Policies pointing at routes the service no longer serves are a sign of drift
+    policies.forEach((policy, signature) => {
+        if (!matched.has(signature)) {
+            logger.warn(`Route policy "${signature}" in routes.js matches no route published by "${serviceKey}"`);
+        }
+    });
+
+    return merged;
+};
+
+/**
+ * Find routes claimed more than once in the proxy table
+ * @param {Object} routeTable - Route table keyed by service name
+ * @returns {string[]} - Human readable conflict descriptions
+ */
+const findConflicts = (routeTable) => {
+    const conflicts = [];
+    const seen = new Map();
+    const serviceKeys = Object.keys(routeTable);
+
+    // Prefixes must not overlap, otherwise one service could capture another's traffic
+    serviceKeys.forEach(a => {
+        serviceKeys.forEach(b => {
+            if (a !== b && routeTable[b].prefix.startsWith(`${routeTable[a].prefix}/`)) {
+                conflicts.push(`prefix ${routeTable[b].prefix} of "${b}" is nested under prefix ${routeTable[a].prefix} of "${a}"`);
+            }
+        });
+    });
+
+    // The same method and path shape must map to a single route
+    serviceKeys.forEach(serviceKey => {
+        const service = routeTable[serviceKey];
+
+        service.routes.forEach(route => {
+            const fullPath = toFullPath(service.prefix, route.path);
+            const signature = toSignature(route.method, fullPath);
+            const existing = seen.get(signature);
+
+            if (existing) {
+                conflicts.push(`${route.method} ${fullPath} ("${serviceKey}") conflicts with ${existing.method} ${existing.fullPath} ("${existing.serviceKey}")`);
+            } else {
+                seen.set(signature, { serviceKey, method: route.method, fullPath });
+            }
+        });
+    });
+
+    return conflicts;
+};
+
+/**
+ * Load the route table used to set up the proxy
+ * Throws when a required manifest is missing or when routes conflict
+ * @returns {Promise<Object>} - Route table keyed by service name, same shape as routes.js
+ */
+const loadRouteTable = async () => {
+    const routeTable = {};
+
+    await Promise.all(Object.keys(routes).map(async (serviceKey) => {
+        const service = routes[serviceKey];
+        let serviceRoutes = service.routes;
+
+        if (config.routeManifests.enabled) {
+            try {
+                const manifest = await fetchManifest(serviceKey);
+                serviceRoutes = mergeWithPolicy(serviceKey, manifest);
+                logger.info(`Loaded ${serviceRoutes.length} routes from "${serviceKey}" manifest`);
+            } catch (error) {
+                if (config.routeManifests.required) {
+                    throw error;
+                }
+
+                logger.warn(`${error.message}, falling back to routes.js`);
+            }
+        }
+
+        routeTable[serviceKey] = {
+            ...service,
+            routes: serviceRoutes
+        };
+    }));
+
+    const conflicts = findConflicts(routeTable);
+
+    if (conflicts.length) {
+        throw new Error(`Route table has ${conflicts.length} conflict(s):\n  - ${conflicts.join('\n  - ')}`);
+    }
+
+    return routeTable;
+};
+
+module.exports = {
+    loadRouteTable,
+    mergeWithPolicy,
+    findConflicts,
+    toFullPath
+};
@@ -1,6 +1,31 @@
 /**
  * API Gateway route configuration
  * Defines service endpoints, routing rules and proxy configurations
+ *
+ * At startup the gateway loads the route manifest published by each service (GET /_routes)
+ * and builds its proxy table from it. The route lists below are used as:
+ *   - edge access policy: roles/permissions declared here are added to the matching manifest route
+ *   - fallback table when a service manifest cannot be loaded
+ *
+ * Route entry options:
+ *   auth        - require a valid token
+ *   roles       - user must have at least one of these roles (implies auth)
+ *   permissions - user must have all of these permissions (implies auth);
+ *                 an ':own' permission is also satisfied by its ':any' counterpart
+ *   cache       - GET only: cache responses at the gateway, `true` or `{ ttl }` in seconds;
+ *                 entries are keyed per user and dropped when the service publishes a change
+ *
+ * Service versioning options:
+ *   versions       - API versions, each route is also mounted under /api/<version>/<service>;
+ *                    unversioned paths pick the version from the Accept-Version header
+ *   defaultVersion - version served to unversioned requests without Accept-Version
+ *
+ * Version options:
+ *   target      - upstream base URL for this version, defaults to the service instances
+ *   pathRewrite - rewrite rules ({ pattern: replacement }) applied to the unversioned upstream path
+ *   deprecation - date the version is (or will be) deprecated, sent as the Deprecation header
+ *   sunset      - date the version stops being served, sent as the Sunset header
+ *   link        - migration guide URL, sent as a Link header with rel="deprecation"
  */
 
 const routes = {
@@ -9,13 +34,55 @@ const routes = {
         prefix: '/api/auth',
         target: process.env.AUTH_SERVICE_URL || 'http://auth-service:3001',
         routes: [
-            { path: '/login', method: 'POST', auth: false },
             { path: '/register', method: 'POST', auth: false },
+            { path: '/login', method: 'POST', auth: false },
             { path: '/refresh-token', method: 'POST', auth: false },
-            { path: '/logout', method: 'POST', auth: true },
             { path: '/verify-email/:token', method: 'GET', auth: false },
             { path: '/forgot-password', method: 'POST', auth: false },
-            { path: '/reset-password/:token', method: 'POST', auth: false }
+            { path: '/reset-password/:token', method: 'POST', auth: false },
+            { path: '/magic-link', method: 'POST', auth: false }, // Email a passwordless sign-in link
+            { path: '/magic-link/:token', method: 'GET', auth: false }, // Sign in with the link
+            { path: '/data-requests/:id/status/:token', method: 'GET', auth: false }, // Erasure status after deleting own account
+            { path: '/2fa/verify', method: 'POST', auth: false }, // Second sign-in step, uses the login challenge token
+            { path: '/2fa/setup', method: 'POST', auth: false }, // Access token or setup challenge, checked by the service
+            { path: '/2fa/enable', method: 'POST', auth: false }, // Access token or setup challenge, checked by the service
+            { path: '/.well-known/jwks.json', method: 'GET', auth: false }, // Public keys for token verification
+            { path: '/logout', method: 'POST', auth: true },
+            { path: '/logout-all', method: 'POST', auth: true }, // Revoke every session of the current user
+            { path: '/sessions', method: 'GET', auth: true }, // List own active sessions
+            { path: '/sessions/:id', method: 'DELETE', auth: true }, // Revoke one of own sessions
+            { path: '/me', method: 'GET', auth: true }, // Get current user
+            { path: '/change-password', method: 'POST', auth: true },
+            { path: '/me/export', method: 'GET', auth: true }, // Export own data from every service (JSON or ZIP)
+            { path: '/me', method: 'DELETE', auth: true }, // Delete own account and erase its data everywhere
+            { path: '/2fa/disable', method: 'POST', auth: true },
+            { path: '/2fa/recovery-codes', method: 'POST', auth: true }, // Replace recovery codes
+            { path: '/api-keys', method: 'POST', auth: true }, // Create a scoped API key
+            { path: '/api-keys', method: 'GET', auth: true }, // List own API keys
+            { path: '/api-keys/:id', method: 'DELETE', auth: true }, // Revoke an API key
+            { path: '/users', method: 'GET', auth: true, roles: ['admin'], permissions: ['user:read:any'] }, // List and search users (admin)
+            { path: '/users/:id', method: 'GET', auth: true, roles: ['admin'], permissions: ['user:read:any'] }, // Get a user (admin)
+            { path: '/users/:id/roles', method: 'POST', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Assign a role (admin)
+            { path: '/users/:id/roles/:role', method: 'DELETE', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Revoke a role (admin)
+            { path: '/users/:id/lock', method: 'POST', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Lock an account (admin)
+            { path: '/users/:id/unlock', method: 'POST', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Unlock an account (admin)
+            { path: '/users/:id/deactivate', method: 'POST', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Deactivate an account (admin)
+            { path: '/users/:id/activate', method: 'POST', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Reactivate an account (admin)
+            { path: '/users/:id', method: 'DELETE', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Delete an account (admin)
+            { path: '/users/:id/restore', method: 'POST', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Restore a deleted account (admin)
+            { path: '/users/:id/force-password-reset', method: 'POST', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Force a password reset (admin)
+            { path: '/users/:id/sessions', method: 'DELETE', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Revoke a user's sessions (admin)
+            { path: '/roles', method: 'GET', auth: true, roles: ['admin'], permissions: ['user:read:any'] }, // List roles (admin)
+            { path: '/roles/:name', method: 'GET', auth: true, roles: ['admin'], permissions: ['user:read:any'] }, // Get a role (admin)
+            { path: '/roles', method: 'POST', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Create a role (admin)
+            { path: '/roles/:name', method: 'PUT', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Update a role's permissions (admin)
+            { path: '/roles/:name', method: 'DELETE', auth: true, roles: ['admin'], permissions: ['user:write:any'] }, // Delete a role (admin)
+            { path: '/auth-events', method: 'GET', auth: true, roles: ['admin'], permissions: ['user:read:any'] }, // Query the sign-in audit trail (admin)
+            { path: '/data-requests/:id', method: 'GET', auth: true, roles: ['admin'], permissions: ['user:read:any'] }, // Export or erasure status per service (admin)
+            { path: '/google', method: 'GET', auth: false },
+            { path: '/google/callback', method: 'GET', auth: false },
+            { path: '/github', method: 'GET', auth: false },
+            { path: '/github/callback', method: 'GET', auth: false }
         ]
     },
 
@@ -24,16 +91,31 @@ const routes = {
         prefix: '/api/profiles',
         target: process.env.PROFILE_SERVICE_URL || 'http://profile-service:3002',
         routes: [
-            { path: '', method: 'GET', auth: false }, // List profiles (public)
-            { path: '/:id', method: 'GET', auth: false }, // Get profile by ID (public)
-            { path: '/me', method: 'GET', auth: true }, // Get own profile
-            { path: '/me', method: 'PUT', auth: true }, // Update own profile
-            { path: '/me/skills', method: 'POST', auth: true }, // Add skill
-            { path: '/me/skills/:id', method: 'PUT', auth: true }, // Update skill
-            { path: '/me/skills/:id', method: 'DELETE', auth: true }, // Delete skill
-            { path: '/me/experience', method: 'POST', auth: true }, // Add experience
-            { path: '/me/experience/:id', method: 'PUT', auth: true }, // Update experience
-            { path: '/me/experience/:id', method: 'DELETE', auth: true } // Delete experience
+            { path: '/', method: 'POST', auth: true, permissions: ['profile:write:own'] }, // Create own profile
+            { path: '/public', method: 'GET', auth: false }, // List active profiles (public)
+            { path: '/public/:handle', method: 'GET', auth: false }, // Get active profile by handle (public)
+            { path: '/resumes/:id', method: 'GET', auth: false }, // Get pinned resume file (public)
+            { path: '/me', method: 'GET', auth: true, permissions: ['profile:read:own'] }, // Get own profile
+            { path: '/me', method: 'PUT', auth: true, permissions: ['profile:write:own'] }, // Update own profile
+            { path: '/me', method: 'DELETE', auth: true, permissions: ['profile:write:own'] }, // Delete own profile
+            { path: '/', method: 'GET', auth: true, roles: ['admin'], permissions: ['profile:read:any'] }, // List all profiles (admin)
+            { path: '/:id', method: 'GET', auth: true, roles: ['admin'], permissions: ['profile:read:any'] }, // Get any profile (admin)
+            { path: '/:id', method: 'PUT', auth: true, roles: ['admin'], permissions: ['profile:write:any'] }, // Update any profile (admin)
+            { path: '/:id', method: 'DELETE', auth: true, roles: ['admin'], permissions: ['profile:write:any'] }, // Delete any profile (admin)
+            { path: '/:id/resume', method: 'GET', auth: false }, // Render resume (public, whole profile for the owner)
+            { path: '/:id/resume', method: 'POST', auth: true, permissions: ['profile:write:own'] }, // Pin rendered resume as resume URL
+            { path: '/me/skills', method: 'POST', auth: true, permissions: ['profile:write:own'] }, // Add skill
+            { path: '/me/skills/bulk', method: 'POST', auth: true, permissions: ['profile:write:own'] }, // Add several skills
+            { path: '/me/skills', method: 'GET', auth: true, permissions: ['profile:read:own'] }, // List own skills
+            { path: '/me/skills/:id', method: 'GET', auth: true, permissions: ['profile:read:own'] }, // Get skill
+            { path: '/me/skills/:id', method: 'PUT', auth: true, permissions: ['profile:write:own'] }, // Update skill
+            { path: '/me/skills/:id', method: 'DELETE', auth: true, permissions: ['profile:write:own'] }, // Delete skill
+            { path: '/me/experiences', method: 'POST', auth: true, permissions: ['profile:write:own'] }, // Add experience
+            { path: '/me/experiences/bulk', method: 'POST', auth: true, permissions: ['profile:write:own'] }, // Add several experiences
+            { path: '/me/experiences', method: 'GET', auth: true, permissions: ['profile:read:own'] }, // List own experiences
+            { path: '/me/experiences/:id', method: 'GET', auth: true, permissions: ['profile:read:own'] }, // Get experience
+            { path: '/me/experiences/:id', method: 'PUT', auth: true, permissions: ['profile:write:own'] }, // Update experience
+            { path: '/me/experiences/:id', method: 'DELETE', auth: true, permissions: ['profile:write:own'] } // Delete experience
         ]
     },
 
@@ -41,14 +123,34 @@ const routes = {
     projects: {
         prefix: '/api/projects',
         target: process.env.PROJECTS_SERVICE_URL || 'http://projects-service:3003',
+        defaultVersion: 'v1',
+        versions: {
+            // Current API, used by the deployed frontend
+            v1: {
+                deprecation: process.env.PROJECTS_API_V1_DEPRECATION,
+                sunset: process.env.PROJECTS_API_V1_SUNSET,
+                link: process.env.PROJECTS_API_V1_MIGRATION_URL
+            },
+            // Next API, served by the same upstream until PROJECTS_SERVICE_V2_URL points to a new deployment
+            v2: {
+                target: process.env.PROJECTS_SERVICE_V2_URL
+            }
+        },
         routes: [
-            { path: '', method: 'GET', auth: false }, // List projects (public)
-            { path: '/:id', method: 'GET', auth: false }, // Get project by ID (public)
-            { path: '', method: 'POST', auth: true }, // Create project
-            { path: '/:id', method: 'PUT', auth: true }, // Update project
-            { path: '/:id', method: 'DELETE', auth: true }, // Delete project
-            { path: '/:id/technologies', method: 'POST', auth: true }, // Add technology to project
-            { path: '/:id/technologies/:techId', method: 'DELETE', auth: true } // Remove technology from project
+            { path: '/', method: 'GET', auth: false, cache: true }, // List projects (public)
+            { path: '/:id', method: 'GET', auth: false, cache: true }, // Get project by ID (public)
+            { path: '/:projectId/technologies', method: 'GET', auth: false, cache: true }, // List project technologies (public)
+            { path: '/', method: 'POST', auth: true, permissions: ['project:write:own'] }, // Create project
+            { path: '/:id', method: 'PUT', auth: true, permissions: ['project:write:own'] }, // Update project
+            { path: '/:id', method: 'DELETE', auth: true, permissions: ['project:write:own'] }, // Delete project
+            { path: '/:id/publish', method: 'PATCH', auth: true, permissions: ['project:write:own'] }, // Toggle publish status
+            { path: '/:id/pin', method: 'PATCH', auth: true, permissions: ['project:write:own'] }, // Toggle pinned status
+            { path: '/:projectId/technologies', method: 'POST', auth: true, permissions: ['project:write:own'] }, // Add technology to project
+            { path: '/:projectId/technologies/bulk', method: 'POST', auth: true, permissions: ['project:write:own'] }, // Add several technologies
+            { path: '/:projectId/technologies/:techId', method: 'PUT', auth: true, permissions: ['project:write:own'] }, // Update technology
+            { path: '/:projectId/technologies/:techId', method: 'DELETE', auth: true, permissions: ['project:write:own'] }, // Remove technology from project
+            { path: '/:projectId/technologies/reorder', method: 'POST', auth: true, permissions: ['project:write:own'] }, // Reorder technologies
+            { path: '/admin/all', method: 'GET', auth: true, roles: ['admin'], permissions: ['project:read:any'] } // List all projects (admin)
         ]
     },
 
@@ -56,20 +158,39 @@ const routes = {
     blog: {
         prefix: '/api/blog',
         target: process.env.BLOG_SERVICE_URL || 'http://blog-service:3004',
+        defaultVersion: 'v1',
+        versions: {
+            // Current API, used by the deployed frontend
+            v1: {
+                deprecation: process.env.BLOG_API_V1_DEPRECATION,
+                sunset: process.env.BLOG_API_V1_SUNSET,
+                link: process.env.BLOG_API_V1_MIGRATION_URL
+            },
+            // Next API, served by the same upstream until BLOG_SERVICE_V2_URL points to a new deployment
+            v2: {
+                target: process.env.BLOG_SERVICE_V2_URL
+            }
+        },
         routes: [
-            { path: '/articles', method: 'GET', auth: false }, // List articles (public)
-            { path: '/articles/:id', method: 'GET', auth: false }, // Get article by ID (public)
-            { path: '/articles', method: 'POST', auth: true }, // Create article
-            { path: '/articles/:id', method: 'PUT', auth: true }, // Update article
-            { path: '/articles/:id', method: 'DELETE', auth: true }, // Delete article
-            { path: '/categories', method: 'GET', auth: false }, // List categories (public)
-            { path: '/categories', method: 'POST', auth: true }, // Create category
-            { path: '/categories/:id', method: 'PUT', auth: true }, // Update category
-            { path: '/categories/:id', method: 'DELETE', auth: true }, // Delete category
-            { path: '/articles/:id/comments', method: 'GET', auth: false }, // Get comments for article
-            { path: '/articles/:id/comments', method: 'POST', auth: true }, // Add comment to article
-            { path: '/comments/:id', method: 'PUT', auth: true }, // Update own comment
-            { path: '/comments/:id', method: 'DELETE', auth: true } // Delete own comment
+            { path: '/articles', method: 'GET', auth: false, cache: true }, // List articles (public)
+            { path: '/articles/:slug', method: 'GET', auth: false, cache: true }, // Get article by slug (public)
+            { path: '/articles', method: 'POST', auth: true, permissions: ['blog:write:own'] }, // Create article
+            { path: '/articles/:slug', method: 'PUT', auth: true, permissions: ['blog:write:own'] }, // Update article
+            { path: '/articles/:slug', method: 'DELETE', auth: true, permissions: ['blog:write:own'] }, // Delete article
+            { path: '/articles/:slug/publish', method: 'PATCH', auth: true, permissions: ['blog:write:own'] }, // Toggle publish status
+            { path: '/articles/:slug/feature', method: 'PATCH', auth: true, roles: ['admin'], permissions: ['blog:write:any'] }, // Toggle featured status
+            { path: '/categories', method: 'GET', auth: false, cache: { ttl: 300 } }, // List categories (public)
+            { path: '/categories/:slug', method: 'GET', auth: false, cache: { ttl: 300 } }, // Get category by slug (public)
+            { path: '/categories', method: 'POST', auth: true, roles: ['admin'], permissions: ['blog:write:any'] }, // Create category
+            { path: '/categories/:slug', method: 'PUT', auth: true, roles: ['admin'], permissions: ['blog:write:any'] }, // Update category
+            { path: '/categories/:slug', method: 'DELETE', auth: true, roles: ['admin'], permissions: ['blog:write:any'] }, // Delete category
+            { path: '/articles/:articleId/comments', method: 'GET', auth: false }, // Get comments for article
+            { path: '/articles/:articleId/comments', method: 'POST', auth: true, permissions: ['blog:comment:any'] }, // Add comment to article
+            { path: '/comments/:id', method: 'PUT', auth: true, permissions: ['blog:comment:any'] }, // Update own comment
+            { path: '/comments/:id', method: 'DELETE', auth: true, permissions: ['blog:comment:any'] }, // Delete own comment
+            { path: '/comments/pending', method: 'GET', auth: true, roles: ['admin'], permissions: ['blog:write:any'] }, // List comments awaiting moderation
+            { path: '/comments/:id/approve', method: 'PATCH', auth: true, roles: ['admin'], permissions: ['blog:write:any'] }, // Approve comment
+            { path: '/comments/:id/reject', method: 'PATCH', auth: true, roles: ['admin'], permissions: ['blog:write:any'] } // Reject comment
         ]
     },
 
@@ -79,10 +200,12 @@ const routes = {
         target: process.env.CONTACT_SERVICE_URL || 'http://contact-service:3005',
         routes: [
             { path: '/messages', method: 'POST', auth: false }, // Send contact message (public)
-            { path: '/messages', method: 'GET', auth: true }, // List contact messages (admin)
-            { path: '/messages/:id', method: 'GET', auth: true }, // Get message by ID (admin)
-            { path: '/messages/:id', method: 'PUT', auth: true }, // Update message status (admin)
-            { path: '/messages/:id', method: 'DELETE', auth: true } // Delete message (admin)
+            { path: '/messages', method: 'GET', auth: true, roles: ['admin'], permissions: ['contact:read:any'] }, // List contact messages (admin)
+            { path: '/messages/stats', method: 'GET', auth: true, roles: ['admin'], permissions: ['contact:read:any'] }, // Message dashboard stats (admin)
+            { path: '/messages/:id', method: 'GET', auth: true, roles: ['admin'], permissions: ['contact:read:any'] }, // Get message by ID (admin)
+            { path: '/messages/:id', method: 'PUT', auth: true, roles: ['admin'], permissions: ['contact:write:any'] }, // Update message status (admin)
+            { path: '/messages/:id', method: 'DELETE', auth: true, roles: ['admin'], permissions: ['contact:write:any'] }, // Delete message (admin)
+            { path: '/messages/:id/reply', method: 'POST', auth: true, roles: ['admin'], permissions: ['contact:write:any'] } // Reply to message (admin)
         ]
     },
 
@@ -91,12 +214,16 @@ const routes = {
         prefix: '/api/analytics',
         target: process.env.ANALYTICS_SERVICE_URL || 'http://analytics-service:3006',
         routes: [
-            { path: '/metrics', method: 'GET', auth: true }, // Get analytics metrics (admin)
-            { path: '/visitors', method: 'GET', auth: true }, // Get visitor data (admin)
-            { path: '/pageviews', method: 'GET', auth: true }, // Get pageview data (admin)
-            { path: '/track', method: 'POST', auth: false } // Track anonymous analytics event
+            { path: '/track/visitor', method: 'POST', auth: false }, // Track anonymous visitor
+            { path: '/track/event', method: 'POST', auth: false }, // Track anonymous analytics event
+            { path: '/visitors', method: 'GET', auth: true, roles: ['admin'], permissions: ['analytics:read:any'] }, // Get visitor data (admin)
+            { path: '/visitors/:id', method: 'GET', auth: true, roles: ['admin'], permissions: ['analytics:read:any'] }, // Get visitor by ID (admin)
+            { path: '/visitors/stats', method: 'GET', auth: true, roles: ['admin'], permissions: ['analytics:read:any'] }, // Get visitor stats (admin)
+            { path: '/metrics/pageviews', method: 'GET', auth: true, roles: ['admin'], permissions: ['analytics:read:any'] }, // Get pageview metrics (admin)
+            { path: '/metrics/events', method: 'GET', auth: true, roles: ['admin'], permissions: ['analytics:read:any'] }, // Get event metrics (admin)
+            { path: '/metrics/dashboard', method: 'GET', auth: true, roles: ['admin'], permissions: ['analytics:read:any'] } // Get dashboard metrics (admin)
         ]
     }
 };
 
-module.exports = routes;
\ No newline at end of file
+module.exports = routes;
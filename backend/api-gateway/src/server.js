@@ -8,15 +8,22 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const cookieParser = require('cookie-parser');
-const httpProxy = require('http-proxy');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const config = require('./config/gateway.config');
-const routes = require('./config/routes');
+const { toFullPath } = require('./routes/manifest-loader');
 const { requestId, captureResponseBody, httpLogger, logger } = require('./middleware/logger.middleware');
-const { authenticate } = require('./middleware/auth.middleware');
-const { standardLimiter, strictLimiter, publicLimiter } = require('./middleware/rate-limiter.middleware');
+const { authenticate, forwardIdentity, hasRole, hasPermission } = require('./middleware/auth.middleware');
+const { tieredLimiter, strictLimiter, rateLimitStatus } = require('./middleware/rate-limiter.middleware');
+const { circuitBreaker, recordProxyResponse, recordProxyError } = require('./middleware/circuit-breaker.middleware');
+const { collectMetrics } = require('./middleware/metrics.middleware');
+const { responseCache, prepareCacheableRequest, storeProxyResponse } = require('./middleware/cache.middleware');
+const { toVersionedPrefix, apiVersion, getVersionTarget, rewriteUpstreamPath } = require('./middleware/versioning.middleware');
+const { getReadiness } = require('./utils/health-check.util');
+const { resolveTarget } = require('./discovery');
+const { traceRequest, formatTraceparent } = require('../../shared/utils/tracing');
+const { register } = require('./utils/metrics.util');
 const { errorHandler } = require('../../shared/middleware/error-handler.middleware');
-const { OK } = require('../../shared/utils/http-status');
+const { OK, SERVICE_UNAVAILABLE } = require('../../shared/utils/http-status');
 
 // Create Express app
 const app = express();
@@ -33,11 +40,12 @@ app.use(cors(config.server.cors));
 
 // Request tracing and logging
 app.use(requestId);
+app.use(traceRequest); // W3C traceparent, forwarded to services
 app.use(captureResponseBody);
 app.use(httpLogger);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
+// Liveness probe: the gateway process is up and serving requests
+app.get('/health/live', (req, res) => {
     res.status(OK).json({
         status: 'ok',
         timestamp: new Date().toISOString(),
@@ -46,109 +54,184 @@ app.get('/health', (req, res) => {
     });
 });
 
-// Fallback route handler for undefined routes
-app.use('*', (req, res) => {
-    res.status(404).json({
-        error: 'Not Found',
-        message: `Route ${req.originalUrl} not found`,
-        code: 404
+// Readiness probe: required upstream services are reachable
+app.get('/health/ready', (req, res) => {
+    const readiness = getReadiness();
+
+    res.status(readiness.ready ? OK : SERVICE_UNAVAILABLE).json({
+        status: readiness.status,
+        timestamp: new Date().toISOString(),
+        service: 'api-gateway'
     });
 });
 
-// Global error handler
-app.use(errorHandler);
-
-// Export the Express app
-module.exports = app;
-
-// Create proxy server
-const proxy = httpProxy.createProxyServer();
-
-// Handle proxy errors
-proxy.on('error', (err, req, res) => {
-    logger.error('Proxy error:', err);
-
-    const statusCode = err.code === 'ECONNREFUSED' ? 503 : 500;
+// Aggregated health document with per-service status
+app.get('/health', (req, res) => {
+    const readiness = getReadiness();
 
-    res.status(statusCode).json({
-        error: 'Service Unavailable',
-        message: 'The service is temporarily unavailable',
-        code: statusCode
+    res.status(readiness.ready ? OK : SERVICE_UNAVAILABLE).json({
+        status: readiness.status,
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        service: 'api-gateway',
+        services: readiness.services,
+        circuitBreakers: readiness.circuitBreakers
     });
 });
 
 // Metrics endpoint for Prometheus scraping
-app.get('/metrics', (req, res) => {
-    // Basic metrics for demonstration, in real app connect to Prometheus client
-    res.status(OK).json({
-        requestCount: 0,
-        responseTime: 0,
-        errorRate: 0,
-        serviceHealth: {
-            'auth-service': 'up',
-            'profile-service': 'up',
-            'projects-service': 'up',
-            'blog-service': 'up',
-            'contact-service': 'up',
-            'analytics-service': 'up'
-        }
-    });
+app.get('/metrics', async (req, res, next) => {
+    try {
+        res.set('Content-Type', register.contentType);
+        res.status(OK).end(await register.metrics());
+    } catch (error) {
+        next(error);
+    }
 });
 
-// Setup service routing
-Object.keys(routes).forEach(serviceKey => {
-    const service = routes[serviceKey];
-
-    // Get service routes
-    service.routes.forEach(route => {
-        const fullPath = `${service.prefix}${route.path}`;
-        const isAuthRequired = route.auth === true;
-
-        // Apply appropriate rate limiter based on route type
-        let rateLimiter;
-        if (route.method === 'POST' && (fullPath.includes('/login') || fullPath.includes('/register'))) {
-            rateLimiter = strictLimiter;
-        } else if (!isAuthRequired) {
-            rateLimiter = publicLimiter;
-        } else {
-            rateLimiter = standardLimiter;
-        }
-
-        // Setup proxy route with middleware chain
-        app[route.method.toLowerCase()](fullPath, [
-            rateLimiter,
-            isAuthRequired ? authenticate(true) : authenticate(false),
-            (req, res, next) => {
-                // Add target service info to request for potential logging
-                req.targetService = {
-                    name: serviceKey,
-                    url: service.target
-                };
-                next();
-            },
-            createProxyMiddleware({
+// Remaining quota of the caller, identified by API key, token or IP
+app.get('/api/rate-limit/status', authenticate(false), rateLimitStatus);
+
+/**
+ * Setup service routing from the route table
+ * Called once at startup, after the service route manifests have been loaded
+ * @param {Object} routeTable - Route table keyed by service name, same shape as routes.js
+ */
+const registerServiceRoutes = (routeTable) => {
+    Object.keys(routeTable).forEach(serviceKey => {
+        const service = routeTable[serviceKey];
+        const versions = Object.keys(service.versions || {});
+
+        // Get service routes
+        service.routes.forEach(route => {
+            const fullPath = toFullPath(service.prefix, route.path);
+
+            // Role and permission checks enforced at the edge, before proxying
+            const accessChecks = [];
+            if (route.roles && route.roles.length) {
+                accessChecks.push(hasRole(route.roles));
+            }
+            if (route.permissions && route.permissions.length) {
+                accessChecks.push(hasPermission(route.permissions));
+            }
+
+            const isAuthRequired = route.auth === true || accessChecks.length > 0;
+
+            // Serve opted-in GET routes from the response cache
+            const cacheChecks = [];
+            if (config.responseCache.enabled && route.cache && route.method === 'GET') {
+                cacheChecks.push(responseCache(serviceKey, route));
+            }
+
+            // Sensitive operations are limited per IP, everything else per caller tier
+            let rateLimiter;
+            if (route.method === 'POST' && (fullPath.includes('/login') || fullPath.includes('/register'))) {
+                rateLimiter = strictLimiter;
+            } else {
+                rateLimiter = tieredLimiter;
+            }
+
+            // Proxy shared by the unversioned and versioned paths of the route
+            const proxy = createProxyMiddleware({
                 target: service.target,
+                router: (req) => req.targetService.url,
                 changeOrigin: config.proxy.changeOrigin,
-                pathRewrite: service.pathRewrite || config.proxy.pathRewrite,
+                xfwd: config.proxy.xfwd,
+                pathRewrite: (path, req) => rewriteUpstreamPath(service, path, req),
                 timeout: config.proxy.timeout,
                 proxyTimeout: config.proxy.proxyTimeout,
                 logLevel: 'silent', // We use our own logging
                 onProxyReq: (proxyReq, req, res) => {
-                    // Forward user info if authenticated
-                    if (req.user) {
-                        proxyReq.setHeader('X-User-ID', req.user.id);
-                        proxyReq.setHeader('X-User-Roles', JSON.stringify(req.user.roles));
-                    }
+                    // Forward user info if authenticated, API keys as the access token minted for them
+                    forwardIdentity(proxyReq, req);
 
-                    // Forward request ID for distributed tracing
+                    // Forward request ID and trace context for distributed tracing
                     proxyReq.setHeader('X-Request-ID', req.id);
+                    proxyReq.setHeader('traceparent', formatTraceparent(req.traceContext));
+
+                    // Fetch a complete, uncompressed body when the response will be cached
+                    prepareCacheableRequest(proxyReq, req);
 
                     // Log proxy request
-                    logger.debug(`Proxying ${req.method} ${req.url} -> ${service.target}`);
+                    logger.debug(`Proxying ${req.method} ${req.url} -> ${req.targetService.url}`);
+                },
+                onProxyRes: (proxyRes, req, res) => {
+                    // Report upstream outcome to the service circuit breaker
+                    recordProxyResponse(req, proxyRes.statusCode);
+
+                    // Keep the gateway's Vary entries (e.g. Accept-Version) next to the service's own
+                    const vary = res.getHeader('Vary');
+                    if (vary && proxyRes.headers.vary) {
+                        proxyRes.headers.vary = `${proxyRes.headers.vary}, ${vary}`;
+                    }
+
+                    // Fill the response cache for cacheable routes
+                    storeProxyResponse(proxyRes, req);
+                },
+                onError: (err, req, res) => {
+                    logger.error(`Proxy error for ${serviceKey}:`, { error: err.message, code: err.code });
+                    recordProxyError(req);
+
+                    if (res.headersSent) {
+                        return res.end();
+                    }
+
+                    res.status(SERVICE_UNAVAILABLE).json({
+                        error: 'Service Unavailable',
+                        message: 'The service is temporarily unavailable',
+                        code: SERVICE_UNAVAILABLE
+                    });
                 }
-            })
-        ]);
+            });
+
+            // Mount the route unversioned (Accept-Version or default version) and under each API version
+            const mounts = [
+                { path: fullPath, version: null },
+                ...versions.map(version => ({
+                    path: toFullPath(toVersionedPrefix(service.prefix, version), route.path),
+                    version
+                }))
+            ];
+
+            mounts.forEach(mount => {
+                // Setup proxy route with middleware chain
+                app[route.method.toLowerCase()](mount.path, [
+                    collectMetrics(serviceKey, mount.path),
+                    apiVersion(serviceKey, service, mount.version),
+                    isAuthRequired ? authenticate(true) : authenticate(false),
+                    rateLimiter,
+                    ...accessChecks,
+                    ...cacheChecks,
+                    circuitBreaker(serviceKey),
+                    (req, res, next) => {
+                        // Pick the upstream instance and add target service info to request
+                        req.targetService = {
+                            name: serviceKey,
+                            url: getVersionTarget(service, req) || resolveTarget(serviceKey)
+                        };
+                        next();
+                    },
+                    proxy
+                ]);
+            });
+
+            logger.debug(`Route registered: ${route.method} ${fullPath} -> ${service.target}, Versions: ${versions.join(',') || '-'}, Auth Required: ${isAuthRequired}, Roles: ${(route.roles || []).join(',') || '-'}, Permissions: ${(route.permissions || []).join(',') || '-'}, Cache: ${cacheChecks.length ? 'yes' : 'no'}`);
+        });
+    });
 
-        logger.debug(`Route registered: ${route.method} ${fullPath} -> ${service.target}, Auth Required: ${isAuthRequired}`);
+    // Fallback route handler for undefined routes
+    app.use('*', (req, res) => {
+        res.status(404).json({
+            error: 'Not Found',
+            message: `Route ${req.originalUrl} not found`,
+            code: 404
+        });
     });
-});
\ No newline at end of file
+
+    // Global error handler
+    app.use(errorHandler);
+};
+
+// Export the Express app
+module.exports = app;
+module.exports.registerServiceRoutes = registerServiceRoutes;
@@ -0,0 +1,234 @@
+/**
+ * Circuit Breaker Utility
+ * Tracks upstream failures per service and short-circuits calls to unhealthy targets
+ */
+
+const config = require('../config/gateway.config');
+
+// Possible circuit states
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+// Registry of breakers keyed by service name
+const breakers = new Map();
+
+/**
+ * Create a circuit breaker for a single upstream service
+ * @param {string} name - Service key the breaker protects
+ * @param {Object} options - Overrides for the circuitBreaker settings in gateway.config
+ * @param {Function} [options.onStateChange] - Called with (name, from, to) on every transition
+ * @returns {Object} - Circuit breaker instance
+ */
+const createCircuitBreaker = (name, options = {}) => {
+    const settings = {
+        ...config.circuitBreaker,
+        ...options
+    };
+
+    let state = STATES.CLOSED;
+    let openedAt = null;
+    let trialInFlight = false;
+    let trialStartedAt = null;
+
+    // Rolling window counters, reset every monitoringPeriod while closed
+    let windowStart = Date.now();
+    let requests = 0;
+    let failures = 0;
+
+    // Lifetime counters exposed on /metrics
+    const totals = {
+        successes: 0,
+        failures: 0,
+        rejections: 0,
+        opened: 0
+    };
+
+    const resetWindow = () => {
+        windowStart = Date.now();
+        requests = 0;
+        failures = 0;
+    };
+
+    const transition = (nextState) => {
+        if (state === nextState) return;
+
+        const previousState = state;
+        state = nextState;
+
+        if (nextState === STATES.OPEN) {
+            openedAt = Date.now();
+            totals.opened += 1;
+        } else {
+            openedAt = null;
+        }
+
+        if (nextState === STATES.CLOSED) {
+            resetWindow();
+        }
+
+        trialInFlight = false;
+
+        if (typeof settings.onStateChange === 'function') {
+            settings.onStateChange(name, previousState, nextState);
+        }
+    };
+
+    /**
+     * Check whether the failures in the current window should trip the breaker
+     * @returns {boolean} - True if the circuit must open
+     */
+    const shouldTrip = () => {
+        if (failures >= settings.maxFailures) {
+            return true;
+        }
+
+        // Only apply the percentage rule once there is enough traffic to be meaningful
+        if (requests >= settings.maxFailures) {
+            return (failures / requests) * 100 >= settings.failureThreshold;
+        }
+
+        return false;
+    };
+
+    /**
+     * Decide whether a request may be forwarded to the upstream
+     * @returns {boolean} - True if the request is allowed through
+     */
+    const canRequest = () => {
+        if (state === STATES.CLOSED) {
+            if (Date.now() - windowStart > settings.monitoringPeriod) {
+                resetWindow();
+            }
+            return true;
+        }
+
+        if (state === STATES.OPEN) {
+            if (Date.now() - openedAt < settings.resetTimeout) {
+                totals.rejections += 1;
+                return false;
+            }
+
+            // Reset timeout elapsed, let a trial request through
+            transition(STATES.HALF_OPEN);
+        }
+
+        // Half-open: only a single trial request at a time, unless the previous one never reported back
+        if (trialInFlight && Date.now() - trialStartedAt < settings.resetTimeout) {
+            totals.rejections += 1;
+            return false;
+        }
+
+        trialInFlight = true;
+        trialStartedAt = Date.now();
+        return true;
+    };
+
+    /**
+     * Record a successful upstream call
+     */
+    const recordSuccess = () => {
+        totals.successes += 1;
+
+        if (state === STATES.HALF_OPEN) {
+            transition(STATES.CLOSED);
+            return;
+        }
+
+        requests += 1;
+    };
+
+    /**
+     * Record a failed upstream call
+     */
+    const recordFailure = () => {
+        totals.failures += 1;
+
+        if (state === STATES.HALF_OPEN) {
+            transition(STATES.OPEN);
+            return;
+        }
+
+        if (state === STATES.OPEN) {
+            return;
+        }
+
+        requests += 1;
+        failures += 1;
+
+        if (shouldTrip()) {
+            transition(STATES.OPEN);
+        }
+    };
+
+    /**
+     * Milliseconds until an open circuit allows a trial request
+     * @returns {number} - Remaining time, 0 if not open
+     */
+    const getRetryAfter = () => {
+        if (state !== STATES.OPEN) return 0;
+        return Math.max(0, settings.resetTimeout - (Date.now() - openedAt));
+    };
+
+    /**
+     * Snapshot of the breaker for health and metrics endpoints
+     * @returns {Object} - Current state and counters
+     */
+    const getStatus = () => ({
+        state,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAfterMs: getRetryAfter(),
+        window: {
+            requests,
+            failures
+        },
+        totals: { ...totals }
+    });
+
+    return {
+        name,
+        canRequest,
+        recordSuccess,
+        recordFailure,
+        getRetryAfter,
+        getStatus,
+        getState: () => state
+    };
+};
+
+/**
+ * Get the breaker for a service, creating it on first use
+ * @param {string} name - Service key
+ * @param {Object} options - Options passed to createCircuitBreaker on creation
+ * @returns {Object} - Circuit breaker instance
+ */
+const getBreaker = (name, options = {}) => {
+    if (!breakers.has(name)) {
+        breakers.set(name, createCircuitBreaker(name, options));
+    }
+
+    return breakers.get(name);
+};
+
+/**
+ * Get the status of every registered breaker
+ * @returns {Object} - Breaker status keyed by service name
+ */
+const getBreakerStates = () => {
+    const states = {};
+
+    breakers.forEach((breaker, name) => {
+        states[name] = breaker.getStatus();
+    });
+
+    return states;
+};
+
+module.exports = {
+    STATES,
+    createCircuitBreaker,
+    getBreaker,
+    getBreakerStates
+};
@@ -0,0 +1,180 @@
+/**
+ * Health Check Utility
+ * Periodically polls upstream services and caches their health status
+ */
+
+const config = require('../config/gateway.config');
+const routes = require('../routes/routes');
+const { getBreakerStates } = require('./circuit-breaker.util');
+const { getInstances } = require('../discovery');
+const { logger } = require('../middleware/logger.middleware');
+
+// Possible upstream statuses
+const STATUS = {
+    UP: 'up',
+    DOWN: 'down',
+    UNKNOWN: 'unknown'
+};
+
+// Cached results keyed by service name
+const results = new Map();
+
+let pollTimer = null;
+let initialPollDone = false;
+
+/**
+ * Poll a single instance health endpoint
+ * @param {string} url - Base URL of the instance
+ * @returns {Promise<Object>} - Health result for the instance
+ */
+const checkInstance = async (url) => {
+    const start = Date.now();
+
+    try {
+        const response = await fetch(`${url}${config.healthCheck.path}`, {
+            signal: AbortSignal.timeout(config.healthCheck.timeout)
+        });
+
+        return {
+            url,
+            status: response.ok ? STATUS.UP : STATUS.DOWN,
+            statusCode: response.status,
+            latencyMs: Date.now() - start,
+            error: response.ok ? null : `Unexpected status ${response.status}`
+        };
+    } catch (error) {
+        return {
+            url,
+            status: STATUS.DOWN,
+            statusCode: null,
+            latencyMs: Date.now() - start,
+            error: error.name === 'TimeoutError' ? 'Health check timed out' : error.message
+        };
+    }
+};
+
+/**
+ * Poll every instance of a service
+ * The service is up as long as one instance is up
+ * @param {string} name - Service key in routes.js
+ * @returns {Promise<Object>} - Health result for the service
+ */
+const checkService = async (name) => {
+    const instanceResults = await Promise.all(getInstances(name).map(checkInstance));
+    const healthy = instanceResults.filter(instance => instance.status === STATUS.UP);
+    const best = healthy.length
+        ? healthy.reduce((fastest, instance) => (instance.latencyMs < fastest.latencyMs ? instance : fastest))
+        : instanceResults[0];
+
+    return {
+        status: healthy.length ? STATUS.UP : STATUS.DOWN,
+        statusCode: best.statusCode,
+        latencyMs: best.latencyMs,
+        lastChecked: new Date().toISOString(),
+        error: healthy.length ? null : best.error,
+        instances: instanceResults
+    };
+};
+
+/**
+ * Poll every service in the route table and update the cache
+ * @returns {Promise<void>}
+ */
+const pollAll = async () => {
+    await Promise.all(Object.keys(routes).map(async (name) => {
+        const previous = results.get(name);
+        const result = await checkService(name);
+
+        // Log transitions only, polling runs too often to log every result
+        if (previous && previous.status !== result.status) {
+            const message = `Service "${name}" is now ${result.status}`;
+            if (result.status === STATUS.DOWN) {
+                logger.warn(message, { error: result.error });
+            } else {
+                logger.info(message);
+            }
+        }
+
+        results.set(name, result);
+    }));
+
+    initialPollDone = true;
+};
+
+/**
+ * Start polling upstream services on the configured interval
+ */
+const startHealthChecks = () => {
+    if (pollTimer) return;
+
+    pollAll().catch(error => logger.error('Health check poll failed:', { error: error.message }));
+
+    pollTimer = setInterval(() => {
+        pollAll().catch(error => logger.error('Health check poll failed:', { error: error.message }));
+    }, config.healthCheck.interval);
+
+    // Do not keep the process alive just for health polling
+    pollTimer.unref();
+};
+
+/**
+ * Stop polling upstream services
+ */
+const stopHealthChecks = () => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+};
+
+/**
+ * Build the aggregated readiness document from cached results
+ * @returns {Object} - Readiness flag and per-service status
+ */
+const getReadiness = () => {
+    const services = {};
+
+    Object.keys(routes).forEach(name => {
+        const cached = results.get(name) || {
+            status: STATUS.UNKNOWN,
+            statusCode: null,
+            latencyMs: null,
+            lastChecked: null,
+            error: null,
+            instances: []
+        };
+
+        services[name] = {
+            ...cached,
+            required: config.healthCheck.requiredServices.includes(name)
+        };
+    });
+
+    const serviceList = Object.values(services);
+    const allUp = serviceList.every(service => service.status === STATUS.UP);
+    const requiredUp = serviceList
+        .filter(service => service.required)
+        .every(service => service.status === STATUS.UP);
+
+    let status = 'ok';
+    if (!initialPollDone || !requiredUp) {
+        status = 'unavailable';
+    } else if (!allUp) {
+        status = 'degraded';
+    }
+
+    return {
+        ready: initialPollDone && requiredUp,
+        status,
+        services,
+        circuitBreakers: getBreakerStates()
+    };
+};
+
+module.exports = {
+    STATUS,
+    startHealthChecks,
+    stopHealthChecks,
+    getReadiness,
+    pollAll
+};
@@ -0,0 +1,110 @@
+/**
+ * Metrics Utility
+ * Prometheus registry and collectors for gateway traffic
+ */
+
+const client = require('prom-client');
+const { getBreakerStates, STATES } = require('./circuit-breaker.util');
+
+// Dedicated registry so only gateway metrics are exposed
+const register = new client.Registry();
+
+// Process-level metrics (CPU, memory, event loop lag...)
+client.collectDefaultMetrics({ register, prefix: 'gateway_' });
+
+// Labels shared by the request collectors
+const REQUEST_LABELS = ['service', 'route', 'method', 'status_code'];
+
+/**
+ * Total number of requests handled per service and route
+ */
+const requestCounter = new client.Counter({
+    name: 'gateway_http_requests_total',
+    help: 'Total number of HTTP requests handled by the gateway',
+    labelNames: REQUEST_LABELS,
+    registers: [register]
+});
+
+/**
+ * Requests that ended with a server error (5xx), including gateway-generated ones
+ */
+const errorCounter = new client.Counter({
+    name: 'gateway_http_request_errors_total',
+    help: 'Total number of HTTP requests that ended with a 5xx status',
+    labelNames: REQUEST_LABELS,
+    registers: [register]
+});
+
+/**
+ * End-to-end latency as seen by the gateway
+ */
+const durationHistogram = new client.Histogram({
+    name: 'gateway_http_request_duration_seconds',
+    help: 'HTTP request latency in seconds, from arrival at the gateway to response end',
+    labelNames: REQUEST_LABELS,
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+/**
+ * Response cache lookups per service, by result (hit or miss)
+ */
+const cacheLookupCounter = new client.Counter({
+    name: 'gateway_cache_lookups_total',
+    help: 'Total number of response cache lookups by result',
+    labelNames: ['service', 'result'],
+    registers: [register]
+});
+
+// Numeric encoding of circuit states for the gauge below
+const BREAKER_STATE_VALUES = {
+    [STATES.CLOSED]: 0,
+    [STATES.HALF_OPEN]: 1,
+    [STATES.OPEN]: 2
+};
+
+/**
+ * Circuit breaker state per upstream, read from the breaker registry at scrape time
+ */
+new client.Gauge({
+    name: 'gateway_circuit_breaker_state',
+    help: 'Circuit breaker state per service (0 = closed, 1 = half-open, 2 = open)',
+    labelNames: ['service'],
+    registers: [register],
+    collect() {
+        this.reset();
+
+        Object.entries(getBreakerStates()).forEach(([service, status]) => {
+            this.set({ service }, BREAKER_STATE_VALUES[status.state]);
+        });
+    }
+});
+
+/**
+ * Record a completed request
+ * @param {Object} labels - Request labels (service, route, method, status_code)
+ * @param {number} durationSeconds - Request duration in seconds
+ */
+const observeRequest = (labels, durationSeconds) => {
+    requestCounter.inc(labels);
+    durationHistogram.observe(labels, durationSeconds);
+
+    if (labels.status_code >= 500) {
+        errorCounter.inc(labels);
+    }
+};
+
+/**
+ * Record a response cache lookup
+ * @param {string} service - Service key
+ * @param {string} result - Lookup result, 'hit' or 'miss'
+ */
+const observeCacheLookup = (service, result) => {
+    cacheLookupCounter.inc({ service, result });
+};
+
+module.exports = {
+    register,
+    observeRequest,
+    observeCacheLookup
+};
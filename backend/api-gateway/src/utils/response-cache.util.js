@@ -0,0 +1,213 @@
+/**
+ * Response Cache Utility
+ * Stores proxied GET responses in memory (LRU) or in Redis, grouped by service for invalidation
+ *
+ * A store is an object exposing:
+ *   name                     - store identifier
+ *   get(key)                 - resolves the cached entry or null
+ *   set(key, entry, ttl)     - stores an entry for ttl seconds
+ *   invalidate(serviceKey)   - drops every entry of a service
+ */
+
+const Redis = require('ioredis');
+const config = require('../config/gateway.config');
+const { logger } = require('../middleware/logger.middleware');
+
+/**
+ * Build the cache key of a request
+ * Entries are namespaced by service so they can be invalidated together,
+ * and include the API version since unversioned paths vary by Accept-Version
+ * @param {string} serviceKey - Service key in routes.js
+ * @param {Object} req - Express request object
+ * @returns {string} - Cache key
+ */
+const buildCacheKey = (serviceKey, req) => {
+    const authState = req.user ? `user:${req.user.id}` : 'anonymous';
+
+    return `${serviceKey}:${req.apiVersion || '-'}:${req.method}:${req.originalUrl}:${authState}`;
+};
+
+/**
+ * Create the in-memory LRU store
+ * Map iteration order doubles as recency order: reads move an entry to the end
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+ * @returns {Object} - Cache store
+ */
+const createMemoryStore = ({ maxEntries }) => {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        get: async (key) => {
+            const item = entries.get(key);
+
+            if (!item) return null;
+
+            if (item.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+
+            entries.delete(key);
+            entries.set(key, item);
+
+            return item.entry;
+        },
+
+        set: async (key, entry, ttl) => {
+            entries.delete(key);
+            entries.set(key, { entry, expiresAt: Date.now() + ttl * 1000 });
+
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        invalidate: async (serviceKey) => {
+            let removed = 0;
+
+            for (const key of entries.keys()) {
+                if (key.startsWith(`${serviceKey}:`)) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+
+            return removed;
+        }
+    };
+};
+
+/**
+ * Create the Redis store, shared by every gateway instance
+ * @param {Object} options - Store options
+ * @param {string} options.redisUrl - Redis connection URL
+ * @param {string} options.keyPrefix - Prefix of every cache key in Redis
+ * @returns {Object} - Cache store
+ */
+const createRedisStore = ({ redisUrl, keyPrefix }) => {
+    const client = new Redis(redisUrl);
+
+    client.on('connect', () => {
+        logger.info('Response cache connected to Redis');
+    });
+
+    client.on('error', (err) => {
+        logger.error('Response cache Redis error:', { error: err.message });
+    });
+
+    return {
+        name: 'redis',
+
+        get: async (key) => {
+            const value = await client.get(`${keyPrefix}${key}`);
+            return value ? JSON.parse(value) : null;
+        },
+
+        set: async (key, entry, ttl) => {
+            await client.set(`${keyPrefix}${key}`, JSON.stringify(entry), 'EX', ttl);
+        },
+
+        invalidate: (serviceKey) => {
+            return new Promise((resolve, reject) => {
+                const stream = client.scanStream({ match: `${keyPrefix}${serviceKey}:*`, count: 100 });
+                const deletions = [];
+                let removed = 0;
+
+                stream.on('data', (keys) => {
+                    if (keys.length) {
+                        removed += keys.length;
+                        deletions.push(client.unlink(...keys));
+                    }
+                });
+
+                stream.on('end', () => {
+                    Promise.all(deletions).then(() => resolve(removed), reject);
+                });
+
+                stream.on('error', reject);
+            });
+        }
+    };
+};
+
+let store = null;
+
+/**
+ * Get the configured cache store, creating it on first use
+ * Falls back to memory when Redis is selected but no URL is configured
+ * @returns {Object} - Cache store
+ */
+const getCacheStore = () => {
+    if (store) return store;
+
+    const { backend, redisUrl, keyPrefix, maxEntries } = config.responseCache;
+
+    if (backend === 'redis' && redisUrl) {
+        store = createRedisStore({ redisUrl, keyPrefix });
+    } else {
+        if (backend === 'redis') {
+            logger.warn('Response cache backend "redis" selected without REDIS_URL, using memory');
+        }
+
+        store = createMemoryStore({ maxEntries });
+    }
+
+    return store;
+};
+
+/**
+ * Parse a Cache-Control header into its directives
+ * @param {string} header - Cache-Control header value
+ * @returns {Object} - Directives keyed by lowercase name, valueless directives are true
+ */
+const parseCacheControl = (header) => {
+    const directives = {};
+
+    if (!header) return directives;
+
+    String(header).split(',').forEach(part => {
+        const [name, value] = part.trim().split('=');
+
+        if (name) {
+            directives[name.toLowerCase()] = value === undefined ? true : value.replace(/"/g, '');
+        }
+    });
+
+    return directives;
+};
+
+/**
+ * Decide how long an upstream response may be cached
+ * s-maxage and max-age from the service override the route TTL
+ * @param {Object} headers - Upstream response headers
+ * @param {number} routeTtl - Route TTL in seconds
+ * @returns {number} - TTL in seconds, 0 when the response must not be cached
+ */
+const getResponseTtl = (headers, routeTtl) => {
+    const directives = parseCacheControl(headers['cache-control']);
+
+    if (directives['no-store'] || directives['no-cache'] || directives.private) {
+        return 0;
+    }
+
+    const maxAge = directives['s-maxage'] !== undefined ? directives['s-maxage'] : directives['max-age'];
+
+    if (maxAge !== undefined) {
+        const seconds = parseInt(maxAge, 10);
+        return Number.isNaN(seconds) ? 0 : Math.max(seconds, 0);
+    }
+
+    return routeTtl;
+};
+
+module.exports = {
+    buildCacheKey,
+    createMemoryStore,
+    createRedisStore,
+    getCacheStore,
+    parseCacheControl,
+    getResponseTtl
+};
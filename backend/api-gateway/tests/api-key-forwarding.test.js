@@ -0,0 +1,107 @@
+/**
+ * API Key Forwarding Tests
+ * A request authenticated with an API key reaches the services with the access token minted for the key
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createProxyMiddleware } = require('http-proxy-middleware');
+
+jest.mock('../../shared/utils/response-formatter', () => ({
+    formatError: (error, message) => ({ error, message })
+}), { virtual: true });
+jest.mock('../../shared/utils/http-status', () => ({ UNAUTHORIZED: 401, FORBIDDEN: 403 }), { virtual: true });
+jest.mock('../src/discovery', () => ({ resolveTarget: () => 'http://auth-service:3001' }));
+
+const { authenticate, forwardIdentity, hasPermission } = require('../src/middleware/auth.middleware');
+
+const API_KEY = 'pak_1a2b3c4d_secret';
+
+/**
+ * Start an upstream server answering with the headers it received
+ * @returns {Promise<http.Server>} Listening server
+ */
+const startUpstream = () => new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ headers: req.headers, url: req.url }));
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+describe('API key requests', () => {
+    let upstream;
+    let app;
+
+    beforeAll(async () => {
+        upstream = await startUpstream();
+
+        app = express();
+        app.get(
+            '/api/blog/articles',
+            authenticate(false),
+            createProxyMiddleware({
+                target: `http://127.0.0.1:${upstream.address().port}`,
+                logLevel: 'silent',
+                onProxyReq: (proxyReq, req) => forwardIdentity(proxyReq, req)
+            })
+        );
+        app.post(
+            '/api/blog/articles',
+            authenticate(),
+            hasPermission(['blog:write:own']),
+            (req, res) => res.status(201).end()
+        );
+    });
+
+    afterAll(() => new Promise(resolve => upstream.close(resolve)));
+
+    beforeEach(() => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            json: async () => ({
+                data: {
+                    apiKey: { id: 'key-1', name: 'ci', prefix: '1a2b3c4d' },
+                    user: { id: 'user-1', email: 'ci@example.com', roles: [], permissions: ['blog:read:any'] },
+                    accessToken: { token: 'minted.access.token', expiresAt: new Date(Date.now() + 300000).toISOString() }
+                }
+            })
+        });
+    });
+
+    it('reaches the draft listing with the access token minted for the key', async () => {
+        const response = await request(app)
+            .get('/api/blog/articles?published=false')
+            .set('X-API-Key', API_KEY)
+            .expect(200);
+
+        const { headers, url } = response.body;
+        expect(url).toBe('/api/blog/articles?published=false');
+        expect(headers.authorization).toBe('Bearer minted.access.token');
+        expect(headers['x-api-key-id']).toBe('key-1');
+        expect(headers['x-user-id']).toBe('user-1');
+
+        // The raw key stays at the gateway
+        expect(headers['x-api-key']).toBeUndefined();
+    });
+
+    it('keeps the scope of the key at the edge', async () => {
+        await request(app)
+            .post('/api/blog/articles')
+            .set('X-API-Key', API_KEY)
+            .expect(403);
+    });
+
+    it('rejects a key the auth service refuses', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: false,
+            json: async () => ({ message: 'Invalid, expired or revoked API key' })
+        });
+
+        await request(app)
+            .post('/api/blog/articles')
+            .set('X-API-Key', 'pak_deadbeef_revoked')
+            .expect(401);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Cache Events Tests
+ * Invalidation events are read from the head of the topics by every gateway instance
+ */
+
+jest.mock('kafka-node', () => ({
+    ConsumerGroup: jest.fn().mockImplementation(function () {
+        this.on = jest.fn();
+        this.close = jest.fn();
+    })
+}));
+jest.mock('../src/utils/response-cache.util', () => ({ getCacheStore: jest.fn() }));
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: { info: jest.fn(), error: jest.fn() }
+}));
+
+const kafka = require('kafka-node');
+const config = require('../src/config/gateway.config');
+const { getCacheStore } = require('../src/utils/response-cache.util');
+const { startCacheInvalidation, stopCacheInvalidation } = require('../src/events/cache-events');
+
+describe('cache invalidation consumer', () => {
+    const enabled = config.responseCache.enabled;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        config.responseCache.enabled = true;
+    });
+
+    afterEach(() => {
+        stopCacheInvalidation();
+    });
+
+    afterAll(() => {
+        config.responseCache.enabled = enabled;
+    });
+
+    it('joins a consumer group of its own starting at the head of the topics', () => {
+        startCacheInvalidation();
+
+        expect(kafka.ConsumerGroup).toHaveBeenCalledWith(
+            expect.objectContaining({ fromOffset: 'latest', autoCommit: false }),
+            config.responseCache.events.topics
+        );
+
+        const [{ groupId }] = kafka.ConsumerGroup.mock.calls[0];
+        expect(groupId.startsWith(`${config.responseCache.events.groupIdPrefix}-`)).toBe(true);
+    });
+
+    it('uses a new group on each start, so no committed offset is read again', () => {
+        startCacheInvalidation();
+        stopCacheInvalidation();
+        startCacheInvalidation();
+
+        const [[first], [second]] = kafka.ConsumerGroup.mock.calls;
+        expect(first.groupId).not.toBe(second.groupId);
+    });
+
+    it('invalidates the services an event makes stale', async () => {
+        const invalidate = jest.fn(async () => 2);
+        getCacheStore.mockReturnValue({ invalidate });
+        startCacheInvalidation();
+
+        const consumer = kafka.ConsumerGroup.mock.instances[0];
+        const [, handleMessage] = consumer.on.mock.calls.find(([name]) => name === 'message');
+        await handleMessage({ value: JSON.stringify({ type: 'article.published', data: {} }) });
+
+        expect(invalidate).toHaveBeenCalledWith('blog');
+        expect(invalidate).not.toHaveBeenCalledWith('projects');
+    });
+
+    it('does not subscribe when the response cache is disabled', () => {
+        config.responseCache.enabled = false;
+
+        startCacheInvalidation();
+
+        expect(kafka.ConsumerGroup).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * Circuit Breaker Utility Tests
+ */
+
+const { STATES, createCircuitBreaker } = require('../src/utils/circuit-breaker.util');
+
+const SETTINGS = {
+    failureThreshold: 50,
+    resetTimeout: 30000,
+    maxFailures: 5,
+    monitoringPeriod: 60000
+};
+
+/**
+ * Record calls on a breaker
+ * @param {Object} breaker - Circuit breaker
+ * @param {string} outcomes - One letter per call: s for a success, f for a failure
+ */
+const record = (breaker, outcomes) => {
+    [...outcomes].forEach(outcome => {
+        breaker.canRequest();
+        if (outcome === 's') breaker.recordSuccess();
+        else breaker.recordFailure();
+    });
+};
+
+describe('createCircuitBreaker', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('tripping', () => {
+        it('opens after maxFailures failures in the window', () => {
+            const breaker = createCircuitBreaker('projects', SETTINGS);
+
+            record(breaker, 'ffff');
+            expect(breaker.getState()).toBe(STATES.CLOSED);
+
+            record(breaker, 'f');
+            expect(breaker.getState()).toBe(STATES.OPEN);
+            expect(breaker.getStatus().totals.opened).toBe(1);
+        });
+
+        it('opens when the failure rate reaches the threshold once there is enough traffic', () => {
+            const breaker = createCircuitBreaker('projects', SETTINGS);
+
+            record(breaker, 'ssff');
+            expect(breaker.getState()).toBe(STATES.CLOSED);
+
+            // 3 failures out of 5 requests
+            record(breaker, 'f');
+            expect(breaker.getState()).toBe(STATES.OPEN);
+        });
+
+        it('stays closed below the failure rate threshold', () => {
+            const breaker = createCircuitBreaker('projects', SETTINGS);
+
+            record(breaker, 'sssfsssf');
+
+            expect(breaker.getState()).toBe(STATES.CLOSED);
+        });
+
+        it('forgets the failures of an elapsed monitoring period', () => {
+            const breaker = createCircuitBreaker('projects', SETTINGS);
+
+            record(breaker, 'ffff');
+            jest.advanceTimersByTime(SETTINGS.monitoringPeriod + 1);
+            record(breaker, 'f');
+
+            expect(breaker.getState()).toBe(STATES.CLOSED);
+            expect(breaker.getStatus().window).toEqual({ requests: 1, failures: 1 });
+        });
+    });
+
+    describe('open', () => {
+        it('rejects requests until the reset timeout has elapsed', () => {
+            const breaker = createCircuitBreaker('projects', SETTINGS);
+            record(breaker, 'fffff');
+
+            jest.advanceTimersByTime(10000);
+            expect(breaker.canRequest()).toBe(false);
+            expect(breaker.getRetryAfter()).toBe(20000);
+            expect(breaker.getStatus().totals.rejections).toBe(1);
+
+            jest.advanceTimersByTime(20000);
+            expect(breaker.canRequest()).toBe(true);
+            expect(breaker.getState()).toBe(STATES.HALF_OPEN);
+        });
+    });
+
+    describe('half-open', () => {
+        /**
+         * Build a breaker whose reset timeout has just elapsed
+         * @param {Object} [options] - Extra options
+         * @returns {Object} Circuit breaker, open and ready for a trial
+         */
+        const openBreaker = (options = {}) => {
+            const breaker = createCircuitBreaker('projects', { ...SETTINGS, ...options });
+            record(breaker, 'fffff');
+            jest.advanceTimersByTime(SETTINGS.resetTimeout);
+            return breaker;
+        };
+
+        it('lets a single trial request through at a time', () => {
+            const breaker = openBreaker();
+
+            expect(breaker.canRequest()).toBe(true);
+            expect(breaker.canRequest()).toBe(false);
+            expect(breaker.canRequest()).toBe(false);
+        });
+
+        it('closes with a fresh window when the trial succeeds', () => {
+            const breaker = openBreaker();
+
+            breaker.canRequest();
+            breaker.recordSuccess();
+
+            expect(breaker.getState()).toBe(STATES.CLOSED);
+            expect(breaker.getStatus().window).toEqual({ requests: 0, failures: 0 });
+            expect(breaker.canRequest()).toBe(true);
+        });
+
+        it('opens again when the trial fails', () => {
+            const breaker = openBreaker();
+
+            breaker.canRequest();
+            breaker.recordFailure();
+
+            expect(breaker.getState()).toBe(STATES.OPEN);
+            expect(breaker.getRetryAfter()).toBe(SETTINGS.resetTimeout);
+            expect(breaker.canRequest()).toBe(false);
+        });
+
+        it('lets another trial through when the previous one never reported back', () => {
+            const breaker = openBreaker();
+
+            expect(breaker.canRequest()).toBe(true);
+
+            jest.advanceTimersByTime(SETTINGS.resetTimeout - 1);
+            expect(breaker.canRequest()).toBe(false);
+
+            jest.advanceTimersByTime(1);
+            expect(breaker.canRequest()).toBe(true);
+        });
+    });
+
+    it('reports every transition', () => {
+        const onStateChange = jest.fn();
+        const breaker = createCircuitBreaker('projects', { ...SETTINGS, onStateChange });
+
+        record(breaker, 'fffff');
+        jest.advanceTimersByTime(SETTINGS.resetTimeout);
+        record(breaker, 's');
+
+        expect(onStateChange.mock.calls).toEqual([
+            ['projects', STATES.CLOSED, STATES.OPEN],
+            ['projects', STATES.OPEN, STATES.HALF_OPEN],
+            ['projects', STATES.HALF_OPEN, STATES.CLOSED]
+        ]);
+    });
+});
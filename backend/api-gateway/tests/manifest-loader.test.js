@@ -0,0 +1,113 @@
+/**
+ * Route Manifest Loader Tests
+ */
+
+jest.mock('../src/routes/routes', () => ({
+    blog: {
+        prefix: '/api/blog',
+        routes: [
+            { path: '/articles', method: 'GET', auth: false, cache: { ttl: 60 } },
+            { path: '/articles/:id', method: 'DELETE', auth: true, roles: ['admin'] },
+            { path: '/drafts', method: 'GET', auth: true } // No longer served by the service
+        ]
+    }
+}));
+jest.mock('../src/discovery', () => ({ resolveTarget: jest.fn() }));
+jest.mock('../src/middleware/logger.middleware', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { logger } = require('../src/middleware/logger.middleware');
+const { mergeWithPolicy, findConflicts } = require('../src/routes/manifest-loader');
+
+describe('mergeWithPolicy', () => {
+    const manifest = {
+        service: 'blog-service',
+        routes: [
+            { path: '/health', method: 'GET', auth: false, roles: [], permissions: [] },
+            { path: '/_routes', method: 'GET', auth: false, roles: [], permissions: [] },
+            { path: '/articles', method: 'get', auth: false, roles: [], permissions: [] },
+            { path: '/articles/:articleId', method: 'DELETE', auth: true, roles: ['editor'], permissions: ['blog:write:any'] },
+            { path: '/articles/:id/comments', method: 'POST', auth: true, roles: [], permissions: [] }
+        ]
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('keeps the routes the service publishes, without its internal ones', () => {
+        const routes = mergeWithPolicy('blog', manifest);
+
+        expect(routes.map(route => `${route.method} ${route.path}`)).toEqual([
+            'GET /articles',
+            'DELETE /articles/:articleId',
+            'POST /articles/:id/comments'
+        ]);
+    });
+
+    it('adds the gateway requirements on top of the service ones, whatever the parameter names', () => {
+        const [list, remove, comment] = mergeWithPolicy('blog', manifest);
+
+        expect(list).toEqual({ path: '/articles', method: 'GET', auth: false, roles: [], permissions: [], cache: { ttl: 60 } });
+        expect(remove).toMatchObject({ auth: true, roles: ['editor', 'admin'], permissions: ['blog:write:any'] });
+        expect(comment).toMatchObject({ auth: true, roles: [], permissions: [], cache: undefined });
+    });
+
+    it('never relaxes a requirement of the service', () => {
+        const [list] = mergeWithPolicy('blog', {
+            routes: [{ path: '/articles', method: 'GET', auth: true, roles: ['reader'], permissions: ['blog:read'] }]
+        });
+
+        expect(list).toMatchObject({ auth: true, roles: ['reader'], permissions: ['blog:read'] });
+    });
+
+    it('warns about policies matching no published route', () => {
+        mergeWithPolicy('blog', manifest);
+
+        expect(logger.warn).toHaveBeenCalledTimes(1);
+        expect(logger.warn.mock.calls[0][0]).toContain('GET /api/blog/drafts');
+    });
+});
+
+describe('findConflicts', () => {
+    it('accepts distinct prefixes and routes', () => {
+        expect(findConflicts({
+            blog: { prefix: '/api/blog', routes: [{ path: '/articles/:id', method: 'GET' }] },
+            projects: { prefix: '/api/projects', routes: [{ path: '/:id', method: 'GET' }] }
+        })).toEqual([]);
+    });
+
+    it('reports a prefix nested under another service prefix', () => {
+        const conflicts = findConflicts({
+            blog: { prefix: '/api/blog', routes: [] },
+            comments: { prefix: '/api/blog/comments', routes: [] }
+        });
+
+        expect(conflicts).toEqual(['prefix /api/blog/comments of "comments" is nested under prefix /api/blog of "blog"']);
+    });
+
+    it('does not mistake a prefix starting with another one for a nested prefix', () => {
+        expect(findConflicts({
+            blog: { prefix: '/api/blog', routes: [] },
+            blogroll: { prefix: '/api/blogroll', routes: [] }
+        })).toEqual([]);
+    });
+
+    it('reports the same method and path shape claimed twice', () => {
+        const conflicts = findConflicts({
+            blog: {
+                prefix: '/api/blog',
+                routes: [
+                    { path: '/articles/:id', method: 'GET' },
+                    { path: '/articles/:slug', method: 'GET' },
+                    { path: '/articles/:id', method: 'PUT' }
+                ]
+            }
+        });
+
+        expect(conflicts).toEqual([
+            'GET /api/blog/articles/:slug ("blog") conflicts with GET /api/blog/articles/:id ("blog")'
+        ]);
+    });
+});
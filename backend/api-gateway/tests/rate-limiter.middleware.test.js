@@ -0,0 +1,142 @@
+/**
+ * Rate Limiter Middleware Tests
+ * Callers are counted per API key, user or anonymous IP, against the quota of their tier
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../shared/utils/response-formatter', () => ({
+    formatResponse: (message, data) => ({ message, data }),
+    formatError: (error, message) => ({ error, message })
+}), { virtual: true });
+jest.mock('../../shared/utils/http-status', () => ({
+    OK: 200, TOO_MANY_REQUESTS: 429, SERVICE_UNAVAILABLE: 503
+}), { virtual: true });
+
+const config = require('../src/config/gateway.config');
+const { getClientKey, resolveTier } = require('../src/middleware/rate-limiter.middleware');
+
+const TIERS = {
+    anonymous: { max: 2 },
+    user: { max: 3 },
+    apiKey: { max: 5 },
+    roles: {
+        editor: { max: 4 },
+        admin: { max: 10 }
+    }
+};
+
+/**
+ * Build an app limited by a fresh tiered limiter, with the test tiers
+ * The caller identity is taken from the X-User and X-Roles headers, as authentication would set it
+ * @returns {Object} Express app
+ */
+const buildApp = () => {
+    jest.resetModules();
+    require('../src/config/gateway.config').server.rateLimitTiers = TIERS;
+    const { tieredLimiter, rateLimitStatus } = require('../src/middleware/rate-limiter.middleware');
+
+    const app = express();
+    app.use((req, res, next) => {
+        if (req.headers['x-user']) {
+            req.user = { id: req.headers['x-user'], roles: (req.headers['x-roles'] || '').split(',').filter(Boolean) };
+        }
+        next();
+    });
+    app.get('/api/rate-limit/status', rateLimitStatus);
+    app.get('/api/blog/articles', tieredLimiter, (req, res) => res.status(200).end());
+    return app;
+};
+
+describe('rate limit tiers', () => {
+    const rateLimitTiers = config.server.rateLimitTiers;
+
+    beforeEach(() => {
+        config.server.rateLimitTiers = TIERS;
+    });
+
+    afterAll(() => {
+        config.server.rateLimitTiers = rateLimitTiers;
+    });
+
+    describe('resolveTier', () => {
+        it('puts callers without credentials in the anonymous tier', () => {
+            expect(resolveTier({})).toEqual({ name: 'anonymous', max: 2 });
+        });
+
+        it('puts users without a role tier in the user tier', () => {
+            expect(resolveTier({ user: { id: 'user-1', roles: ['user'] } })).toEqual({ name: 'user', max: 3 });
+            expect(resolveTier({ user: { id: 'user-1' } })).toEqual({ name: 'user', max: 3 });
+        });
+
+        it('gives users the most generous tier among their roles', () => {
+            expect(resolveTier({ user: { id: 'user-1', roles: ['admin', 'editor'] } })).toEqual({ name: 'admin', max: 10 });
+            expect(resolveTier({ user: { id: 'user-1', roles: ['user', 'editor'] } })).toEqual({ name: 'editor', max: 4 });
+        });
+
+        it('never gives a role tier lower than the user tier', () => {
+            config.server.rateLimitTiers = { ...TIERS, roles: { guest: { max: 1 } } };
+
+            expect(resolveTier({ user: { id: 'user-1', roles: ['guest'] } })).toEqual({ name: 'user', max: 3 });
+        });
+
+        it('puts API keys in the API key tier, whatever the roles of their owner', () => {
+            const req = { apiKey: { id: 'key-1' }, user: { id: 'user-1', roles: ['admin'] } };
+
+            expect(resolveTier(req)).toEqual({ name: 'apiKey', max: 5 });
+        });
+    });
+
+    describe('getClientKey', () => {
+        it('counts API keys, users and anonymous callers apart', () => {
+            expect(getClientKey({ apiKey: { id: 'key-1' }, user: { id: 'user-1' }, ip: '10.0.0.1' })).toBe('apikey:key-1');
+            expect(getClientKey({ user: { id: 'user-1' }, ip: '10.0.0.1' })).toBe('user:user-1');
+            expect(getClientKey({ ip: '10.0.0.1' })).toBe('ip:10.0.0.1');
+        });
+    });
+
+    describe('tieredLimiter', () => {
+        it('limits anonymous callers to the anonymous quota', async () => {
+            const app = buildApp();
+
+            await request(app).get('/api/blog/articles').expect(200);
+            await request(app).get('/api/blog/articles').expect(200);
+            await request(app).get('/api/blog/articles').expect(429);
+        });
+
+        it('counts users on their own quota, not on the one of their IP', async () => {
+            const app = buildApp();
+
+            await request(app).get('/api/blog/articles').expect(200);
+            await request(app).get('/api/blog/articles').expect(200);
+
+            for (let i = 0; i < 4; i++) {
+                await request(app).get('/api/blog/articles').set('X-User', 'user-1').set('X-Roles', 'editor').expect(200);
+            }
+            await request(app).get('/api/blog/articles').set('X-User', 'user-1').set('X-Roles', 'editor').expect(429);
+            await request(app).get('/api/blog/articles').set('X-User', 'user-2').expect(200);
+        });
+    });
+
+    describe('rateLimitStatus', () => {
+        it('reports the tier and remaining quota without counting as a request', async () => {
+            const app = buildApp();
+
+            await request(app).get('/api/blog/articles').set('X-User', 'user-1').expect(200);
+            await request(app).get('/api/rate-limit/status').set('X-User', 'user-1').expect(200);
+            const res = await request(app).get('/api/rate-limit/status').set('X-User', 'user-1').expect(200);
+
+            expect(res.body.data).toMatchObject({ tier: 'user', limit: 3, remaining: 2 });
+            expect(res.body.data.resetTime).toEqual(expect.any(String));
+        });
+
+        it('reports the full quota to a caller who has made no request', async () => {
+            const app = buildApp();
+
+            const res = await request(app).get('/api/rate-limit/status').expect(200);
+
+            expect(res.body.data).toMatchObject({ tier: 'anonymous', limit: 2, remaining: 2, resetTime: null });
+        });
+    });
+});
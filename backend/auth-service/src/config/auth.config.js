@@ -2,6 +2,11 @@
  * Authentication Service Configuration
  */
 
+const path = require('path');
+const ms = require('ms');
+
+const refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES || '7d';
+
 module.exports = {
     // Server configuration
     server: {
@@ -30,10 +35,22 @@ module.exports = {
         accessSecret: process.env.JWT_ACCESS_SECRET || 'your-access-secret-key',
         refreshSecret: process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key',
         accessExpiresIn: process.env.JWT_ACCESS_EXPIRES || '15m',
-        refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES || '7d',
+        refreshExpiresIn,
         issuer: process.env.TOKEN_ISSUER || 'portfolio-api',
         audience: process.env.TOKEN_AUDIENCE || 'portfolio-client',
+        // Audience of the tokens carrying a sign-in flow (OAuth state, 2FA challenge, magic link),
+        // only the auth service accepts them
+        flowAudience: process.env.TOKEN_FLOW_AUDIENCE || 'portfolio-auth-flow',
         algorithm: 'RS256', // Using asymmetric algorithm for better security
+        // Key store: one key pair per kid and a keys.json manifest naming the current signing key
+        keysDir: process.env.JWT_KEYS_DIR || './keys',
+        keyReloadInterval: 60 * 1000, // Manifest re-read interval, picks up a rotation without restart
+        // How long a retired key stays published: the longest token lifetime (refresh) plus a day
+        keyRetention: ms(refreshExpiresIn) + ms('1d'),
+        // How long a new key is published before a rotation can make it current, longer than
+        // the services cache the JWKS, so they know the key before tokens are signed with it
+        keyPublishLead: 2 * 60 * 60 * 1000,
+        // Single key pair used before the key store, migrated on the first rotation
         privateKeyPath: process.env.JWT_PRIVATE_KEY_PATH || './keys/private.key',
         publicKeyPath: process.env.JWT_PUBLIC_KEY_PATH || './keys/public.key'
     },
@@ -45,7 +62,15 @@ module.exports = {
         requireUppercase: true,
         requireLowercase: true,
         requireNumbers: true,
-        requireSpecialChars: true
+        requireSpecialChars: true,
+        historySize: 5, // Previous passwords a user cannot reuse, 0 allows reuse
+        maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 0, // Passwords must be reset after this long, 0 for no limit
+        // Offline list of breached passwords, one file per SHA-1 prefix (npm run build-breached-passwords)
+        breached: {
+            enabled: process.env.PASSWORD_BREACH_CHECK !== 'false',
+            dir: process.env.BREACHED_PASSWORDS_DIR || path.join(__dirname, '../data/breached-passwords'),
+            prefixLength: parseInt(process.env.BREACHED_PASSWORDS_PREFIX_LENGTH) || 2 // 5 for Pwned Passwords range files
+        }
     },
 
     // Email configuration for verification and password reset
@@ -55,6 +80,8 @@ module.exports = {
         passwordResetSubject: 'Reset Your Password',
         verificationExpiresIn: '24h',
         passwordResetExpiresIn: '1h',
+        magicLinkSubject: 'Your Sign-In Link',
+        magicLinkExpiresIn: '15m', // Passwordless sign-in links, single use
         smtp: {
             host: process.env.SMTP_HOST || 'smtp.example.com',
             port: process.env.SMTP_PORT || 587,
@@ -70,18 +97,37 @@ module.exports = {
     rateLimit: {
         loginAttempts: {
             maxAttempts: 5,
-            windowMs: 15 * 60 * 1000 // 15 minutes
+            windowMs: 15 * 60 * 1000, // 15 minutes, also the first account lock
+            maxLockMs: 24 * 60 * 60 * 1000 // Each failure while over maxAttempts doubles the lock, up to a day
         },
         passwordReset: {
             maxAttempts: 3,
             windowMs: 60 * 60 * 1000 // 1 hour
+        },
+        magicLink: {
+            maxAttempts: 3, // Sign-in links sent per email address
+            windowMs: 15 * 60 * 1000 // 15 minutes
+        },
+        twoFactor: {
+            maxAttempts: 5, // Invalid two-factor codes per account
+            windowMs: 15 * 60 * 1000 // 15 minutes
+        },
+        apiKeyVerify: {
+            maxAttempts: 100, // Failed API key verifications per caller, guessing keys stops there
+            windowMs: 60 * 1000 // 1 minute
         }
     },
 
-    // Default roles and permissions
+    // Audit trail of sign-in attempts (auth_events table)
+    auditLog: {
+        retentionDays: parseInt(process.env.AUTH_EVENTS_RETENTION_DAYS) || 90 // Older events are pruned daily
+    },
+
+    // Roles and their permissions are stored in the roles table and managed through the admin API
     roles: {
-        default: 'user',
-        available: ['user', 'admin'],
+        default: 'user', // Role given to new users, it cannot be revoked or deleted
+        cacheTtl: 60 * 1000, // Role permissions are re-read after this long, so changes reach every instance
+        // Built-in roles, created with these permissions on first start and never deleted
         permissions: {
             user: [
                 'profile:read:own',
@@ -110,17 +156,91 @@ module.exports = {
         }
     },
 
+    // Two-factor authentication (TOTP, RFC 6238)
+    twoFactor: {
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Portfolio',
+        digits: 6,
+        period: 30, // Seconds per code
+        window: 1, // Codes from the previous and next period are accepted, for clock drift
+        recoveryCodes: 10, // Single-use codes issued when 2FA is enabled
+        challengeExpiresIn: '5m', // Time allowed to enter the code after the password
+        encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || 'your-2fa-encryption-key', // Protects stored secrets
+        // Policy: users with the admin role must enroll before they can sign in
+        requiredForAdmins: process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS === 'true'
+    },
+
+    // API keys for programmatic access, scoped to a subset of the owner's permissions
+    apiKeys: {
+        prefix: 'pak', // Marks a string as a portfolio API key, e.g. pak_1a2b3c4d_<secret>
+        maxPerUser: parseInt(process.env.API_KEYS_MAX_PER_USER) || 10, // Active keys per user
+        maxExpiresInDays: 365, // Longest lifetime a key can be created with
+        lastUsedResolution: 60 * 1000, // Minimum delay in ms between two lastUsedAt writes
+        // Shared secret the API gateway sends to the internal verification endpoint (X-Internal-Token),
+        // keys cannot be verified without it
+        internalToken: process.env.INTERNAL_API_TOKEN,
+        // Access token returned with each verification, forwarded by the gateway to the services;
+        // must outlive the gateway's verification cache
+        accessTokenExpiresIn: process.env.API_KEY_ACCESS_TOKEN_EXPIRES || '5m'
+    },
+
+    // Export and erasure of a user's data across services (GET /me/export, DELETE /me)
+    dataRequests: {
+        // Services holding user data: the topic each one answers erasures on, and the base URL
+        // of its internal endpoint exports are pulled from (GET /internal/users/:userId/export)
+        services: {
+            'profile-service': {
+                topic: 'profile-events',
+                url: process.env.PROFILE_SERVICE_URL || 'http://profile-service:3002'
+            },
+            'projects-service': {
+                topic: 'project-events',
+                url: process.env.PROJECTS_SERVICE_URL || 'http://projects-service:3003'
+            },
+            'blog-service': {
+                topic: 'blog-events',
+                url: process.env.BLOG_SERVICE_URL || 'http://blog-service:3004'
+            },
+            'analytics-service': {
+                topic: 'analytics-events',
+                url: process.env.ANALYTICS_SERVICE_URL || 'http://analytics-service:3006'
+            }
+        },
+        // Shared secret sent to the internal export endpoints (X-Internal-Token)
+        internalToken: process.env.INTERNAL_API_TOKEN,
+        exportTimeout: 30 * 1000, // Time a service has to send its export
+        // A sign-in this recent confirms an account deletion in place of the password,
+        // which owners of accounts created through an OAuth provider never knew
+        reauthMaxAge: 10 * 60 * 1000,
+        timeout: 60 * 60 * 1000, // Services that have not answered by then are reported as timed out
+        exportExpiresIn: 7 * 24 * 60 * 60 * 1000 // A finished export is served this long, then a new one is started
+    },
+
     // OAuth providers configuration
+    // Provider endpoints can be overridden to run the flows against a mock provider (npm run mock-oauth)
     oauth: {
+        stateExpiresIn: '10m', // Time allowed to complete the provider sign-in
+        stateCookieName: 'oauth_state',
+        // Frontend pages the callback redirects to, the callback answers with JSON when not set
+        successRedirect: process.env.OAUTH_SUCCESS_REDIRECT,
+        failureRedirect: process.env.OAUTH_FAILURE_REDIRECT,
         google: {
             clientId: process.env.GOOGLE_CLIENT_ID,
             clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-            callbackUrl: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:3000/api/auth/google/callback'
+            callbackUrl: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:3000/api/auth/google/callback',
+            authorizationUrl: process.env.GOOGLE_AUTHORIZATION_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+            tokenUrl: process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+            userInfoUrl: process.env.GOOGLE_USERINFO_URL || 'https://openidconnect.googleapis.com/v1/userinfo',
+            scope: 'openid email profile'
         },
         github: {
             clientId: process.env.GITHUB_CLIENT_ID,
             clientSecret: process.env.GITHUB_CLIENT_SECRET,
-            callbackUrl: process.env.GITHUB_CALLBACK_URL || 'http://localhost:3000/api/auth/github/callback'
+            callbackUrl: process.env.GITHUB_CALLBACK_URL || 'http://localhost:3000/api/auth/github/callback',
+            authorizationUrl: process.env.GITHUB_AUTHORIZATION_URL || 'https://github.com/login/oauth/authorize',
+            tokenUrl: process.env.GITHUB_TOKEN_URL || 'https://github.com/login/oauth/access_token',
+            userInfoUrl: process.env.GITHUB_USERINFO_URL || 'https://api.github.com/user',
+            emailsUrl: process.env.GITHUB_EMAILS_URL || 'https://api.github.com/user/emails',
+            scope: 'read:user user:email'
         }
     },
 
@@ -0,0 +1,235 @@
+/**
+ * API Key Controller
+ * Handles creation, listing, revocation and verification of API keys
+ */
+
+const ApiKey = require('../models/api-key.model');
+const User = require('../models/user.model');
+const { generateApiKey, hashApiKey, isApiKeyFormat } = require('../utils/api-key.util');
+const { loadRoles, getRolePermissions } = require('../utils/role.util');
+const { generateApiKeyAccessToken } = require('../utils/jwt.util');
+const config = require('../config/auth.config');
+const { isInternalRequest } = require('../../../shared/utils/internal-token');
+const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
+const { CREATED, OK, UNAUTHORIZED, BAD_REQUEST, NOT_FOUND, FORBIDDEN } = require('../../../shared/utils/http-status');
+
+/**
+ * Roles a key acts in: those whose permissions are all carried by the key,
+ * so a narrowly scoped key never passes a role check on its owner's behalf
+ * @param {string[]} roles - Roles of the key owner
+ * @param {string[]} permissions - Permissions carried by the key
+ * @returns {string[]} Roles granted to the key
+ */
+const getKeyRoles = (roles, permissions) => {
+    return (roles || []).filter(role => {
+        const rolePermissions = getRolePermissions(role);
+        return rolePermissions.every(permission => permissions.includes(permission));
+    });
+};
+
+/**
+ * Create a new API key for the current user
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const createApiKey = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { name, permissions, expiresInDays } = req.body;
+
+        // Keys can only carry permissions the user has
+        const userPermissions = req.user.permissions;
+        const requestedPermissions = permissions ? [...new Set(permissions)] : userPermissions;
+        const notGranted = requestedPermissions.filter(permission => !userPermissions.includes(permission));
+
+        if (notGranted.length > 0) {
+            return res.status(FORBIDDEN).json(
+                formatError('API Key Error', `Permissions not granted to your account: ${notGranted.join(', ')}`)
+            );
+        }
+
+        // Enforce the active key limit
+        const keys = await ApiKey.findAll({ where: { userId, revokedAt: null } });
+        const activeKeys = keys.filter(apiKey => apiKey.isActive());
+
+        if (activeKeys.length >= config.apiKeys.maxPerUser) {
+            return res.status(BAD_REQUEST).json(
+                formatError('API Key Error', `You can have at most ${config.apiKeys.maxPerUser} active API keys`)
+            );
+        }
+
+        // Generate key, only its hash is stored
+        const { key, prefix, keyHash } = generateApiKey();
+
+        const apiKey = await ApiKey.create({
+            userId,
+            name: name.trim(),
+            prefix,
+            keyHash,
+            permissions: requestedPermissions,
+            expiresAt: expiresInDays ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000) : null
+        });
+
+        return res.status(CREATED).json(
+            formatResponse(
+                'API key created successfully',
+                { apiKey, key },
+                'Store this key now, it will not be shown again'
+            )
+        );
+    } catch (error) {
+        console.error('Create API key error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('API Key Error', error.message)
+        );
+    }
+};
+
+/**
+ * List the API keys of the current user
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listApiKeys = async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.findAll({
+            where: { userId: req.user.id },
+            order: [['createdAt', 'DESC']]
+        });
+
+        return res.status(OK).json(
+            formatResponse('API keys retrieved successfully', { apiKeys })
+        );
+    } catch (error) {
+        console.error('List API keys error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('API Key Error', error.message)
+        );
+    }
+};
+
+/**
+ * Revoke an API key of the current user
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const revokeApiKey = async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findOne({
+            where: { id: req.params.id, userId: req.user.id }
+        });
+
+        if (!apiKey) {
+            return res.status(NOT_FOUND).json(
+                formatError('API Key Error', 'API key not found')
+            );
+        }
+
+        // Keep revoked keys so they still show up in the list
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+        }
+
+        return res.status(OK).json(
+            formatResponse('API key revoked successfully', { apiKey })
+        );
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('API Key Error', error.message)
+        );
+    }
+};
+
+/**
+ * Verify an API key on behalf of the API gateway
+ * Internal endpoint, not published in the route manifest
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const verifyApiKey = async (req, res) => {
+    try {
+        // Only callers holding the internal token may verify keys, none can when it is not configured
+        if (!isInternalRequest(req, config.apiKeys.internalToken)) {
+            return res.status(FORBIDDEN).json(
+                formatError('Access denied', 'Invalid or unconfigured internal token')
+            );
+        }
+
+        const { key } = req.body;
+
+        if (!isApiKeyFormat(key)) {
+            return res.status(UNAUTHORIZED).json(
+                formatError('Authentication failed', 'Invalid API key')
+            );
+        }
+
+        // Find key by hash, with its owner
+        const apiKey = await ApiKey.findOne({
+            where: { keyHash: hashApiKey(key) },
+            include: [{ model: User, as: 'user' }]
+        });
+
+        if (!apiKey || !apiKey.isActive()) {
+            return res.status(UNAUTHORIZED).json(
+                formatError('Authentication failed', 'Invalid, expired or revoked API key')
+            );
+        }
+
+        // The owner must still be allowed to sign in
+        const { user } = apiKey;
+        if (!user || !user.active || user.isAccountLocked()) {
+            return res.status(UNAUTHORIZED).json(
+                formatError('Authentication failed', 'API key owner not found or inactive')
+            );
+        }
+
+        // Permissions the owner lost since the key was created are dropped
+        await loadRoles();
+        const userPermissions = user.getPermissions();
+        const permissions = apiKey.permissions.filter(permission => userPermissions.includes(permission));
+
+        // Record usage, at most once per resolution window to spare the database
+        const now = new Date();
+        if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= config.apiKeys.lastUsedResolution) {
+            apiKey.lastUsedAt = now;
+            await apiKey.save({ fields: ['lastUsedAt'] });
+        }
+
+        const roles = getKeyRoles(user.roles, permissions);
+
+        // Services only authenticate JWTs, the gateway forwards this token in place of the key
+        const accessToken = await generateApiKeyAccessToken(user, apiKey, { roles, permissions });
+
+        return res.status(OK).json(
+            formatResponse('API key verified successfully', {
+                apiKey: {
+                    id: apiKey.id,
+                    name: apiKey.name,
+                    prefix: apiKey.prefix,
+                    expiresAt: apiKey.expiresAt
+                },
+                user: {
+                    id: user.id,
+                    email: user.email,
+                    roles,
+                    permissions
+                },
+                accessToken
+            })
+        );
+    } catch (error) {
+        console.error('Verify API key error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('API Key Error', error.message)
+        );
+    }
+};
+
+module.exports = {
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    verifyApiKey
+};
@@ -0,0 +1,97 @@
+/**
+ * Audit Controller
+ * Handles admin queries of the sign-in audit trail
+ */
+
+const { Op } = require('sequelize');
+const AuthEvent = require('../models/auth-event.model');
+const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
+const { OK, BAD_REQUEST } = require('../../../shared/utils/http-status');
+
+// Largest page an admin can request
+const MAX_PAGE_SIZE = 100;
+
+const OUTCOMES = ['success', 'failure', 'challenge'];
+
+/**
+ * List sign-in attempts, newest first, with pagination
+ * Query: userId, email, ipAddress, method, outcome, reason, from, to (dates), page, limit
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listAuthEvents = async (req, res) => {
+    try {
+        const { userId, email, ipAddress, method, outcome, reason, from, to } = req.query;
+
+        // Pagination parameters
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+        const offset = (page - 1) * limit;
+
+        if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Validation Error', `Outcome must be one of: ${OUTCOMES.join(', ')}`)
+            );
+        }
+
+        const where = {};
+
+        // Exact match filters
+        Object.entries({ userId, email, ipAddress, method, outcome, reason }).forEach(([field, value]) => {
+            if (value !== undefined) {
+                where[field] = String(value);
+            }
+        });
+
+        // Date range
+        const range = {};
+        for (const [bound, value] of [[Op.gte, from], [Op.lte, to]]) {
+            if (value === undefined) continue;
+
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                return res.status(BAD_REQUEST).json(
+                    formatError('Validation Error', 'From and to must be valid dates')
+                );
+            }
+            range[bound] = date;
+        }
+
+        if (Object.getOwnPropertySymbols(range).length) {
+            where.createdAt = range;
+        }
+
+        const { count, rows: events } = await AuthEvent.findAndCountAll({
+            where,
+            limit,
+            offset,
+            order: [['createdAt', 'DESC']]
+        });
+
+        // Calculate pagination info
+        const totalPages = Math.ceil(count / limit);
+
+        return res.status(OK).json(
+            formatResponse('Auth events retrieved successfully', {
+                events,
+                pagination: {
+                    page,
+                    limit,
+                    totalItems: count,
+                    totalPages,
+                    hasNext: page < totalPages,
+                    hasPrev: page > 1
+                }
+            })
+        );
+    } catch (error) {
+        console.error('List auth events error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Audit Error', error.message)
+        );
+    }
+};
+
+module.exports = {
+    listAuthEvents
+};
@@ -6,9 +6,14 @@
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 const User = require('../models/user.model');
-const { generateTokens, verifyToken, getPublicKey } = require('../utils/jwt.util');
-const { validatePassword, validateEmail } = require('../utils/validation.util');
+const { getJwks: getPublishedKeys } = require('../utils/jwt.util');
+const { getTwoFactorChallenge, sendExpiredPasswordReset, signIn } = require('../utils/login.util');
+const { rotateRefreshToken, revokeFamily, revokeUserTokens, getTokenFamily } = require('../utils/refresh-token.util');
+const { validateEmail } = require('../utils/validation.util');
+const { checkPasswordPolicy, recordPasswordHistory, isPasswordExpired } = require('../utils/password-policy.util');
+const { recordAuthEvent, registerFailedLogin } = require('../utils/auth-audit.util');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/email.util');
+const { publishEvent } = require('../events/auth-events');
 const config = require('../config/auth.config');
 const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
 const { CREATED, OK, UNAUTHORIZED, BAD_REQUEST, NOT_FOUND, FORBIDDEN } = require('../../../shared/utils/http-status');
@@ -29,11 +34,11 @@ const register = async (req, res) => {
             );
         }
 
-        // Validate password strength
-        const passwordValidation = validatePassword(password);
+        // Validate password against the policy
+        const passwordValidation = await checkPasswordPolicy(password);
         if (!passwordValidation.isValid) {
             return res.status(BAD_REQUEST).json(
-                formatError('Validation Error', passwordValidation.message)
+                formatError('Validation Error', passwordValidation.message, { reasons: passwordValidation.reasons })
             );
         }
 
@@ -68,9 +73,12 @@ const register = async (req, res) => {
             lastName,
             roles: [config.roles.default],
             verificationToken,
-            isVerified: false
+            isVerified: false,
+            passwordChangedAt: new Date()
         });
 
+        await recordPasswordHistory(user);
+
         // Remove password from response
         const userData = { ...user.toJSON() };
         delete userData.password;
@@ -79,6 +87,16 @@ const register = async (req, res) => {
         // Send verification email
         await sendVerificationEmail(email, verificationToken);
 
+        // Publish user registered event
+        publishEvent('user.registered', {
+            userId: user.id,
+            username: user.username,
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            provider: 'local'
+        });
+
         // Return success response
         return res.status(CREATED).json(
             formatResponse(
@@ -120,6 +138,12 @@ const verifyEmail = async (req, res) => {
         user.verificationToken = null;
         await user.save();
 
+        // Publish user verified event
+        publishEvent('user.verified', {
+            userId: user.id,
+            email: user.email
+        });
+
         return res.status(OK).json(
             formatResponse('Email verified successfully', null, 'You can now log in to your account')
         );
@@ -133,6 +157,7 @@ const verifyEmail = async (req, res) => {
 
 /**
  * Login user and generate tokens
+ * Every attempt is recorded in the auth_events audit trail
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
@@ -147,13 +172,30 @@ const login = async (req, res) => {
 
         // Check if user exists
         if (!user) {
+            recordAuthEvent(req, { email, method: 'password', outcome: 'failure', reason: 'unknown_user' });
             return res.status(UNAUTHORIZED).json(
                 formatError('Authentication Error', 'Invalid email or password')
             );
         }
 
+        // Check if account is locked before the password, attempts during a lock are not counted
+        // A lock without end date is lifted by an admin only
+        if (user.isAccountLocked()) {
+            recordAuthEvent(req, { user, method: 'password', outcome: 'failure', reason: 'account_locked' });
+            return res.status(FORBIDDEN).json(
+                user.lockUntil
+                    ? formatError(
+                        'Authentication Error',
+                        'Account temporarily locked',
+                        `Try again after ${new Date(user.lockUntil).toLocaleString()}`
+                    )
+                    : formatError('Authentication Error', 'Account locked', 'Contact an administrator to unlock your account')
+            );
+        }
+
         // Check if email is verified
         if (!user.isVerified) {
+            recordAuthEvent(req, { user, method: 'password', outcome: 'failure', reason: 'email_not_verified' });
             return res.status(FORBIDDEN).json(
                 formatError('Authentication Error', 'Email not verified', 'Please verify your email before logging in')
             );
@@ -162,66 +204,60 @@ const login = async (req, res) => {
         // Compare passwords
         const passwordIsValid = await bcrypt.compare(password, user.password);
         if (!passwordIsValid) {
-            // Increment failed login attempts
-            user.loginAttempts += 1;
-
-            // Lock account if max attempts reached
-            if (user.loginAttempts >= config.rateLimit.loginAttempts.maxAttempts) {
-                user.accountLocked = true;
-                user.lockUntil = new Date(Date.now() + config.rateLimit.loginAttempts.windowMs);
-            }
-
-            await user.save();
+            // Count the failure, locking the account for longer with each one past the limit
+            await registerFailedLogin(user);
 
+            recordAuthEvent(req, { user, method: 'password', outcome: 'failure', reason: 'invalid_password' });
             return res.status(UNAUTHORIZED).json(
                 formatError('Authentication Error', 'Invalid email or password')
             );
         }
 
-        // Check if account is locked
-        if (user.accountLocked) {
-            // Check if lock period has expired
-            if (user.lockUntil && user.lockUntil > new Date()) {
-                return res.status(FORBIDDEN).json(
-                    formatError(
-                        'Authentication Error',
-                        'Account temporarily locked',
-                        `Try again after ${new Date(user.lockUntil).toLocaleString()}`
-                    )
-                );
-            }
+        // Check if account is deactivated
+        if (!user.active) {
+            recordAuthEvent(req, { user, method: 'password', outcome: 'failure', reason: 'account_deactivated' });
+            return res.status(FORBIDDEN).json(
+                formatError('Authentication Error', 'Account deactivated')
+            );
+        }
 
-            // Reset lock if expired
+        // Reset lock if expired
+        if (user.accountLocked) {
             user.accountLocked = false;
             user.lockUntil = null;
         }
 
         // Reset login attempts on successful login
         user.loginAttempts = 0;
-        await user.save();
 
-        // Generate tokens
-        const tokens = await generateTokens(user);
+        // An expired password only lets the user choose a new one, through a reset link
+        if (isPasswordExpired(user)) {
+            await sendExpiredPasswordReset(user);
 
-        // Prepare user data for response (excluding sensitive fields)
-        const userData = { ...user.toJSON() };
-        delete userData.password;
-        delete userData.verificationToken;
-        delete userData.resetPasswordToken;
+            recordAuthEvent(req, { user, method: 'password', outcome: 'failure', reason: 'password_expired' });
+            return res.status(FORBIDDEN).json(
+                formatError('Authentication Error', 'Password expired', {
+                    reasons: [{ code: 'expired', message: 'We have emailed you a link to choose a new password' }]
+                })
+            );
+        }
 
-        // Set refresh token in HTTP-only cookie
-        res.cookie('refreshToken', tokens.refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        await user.save();
+
+        // Second step: a TOTP code (or enrollment) is needed before tokens are issued
+        const challenge = await getTwoFactorChallenge(user);
+        if (challenge) {
+            recordAuthEvent(req, { user, method: 'password', outcome: 'challenge' });
+            return res.status(OK).json(
+                formatResponse('Two-factor authentication required', challenge)
+            );
+        }
+
+        // Generate tokens and set the refresh token cookie
+        const session = await signIn(req, res, user, 'password');
 
         return res.status(OK).json(
-            formatResponse('Login successful', {
-                accessToken: tokens.accessToken,
-                user: userData
-            })
+            formatResponse('Login successful', session)
         );
     } catch (error) {
         console.error('Login error:', error);
@@ -247,20 +283,8 @@ const refreshToken = async (req, res) => {
             );
         }
 
-        // Verify refresh token
-        const decoded = await verifyToken(refreshToken, 'refresh');
-
-        // Find user
-        const user = await User.findByPk(decoded.sub);
-
-        if (!user) {
-            return res.status(UNAUTHORIZED).json(
-                formatError('Token Error', 'Invalid refresh token')
-            );
-        }
-
-        // Generate new tokens
-        const tokens = await generateTokens(user);
+        // Verify and rotate refresh token, a replayed token revokes its whole family
+        const tokens = await rotateRefreshToken(refreshToken, req);
 
         // Set new refresh token in cookie
         res.cookie('refreshToken', tokens.refreshToken, {
@@ -277,6 +301,10 @@ const refreshToken = async (req, res) => {
         );
     } catch (error) {
         console.error('Token refresh error:', error);
+
+        // The cookie can no longer be used
+        res.clearCookie('refreshToken');
+
         return res.status(UNAUTHORIZED).json(
             formatError('Token Error', 'Invalid or expired refresh token')
         );
@@ -284,11 +312,23 @@ const refreshToken = async (req, res) => {
 };
 
 /**
- * Log user out by clearing tokens
+ * Log user out by revoking the refresh token family of the session and clearing tokens
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
-const logout = (req, res) => {
+const logout = async (req, res) => {
+    try {
+        const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+        const family = refreshToken ? await getTokenFamily(refreshToken) : null;
+
+        // Revoke the session, only when it belongs to the authenticated user
+        if (family && family.userId === req.user.id) {
+            await revokeFamily(family.familyId, 'logout');
+        }
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+
     // Clear refresh token cookie
     res.clearCookie('refreshToken');
 
@@ -359,14 +399,6 @@ const resetPassword = async (req, res) => {
         const { token } = req.params;
         const { password } = req.body;
 
-        // Validate password strength
-        const passwordValidation = validatePassword(password);
-        if (!passwordValidation.isValid) {
-            return res.status(BAD_REQUEST).json(
-                formatError('Validation Error', passwordValidation.message)
-            );
-        }
-
         // Find user with reset token
         const user = await User.findOne({
             where: {
@@ -381,17 +413,38 @@ const resetPassword = async (req, res) => {
             );
         }
 
+        // Validate password against the policy, including the user's recent passwords
+        const passwordValidation = await checkPasswordPolicy(password, user);
+        if (!passwordValidation.isValid) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Validation Error', passwordValidation.message, { reasons: passwordValidation.reasons })
+            );
+        }
+
         // Hash new password
         const hashedPassword = await bcrypt.hash(password, config.password.saltRounds);
 
         // Update user password and clear reset token
         user.password = hashedPassword;
+        user.passwordChangedAt = new Date();
+        user.hasPassword = true;
         user.resetPasswordToken = null;
         user.resetPasswordExpires = null;
         user.loginAttempts = 0;
         user.accountLocked = false;
         await user.save();
 
+        await recordPasswordHistory(user);
+
+        // Sign out every session, whoever knew the old password may hold a refresh token
+        await revokeUserTokens(user.id, 'password_reset');
+
+        // Publish password changed event
+        publishEvent('user.password.changed', {
+            userId: user.id,
+            method: 'reset'
+        });
+
         return res.status(OK).json(
             formatResponse('Password reset successful', null, 'You can now log in with your new password')
         );
@@ -404,27 +457,15 @@ const resetPassword = async (req, res) => {
 };
 
 /**
- * Get the public key for token verification
+ * Get the public keys for token verification
+ * Keys retired by a rotation stay published until the tokens they signed have expired
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
 const getJwks = async (req, res) => {
     try {
-        const publicKey = await getPublicKey();
-
-        // Format the public key as a JWKS (JSON Web Key Set)
-        const jwks = {
-            keys: [
-                {
-                    kty: 'RSA',
-                    use: 'sig',
-                    kid: '1', // Key ID
-                    alg: 'RS256',
-                    n: publicKey.split('-----')[2].replace(/\s+/g, ''), // Modulus
-                    e: 'AQAB' // Exponent
-                }
-            ]
-        };
+        // Format the public keys as a JWKS (JSON Web Key Set)
+        const jwks = await getPublishedKeys();
 
         return res.status(OK).json(jwks);
     } catch (error) {
@@ -467,6 +508,7 @@ const getCurrentUser = async (req, res) => {
 
 /**
  * Change user password
+ * The other sessions are signed out, the current one stays signed in
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
@@ -492,21 +534,34 @@ const changePassword = async (req, res) => {
             );
         }
 
-        // Validate new password strength
-        const passwordValidation = validatePassword(newPassword);
+        // Validate new password against the policy, including the user's recent passwords
+        const passwordValidation = await checkPasswordPolicy(newPassword, user);
         if (!passwordValidation.isValid) {
             return res.status(BAD_REQUEST).json(
-                formatError('Validation Error', passwordValidation.message)
+                formatError('Validation Error', passwordValidation.message, { reasons: passwordValidation.reasons })
             );
         }
 
         // Hash new password
         const hashedPassword = await bcrypt.hash(newPassword, config.password.saltRounds);
 
-        // Update password
+        // Update password, access tokens issued before now stop working
         user.password = hashedPassword;
+        user.passwordChangedAt = new Date();
+        user.hasPassword = true;
         await user.save();
 
+        await recordPasswordHistory(user);
+
+        // Sign out the other sessions, a stolen refresh token must not outlive the old password
+        await revokeUserTokens(user.id, 'password_changed', { exceptFamilyId: req.user.sessionId });
+
+        // Publish password changed event
+        publishEvent('user.password.changed', {
+            userId: user.id,
+            method: 'change'
+        });
+
         return res.status(OK).json(
             formatResponse('Password changed successfully')
         );
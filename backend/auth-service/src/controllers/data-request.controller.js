@@ -0,0 +1,308 @@
+/**
+ * Data Request Controller
+ * Handles the export and erasure of a user's data across every service holding it
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const sequelize = require('../utils/database.util');
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const ApiKey = require('../models/api-key.model');
+const RefreshToken = require('../models/refresh-token.model');
+const AuthEvent = require('../models/auth-event.model');
+const DataRequest = require('../models/data-request.model');
+const {
+    createDataRequest,
+    findDataRequestByStatusToken,
+    collectServiceExports,
+    expirePendingServices,
+    describeDataRequest,
+    getExportBundle
+} = require('../utils/data-request.util');
+const { createZip } = require('../utils/zip.util');
+const { checkSecondFactor } = require('../utils/totp.util');
+const config = require('../config/auth.config');
+const { publishEvent } = require('../events/auth-events');
+const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
+const { OK, ACCEPTED, UNAUTHORIZED, BAD_REQUEST, NOT_FOUND } = require('../../../shared/utils/http-status');
+
+/**
+ * Collect the data auth-service holds about a user
+ * @param {Object} user - User instance
+ * @returns {Promise<Object>} Account, sessions, API keys and sign-in attempts
+ */
+const exportOwnData = async (user) => {
+    const [sessions, apiKeys, authEvents] = await Promise.all([
+        Session.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] }),
+        ApiKey.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] }),
+        AuthEvent.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] })
+    ]);
+
+    const account = user.toJSON();
+    delete account.password;
+    delete account.verificationToken;
+    delete account.resetPasswordToken;
+    delete account.resetPasswordExpires;
+
+    return {
+        user: account,
+        sessions: sessions.map(session => session.toJSON()),
+        apiKeys: apiKeys.map(apiKey => apiKey.toJSON()),
+        authEvents: authEvents.map(event => event.toJSON())
+    };
+};
+
+/**
+ * Export the current user's data
+ * The first call starts an export and answers 202 until every service has answered,
+ * then the bundle is served as JSON, or as a ZIP with ?format=zip, until it expires.
+ * ?new=true starts a new export instead of serving the finished one.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const exportMyData = async (req, res) => {
+    try {
+        const { format, new: startNew } = req.query;
+
+        if (format !== undefined && !['json', 'zip'].includes(format)) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Validation Error', 'Format must be json or zip')
+            );
+        }
+
+        const user = await User.findByPk(req.user.id);
+
+        if (!user) {
+            return res.status(NOT_FOUND).json(
+                formatError('User Error', 'User not found')
+            );
+        }
+
+        let request = await DataRequest.findOne({
+            where: { userId: user.id, type: 'export' },
+            order: [['createdAt', 'DESC']]
+        });
+
+        if (request) {
+            request = await expirePendingServices(request);
+        }
+
+        // An export in progress is never restarted
+        const reusable = request && (
+            request.status === 'pending' || (startNew !== 'true' && request.expiresAt > new Date())
+        );
+
+        if (!reusable) {
+            // Only the latest export is kept, with the data it holds
+            await DataRequest.destroy({ where: { userId: user.id, type: 'export' } });
+
+            request = await createDataRequest(user.id, 'export', { data: await exportOwnData(user) });
+
+            // The other services' data is pulled in the background, not sent over the event bus
+            collectServiceExports(request).catch(error => {
+                console.error('Collect data exports error:', error);
+            });
+        }
+
+        if (request.status === 'pending') {
+            return res.status(ACCEPTED).json(
+                formatResponse(
+                    'Data export in progress',
+                    describeDataRequest(request),
+                    'Call this endpoint again to get the export once every service has answered'
+                )
+            );
+        }
+
+        const bundle = getExportBundle(request);
+
+        if (format === 'zip') {
+            const files = [
+                { name: 'request.json', content: JSON.stringify(describeDataRequest(request), null, 2) },
+                ...Object.entries(bundle).map(([service, data]) => ({
+                    name: `${service}.json`,
+                    content: JSON.stringify(data, null, 2)
+                }))
+            ];
+
+            res.set('Content-Type', 'application/zip');
+            res.set('Content-Disposition', `attachment; filename="data-export-${request.id}.zip"`);
+            return res.status(OK).send(createZip(files, request.completedAt));
+        }
+
+        return res.status(OK).json(
+            formatResponse('Data export ready', { ...describeDataRequest(request), data: bundle })
+        );
+    } catch (error) {
+        console.error('Data export error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Data Export Error', error.message)
+        );
+    }
+};
+
+/**
+ * Check that the owner confirmed the deletion of their account, an access token alone is not enough
+ * Accounts created through an OAuth provider have a password their owner never knew, so a
+ * second factor or a sign-in made moments ago (config.dataRequests.reauthMaxAge) also confirm it.
+ * @param {object} req - Express request object
+ * @param {Object} user - User instance
+ * @param {Object} confirmation - { password, code, recoveryCode }
+ * @returns {Promise<boolean>} True if the deletion is confirmed
+ */
+const confirmDeletion = async (req, user, { password, code, recoveryCode }) => {
+    if (typeof password === 'string' && await bcrypt.compare(password, user.password)) {
+        return true;
+    }
+
+    if (user.twoFactorEnabled && (code || recoveryCode)) {
+        return checkSecondFactor(user, { code, recoveryCode });
+    }
+
+    // Tokens minted for API keys belong to no session, they never count as a sign-in
+    if (!req.user.sessionId) {
+        return false;
+    }
+
+    const session = await Session.findByPk(req.user.sessionId);
+
+    return Boolean(session) && session.userId === user.id &&
+        Date.now() - session.createdAt.getTime() <= config.dataRequests.reauthMaxAge;
+};
+
+/**
+ * Delete the current user's account and erase their data from every service
+ * Unlike an admin deletion the account cannot be restored. Confirmed with the password,
+ * a two-factor code or recovery code, or by signing in again just before.
+ * The response holds a status URL the erasure can be followed at without the account.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const deleteMyAccount = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+
+        if (!user) {
+            return res.status(NOT_FOUND).json(
+                formatError('User Error', 'User not found')
+            );
+        }
+
+        if (!await confirmDeletion(req, user, req.body)) {
+            return res.status(UNAUTHORIZED).json(
+                formatError(
+                    'Confirmation Error',
+                    'Confirm with your password or a two-factor code, or sign in again and retry'
+                )
+            );
+        }
+
+        const statusToken = crypto.randomBytes(32).toString('base64url');
+
+        const request = await sequelize.transaction(async (transaction) => {
+            const where = { userId: user.id };
+            const deleted = {
+                users: 1,
+                sessions: await Session.count({ where, transaction }),
+                apiKeys: await ApiKey.count({ where, transaction }),
+                refreshTokens: await RefreshToken.count({ where, transaction }),
+                authEvents: await AuthEvent.count({ where, transaction })
+            };
+
+            const created = await createDataRequest(user.id, 'erasure', { deleted }, { transaction, statusToken });
+
+            // Sessions, refresh tokens, API keys and auth events are removed with the user
+            await user.destroy({ force: true, transaction });
+
+            return created;
+        });
+
+        res.clearCookie('refreshToken');
+
+        // Services holding data of the user erase it and answer with user.erasure.completed
+        publishEvent('user.erasure.requested', {
+            requestId: request.id,
+            userId: user.id
+        });
+
+        return res.status(ACCEPTED).json(
+            formatResponse(
+                'Account deleted',
+                {
+                    ...describeDataRequest(request),
+                    statusUrl: `/api/auth/data-requests/${request.id}/status/${statusToken}`
+                },
+                'Your data is being erased from every service, follow it at statusUrl'
+            )
+        );
+    } catch (error) {
+        console.error('Delete account error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Account Deletion Error', error.message)
+        );
+    }
+};
+
+/**
+ * Get the status of an export or erasure request, per service
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getDataRequest = async (req, res) => {
+    try {
+        let request = await DataRequest.findByPk(req.params.id);
+
+        if (!request) {
+            return res.status(NOT_FOUND).json(
+                formatError('Data Request Error', 'Data request not found')
+            );
+        }
+
+        request = await expirePendingServices(request);
+
+        return res.status(OK).json(
+            formatResponse('Data request retrieved successfully', describeDataRequest(request))
+        );
+    } catch (error) {
+        console.error('Get data request error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Data Request Error', error.message)
+        );
+    }
+};
+
+/**
+ * Get the status of an erasure with the token returned when the account was deleted (public)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getDataRequestStatus = async (req, res) => {
+    try {
+        let request = await findDataRequestByStatusToken(req.params.id, req.params.token);
+
+        if (!request) {
+            return res.status(NOT_FOUND).json(
+                formatError('Data Request Error', 'Data request not found')
+            );
+        }
+
+        request = await expirePendingServices(request);
+
+        return res.status(OK).json(
+            formatResponse('Data request retrieved successfully', describeDataRequest(request))
+        );
+    } catch (error) {
+        console.error('Get data request status error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Data Request Error', error.message)
+        );
+    }
+};
+
+module.exports = {
+    exportMyData,
+    deleteMyAccount,
+    getDataRequest,
+    getDataRequestStatus
+};
@@ -0,0 +1,146 @@
+/**
+ * Magic Link Controller
+ * Handles passwordless sign-in through single-use links sent by email
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/user.model');
+const { verifyToken, generateMagicLinkToken } = require('../utils/jwt.util');
+const { getTwoFactorChallenge, sendExpiredPasswordReset, signIn } = require('../utils/login.util');
+const { isPasswordExpired } = require('../utils/password-policy.util');
+const { recordAuthEvent } = require('../utils/auth-audit.util');
+const { validateEmail } = require('../utils/validation.util');
+const { sendMagicLinkEmail } = require('../utils/email.util');
+const { publishEvent } = require('../events/auth-events');
+const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
+const { OK, BAD_REQUEST, FORBIDDEN } = require('../../../shared/utils/http-status');
+
+/**
+ * Email a sign-in link
+ * Requesting a new link invalidates the previous one
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const requestMagicLink = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        // Validate email format
+        if (!validateEmail(email)) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Validation Error', 'Invalid email format')
+            );
+        }
+
+        // Find user by email
+        const user = await User.findOne({
+            where: { email }
+        });
+
+        // Don't reveal if user exists or not for security
+        if (user && user.active) {
+            const jti = uuidv4();
+            user.magicLinkJti = jti;
+            await user.save();
+
+            // Send sign-in email
+            await sendMagicLinkEmail(user.email, await generateMagicLinkToken(user, jti));
+        }
+
+        return res.status(OK).json(
+            formatResponse(
+                'Sign-in link sent',
+                null,
+                'If your email is registered, you will receive a link to sign in'
+            )
+        );
+    } catch (error) {
+        console.error('Magic link request error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Magic Link Error', error.message)
+        );
+    }
+};
+
+/**
+ * Sign in with a link, setting the refresh token cookie like a password login
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const consumeMagicLink = async (req, res) => {
+    try {
+        const decoded = await verifyToken(req.params.token, 'magic_link').catch(() => null);
+
+        // Only the latest link works, and only once: claim it atomically
+        const [claimed] = decoded
+            ? await User.update({ magicLinkJti: null }, { where: { id: decoded.sub, magicLinkJti: decoded.jti } })
+            : [0];
+
+        if (!claimed) {
+            recordAuthEvent(req, { method: 'magic_link', outcome: 'failure', reason: 'invalid_link' });
+            return res.status(BAD_REQUEST).json(
+                formatError('Magic Link Error', 'Invalid, expired or already used sign-in link')
+            );
+        }
+
+        const user = await User.findByPk(decoded.sub);
+
+        // Same account checks as a password login
+        if (!user.active || user.isAccountLocked()) {
+            recordAuthEvent(req, { user, method: 'magic_link', outcome: 'failure', reason: user.active ? 'account_locked' : 'account_deactivated' });
+            return res.status(FORBIDDEN).json(
+                formatError('Authentication Error', 'Account inactive or temporarily locked')
+            );
+        }
+
+        // A link does not get around an expired password, the user is sent a reset link as on password login
+        if (isPasswordExpired(user)) {
+            await sendExpiredPasswordReset(user);
+
+            recordAuthEvent(req, { user, method: 'magic_link', outcome: 'failure', reason: 'password_expired' });
+            return res.status(FORBIDDEN).json(
+                formatError('Authentication Error', 'Password expired', {
+                    reasons: [{ code: 'expired', message: 'We have emailed you a link to choose a new password' }]
+                })
+            );
+        }
+
+        // Opening the link proves the address belongs to the user
+        if (!user.isVerified) {
+            user.isVerified = true;
+            user.verificationToken = null;
+            await user.save();
+
+            publishEvent('user.verified', {
+                userId: user.id,
+                email: user.email
+            });
+        }
+
+        // Second step: a TOTP code (or enrollment) is needed before tokens are issued
+        const challenge = await getTwoFactorChallenge(user);
+        if (challenge) {
+            recordAuthEvent(req, { user, method: 'magic_link', outcome: 'challenge' });
+            return res.status(OK).json(
+                formatResponse('Two-factor authentication required', challenge)
+            );
+        }
+
+        // Generate tokens and set the refresh token cookie
+        const session = await signIn(req, res, user, 'magic_link');
+
+        return res.status(OK).json(
+            formatResponse('Login successful', session)
+        );
+    } catch (error) {
+        console.error('Magic link sign-in error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Magic Link Error', error.message)
+        );
+    }
+};
+
+module.exports = {
+    requestMagicLink,
+    consumeMagicLink
+};
@@ -0,0 +1,287 @@
+/**
+ * OAuth Controller
+ * Handles sign-in with Google and GitHub (authorization code flow with PKCE)
+ */
+
+const bcrypt = require('bcrypt');
+const User = require('../models/user.model');
+const { verifyToken, generateOAuthStateToken } = require('../utils/jwt.util');
+const { getTwoFactorChallenge, sendExpiredPasswordReset, signIn } = require('../utils/login.util');
+const { isPasswordExpired } = require('../utils/password-policy.util');
+const { recordAuthEvent } = require('../utils/auth-audit.util');
+const { publishEvent } = require('../events/auth-events');
+const {
+    getProvider,
+    randomString,
+    generatePkce,
+    isSameState,
+    buildAuthorizationUrl,
+    exchangeCode,
+    fetchProfile
+} = require('../utils/oauth.util');
+const config = require('../config/auth.config');
+const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
+const { OK, UNAUTHORIZED, BAD_REQUEST, FORBIDDEN, NOT_IMPLEMENTED } = require('../../../shared/utils/http-status');
+
+/**
+ * Create an error carrying the HTTP status and the code sent to the failure redirect
+ * @param {number} status - HTTP status code
+ * @param {string} code - Error code, e.g. invalid_state
+ * @param {string} message - Error message
+ * @returns {Error} Error object
+ */
+const oauthError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+/**
+ * Options of the cookie holding the flow state between redirect and callback
+ * SameSite=Lax so the cookie is sent on the top-level redirect back from the provider
+ * @returns {Object} Cookie options
+ */
+const stateCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/'
+});
+
+/**
+ * Pick a free username based on the provider profile
+ * @param {Object} profile - Normalized provider profile
+ * @returns {Promise<string>} Unused username
+ */
+const generateUsername = async (profile) => {
+    const base = (profile.username || 'user')
+        .replace(/[^a-zA-Z0-9_\-.]/g, '')
+        .slice(0, 20)
+        .padEnd(3, '0');
+
+    let username = base;
+
+    // Append a random suffix until the username is free
+    while (await User.findOne({ where: { username }, paranoid: false })) {
+        username = `${base}_${randomString(4).replace(/[^a-zA-Z0-9]/g, '').slice(0, 6)}`;
+    }
+
+    return username;
+};
+
+/**
+ * Find the user signing in with a provider, linking or creating the account when needed
+ * @param {string} providerName - Provider name (google, github)
+ * @param {Object} profile - Normalized provider profile
+ * @returns {Promise<Object>} User instance
+ */
+const findOrCreateUser = async (providerName, profile) => {
+    const idField = `${providerName}Id`;
+
+    // Account already linked to this provider
+    const linkedUser = await User.findOne({ where: { [idField]: profile.providerId } });
+    if (linkedUser) {
+        return linkedUser;
+    }
+
+    // Accounts are only matched or created from an address the provider has verified
+    if (!profile.email || !profile.emailVerified) {
+        throw oauthError(FORBIDDEN, 'email_not_verified', 'A verified email address is required to sign in with this provider');
+    }
+
+    // Link an existing account with the same email
+    const existingUser = await User.findOne({ where: { email: profile.email } });
+    if (existingUser) {
+        existingUser[idField] = profile.providerId;
+        existingUser.profileImageUrl = existingUser.profileImageUrl || profile.avatarUrl;
+
+        // The provider proved ownership of an address the account never confirmed:
+        // drop the password whoever registered it may have set
+        const verifiedByProvider = !existingUser.isVerified;
+        if (verifiedByProvider) {
+            existingUser.isVerified = true;
+            existingUser.verificationToken = null;
+            existingUser.password = await bcrypt.hash(randomString(32), config.password.saltRounds);
+            existingUser.hasPassword = false;
+        }
+
+        await existingUser.save();
+
+        if (verifiedByProvider) {
+            publishEvent('user.verified', {
+                userId: existingUser.id,
+                email: existingUser.email,
+                provider: providerName
+            });
+        }
+
+        return existingUser;
+    }
+
+    // Create a new account, it can only sign in through providers until a password is set
+    const user = await User.create({
+        username: await generateUsername(profile),
+        email: profile.email,
+        password: await bcrypt.hash(randomString(32), config.password.saltRounds),
+        hasPassword: false,
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        roles: [config.roles.default],
+        isVerified: true,
+        profileImageUrl: profile.avatarUrl,
+        [idField]: profile.providerId
+    });
+
+    publishEvent('user.registered', {
+        userId: user.id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        provider: providerName
+    });
+
+    return user;
+};
+
+/**
+ * Redirect the user to the provider sign-in page
+ * @param {string} providerName - Provider name (google, github)
+ * @returns {Function} Express route handler
+ */
+const startOAuth = (providerName) => async (req, res) => {
+    try {
+        const provider = getProvider(providerName);
+
+        if (!provider) {
+            return res.status(NOT_IMPLEMENTED).json(
+                formatError('OAuth Error', `${providerName} sign-in is not configured`)
+            );
+        }
+
+        const state = randomString(32);
+        const { codeVerifier, codeChallenge } = generatePkce();
+
+        // Keep state and verifier in a signed cookie until the provider redirects back
+        const stateToken = await generateOAuthStateToken({ provider: providerName, state, codeVerifier });
+        res.cookie(config.oauth.stateCookieName, stateToken, {
+            ...stateCookieOptions(),
+            maxAge: 10 * 60 * 1000 // 10 minutes
+        });
+
+        return res.redirect(buildAuthorizationUrl(provider, { state, codeChallenge }));
+    } catch (error) {
+        console.error('OAuth start error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('OAuth Error', error.message)
+        );
+    }
+};
+
+/**
+ * Handle the provider redirect: validate state, exchange the code and sign the user in
+ * @param {string} providerName - Provider name (google, github)
+ * @returns {Function} Express route handler
+ */
+const handleOAuthCallback = (providerName) => async (req, res) => {
+    const stateToken = req.cookies[config.oauth.stateCookieName];
+
+    // The state can only be used once
+    res.clearCookie(config.oauth.stateCookieName, stateCookieOptions());
+
+    // Known once the provider profile is matched, for the audit trail
+    let user = null;
+
+    try {
+        const provider = getProvider(providerName);
+
+        if (!provider) {
+            return res.status(NOT_IMPLEMENTED).json(
+                formatError('OAuth Error', `${providerName} sign-in is not configured`)
+            );
+        }
+
+        // User denied access or the provider failed
+        if (req.query.error) {
+            throw oauthError(UNAUTHORIZED, String(req.query.error), req.query.error_description || 'Sign-in was cancelled');
+        }
+
+        if (!req.query.code || !stateToken) {
+            throw oauthError(BAD_REQUEST, 'invalid_request', 'Missing authorization code or sign-in state');
+        }
+
+        // Validate the state against the one issued when the flow started
+        const flow = await verifyToken(stateToken, 'oauth_state').catch(() => null);
+        if (!flow || flow.provider !== providerName || !isSameState(flow.state, req.query.state)) {
+            throw oauthError(BAD_REQUEST, 'invalid_state', 'Invalid or expired sign-in state');
+        }
+
+        // Exchange the code, proving possession of the PKCE verifier
+        const accessToken = await exchangeCode(provider, String(req.query.code), flow.codeVerifier)
+            .catch(error => {
+                throw oauthError(UNAUTHORIZED, 'token_exchange_failed', error.message);
+            });
+        const profile = await fetchProfile(provider, accessToken);
+
+        user = await findOrCreateUser(providerName, profile);
+
+        // Same account checks as a password sign-in
+        if (!user.active) {
+            throw oauthError(FORBIDDEN, 'account_inactive', 'Account is inactive');
+        }
+
+        if (user.isAccountLocked()) {
+            throw oauthError(FORBIDDEN, 'account_locked', 'Account temporarily locked');
+        }
+
+        // Providers do not get around an expired password either, the user is sent a reset link
+        if (isPasswordExpired(user)) {
+            await sendExpiredPasswordReset(user);
+            throw oauthError(FORBIDDEN, 'password_expired', 'Password expired, we have emailed you a link to choose a new password');
+        }
+
+        // Providers do not replace the second factor
+        const challenge = await getTwoFactorChallenge(user);
+        if (challenge) {
+            recordAuthEvent(req, { user, method: providerName, outcome: 'challenge' });
+
+            if (config.oauth.successRedirect) {
+                const params = new URLSearchParams({
+                    provider: providerName,
+                    challengeToken: challenge.challengeToken,
+                    setupRequired: String(challenge.setupRequired)
+                });
+                return res.redirect(`${config.oauth.successRedirect}?${params.toString()}`);
+            }
+
+            return res.status(OK).json(
+                formatResponse('Two-factor authentication required', challenge)
+            );
+        }
+
+        // Generate tokens and set the refresh token cookie
+        const session = await signIn(req, res, user, providerName);
+
+        // Browser flow: the frontend obtains its access token from /refresh-token
+        if (config.oauth.successRedirect) {
+            return res.redirect(`${config.oauth.successRedirect}?provider=${providerName}`);
+        }
+
+        return res.status(OK).json(
+            formatResponse('Login successful', session)
+        );
+    } catch (error) {
+        console.error('OAuth callback error:', error);
+
+        recordAuthEvent(req, { user, method: providerName, outcome: 'failure', reason: error.code || 'server_error' });
+
+        if (config.oauth.failureRedirect) {
+            return res.redirect(`${config.oauth.failureRedirect}?provider=${providerName}&error=${encodeURIComponent(error.code || 'server_error')}`);
+        }
+
+        return res.status(error.status || BAD_REQUEST).json(
+            formatError('OAuth Error', error.message)
+        );
+    }
+};
+
+module.exports = {
+    startOAuth,
+    handleOAuthCallback
+};
@@ -0,0 +1,228 @@
+/**
+ * Role Controller
+ * Handles admin management of roles and the permissions they grant
+ */
+
+const { fn, col, where: sqlWhere } = require('sequelize');
+const Role = require('../models/role.model');
+const User = require('../models/user.model');
+const { invalidateRoles } = require('../utils/role.util');
+const { publishEvent } = require('../events/auth-events');
+const config = require('../config/auth.config');
+const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
+const { CREATED, OK, BAD_REQUEST, NOT_FOUND } = require('../../../shared/utils/http-status');
+
+// Permissions the admin role keeps, so roles can always be managed
+const ADMIN_REQUIRED_PERMISSIONS = ['user:read:any', 'user:write:any'];
+
+/**
+ * Reply with a role not found error
+ * @param {object} res - Express response object
+ */
+const roleNotFound = (res) => res.status(NOT_FOUND).json(
+    formatError('Role Error', 'Role not found')
+);
+
+/**
+ * Count the users holding a role
+ * @param {string} name - Role name
+ * @returns {Promise<number>} Number of users
+ */
+const countRoleUsers = (name) => User.count({
+    where: sqlWhere(fn('JSON_CONTAINS', col('roles'), JSON.stringify(name)), 1)
+});
+
+/**
+ * List every role
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listRoles = async (req, res) => {
+    try {
+        const roles = await Role.findAll({ order: [['isSystem', 'DESC'], ['name', 'ASC']] });
+
+        return res.status(OK).json(
+            formatResponse('Roles retrieved successfully', { roles })
+        );
+    } catch (error) {
+        console.error('List roles error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Role Error', error.message)
+        );
+    }
+};
+
+/**
+ * Get a role by name, with the number of users holding it
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getRole = async (req, res) => {
+    try {
+        const role = await Role.findOne({ where: { name: req.params.name } });
+
+        if (!role) {
+            return roleNotFound(res);
+        }
+
+        return res.status(OK).json(
+            formatResponse('Role retrieved successfully', {
+                role: { ...role.toJSON(), userCount: await countRoleUsers(role.name) }
+            })
+        );
+    } catch (error) {
+        console.error('Get role error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Role Error', error.message)
+        );
+    }
+};
+
+/**
+ * Create a role, e.g. editor or moderator
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const createRole = async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body;
+
+        const existingRole = await Role.findOne({ where: { name } });
+        if (existingRole) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Role Error', 'Role already exists')
+            );
+        }
+
+        const role = await Role.create({
+            name,
+            description,
+            permissions: [...new Set(permissions)]
+        });
+
+        await invalidateRoles();
+
+        publishEvent('role.created', {
+            role: role.name,
+            permissions: role.permissions,
+            adminId: req.user.id
+        });
+
+        return res.status(CREATED).json(
+            formatResponse('Role created successfully', { role })
+        );
+    } catch (error) {
+        console.error('Create role error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Role Error', error.message)
+        );
+    }
+};
+
+/**
+ * Update the description or permissions of a role
+ * Users get the new permissions in their next access token, and right away in this service
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const updateRole = async (req, res) => {
+    try {
+        const role = await Role.findOne({ where: { name: req.params.name } });
+
+        if (!role) {
+            return roleNotFound(res);
+        }
+
+        const { description, permissions } = req.body;
+
+        if (permissions !== undefined) {
+            const uniquePermissions = [...new Set(permissions)];
+
+            // Removing these from admin would leave nobody able to manage users and roles
+            const missing = ADMIN_REQUIRED_PERMISSIONS.filter(permission => !uniquePermissions.includes(permission));
+            if (role.name === 'admin' && missing.length) {
+                return res.status(BAD_REQUEST).json(
+                    formatError('Role Error', `The admin role must keep: ${missing.join(', ')}`)
+                );
+            }
+
+            role.permissions = uniquePermissions;
+        }
+
+        if (description !== undefined) {
+            role.description = description;
+        }
+
+        await role.save();
+        await invalidateRoles();
+
+        publishEvent('role.updated', {
+            role: role.name,
+            permissions: role.permissions,
+            adminId: req.user.id
+        });
+
+        return res.status(OK).json(
+            formatResponse('Role updated successfully', { role })
+        );
+    } catch (error) {
+        console.error('Update role error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Role Error', error.message)
+        );
+    }
+};
+
+/**
+ * Delete a role nobody holds
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const deleteRole = async (req, res) => {
+    try {
+        const role = await Role.findOne({ where: { name: req.params.name } });
+
+        if (!role) {
+            return roleNotFound(res);
+        }
+
+        if (role.isSystem || role.name === config.roles.default) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Role Error', 'Built-in roles cannot be deleted')
+            );
+        }
+
+        // Revoke the role from its users first, so each change is published
+        const userCount = await countRoleUsers(role.name);
+        if (userCount > 0) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Role Error', `Role is still assigned to ${userCount} user(s)`)
+            );
+        }
+
+        await role.destroy();
+        await invalidateRoles();
+
+        publishEvent('role.deleted', {
+            role: role.name,
+            adminId: req.user.id
+        });
+
+        return res.status(OK).json(
+            formatResponse('Role deleted successfully', { role: role.name })
+        );
+    } catch (error) {
+        console.error('Delete role error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Role Error', error.message)
+        );
+    }
+};
+
+module.exports = {
+    listRoles,
+    getRole,
+    createRole,
+    updateRole,
+    deleteRole
+};
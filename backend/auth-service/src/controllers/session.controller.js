@@ -0,0 +1,139 @@
+/**
+ * Session Controller
+ * Handles session listing and server-side sign-out of refresh token families
+ */
+
+const { Op } = require('sequelize');
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { revokeFamily, revokeUserTokens } = require('../utils/refresh-token.util');
+const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
+const { OK, BAD_REQUEST, NOT_FOUND } = require('../../../shared/utils/http-status');
+
+/**
+ * List the active sessions of the current user
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listSessions = async (req, res) => {
+    try {
+        const sessions = await Session.findAll({
+            where: {
+                userId: req.user.id,
+                revokedAt: null,
+                expiresAt: { [Op.gt]: new Date() }
+            },
+            attributes: ['id', 'device', 'deviceType', 'userAgent', 'ipAddress', 'createdAt', 'lastSeenAt', 'expiresAt'],
+            order: [['lastSeenAt', 'DESC']]
+        });
+
+        // Flag the session the request was made from
+        const data = sessions.map(session => ({
+            ...session.toJSON(),
+            current: session.id === req.user.sessionId
+        }));
+
+        return res.status(OK).json(
+            formatResponse('Sessions retrieved successfully', { sessions: data })
+        );
+    } catch (error) {
+        console.error('List sessions error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Session Error', error.message)
+        );
+    }
+};
+
+/**
+ * Revoke a session of the current user, e.g. on a lost device
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const revokeSession = async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            where: { id: req.params.id, userId: req.user.id }
+        });
+
+        if (!session) {
+            return res.status(NOT_FOUND).json(
+                formatError('Session Error', 'Session not found')
+            );
+        }
+
+        // Its refresh token stops working, its access token expires on its own
+        await revokeFamily(session.id, 'session_revoked');
+
+        // Revoking the current session signs this client out as well
+        if (session.id === req.user.sessionId) {
+            res.clearCookie('refreshToken');
+        }
+
+        return res.status(OK).json(
+            formatResponse('Session revoked successfully', { sessionId: session.id })
+        );
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Session Error', error.message)
+        );
+    }
+};
+
+/**
+ * Sign the current user out of every session
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const logoutAll = async (req, res) => {
+    try {
+        const revokedSessions = await revokeUserTokens(req.user.id, 'logout_all');
+
+        // Clear refresh token cookie
+        res.clearCookie('refreshToken');
+
+        return res.status(OK).json(
+            formatResponse('Logged out of all sessions', { revokedSessions })
+        );
+    } catch (error) {
+        console.error('Logout all error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Session Error', error.message)
+        );
+    }
+};
+
+/**
+ * Sign a user out of every session (admin)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const revokeUserSessions = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id);
+
+        if (!user) {
+            return res.status(NOT_FOUND).json(
+                formatError('User Error', 'User not found')
+            );
+        }
+
+        const revokedSessions = await revokeUserTokens(user.id, 'admin_revoked');
+
+        return res.status(OK).json(
+            formatResponse('User sessions revoked successfully', { userId: user.id, revokedSessions })
+        );
+    } catch (error) {
+        console.error('Revoke user sessions error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Session Error', error.message)
+        );
+    }
+};
+
+module.exports = {
+    listSessions,
+    revokeSession,
+    logoutAll,
+    revokeUserSessions
+};
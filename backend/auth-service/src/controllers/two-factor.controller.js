@@ -0,0 +1,290 @@
+/**
+ * Two-Factor Authentication Controller
+ * Handles TOTP enrollment, the sign-in verification step and recovery codes
+ */
+
+const bcrypt = require('bcrypt');
+const User = require('../models/user.model');
+const { verifyToken } = require('../utils/jwt.util');
+const { signIn } = require('../utils/login.util');
+const { recordAuthEvent } = require('../utils/auth-audit.util');
+const {
+    generateSecret,
+    buildOtpauthUrl,
+    encryptSecret,
+    generateRecoveryCodes,
+    checkSecondFactor
+} = require('../utils/totp.util');
+const config = require('../config/auth.config');
+const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
+const { OK, UNAUTHORIZED, BAD_REQUEST, FORBIDDEN } = require('../../../shared/utils/http-status');
+
+/**
+ * Find the user a two-factor request is made for
+ * Enrollment accepts either an access token or the 'setup' challenge issued at sign-in
+ * when the 2FA policy applies to a user who has not enrolled yet
+ * @param {object} req - Express request object
+ * @param {string} purpose - Challenge purpose accepted ('setup' or 'verify')
+ * @returns {Promise<Object>} Object containing the user (or null) and whether a challenge was used
+ */
+const resolveUser = async (req, purpose) => {
+    if (req.body.challengeToken) {
+        const decoded = await verifyToken(req.body.challengeToken, '2fa_challenge').catch(() => null);
+
+        if (!decoded || decoded.purpose !== purpose) {
+            return { user: null, viaChallenge: true };
+        }
+
+        return { user: await User.findByPk(decoded.sub), viaChallenge: true };
+    }
+
+    if (req.user && purpose === 'setup') {
+        return { user: await User.findByPk(req.user.id), viaChallenge: false };
+    }
+
+    return { user: null, viaChallenge: false };
+};
+
+/**
+ * Start enrollment: generate a secret and its provisioning URI
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const setupTwoFactor = async (req, res) => {
+    try {
+        const { user } = await resolveUser(req, 'setup');
+
+        if (!user) {
+            return res.status(UNAUTHORIZED).json(
+                formatError('Authentication required', 'Valid access token or setup challenge required')
+            );
+        }
+
+        if (user.twoFactorEnabled) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Two-Factor Error', 'Two-factor authentication is already enabled')
+            );
+        }
+
+        // The secret only takes effect once a code generated from it is confirmed
+        const secret = generateSecret();
+        user.twoFactorSecret = encryptSecret(secret);
+        await user.save();
+
+        return res.status(OK).json(
+            formatResponse(
+                'Two-factor setup started',
+                { secret, otpauthUrl: buildOtpauthUrl(secret, user.email) },
+                'Scan the otpauthUrl as a QR code with an authenticator app, then confirm with a code'
+            )
+        );
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Two-Factor Error', error.message)
+        );
+    }
+};
+
+/**
+ * Complete enrollment with a first code and issue recovery codes
+ * When enrolling from a setup challenge, the sign-in is completed as well
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const enableTwoFactor = async (req, res) => {
+    try {
+        const { user, viaChallenge } = await resolveUser(req, 'setup');
+
+        if (!user) {
+            return res.status(UNAUTHORIZED).json(
+                formatError('Authentication required', 'Valid access token or setup challenge required')
+            );
+        }
+
+        if (user.twoFactorEnabled) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Two-Factor Error', 'Two-factor authentication is already enabled')
+            );
+        }
+
+        if (!user.twoFactorSecret) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Two-Factor Error', 'Start the two-factor setup first')
+            );
+        }
+
+        if (!checkSecondFactor(user, { code: req.body.code })) {
+            return res.status(UNAUTHORIZED).json(
+                formatError('Two-Factor Error', 'Invalid verification code')
+            );
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactorEnabled = true;
+        user.twoFactorRecoveryCodes = hashes;
+        await user.save();
+
+        const data = { recoveryCodes: codes };
+
+        if (viaChallenge) {
+            Object.assign(data, await signIn(req, res, user, 'two_factor'));
+        }
+
+        return res.status(OK).json(
+            formatResponse(
+                'Two-factor authentication enabled',
+                data,
+                'Store the recovery codes now, each can be used once and they will not be shown again'
+            )
+        );
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Two-Factor Error', error.message)
+        );
+    }
+};
+
+/**
+ * Second sign-in step: exchange the challenge token and a code for the token pair
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const verifyTwoFactor = async (req, res) => {
+    try {
+        const { user } = await resolveUser(req, 'verify');
+
+        if (!user || !user.twoFactorEnabled) {
+            return res.status(UNAUTHORIZED).json(
+                formatError('Authentication Error', 'Invalid or expired challenge token')
+            );
+        }
+
+        // Same account checks as the password step, the account may have changed since
+        if (!user.active || user.isAccountLocked()) {
+            recordAuthEvent(req, { user, method: 'two_factor', outcome: 'failure', reason: user.active ? 'account_locked' : 'account_deactivated' });
+            return res.status(FORBIDDEN).json(
+                formatError('Authentication Error', 'Account inactive or temporarily locked')
+            );
+        }
+
+        if (!checkSecondFactor(user, req.body)) {
+            recordAuthEvent(req, { user, method: 'two_factor', outcome: 'failure', reason: 'invalid_code' });
+            return res.status(UNAUTHORIZED).json(
+                formatError('Authentication Error', 'Invalid verification code')
+            );
+        }
+
+        await user.save();
+
+        // Generate tokens and set the refresh token cookie
+        const session = await signIn(req, res, user, 'two_factor');
+
+        return res.status(OK).json(
+            formatResponse('Login successful', {
+                ...session,
+                remainingRecoveryCodes: user.twoFactorRecoveryCodes.length
+            })
+        );
+    } catch (error) {
+        console.error('Two-factor verification error:', error);
+        return res.status(UNAUTHORIZED).json(
+            formatError('Authentication Error', error.message)
+        );
+    }
+};
+
+/**
+ * Disable two-factor authentication, requires the password and a second factor
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const disableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+
+        if (!user || !user.twoFactorEnabled) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Two-Factor Error', 'Two-factor authentication is not enabled')
+            );
+        }
+
+        // Users covered by the 2FA policy cannot opt out
+        if (config.twoFactor.requiredForAdmins && user.hasRole('admin')) {
+            return res.status(FORBIDDEN).json(
+                formatError('Two-Factor Error', 'Two-factor authentication is required for admin accounts')
+            );
+        }
+
+        const passwordIsValid = await bcrypt.compare(req.body.password || '', user.password);
+        if (!passwordIsValid || !checkSecondFactor(user, req.body)) {
+            return res.status(UNAUTHORIZED).json(
+                formatError('Two-Factor Error', 'Invalid password or verification code')
+            );
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = null;
+        user.twoFactorRecoveryCodes = null;
+        user.twoFactorLastUsedStep = null;
+        await user.save();
+
+        return res.status(OK).json(
+            formatResponse('Two-factor authentication disabled')
+        );
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Two-Factor Error', error.message)
+        );
+    }
+};
+
+/**
+ * Replace the recovery codes, requires a current TOTP code
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+
+        if (!user || !user.twoFactorEnabled) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Two-Factor Error', 'Two-factor authentication is not enabled')
+            );
+        }
+
+        if (!checkSecondFactor(user, { code: req.body.code })) {
+            return res.status(UNAUTHORIZED).json(
+                formatError('Two-Factor Error', 'Invalid verification code')
+            );
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactorRecoveryCodes = hashes;
+        await user.save();
+
+        return res.status(OK).json(
+            formatResponse(
+                'Recovery codes regenerated',
+                { recoveryCodes: codes },
+                'Previous recovery codes no longer work'
+            )
+        );
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Two-Factor Error', error.message)
+        );
+    }
+};
+
+module.exports = {
+    setupTwoFactor,
+    enableTwoFactor,
+    verifyTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
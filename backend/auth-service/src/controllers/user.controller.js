@@ -0,0 +1,553 @@
+/**
+ * User Management Controller
+ * Handles admin operations on user accounts: search, roles, locks, deactivation, deletion and restore
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { Op, fn, col, where: sqlWhere } = require('sequelize');
+const User = require('../models/user.model');
+const { revokeUserTokens } = require('../utils/refresh-token.util');
+const { sendPasswordResetEmail } = require('../utils/email.util');
+const { publishEvent } = require('../events/auth-events');
+const config = require('../config/auth.config');
+const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
+const { OK, BAD_REQUEST, NOT_FOUND } = require('../../../shared/utils/http-status');
+
+// Largest page an admin can request
+const MAX_PAGE_SIZE = 100;
+
+// Never returned, even to admins
+const USER_ATTRIBUTES = { exclude: ['password', 'verificationToken', 'resetPasswordToken', 'resetPasswordExpires'] };
+
+/**
+ * Find a user by id, including soft-deleted ones when asked
+ * @param {string} id - User id
+ * @param {boolean} [withDeleted] - Include soft-deleted users
+ * @returns {Promise<Object|null>} User object
+ */
+const findUser = (id, withDeleted = false) => User.findByPk(id, { paranoid: !withDeleted });
+
+/**
+ * Reply with a user not found error
+ * @param {object} res - Express response object
+ */
+const userNotFound = (res) => res.status(NOT_FOUND).json(
+    formatError('User Error', 'User not found')
+);
+
+/**
+ * List and search users with pagination
+ * Query: search (username, email or name), role, status (active, inactive, locked, deleted), page, limit
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listUsers = async (req, res) => {
+    try {
+        const { search, role, status } = req.query;
+
+        // Pagination parameters
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+        const offset = (page - 1) * limit;
+
+        const where = {};
+        const conditions = [];
+
+        // Add search filter if provided
+        if (search) {
+            where[Op.or] = [
+                { username: { [Op.like]: `%${search}%` } },
+                { email: { [Op.like]: `%${search}%` } },
+                { firstName: { [Op.like]: `%${search}%` } },
+                { lastName: { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        // Roles are stored as a JSON array
+        if (role) {
+            conditions.push(sqlWhere(fn('JSON_CONTAINS', col('roles'), JSON.stringify(role)), 1));
+        }
+
+        // Add status filter if provided
+        switch (status) {
+            case 'active':
+                where.active = true;
+                break;
+            case 'inactive':
+                where.active = false;
+                break;
+            case 'locked':
+                where.accountLocked = true;
+                where[Op.and] = [{ [Op.or]: [{ lockUntil: null }, { lockUntil: { [Op.gt]: new Date() } }] }];
+                break;
+            case 'deleted':
+                where.deletedAt = { [Op.ne]: null };
+                break;
+            case undefined:
+                break;
+            default:
+                return res.status(BAD_REQUEST).json(
+                    formatError('Validation Error', 'Status must be one of: active, inactive, locked, deleted')
+                );
+        }
+
+        if (conditions.length) {
+            where[Op.and] = [...(where[Op.and] || []), ...conditions];
+        }
+
+        const { count, rows: users } = await User.findAndCountAll({
+            where,
+            attributes: USER_ATTRIBUTES,
+            paranoid: status !== 'deleted',
+            limit,
+            offset,
+            order: [['createdAt', 'DESC']]
+        });
+
+        // Calculate pagination info
+        const totalPages = Math.ceil(count / limit);
+
+        return res.status(OK).json(
+            formatResponse('Users retrieved successfully', {
+                users,
+                pagination: {
+                    page,
+                    limit,
+                    totalItems: count,
+                    totalPages,
+                    hasNext: page < totalPages,
+                    hasPrev: page > 1
+                }
+            })
+        );
+    } catch (error) {
+        console.error('List users error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('User Error', error.message)
+        );
+    }
+};
+
+/**
+ * Get a user by id, soft-deleted users included
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getUser = async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id, {
+            attributes: USER_ATTRIBUTES,
+            paranoid: false
+        });
+
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        return res.status(OK).json(
+            formatResponse('User retrieved successfully', { user })
+        );
+    } catch (error) {
+        console.error('Get user error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('User Error', error.message)
+        );
+    }
+};
+
+/**
+ * Assign a role to a user
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const assignRole = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        const { role } = req.body;
+        const added = await user.addRole(role);
+
+        if (added) {
+            // Access tokens carry the roles, so the change applies from the next token refresh
+            publishEvent('user.roles.changed', {
+                userId: user.id,
+                roles: user.roles,
+                added: [role],
+                removed: [],
+                adminId: req.user.id
+            });
+        }
+
+        return res.status(OK).json(
+            formatResponse(added ? 'Role assigned successfully' : 'User already has this role', {
+                userId: user.id,
+                roles: user.roles
+            })
+        );
+    } catch (error) {
+        console.error('Assign role error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('User Error', error.message)
+        );
+    }
+};
+
+/**
+ * Revoke a role from a user
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const revokeRole = async (req, res) => {
+    try {
+        const { role } = req.params;
+
+        // Admins cannot remove their own admin role and lock everyone out
+        if (role === 'admin' && req.params.id === req.user.id) {
+            return res.status(BAD_REQUEST).json(
+                formatError('User Error', 'You cannot revoke your own admin role')
+            );
+        }
+
+        // Every user keeps the default role
+        if (role === config.roles.default) {
+            return res.status(BAD_REQUEST).json(
+                formatError('User Error', `The ${config.roles.default} role cannot be revoked`)
+            );
+        }
+
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        const removed = await user.removeRole(role);
+
+        if (removed) {
+            publishEvent('user.roles.changed', {
+                userId: user.id,
+                roles: user.roles,
+                added: [],
+                removed: [role],
+                adminId: req.user.id
+            });
+        }
+
+        return res.status(OK).json(
+            formatResponse(removed ? 'Role revoked successfully' : 'User does not have this role', {
+                userId: user.id,
+                roles: user.roles
+            })
+        );
+    } catch (error) {
+        console.error('Revoke role error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('User Error', error.message)
+        );
+    }
+};
+
+/**
+ * Lock a user account, until a given date or until unlocked, and sign it out
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const lockUser = async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) {
+            return res.status(BAD_REQUEST).json(
+                formatError('User Error', 'You cannot lock your own account')
+            );
+        }
+
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        const { until, reason } = req.body;
+
+        user.accountLocked = true;
+        user.lockUntil = until ? new Date(until) : null;
+        await user.save();
+
+        // A locked account keeps no session
+        const revokedSessions = await revokeUserTokens(user.id, 'account_locked');
+
+        publishEvent('user.locked', {
+            userId: user.id,
+            lockUntil: user.lockUntil,
+            reason: reason || null,
+            adminId: req.user.id
+        });
+
+        return res.status(OK).json(
+            formatResponse('User account locked', {
+                userId: user.id,
+                lockUntil: user.lockUntil,
+                revokedSessions
+            })
+        );
+    } catch (error) {
+        console.error('Lock user error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('User Error', error.message)
+        );
+    }
+};
+
+/**
+ * Unlock a user account, whether locked by an admin or after failed logins
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const unlockUser = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        user.accountLocked = false;
+        user.lockUntil = null;
+        user.loginAttempts = 0;
+        await user.save();
+
+        publishEvent('user.unlocked', {
+            userId: user.id,
+            adminId: req.user.id
+        });
+
+        return res.status(OK).json(
+            formatResponse('User account unlocked', { userId: user.id })
+        );
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('User Error', error.message)
+        );
+    }
+};
+
+/**
+ * Deactivate a user account and sign it out
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const deactivateUser = async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) {
+            return res.status(BAD_REQUEST).json(
+                formatError('User Error', 'You cannot deactivate your own account')
+            );
+        }
+
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        user.active = false;
+        await user.save();
+
+        const revokedSessions = await revokeUserTokens(user.id, 'account_deactivated');
+
+        publishEvent('user.deactivated', {
+            userId: user.id,
+            adminId: req.user.id
+        });
+
+        return res.status(OK).json(
+            formatResponse('User account deactivated', { userId: user.id, revokedSessions })
+        );
+    } catch (error) {
+        console.error('Deactivate user error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('User Error', error.message)
+        );
+    }
+};
+
+/**
+ * Reactivate a deactivated user account
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const activateUser = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        user.active = true;
+        await user.save();
+
+        publishEvent('user.activated', {
+            userId: user.id,
+            adminId: req.user.id
+        });
+
+        return res.status(OK).json(
+            formatResponse('User account activated', { userId: user.id })
+        );
+    } catch (error) {
+        console.error('Activate user error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('User Error', error.message)
+        );
+    }
+};
+
+/**
+ * Delete a user account (soft delete) and sign it out
+ * The account can be brought back with restoreUser
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const deleteUser = async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) {
+            return res.status(BAD_REQUEST).json(
+                formatError('User Error', 'You cannot delete your own account from the admin API')
+            );
+        }
+
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        await user.destroy();
+
+        const revokedSessions = await revokeUserTokens(user.id, 'account_deleted');
+
+        // Services owning data of the user soft-delete it as well
+        publishEvent('user.deleted', {
+            userId: user.id,
+            email: user.email,
+            adminId: req.user.id
+        });
+
+        return res.status(OK).json(
+            formatResponse('User account deleted', { userId: user.id, revokedSessions })
+        );
+    } catch (error) {
+        console.error('Delete user error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('User Error', error.message)
+        );
+    }
+};
+
+/**
+ * Restore a soft-deleted user account
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const restoreUser = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id, true);
+
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        if (!user.deletedAt) {
+            return res.status(BAD_REQUEST).json(
+                formatError('User Error', 'User is not deleted')
+            );
+        }
+
+        await user.restore();
+
+        publishEvent('user.restored', {
+            userId: user.id,
+            email: user.email,
+            adminId: req.user.id
+        });
+
+        return res.status(OK).json(
+            formatResponse('User account restored', { userId: user.id })
+        );
+    } catch (error) {
+        console.error('Restore user error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('User Error', error.message)
+        );
+    }
+};
+
+/**
+ * Force a password reset: the current password stops working, every session is signed out
+ * and the user is emailed a reset link
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const forcePasswordReset = async (req, res) => {
+    try {
+        const user = await findUser(req.params.id);
+
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        // Replace the password with a random one nobody knows
+        user.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), config.password.saltRounds);
+        user.passwordChangedAt = new Date();
+
+        // Generate reset token
+        const resetToken = uuidv4();
+        user.resetPasswordToken = resetToken;
+        user.resetPasswordExpires = new Date(Date.now() + 3600000); // 1 hour
+        await user.save();
+
+        const revokedSessions = await revokeUserTokens(user.id, 'password_reset_forced');
+
+        // Send password reset email
+        await sendPasswordResetEmail(user.email, resetToken);
+
+        publishEvent('user.password.reset_forced', {
+            userId: user.id,
+            adminId: req.user.id
+        });
+
+        return res.status(OK).json(
+            formatResponse(
+                'Password reset forced',
+                { userId: user.id, revokedSessions },
+                'The user has been emailed a link to choose a new password'
+            )
+        );
+    } catch (error) {
+        console.error('Force password reset error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('User Error', error.message)
+        );
+    }
+};
+
+module.exports = {
+    listUsers,
+    getUser,
+    assignRole,
+    revokeRole,
+    lockUser,
+    unlockUser,
+    deactivateUser,
+    activateUser,
+    deleteUser,
+    restoreUser,
+    forcePasswordReset
+};
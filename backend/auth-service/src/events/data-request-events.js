@@ -0,0 +1,89 @@
+/**
+ * Data Request Events
+ * Records the answers of the services asked to erase a user's data
+ *
+ * user.erasure.completed / user.erasure.failed - answer to user.erasure.requested
+ *
+ * Exports are not answered on the topics, auth-service pulls them (see data-request.util).
+ */
+
+const kafka = require('kafka-node');
+const config = require('../config/auth.config');
+const { recordServiceResult } = require('../utils/data-request.util');
+const { startSpan, runWithTraceContext } = require('../../../shared/utils/tracing');
+
+// Kafka configuration
+const consumerOptions = {
+    kafkaHost: process.env.KAFKA_BROKERS || 'localhost:9092',
+    groupId: 'auth-service-data-requests', // One instance records each answer
+    fromOffset: 'earliest', // Answers sent while the service was down still count
+    autoCommit: true
+};
+
+let consumer = null;
+
+const handlers = {
+    'user.erasure.completed': ({ deleted }) => ({ status: 'completed', deleted }),
+    'user.erasure.failed': ({ error }) => ({ status: 'failed', error })
+};
+
+/**
+ * Handle an event bus message
+ * @param {Object} message - Kafka message
+ */
+const handleMessage = async (message) => {
+    try {
+        const event = JSON.parse(message.value);
+        const handler = handlers[event.type];
+
+        if (!handler) return;
+
+        const data = event.data || {};
+
+        // The service named in the event answered, not one named in its data
+        const request = await runWithTraceContext(startSpan(event.traceparent), () =>
+            recordServiceResult(data.requestId, event.service, handler(data))
+        );
+
+        if (request) {
+            console.log(`Recorded ${event.type} from ${event.service} for data request ${request.id} (${request.status})`);
+        }
+    } catch (error) {
+        console.error('Error processing data request event:', error);
+    }
+};
+
+/**
+ * Subscribe to the topics the services answer on
+ */
+const startDataRequestConsumer = () => {
+    if (consumer) return;
+
+    const topics = [...new Set(Object.values(config.dataRequests.services).map(service => service.topic))];
+
+    consumer = new kafka.ConsumerGroup(consumerOptions, topics);
+
+    consumer.on('message', handleMessage);
+
+    consumer.on('error', (err) => {
+        console.error('Data request consumer error:', err);
+    });
+
+    console.log(`Listening for data request answers on ${topics.join(', ')}`);
+};
+
+/**
+ * Close the data request consumer
+ * @returns {Promise<void>}
+ */
+const stopDataRequestConsumer = () => new Promise(resolve => {
+    if (!consumer) return resolve();
+
+    consumer.close(true, () => resolve());
+    consumer = null;
+});
+
+module.exports = {
+    startDataRequestConsumer,
+    stopDataRequestConsumer
+};
@@ -7,12 +7,19 @@ const server = require('./server');
 const config = require('./config/auth.config');
 const { testConnection, initDatabase } = require('./utils/database.util');
 const User = require('./models/user.model');
+const { pruneExpiredTokens } = require('./utils/refresh-token.util');
+const { pruneAuthEvents } = require('./utils/auth-audit.util');
+const { seedDefaultRoles } = require('./utils/role.util');
+const { startDataRequestConsumer, stopDataRequestConsumer } = require('./events/data-request-events');
 const bcrypt = require('bcrypt');
 
 // Server port
 const PORT = config.server.port;
 const HOST = config.server.host;
 
+// HTTP server, set once listening
+let httpServer = null;
+
 // Start the server
 const startServer = async () => {
     try {
@@ -26,16 +33,33 @@ const startServer = async () => {
         // Initialize database (sync models)
         await initDatabase(process.env.NODE_ENV === 'development' && process.env.DB_FORCE_SYNC === 'true');
 
+        // Create the built-in roles on first start and load the role permissions
+        const createdRoles = await seedDefaultRoles();
+        if (createdRoles.length) {
+            console.log(`Created built-in roles: ${createdRoles.join(', ')}`);
+        }
+
         // Create admin user if it doesn't exist (only in development)
         if (process.env.NODE_ENV === 'development' || process.env.SEED_ADMIN === 'true') {
             await seedAdminUser();
         }
 
+        // Internal endpoints refuse every caller without the shared secret
+        if (!config.apiKeys.internalToken) {
+            console.warn('INTERNAL_API_TOKEN is not set: API keys cannot be verified and data exports cannot be collected');
+        }
+
+        // Delete expired refresh tokens and old auth events now and once a day
+        schedulePruning();
+
         // Start the server
-        server.listen(PORT, HOST, () => {
+        httpServer = server.listen(PORT, HOST, () => {
             console.log(`Auth Service running on http://${HOST}:${PORT}`);
             console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
         });
+
+        // Record the answers of the services exporting or erasing user data
+        startDataRequestConsumer();
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
@@ -80,6 +104,30 @@ const seedAdminUser = async () => {
     }
 };
 
+/**
+ * Periodically delete expired refresh tokens and auth events past their retention
+ */
+const schedulePruning = () => {
+    const prune = async () => {
+        try {
+            const deleted = await pruneExpiredTokens();
+            console.log(`Pruned ${deleted} expired refresh tokens`);
+        } catch (error) {
+            console.error('Error pruning refresh tokens:', error);
+        }
+
+        try {
+            const deleted = await pruneAuthEvents();
+            console.log(`Pruned ${deleted} auth events older than ${config.auditLog.retentionDays} days`);
+        } catch (error) {
+            console.error('Error pruning auth events:', error);
+        }
+    };
+
+    prune();
+    setInterval(prune, 24 * 60 * 60 * 1000).unref();
+};
+
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
     console.error('Uncaught Exception:', error);
@@ -98,19 +146,25 @@ process.on('SIGINT', gracefulShutdown);
 /**
  * Graceful shutdown
  */
-function gracefulShutdown() {
+async function gracefulShutdown() {
     console.log('Received kill signal, shutting down gracefully...');
 
-    server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
-    });
-
     // Force close after timeout
     setTimeout(() => {
         console.error('Could not close connections in time, forcefully shutting down');
         process.exit(1);
-    }, 10000);
+    }, 10000).unref();
+
+    await stopDataRequestConsumer();
+
+    if (!httpServer) {
+        process.exit(0);
+    }
+
+    httpServer.close(() => {
+        console.log('Server closed');
+        process.exit(0);
+    });
 }
 
 // Start the server
@@ -5,6 +5,7 @@
 
 const { verifyToken } = require('../utils/jwt.util');
 const User = require('../models/user.model');
+const { loadRoles } = require('../utils/role.util');
 const { formatError } = require('../../../shared/utils/response-formatter');
 const { UNAUTHORIZED, FORBIDDEN } = require('../../../shared/utils/http-status');
 
@@ -33,13 +34,21 @@ const extractToken = (req) => {
     return null;
 };
 
+/**
+ * Attach access metadata to a middleware so it can be published in the route manifest
+ * @param {Function} middleware - Express middleware function
+ * @param {Object} access - Access requirements enforced by the middleware
+ * @returns {Function} - The same middleware, tagged with its access requirements
+ */
+const withRouteAccess = (middleware, access) => Object.assign(middleware, { routeAccess: access });
+
 /**
  * Authentication middleware
  * @param {boolean} required - Whether authentication is required
  * @returns {Function} Express middleware function
  */
 const authenticate = (required = true) => {
-    return async (req, res, next) => {
+    return withRouteAccess(async (req, res, next) => {
         try {
             const token = extractToken(req);
 
@@ -76,20 +85,31 @@ const authenticate = (required = true) => {
                 );
             }
 
-            // If password was changed after token was issued
-            if (user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime()) {
+            // If password was changed after token was issued (iat has a one second resolution)
+            if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
                 return res.status(UNAUTHORIZED).json(
                     formatError('Authentication failed', 'Password was changed, please log in again')
                 );
             }
 
+            // Permissions follow role changes without waiting for a new token
+            await loadRoles();
+
+            // Tokens minted for an API key keep the key's scope, within what the owner still holds
+            const permissions = user.getPermissions();
+            const isApiKeyToken = Boolean(decoded.akid);
+
             // Add user to request
             req.user = {
                 id: user.id,
                 username: user.username,
                 email: user.email,
-                roles: user.roles,
-                permissions: user.getPermissions()
+                roles: isApiKeyToken ? user.roles.filter(role => (decoded.roles || []).includes(role)) : user.roles,
+                permissions: isApiKeyToken
+                    ? permissions.filter(permission => (decoded.permissions || []).includes(permission))
+                    : permissions,
+                sessionId: decoded.sid || null,
+                apiKeyId: decoded.akid || null
             };
 
             next();
@@ -111,7 +131,7 @@ const authenticate = (required = true) => {
             req.user = null;
             next();
         }
-    };
+    }, { auth: required });
 };
 
 /**
@@ -122,7 +142,7 @@ const authenticate = (required = true) => {
 const hasRole = (roles) => {
     const requiredRoles = Array.isArray(roles) ? roles : [roles];
 
-    return (req, res, next) => {
+    return withRouteAccess((req, res, next) => {
         // Must be authenticated first
         if (!req.user) {
             return res.status(UNAUTHORIZED).json(
@@ -140,7 +160,7 @@ const hasRole = (roles) => {
         }
 
         next();
-    };
+    }, { auth: true, roles: requiredRoles });
 };
 
 /**
@@ -151,7 +171,7 @@ const hasRole = (roles) => {
 const hasPermission = (permissions) => {
     const requiredPermissions = Array.isArray(permissions) ? permissions : [permissions];
 
-    return (req, res, next) => {
+    return withRouteAccess((req, res, next) => {
         // Must be authenticated first
         if (!req.user) {
             return res.status(UNAUTHORIZED).json(
@@ -171,11 +191,29 @@ const hasPermission = (permissions) => {
         }
 
         next();
-    };
+    }, { auth: true, permissions: requiredPermissions });
+};
+
+/**
+ * Session-only access middleware
+ * Tokens minted for an API key are refused: managing the account (keys, sessions, password,
+ * two-factor, data export) takes a user who signed in, so a leaked key cannot take the account over.
+ * Requests without a user are left to the route, e.g. two-factor enrollment with a setup challenge.
+ * @returns {Function} Express middleware function
+ */
+const requireSession = () => (req, res, next) => {
+    if (req.user && req.user.apiKeyId) {
+        return res.status(FORBIDDEN).json(
+            formatError('Access denied', 'API keys cannot manage the account, sign in to do this')
+        );
+    }
+
+    next();
 };
 
 module.exports = {
     authenticate,
+    requireSession,
     hasRole,
     hasPermission
 };
\ No newline at end of file
@@ -6,6 +6,7 @@
 const rateLimit = require('express-rate-limit');
 const RedisStore = require('rate-limit-redis');
 const Redis = require('ioredis');
+const { verifyToken } = require('../utils/jwt.util');
 const config = require('../config/auth.config');
 const { formatError } = require('../../../shared/utils/response-formatter');
 const { TOO_MANY_REQUESTS } = require('../../../shared/utils/http-status');
@@ -58,13 +59,34 @@ const createRateLimiter = (options = {}) => {
     return rateLimit(limiterOptions);
 };
 
+/**
+ * Identify the account a request is made for
+ * Requests reach the service through the gateway, so the IP would be the same for every user:
+ * the signed-in user or the user of a two-factor challenge is counted instead, the IP only
+ * when the request names no account
+ * @param {Object} req - Express request object
+ * @returns {Promise<string>} Rate limit key
+ */
+const getAccountKey = async (req) => {
+    if (req.user) {
+        return `user:${req.user.id}`;
+    }
+
+    const challengeToken = req.body && req.body.challengeToken;
+    const decoded = challengeToken ? await verifyToken(challengeToken, '2fa_challenge').catch(() => null) : null;
+
+    return decoded ? `user:${decoded.sub}` : `ip:${req.ip}`;
+};
+
 // Standard rate limiter for most endpoints
 const rateLimiter = createRateLimiter();
 
 // Strict rate limiter for sensitive operations
+// Counted per account and per operation, so one operation does not use up the others
 const strictRateLimiter = createRateLimiter({
     windowMs: 60 * 60 * 1000, // 1 hour
     max: 5, // 5 requests per hour
+    keyGenerator: async (req) => `strict:${req.method} ${req.baseUrl}${req.route.path}:${await getAccountKey(req)}`,
     message: 'Too many attempts for sensitive operations, please try again later'
 });
 
@@ -82,9 +104,38 @@ const passwordResetLimiter = createRateLimiter({
     message: 'Too many password reset attempts, please try again later'
 });
 
+// Rate limiter for sign-in links, counted per email address so one inbox cannot be flooded
+const magicLinkLimiter = createRateLimiter({
+    windowMs: config.rateLimit.magicLink.windowMs,
+    max: config.rateLimit.magicLink.maxAttempts,
+    keyGenerator: (req) => `magic-link:${String(req.body.email || '').trim().toLowerCase()}`,
+    message: 'Too many sign-in links requested, please try again later'
+});
+
+// Rate limiter for two-factor codes, failed codes are counted per account whatever the route
+const twoFactorLimiter = createRateLimiter({
+    windowMs: config.rateLimit.twoFactor.windowMs,
+    max: config.rateLimit.twoFactor.maxAttempts,
+    keyGenerator: async (req) => `2fa:${await getAccountKey(req)}`,
+    skipSuccessfulRequests: true,
+    message: 'Too many invalid verification codes, please try again later'
+});
+
+// Rate limiter for the internal API key verification, only failed verifications are counted
+const apiKeyVerifyLimiter = createRateLimiter({
+    windowMs: config.rateLimit.apiKeyVerify.windowMs,
+    max: config.rateLimit.apiKeyVerify.maxAttempts,
+    keyGenerator: (req) => `api-key-verify:${req.ip}`,
+    skipSuccessfulRequests: true,
+    message: 'Too many invalid API keys, please try again later'
+});
+
 module.exports = {
     rateLimiter,
     strictRateLimiter,
     loginRateLimiter,
-    passwordResetLimiter
+    passwordResetLimiter,
+    magicLinkLimiter,
+    twoFactorLimiter,
+    apiKeyVerifyLimiter
 };
\ No newline at end of file
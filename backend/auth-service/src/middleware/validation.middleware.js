@@ -6,6 +6,13 @@
 const { validateEmail, validatePassword, validateUsername, validateName } = require('../utils/validation.util');
 const { formatError } = require('../../../shared/utils/response-formatter');
 const { BAD_REQUEST } = require('../../../shared/utils/http-status');
+const config = require('../config/auth.config');
+
+// Role names, e.g. editor
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+// Permissions, e.g. blog:write:any
+const PERMISSION_PATTERN = /^[a-z][a-z-]*:[a-z][a-z-]*:(own|any)$/;
 
 /**
  * Validate registration request
@@ -69,10 +76,10 @@ const validateRegistration = (req, res, next) => {
         }
     }
 
-    // Return validation errors
+    // Return validation errors, with the password policy reasons for the UI
     if (errors.length > 0) {
         return res.status(BAD_REQUEST).json(
-            formatError('Validation Error', errors.join(', '))
+            formatError('Validation Error', errors.join(', '), { reasons: passwordValidation.reasons })
         );
     }
 
@@ -152,7 +159,7 @@ const validatePasswordReset = (req, res, next) => {
     const passwordValidation = validatePassword(password);
     if (!passwordValidation.isValid) {
         return res.status(BAD_REQUEST).json(
-            formatError('Validation Error', passwordValidation.message)
+            formatError('Validation Error', passwordValidation.message, { reasons: passwordValidation.reasons })
         );
     }
 
@@ -200,7 +207,7 @@ const validateChangePassword = (req, res, next) => {
     const passwordValidation = validatePassword(newPassword);
     if (!passwordValidation.isValid) {
         return res.status(BAD_REQUEST).json(
-            formatError('Validation Error', passwordValidation.message)
+            formatError('Validation Error', passwordValidation.message, { reasons: passwordValidation.reasons })
         );
     }
 
@@ -214,9 +221,148 @@ const validateChangePassword = (req, res, next) => {
     next();
 };
 
+/**
+ * Validate API key creation request
+ * Whether the requested permissions are granted to the user is checked by the controller
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateApiKeyCreation = (req, res, next) => {
+    const { name, permissions, expiresInDays } = req.body;
+    const errors = [];
+
+    // Validate name
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        errors.push('Name is required');
+    } else if (name.trim().length > 100) {
+        errors.push('Name must be at most 100 characters');
+    }
+
+    // Validate permissions if provided, the key gets all the user's permissions otherwise
+    if (permissions !== undefined) {
+        if (!Array.isArray(permissions) || !permissions.length || !permissions.every(permission => typeof permission === 'string')) {
+            errors.push('Permissions must be a non-empty array of strings');
+        }
+    }
+
+    // Validate expiration if provided
+    if (expiresInDays !== undefined) {
+        const days = Number(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > config.apiKeys.maxExpiresInDays) {
+            errors.push(`Expiration must be a whole number of days between 1 and ${config.apiKeys.maxExpiresInDays}`);
+        }
+    }
+
+    // Return validation errors
+    if (errors.length > 0) {
+        return res.status(BAD_REQUEST).json(
+            formatError('Validation Error', errors.join(', '))
+        );
+    }
+
+    next();
+};
+
+/**
+ * Validate role assignment request
+ * Whether the role exists is checked when it is assigned
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateRoleAssignment = (req, res, next) => {
+    const { role } = req.body;
+
+    if (!role || typeof role !== 'string') {
+        return res.status(BAD_REQUEST).json(
+            formatError('Validation Error', 'Role is required')
+        );
+    }
+
+    next();
+};
+
+/**
+ * Validate role creation or update request
+ * @param {boolean} isUpdate - Name cannot change and every field is optional on update
+ * @returns {Function} Express middleware function
+ */
+const validateRole = (isUpdate = false) => (req, res, next) => {
+    const { name, description, permissions } = req.body;
+    const errors = [];
+
+    // Validate name
+    if (!isUpdate) {
+        if (!name || typeof name !== 'string' || !ROLE_NAME_PATTERN.test(name) || name.length > 50) {
+            errors.push('Name must be 1 to 50 lowercase letters, digits, dashes or underscores, starting with a letter');
+        }
+    } else if (name !== undefined) {
+        errors.push('Role name cannot be changed');
+    }
+
+    // Validate description if provided
+    if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 255)) {
+        errors.push('Description must be a string of at most 255 characters');
+    }
+
+    // Validate permissions, required on creation
+    if (permissions !== undefined || !isUpdate) {
+        if (!Array.isArray(permissions) || !permissions.every(permission => typeof permission === 'string' && PERMISSION_PATTERN.test(permission))) {
+            errors.push('Permissions must be an array of resource:action:scope strings, scope being own or any');
+        }
+    }
+
+    // Return validation errors
+    if (errors.length > 0) {
+        return res.status(BAD_REQUEST).json(
+            formatError('Validation Error', errors.join(', '))
+        );
+    }
+
+    next();
+};
+
+/**
+ * Validate account lock request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateAccountLock = (req, res, next) => {
+    const { until, reason } = req.body;
+    const errors = [];
+
+    // Validate lock end if provided, the account stays locked until unlocked otherwise
+    if (until !== undefined && until !== null) {
+        const date = new Date(until);
+        if (Number.isNaN(date.getTime()) || date <= new Date()) {
+            errors.push('Lock end must be a date in the future');
+        }
+    }
+
+    // Validate reason if provided
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+        errors.push('Reason must be a string of at most 255 characters');
+    }
+
+    // Return validation errors
+    if (errors.length > 0) {
+        return res.status(BAD_REQUEST).json(
+            formatError('Validation Error', errors.join(', '))
+        );
+    }
+
+    next();
+};
+
 module.exports = {
     validateRegistration,
     validateLogin,
     validatePasswordReset,
-    validateChangePassword
+    validateChangePassword,
+    validateApiKeyCreation,
+    validateRoleAssignment,
+    validateRole,
+    validateAccountLock
 };
\ No newline at end of file
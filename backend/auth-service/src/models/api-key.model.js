@@ -0,0 +1,96 @@
+/**
+ * API Key Model
+ * Defines the schema of the API keys users create for programmatic access
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/database.util');
+const User = require('./user.model');
+
+const ApiKey = sequelize.define('ApiKey', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    // Public part of the key, shown in listings so users can tell their keys apart
+    prefix: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+    },
+    // SHA-256 of the full key, the key itself is only returned once at creation
+    keyHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    permissions: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+    },
+    lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    tableName: 'api_keys',
+    indexes: [
+        {
+            unique: true,
+            fields: ['key_hash']
+        },
+        {
+            fields: ['user_id']
+        }
+    ]
+});
+
+// Keys are removed with their owner
+User.hasMany(ApiKey, { foreignKey: 'userId', as: 'apiKeys', onDelete: 'CASCADE' });
+ApiKey.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+/**
+ * Check if the key can still be used
+ * @returns {boolean} True if the key is neither revoked nor expired
+ */
+ApiKey.prototype.isActive = function () {
+    if (this.revokedAt) {
+        return false;
+    }
+
+    return !this.expiresAt || new Date() < this.expiresAt;
+};
+
+/**
+ * Transform API key object when converting to JSON
+ * @returns {Object} Transformed API key object
+ */
+ApiKey.prototype.toJSON = function () {
+    const values = { ...this.get() };
+
+    // Never expose the key hash
+    delete values.keyHash;
+    values.active = this.isActive();
+
+    return values;
+};
+
+module.exports = ApiKey;
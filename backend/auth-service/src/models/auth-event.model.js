@@ -0,0 +1,76 @@
+/**
+ * Auth Event Model
+ * Audit trail of sign-in attempts, successful or not
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/database.util');
+const User = require('./user.model');
+
+const AuthEvent = sequelize.define('AuthEvent', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    // Null when the email did not match an account
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    // Email the attempt was made with
+    email: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // Sign-in method, e.g. password, magic_link, google, github, two_factor
+    method: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    // challenge: the first factor was accepted, a second one is required
+    outcome: {
+        type: DataTypes.ENUM('success', 'failure', 'challenge'),
+        allowNull: false
+    },
+    // Why the attempt failed, e.g. invalid_password, account_locked
+    reason: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    // Anonymized, the last part of the address is zeroed
+    ipAddress: {
+        type: DataTypes.STRING(45),
+        allowNull: true
+    },
+    userAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    // Browser and operating system, e.g. "Chrome on macOS"
+    device: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    updatedAt: false,
+    tableName: 'auth_events',
+    indexes: [
+        {
+            fields: ['user_id', 'created_at']
+        },
+        {
+            fields: ['email']
+        },
+        {
+            fields: ['created_at']
+        }
+    ]
+});
+
+// Events are removed with their owner
+User.hasMany(AuthEvent, { foreignKey: 'userId', as: 'authEvents', onDelete: 'CASCADE' });
+AuthEvent.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = AuthEvent;
@@ -0,0 +1,60 @@
+/**
+ * Data Request Model
+ * Tracks the export or erasure of a user's data across the services holding it
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/database.util');
+
+const DataRequest = sequelize.define('DataRequest', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    // Not a foreign key, erasure requests outlive the user
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    type: {
+        type: DataTypes.ENUM('export', 'erasure'),
+        allowNull: false
+    },
+    // pending until every service has answered or timed out, partial if any of them did not complete
+    status: {
+        type: DataTypes.ENUM('pending', 'completed', 'partial'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    // Outcome per service { status, completedAt, error, data | deleted }
+    services: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {}
+    },
+    completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Exports only, the bundle is no longer served after this date
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Erasures only, SHA-256 of the token the deleted user reads the status with
+    statusTokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    tableName: 'data_requests',
+    indexes: [
+        {
+            fields: ['user_id', 'type']
+        }
+    ]
+});
+
+module.exports = DataRequest;
@@ -0,0 +1,40 @@
+/**
+ * Password History Model
+ * Keeps the hashes of a user's recent passwords so they cannot be reused
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/database.util');
+const User = require('./user.model');
+
+const PasswordHistory = sequelize.define('PasswordHistory', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    // bcrypt hash, as stored in users.password when it was set
+    passwordHash: {
+        type: DataTypes.STRING,
+        allowNull: false
+    }
+}, {
+    timestamps: true,
+    updatedAt: false,
+    tableName: 'password_history',
+    indexes: [
+        {
+            fields: ['user_id', 'created_at']
+        }
+    ]
+});
+
+// History is removed with its owner
+User.hasMany(PasswordHistory, { foreignKey: 'userId', as: 'passwordHistory', onDelete: 'CASCADE' });
+PasswordHistory.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = PasswordHistory;
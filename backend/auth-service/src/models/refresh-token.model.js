@@ -0,0 +1,64 @@
+/**
+ * Refresh Token Model
+ * Tracks issued refresh tokens so they can be rotated and revoked server-side
+ *
+ * Every sign-in starts a token family; each refresh marks the presented token as used
+ * and issues the next token of the same family. Presenting a used token again means
+ * it was copied, so the whole family is revoked.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/database.util');
+const User = require('./user.model');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+    // Token id, carried as the jti claim of the refresh JWT
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    // Shared by every token rotated from the same sign-in
+    familyId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    // Set when the token is exchanged for the next one of its family
+    usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revokedReason: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    tableName: 'refresh_tokens',
+    indexes: [
+        {
+            fields: ['family_id']
+        },
+        {
+            fields: ['user_id']
+        }
+    ]
+});
+
+// Tokens are removed with their owner
+User.hasMany(RefreshToken, { foreignKey: 'userId', as: 'refreshTokens', onDelete: 'CASCADE' });
+RefreshToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = RefreshToken;
@@ -0,0 +1,49 @@
+/**
+ * Role Model
+ * Defines the roles users can hold and the permissions each role grants
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/database.util');
+
+const Role = sequelize.define('Role', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    // Referenced by name from users' roles and from token claims
+    name: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+        validate: {
+            is: /^[a-z][a-z0-9_-]*$/
+        }
+    },
+    description: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    permissions: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+    },
+    // Built-in roles from auth.config.js, they cannot be deleted
+    isSystem: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    }
+}, {
+    timestamps: true,
+    tableName: 'roles',
+    indexes: [
+        {
+            unique: true,
+            fields: ['name']
+        }
+    ]
+});
+
+module.exports = Role;
@@ -0,0 +1,74 @@
+/**
+ * Session Model
+ * Describes where a user is signed in, one session per refresh token family
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/database.util');
+const User = require('./user.model');
+
+const Session = sequelize.define('Session', {
+    // Same id as the refresh token family of the session
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    // Browser and operating system, e.g. "Chrome on macOS"
+    device: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    deviceType: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+    },
+    userAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    // Anonymized, the last part of the address is zeroed
+    ipAddress: {
+        type: DataTypes.STRING(45),
+        allowNull: true
+    },
+    lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    // Expiry of the latest refresh token of the session
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    tableName: 'sessions',
+    indexes: [
+        {
+            fields: ['user_id']
+        }
+    ]
+});
+
+// Sessions are removed with their owner
+User.hasMany(Session, { foreignKey: 'userId', as: 'sessions', onDelete: 'CASCADE' });
+Session.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+/**
+ * Check if the session can still be refreshed
+ * @returns {boolean} True if the session is neither revoked nor expired
+ */
+Session.prototype.isActive = function () {
+    return !this.revokedAt && new Date() < this.expiresAt;
+};
+
+module.exports = Session;
@@ -6,6 +6,7 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../utils/database.util');
 const config = require('../config/auth.config');
+const { getRolePermissions, roleExists } = require('../utils/role.util');
 
 const User = sequelize.define('User', {
     id: {
@@ -63,6 +64,11 @@ const User = sequelize.define('User', {
         type: DataTypes.DATE,
         allowNull: true
     },
+    // Id of the last sign-in link sent, cleared once used so each link works only once
+    magicLinkJti: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
     loginAttempts: {
         type: DataTypes.INTEGER,
         defaultValue: 0
@@ -83,6 +89,12 @@ const User = sequelize.define('User', {
         type: DataTypes.DATE,
         allowNull: true
     },
+    hasPassword: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'False while the password is a random one the user never knew (accounts from an OAuth provider)'
+    },
     active: {
         type: DataTypes.BOOLEAN,
         defaultValue: true
@@ -100,6 +112,25 @@ const User = sequelize.define('User', {
         type: DataTypes.STRING,
         allowNull: true,
         unique: true
+    },
+    twoFactorEnabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+    },
+    // TOTP secret, encrypted; set at enrollment and kept while 2FA is enabled
+    twoFactorSecret: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // Hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    // Time step of the last accepted code, so a code cannot be used twice
+    twoFactorLastUsedStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true
     }
 }, {
     timestamps: true,
@@ -119,6 +150,7 @@ const User = sequelize.define('User', {
 
 /**
  * Get permissions for a user based on their roles
+ * Reads the role cache, await loadRoles() from role.util first where freshness matters
  * @returns {Array} Array of permissions
  */
 User.prototype.getPermissions = function () {
@@ -127,7 +159,7 @@ User.prototype.getPermissions = function () {
     // Add permissions for each role
     if (this.roles && Array.isArray(this.roles)) {
         this.roles.forEach(role => {
-            const rolePermissions = config.roles.permissions[role] || [];
+            const rolePermissions = getRolePermissions(role);
             rolePermissions.forEach(permission => allPermissions.add(permission));
         });
     }
@@ -150,12 +182,13 @@ User.prototype.hasRole = function (role) {
  * @returns {boolean} True if role was added
  */
 User.prototype.addRole = async function (role) {
-    if (!config.roles.available.includes(role)) {
+    if (!(await roleExists(role))) {
         throw new Error(`Invalid role: ${role}`);
     }
 
     if (!this.roles.includes(role)) {
-        this.roles.push(role);
+        // Assign a new array, in-place changes to a JSON attribute are not detected on save
+        this.roles = [...this.roles, role];
         await this.save();
         return true;
     }
@@ -178,6 +211,14 @@ User.prototype.removeRole = async function (role) {
     return false;
 };
 
+/**
+ * Check if user must sign in with two-factor authentication
+ * @returns {boolean} True if 2FA is enabled or required by policy for the user's roles
+ */
+User.prototype.isTwoFactorRequired = function () {
+    return this.twoFactorEnabled || (config.twoFactor.requiredForAdmins && this.hasRole('admin'));
+};
+
 /**
  * Check if user account is locked
  * @returns {boolean} True if account is locked
@@ -204,6 +245,14 @@ User.prototype.isAccountLocked = function () {
 User.prototype.toJSON = function () {
     const values = { ...this.get() };
 
+    // Never expose two-factor secrets
+    delete values.twoFactorSecret;
+    delete values.twoFactorRecoveryCodes;
+    delete values.twoFactorLastUsedStep;
+
+    // Nor the id of a pending sign-in link
+    delete values.magicLinkJti;
+
     // Add calculated fields
     values.permissions = this.getPermissions();
     values.fullName = `${this.firstName || ''} ${this.lastName || ''}`.trim() || null;
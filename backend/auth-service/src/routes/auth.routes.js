@@ -6,9 +6,18 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { authenticate } = require('../middleware/auth.middleware');
-const { validateRegistration, validateLogin, validatePasswordReset } = require('../middleware/validation.middleware');
-const { rateLimiter, strictRateLimiter } = require('../middleware/rate-limiter.middleware');
+const apiKeyController = require('../controllers/api-key.controller');
+const oauthController = require('../controllers/oauth.controller');
+const sessionController = require('../controllers/session.controller');
+const twoFactorController = require('../controllers/two-factor.controller');
+const userController = require('../controllers/user.controller');
+const roleController = require('../controllers/role.controller');
+const magicLinkController = require('../controllers/magic-link.controller');
+const dataRequestController = require('../controllers/data-request.controller');
+const auditController = require('../controllers/audit.controller');
+const { authenticate, requireSession, hasRole, hasPermission } = require('../middleware/auth.middleware');
+const { validateRegistration, validateLogin, validatePasswordReset, validateApiKeyCreation, validateRoleAssignment, validateRole, validateAccountLock } = require('../middleware/validation.middleware');
+const { rateLimiter, strictRateLimiter, magicLinkLimiter, twoFactorLimiter } = require('../middleware/rate-limiter.middleware');
 
 // Public routes
 router.post('/register', validateRegistration, rateLimiter, authController.register);
@@ -18,28 +27,66 @@ router.get('/verify-email/:token', rateLimiter, authController.verifyEmail);
 router.post('/forgot-password', rateLimiter, authController.forgotPassword);
 router.post('/reset-password/:token', validatePasswordReset, rateLimiter, authController.resetPassword);
 
+// Passwordless sign-in: request a link by email, then open it
+router.post('/magic-link', rateLimiter, magicLinkLimiter, magicLinkController.requestMagicLink);
+router.get('/magic-link/:token', rateLimiter, magicLinkController.consumeMagicLink);
+
+// Erasure status, read with the token returned when the account was deleted
+router.get('/data-requests/:id/status/:token', rateLimiter, dataRequestController.getDataRequestStatus);
+
+// Two-factor sign-in step, authenticated by the challenge token returned by /login
+router.post('/2fa/verify', twoFactorLimiter, twoFactorController.verifyTwoFactor);
+
+// Two-factor enrollment, with an access token or the setup challenge returned by /login
+router.post('/2fa/setup', authenticate(false), requireSession(), strictRateLimiter, twoFactorController.setupTwoFactor);
+router.post('/2fa/enable', authenticate(false), requireSession(), twoFactorLimiter, twoFactorController.enableTwoFactor);
+
 // JWKS endpoint for token verification
 router.get('/.well-known/jwks.json', authController.getJwks);
 
-// Protected routes
-router.post('/logout', authenticate, authController.logout);
-router.get('/me', authenticate, authController.getCurrentUser);
-router.post('/change-password', authenticate, strictRateLimiter, authController.changePassword);
+// Protected routes, the ones managing the account refuse tokens minted for API keys
+router.post('/logout', authenticate(), authController.logout);
+router.post('/logout-all', authenticate(), requireSession(), sessionController.logoutAll);
+router.get('/sessions', authenticate(), requireSession(), sessionController.listSessions);
+router.delete('/sessions/:id', authenticate(), requireSession(), sessionController.revokeSession);
+router.get('/me', authenticate(), authController.getCurrentUser);
+router.post('/change-password', authenticate(), requireSession(), strictRateLimiter, authController.changePassword);
+router.get('/me/export', authenticate(), requireSession(), rateLimiter, dataRequestController.exportMyData);
+router.delete('/me', authenticate(), requireSession(), strictRateLimiter, dataRequestController.deleteMyAccount);
+router.post('/2fa/disable', authenticate(), requireSession(), strictRateLimiter, twoFactorLimiter, twoFactorController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate(), requireSession(), strictRateLimiter, twoFactorLimiter, twoFactorController.regenerateRecoveryCodes);
 
-// OAuth routes for third-party authentication
-router.get('/google', (req, res) => {
-    res.status(501).json({ message: 'Google OAuth not implemented yet' });
-});
-router.get('/google/callback', (req, res) => {
-    res.status(501).json({ message: 'Google OAuth not implemented yet' });
-});
+// API keys for programmatic access, managed from a signed-in session only
+router.post('/api-keys', authenticate(), requireSession(), validateApiKeyCreation, strictRateLimiter, apiKeyController.createApiKey);
+router.get('/api-keys', authenticate(), requireSession(), apiKeyController.listApiKeys);
+router.delete('/api-keys/:id', authenticate(), requireSession(), apiKeyController.revokeApiKey);
 
-router.get('/github', (req, res) => {
-    res.status(501).json({ message: 'GitHub OAuth not implemented yet' });
-});
-router.get('/github/callback', (req, res) => {
-    res.status(501).json({ message: 'GitHub OAuth not implemented yet' });
-});
+// Admin routes
+router.get('/users', authenticate(), hasRole('admin'), hasPermission('user:read:any'), userController.listUsers);
+router.get('/users/:id', authenticate(), hasRole('admin'), hasPermission('user:read:any'), userController.getUser);
+router.post('/users/:id/roles', authenticate(), hasRole('admin'), hasPermission('user:write:any'), validateRoleAssignment, userController.assignRole);
+router.delete('/users/:id/roles/:role', authenticate(), hasRole('admin'), hasPermission('user:write:any'), userController.revokeRole);
+router.post('/users/:id/lock', authenticate(), hasRole('admin'), hasPermission('user:write:any'), validateAccountLock, userController.lockUser);
+router.post('/users/:id/unlock', authenticate(), hasRole('admin'), hasPermission('user:write:any'), userController.unlockUser);
+router.post('/users/:id/deactivate', authenticate(), hasRole('admin'), hasPermission('user:write:any'), userController.deactivateUser);
+router.post('/users/:id/activate', authenticate(), hasRole('admin'), hasPermission('user:write:any'), userController.activateUser);
+router.delete('/users/:id', authenticate(), hasRole('admin'), hasPermission('user:write:any'), userController.deleteUser);
+router.post('/users/:id/restore', authenticate(), hasRole('admin'), hasPermission('user:write:any'), userController.restoreUser);
+router.post('/users/:id/force-password-reset', authenticate(), hasRole('admin'), hasPermission('user:write:any'), strictRateLimiter, userController.forcePasswordReset);
+router.delete('/users/:id/sessions', authenticate(), hasRole('admin'), hasPermission('user:write:any'), sessionController.revokeUserSessions);
+router.get('/roles', authenticate(), hasRole('admin'), hasPermission('user:read:any'), roleController.listRoles);
+router.get('/roles/:name', authenticate(), hasRole('admin'), hasPermission('user:read:any'), roleController.getRole);
+router.post('/roles', authenticate(), hasRole('admin'), hasPermission('user:write:any'), validateRole(), roleController.createRole);
+router.put('/roles/:name', authenticate(), hasRole('admin'), hasPermission('user:write:any'), validateRole(true), roleController.updateRole);
+router.delete('/roles/:name', authenticate(), hasRole('admin'), hasPermission('user:write:any'), roleController.deleteRole);
+router.get('/auth-events', authenticate(), hasRole('admin'), hasPermission('user:read:any'), auditController.listAuthEvents);
+router.get('/data-requests/:id', authenticate(), hasRole('admin'), hasPermission('user:read:any'), dataRequestController.getDataRequest);
+
+// OAuth routes for third-party authentication
+router.get('/google', rateLimiter, oauthController.startOAuth('google'));
+router.get('/google/callback', rateLimiter, oauthController.handleOAuthCallback('google'));
+router.get('/github', rateLimiter, oauthController.startOAuth('github'));
+router.get('/github/callback', rateLimiter, oauthController.handleOAuthCallback('github'));
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -0,0 +1,68 @@
+/**
+ * Build Breached Password List Script
+ * Writes the prefix files the password policy looks passwords up in
+ *
+ * Usage (from the service root):
+ *   npm run build-breached-passwords               - from the bundled src/data/common-passwords.txt
+ *   npm run build-breached-passwords -- list.txt   - from another list
+ *
+ * A list holds one password per line, or one SHA1:COUNT line per password as in the
+ * Pwned Passwords downloads. Existing prefix files in the output directory are replaced.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/auth.config');
+
+// SHA-1 hash with an optional count, e.g. 5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8:52579
+const HASH_LINE_PATTERN = /^([0-9A-Fa-f]{40})(?::(\d+))?$/;
+
+// Build the prefix files
+function buildBreachedPasswords() {
+    const input = path.resolve(process.argv[2] || path.join(__dirname, '../data/common-passwords.txt'));
+    const { dir, prefixLength } = config.password.breached;
+    const outputDir = path.resolve(dir);
+
+    // Count per hash, a password listed twice is counted twice
+    const counts = new Map();
+    fs.readFileSync(input, 'utf8').split(/\r?\n/).forEach(line => {
+        if (!line) return;
+
+        const match = line.match(HASH_LINE_PATTERN);
+        const hash = match
+            ? match[1].toUpperCase()
+            : crypto.createHash('sha1').update(line).digest('hex').toUpperCase();
+        const count = match && match[2] ? parseInt(match[2]) : 1;
+
+        counts.set(hash, (counts.get(hash) || 0) + count);
+    });
+
+    // Group the hash suffixes by prefix
+    const files = new Map();
+    counts.forEach((count, hash) => {
+        const prefix = hash.slice(0, prefixLength);
+        if (!files.has(prefix)) files.set(prefix, []);
+        files.get(prefix).push(`${hash.slice(prefixLength)}:${count}`);
+    });
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.readdirSync(outputDir)
+        .filter(file => file.endsWith('.txt'))
+        .forEach(file => fs.unlinkSync(path.join(outputDir, file)));
+
+    files.forEach((lines, prefix) => {
+        fs.writeFileSync(path.join(outputDir, `${prefix}.txt`), `${lines.sort().join('\n')}\n`);
+    });
+
+    console.log(`Passwords: ${counts.size}`);
+    console.log(`Prefix files: ${files.size} (${prefixLength} characters)`);
+    console.log(`Output directory: ${outputDir}`);
+}
+
+try {
+    buildBreachedPasswords();
+} catch (error) {
+    console.error('Building the breached password list failed:', error.message);
+    process.exit(1);
+}
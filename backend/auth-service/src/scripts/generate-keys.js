@@ -1,58 +1,47 @@
 /**
  * Generate RSA Key Pair Script
- * Used to generate public/private key pair for JWT signing
+ * Used to generate the key pairs for JWT signing
+ *
+ * Usage (from the service root):
+ *   npm run generate-keys    - create the first signing key if the key store is empty
+ *   npm run rotate-keys      - make the published next key current and publish a new next key;
+ *                              the previous one stays published in the JWKS until the tokens it
+ *                              signed have expired. Run it at least config.jwt.keyPublishLead apart,
+ *                              the first rotation only publishes the next key
  */
 
-const fs = require('fs');
 const path = require('path');
-const { generateKeyPairSync } = require('crypto');
-
-// Default output directory
-const keysDir = path.join(__dirname, '..', 'keys');
+const config = require('../config/auth.config');
+const { getJwks, rotateKeys } = require('../utils/key-store.util');
 
 // Generate keys
-function generateKeyPair() {
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(keysDir)) {
-        fs.mkdirSync(keysDir, { recursive: true });
-    }
-
-    // Generate RSA key pair
-    console.log('Generating RSA key pair...');
-    const { privateKey, publicKey } = generateKeyPairSync('rsa', {
-        modulusLength: 2048,
-        publicKeyEncoding: {
-            type: 'spki',
-            format: 'pem'
-        },
-        privateKeyEncoding: {
-            type: 'pkcs8',
-            format: 'pem'
-        }
-    });
-
-    // Save private key
-    const privateKeyPath = path.join(keysDir, 'private.key');
-    fs.writeFileSync(privateKeyPath, privateKey);
-    console.log(`Private key saved to: ${privateKeyPath}`);
+async function generateKeys() {
+    const keysDir = path.resolve(config.jwt.keysDir);
 
-    // Save public key
-    const publicKeyPath = path.join(keysDir, 'public.key');
-    fs.writeFileSync(publicKeyPath, publicKey);
-    console.log(`Public key saved to: ${publicKeyPath}`);
+    if (process.argv.includes('--rotate')) {
+        console.log('Rotating RSA signing key...');
+        const { current, next, retired, removed } = await rotateKeys();
 
-    // Set permissions for private key (Linux/Mac only)
-    try {
-        if (process.platform !== 'win32') {
-            fs.chmodSync(privateKeyPath, 0o600);
-            console.log('Set read-only permissions for private key');
+        console.log(`${retired ? 'New signing key' : 'Signing key'}: ${current}`);
+        console.log(`Next key (published, made current by the next rotation): ${next}`);
+        if (retired) {
+            console.log(`Retired key (published until its tokens expire): ${retired}`);
         }
-    } catch (error) {
-        console.warn('Could not set file permissions:', error.message);
+        removed.forEach(kid => console.log(`Removed expired key: ${kid}`));
+    } else {
+        // Loading the key store creates the first key when there is none
+        const { keys } = await getJwks();
+
+        console.log(`Signing key: ${keys[0].kid}`);
+        console.log(`Published keys: ${keys.length}`);
     }
 
+    console.log(`Keys directory: ${keysDir}`);
     console.log('Key generation complete!');
 }
 
 // Execute the function
-generateKeyPair();
\ No newline at end of file
+generateKeys().catch(error => {
+    console.error('Key generation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,176 @@
+/**
+ * Mock OAuth Provider Script
+ * Local stand-in for Google and GitHub to exercise the OAuth flows without real client credentials
+ *
+ * Implements the authorization page, the code exchange (with PKCE verification) and the
+ * profile endpoints of both providers. Start it, then run the auth service with the
+ * environment variables it prints.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_OAUTH_PORT) || 4000;
+const BASE_URL = process.env.MOCK_OAUTH_URL || `http://localhost:${PORT}`;
+
+// Authorization codes and access tokens issued by the mock, in memory only
+const codes = new Map();
+const tokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * Escape a value for HTML output
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Build the profile the provider returns for a sign-in
+ * @param {string} provider - Provider name
+ * @param {Object} identity - Identity entered on the authorization page
+ * @returns {Object} Stored identity with a stable provider id
+ */
+const buildIdentity = (provider, { email, name, verified }) => ({
+    id: crypto.createHash('sha256').update(`${provider}:${email}`).digest('hex').slice(0, 12),
+    email,
+    name,
+    verified: verified === 'on' || verified === 'true'
+});
+
+// Authorization page, prefilled from MOCK_OAUTH_EMAIL / MOCK_OAUTH_NAME
+app.get('/:provider/authorize', (req, res) => {
+    const hidden = ['client_id', 'redirect_uri', 'state', 'code_challenge', 'code_challenge_method']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+        .join('');
+
+    res.send(`<!DOCTYPE html>
+<html><body>
+<h1>Mock ${escapeHtml(req.params.provider)} sign-in</h1>
+<form method="post">
+${hidden}
+<p><label>Email <input name="email" value="${escapeHtml(process.env.MOCK_OAUTH_EMAIL || 'jane.doe@example.com')}"></label></p>
+<p><label>Name <input name="name" value="${escapeHtml(process.env.MOCK_OAUTH_NAME || 'Jane Doe')}"></label></p>
+<p><label><input type="checkbox" name="verified" checked> Email verified</label></p>
+<button name="decision" value="approve">Approve</button>
+<button name="decision" value="deny">Deny</button>
+</form>
+</body></html>`);
+});
+
+// Authorization decision, redirects back to the client like the real providers
+app.post('/:provider/authorize', (req, res) => {
+    const { provider } = req.params;
+    const { client_id: clientId, redirect_uri: redirectUri, state, code_challenge: codeChallenge, decision } = req.body;
+    const redirect = new URL(redirectUri);
+
+    redirect.searchParams.set('state', state || '');
+
+    if (decision === 'deny') {
+        redirect.searchParams.set('error', 'access_denied');
+        return res.redirect(redirect.toString());
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+        provider,
+        clientId,
+        redirectUri,
+        codeChallenge,
+        identity: buildIdentity(provider, req.body),
+        expiresAt: Date.now() + 60 * 1000
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+});
+
+// Code exchange, verifies redirect URI, client and PKCE verifier
+app.post('/:provider/token', (req, res) => {
+    const { code, client_id: clientId, client_secret: clientSecret, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+    const grant = codes.get(code);
+
+    // Codes are single use
+    codes.delete(code);
+
+    if (!grant || grant.expiresAt < Date.now() || grant.provider !== req.params.provider) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+    }
+
+    if (!clientSecret || grant.clientId !== clientId || grant.redirectUri !== redirectUri) {
+        return res.status(400).json({ error: 'invalid_client', error_description: 'Client or redirect URI mismatch' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url');
+    if (!grant.codeChallenge || challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    tokens.set(accessToken, grant.identity);
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 3600 });
+});
+
+/**
+ * Resolve the identity of a bearer token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireToken = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    req.identity = tokens.get(header.replace(/^Bearer /, ''));
+
+    if (!req.identity) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    next();
+};
+
+// Google OpenID Connect userinfo
+app.get('/google/userinfo', requireToken, (req, res) => {
+    const [givenName, ...familyName] = req.identity.name.split(' ');
+
+    res.json({
+        sub: req.identity.id,
+        email: req.identity.email,
+        email_verified: req.identity.verified,
+        name: req.identity.name,
+        given_name: givenName,
+        family_name: familyName.join(' '),
+        picture: null
+    });
+});
+
+// GitHub user and emails
+app.get('/github/user', requireToken, (req, res) => {
+    res.json({
+        id: parseInt(req.identity.id.slice(0, 8), 16),
+        login: req.identity.email.split('@')[0],
+        name: req.identity.name,
+        avatar_url: null,
+        email: null
+    });
+});
+
+app.get('/github/user/emails', requireToken, (req, res) => {
+    res.json([{ email: req.identity.email, primary: true, verified: req.identity.verified }]);
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock OAuth provider running on ${BASE_URL}`);
+    console.log('Start the auth service with:');
+
+    ['google', 'github'].forEach(provider => {
+        const env = provider.toUpperCase();
+        console.log(`  ${env}_CLIENT_ID=mock-${provider} ${env}_CLIENT_SECRET=mock-secret`);
+        console.log(`  ${env}_AUTHORIZATION_URL=${BASE_URL}/${provider}/authorize ${env}_TOKEN_URL=${BASE_URL}/${provider}/token`);
+    });
+
+    console.log(`  GOOGLE_USERINFO_URL=${BASE_URL}/google/userinfo`);
+    console.log(`  GITHUB_USERINFO_URL=${BASE_URL}/github/user GITHUB_EMAILS_URL=${BASE_URL}/github/user/emails`);
+});
@@ -9,6 +9,10 @@ const helmet = require('helmet');
 const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const authRoutes = require('./routes/auth.routes');
+const { verifyApiKey } = require('./controllers/api-key.controller');
+const { apiKeyVerifyLimiter } = require('./middleware/rate-limiter.middleware');
+const { routeManifestHandler } = require('../../shared/utils/route-manifest');
+const { traceRequest, traceLogger } = require('../../shared/utils/tracing');
 const config = require('./config/auth.config');
 const { errorHandler } = require('../../shared/middleware/error-handler.middleware');
 const { OK } = require('../../shared/utils/http-status');
@@ -25,8 +29,11 @@ app.use(cookieParser()); // Parse cookies
 // CORS configuration
 app.use(cors(config.cors));
 
-// Request logging
-app.use(morgan(process.env.NODE_ENV === 'development' ? 'dev' : 'combined'));
+// Continue the trace started by the gateway (W3C traceparent)
+app.use(traceRequest);
+
+// Request logging, tagged with the trace ids
+app.use(traceLogger(morgan));
 
 // Add request ID to each request
 app.use((req, res, next) => {
@@ -45,6 +52,12 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Route manifest consumed by the API gateway to build its proxy table
+app.get('/_routes', routeManifestHandler('auth-service', authRoutes));
+
+// API key verification for the API gateway, kept out of the route manifest so it is never proxied
+app.post('/internal/api-keys/verify', apiKeyVerifyLimiter, verifyApiKey);
+
 // Main authentication routes
 app.use('/api/auth', authRoutes);
 
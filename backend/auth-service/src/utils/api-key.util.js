@@ -0,0 +1,43 @@
+/**
+ * API Key Utility Functions
+ * Generates and hashes API keys
+ *
+ * Key format: <prefix>_<8 hex public id>_<43 char base64url secret>
+ */
+
+const crypto = require('crypto');
+const config = require('../config/auth.config');
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys are long random strings, so a fast unsalted hash is enough to make a leaked table useless
+ * @param {string} key - Full API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Generate a new API key
+ * @returns {Object} Object containing the full key, its public prefix and its hash
+ */
+const generateApiKey = () => {
+    const prefix = `${config.apiKeys.prefix}_${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    return { key, prefix, keyHash: hashApiKey(key) };
+};
+
+/**
+ * Check whether a string looks like an API key issued by this service
+ * @param {string} key - Candidate key
+ * @returns {boolean} True if the key has the expected format
+ */
+const isApiKeyFormat = (key) => {
+    return typeof key === 'string' && new RegExp(`^${config.apiKeys.prefix}_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$`).test(key);
+};
+
+module.exports = {
+    hashApiKey,
+    generateApiKey,
+    isApiKeyFormat
+};
@@ -0,0 +1,86 @@
+/**
+ * Auth Audit Utility Functions
+ * Records sign-in attempts and applies the account lockout after repeated failures
+ */
+
+const { Op } = require('sequelize');
+const AuthEvent = require('../models/auth-event.model');
+const { describeClient } = require('./privacy.util');
+const config = require('../config/auth.config');
+
+/**
+ * Record a sign-in attempt
+ * Never rejects: a failing audit write is logged and does not block the sign-in
+ * @param {Object} req - Express request object
+ * @param {Object} attempt - { user, email, method, outcome, reason }
+ * @returns {Promise<void>}
+ */
+const recordAuthEvent = async (req, { user = null, email = null, method, outcome, reason = null }) => {
+    try {
+        const { device, userAgent, ipAddress } = describeClient(req);
+
+        await AuthEvent.create({
+            userId: user ? user.id : null,
+            email: user ? user.email : (typeof email === 'string' ? email.slice(0, 255) : null),
+            method,
+            outcome,
+            reason,
+            ipAddress,
+            userAgent,
+            device
+        });
+    } catch (error) {
+        console.error('Error recording auth event:', error);
+    }
+};
+
+/**
+ * Get how long an account is locked after a number of failed attempts
+ * The first lock lasts windowMs, each further failure doubles it up to maxLockMs
+ * @param {number} attempts - Consecutive failed attempts
+ * @returns {number} Lock duration in ms, 0 when the account stays unlocked
+ */
+const getLockDuration = (attempts) => {
+    const { maxAttempts, windowMs, maxLockMs } = config.rateLimit.loginAttempts;
+
+    if (attempts < maxAttempts) return 0;
+
+    return Math.min(windowMs * 2 ** (attempts - maxAttempts), maxLockMs);
+};
+
+/**
+ * Count a failed password attempt, locking the account when there were too many
+ * Only called while the account is unlocked, attempts made during a lock are rejected before
+ * @param {Object} user - User instance
+ * @returns {Promise<boolean>} True if the account is now locked
+ */
+const registerFailedLogin = async (user) => {
+    user.loginAttempts += 1;
+
+    const lockDuration = getLockDuration(user.loginAttempts);
+    if (lockDuration > 0) {
+        user.accountLocked = true;
+        user.lockUntil = new Date(Date.now() + lockDuration);
+    }
+
+    await user.save();
+
+    return lockDuration > 0;
+};
+
+/**
+ * Delete the auth events older than the retention period
+ * @returns {Promise<number>} Number of events deleted
+ */
+const pruneAuthEvents = () => AuthEvent.destroy({
+    where: {
+        createdAt: { [Op.lt]: new Date(Date.now() - config.auditLog.retentionDays * 24 * 60 * 60 * 1000) }
+    }
+});
+
+module.exports = {
+    recordAuthEvent,
+    getLockDuration,
+    registerFailedLogin,
+    pruneAuthEvents
+};
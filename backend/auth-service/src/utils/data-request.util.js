@@ -0,0 +1,241 @@
+/**
+ * Data Request Utility Functions
+ * Keeps track of which services have exported or erased a user's data
+ *
+ * auth-service handles its own data right away. Exports are pulled from the internal export
+ * endpoint of every other service, so user data never goes on the shared topics. Erasures are
+ * asked through user.erasure.requested, answered with user.erasure.completed or user.erasure.failed.
+ */
+
+const crypto = require('crypto');
+const sequelize = require('./database.util');
+const DataRequest = require('../models/data-request.model');
+const config = require('../config/auth.config');
+const { startSpan, getTraceContext, formatTraceparent } = require('../../../shared/utils/tracing');
+
+/**
+ * Derive the overall status of a request from the status of its services
+ * @param {Object} services - Outcome per service
+ * @returns {string} pending, completed or partial
+ */
+const summarizeStatus = (services) => {
+    const statuses = Object.values(services).map(service => service.status);
+
+    if (statuses.includes('pending')) return 'pending';
+
+    return statuses.every(status => status === 'completed') ? 'completed' : 'partial';
+};
+
+/**
+ * Set the overall status of a request, and the dates that go with it once no service is pending
+ * @param {Object} request - DataRequest instance
+ * @param {Object} services - Outcome per service
+ */
+const applyServices = (request, services) => {
+    request.services = services;
+    request.status = summarizeStatus(services);
+
+    if (request.status !== 'pending') {
+        request.completedAt = new Date();
+
+        if (request.type === 'export') {
+            request.expiresAt = new Date(Date.now() + config.dataRequests.exportExpiresIn);
+        }
+    }
+};
+
+/**
+ * Hash a status token for storage
+ * @param {string} token - Status token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashStatusToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Start a data request, the other services are pending until they answer
+ * @param {string} userId - User ID
+ * @param {string} type - export or erasure
+ * @param {Object} ownResult - Outcome for auth-service's own data, { data } or { deleted }
+ * @param {Object} [options] - Sequelize options, e.g. a transaction
+ * @param {string} [options.statusToken] - Token the status can be read with, without an account
+ * @returns {Promise<Object>} Created DataRequest
+ */
+const createDataRequest = async (userId, type, ownResult, { statusToken, ...options } = {}) => {
+    const services = {
+        'auth-service': { status: 'completed', completedAt: new Date(), ...ownResult }
+    };
+
+    Object.keys(config.dataRequests.services).forEach(service => {
+        services[service] = { status: 'pending' };
+    });
+
+    const request = DataRequest.build({ userId, type, statusTokenHash: statusToken ? hashStatusToken(statusToken) : null });
+    applyServices(request, services);
+
+    return request.save(options);
+};
+
+/**
+ * Find a data request by its status token
+ * @param {string} id - DataRequest ID
+ * @param {string} token - Status token returned when the request was made
+ * @returns {Promise<Object|null>} DataRequest, null when unknown or the token does not match
+ */
+const findDataRequestByStatusToken = async (id, token) => {
+    const request = await DataRequest.findByPk(id);
+
+    if (!request || !request.statusTokenHash) {
+        return null;
+    }
+
+    const provided = Buffer.from(hashStatusToken(token));
+    const expected = Buffer.from(request.statusTokenHash);
+
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected) ? request : null;
+};
+
+/**
+ * Record the answer of a service
+ * Answers for unknown requests, and repeated answers, are ignored
+ * @param {string} requestId - DataRequest ID
+ * @param {string} service - Service that answered
+ * @param {Object} result - { status: 'completed' | 'failed', data, deleted, error }
+ * @returns {Promise<Object|null>} Updated DataRequest, or null if the answer was ignored
+ */
+const recordServiceResult = (requestId, service, result) => sequelize.transaction(async (transaction) => {
+    // Services answer concurrently, lock the row so no answer overwrites another
+    const request = await DataRequest.findByPk(requestId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!request || !request.services[service] || request.services[service].status !== 'pending') {
+        return null;
+    }
+
+    applyServices(request, {
+        ...request.services,
+        [service]: { ...result, completedAt: new Date() }
+    });
+
+    return request.save({ transaction });
+});
+
+/**
+ * Pull the data a service holds about a user
+ * @param {string} service - Service name, a key of config.dataRequests.services
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Outcome, { status: 'completed', data } or { status: 'failed', error }
+ */
+const pullServiceExport = async (service, userId) => {
+    const { services, internalToken, exportTimeout } = config.dataRequests;
+
+    // The pull is a span of the export request's trace
+    const headers = { traceparent: formatTraceparent(startSpan(getTraceContext())) };
+
+    if (internalToken) {
+        headers['X-Internal-Token'] = internalToken;
+    }
+
+    let response;
+    try {
+        response = await fetch(`${services[service].url}/internal/users/${encodeURIComponent(userId)}/export`, {
+            headers,
+            signal: AbortSignal.timeout(exportTimeout)
+        });
+    } catch (error) {
+        console.error(`Export pull from ${service} failed:`, error.message);
+        return { status: 'failed', error: 'Service unavailable' };
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        return { status: 'failed', error: body.message || `Export failed with status ${response.status}` };
+    }
+
+    return { status: 'completed', data: body.data || {} };
+};
+
+/**
+ * Pull the exports of the services still pending and record them
+ * Runs once the export was started, the user polls for its outcome
+ * @param {Object} request - Export DataRequest instance
+ * @returns {Promise<void>}
+ */
+const collectServiceExports = async (request) => {
+    const pending = Object.keys(request.services).filter(service => request.services[service].status === 'pending');
+
+    await Promise.all(pending.map(async (service) => {
+        const result = await pullServiceExport(service, request.userId);
+        await recordServiceResult(request.id, service, result);
+    }));
+};
+
+/**
+ * Report the services that did not answer in time as timed out
+ * @param {Object} request - DataRequest instance
+ * @returns {Promise<Object>} The request, updated if it timed out
+ */
+const expirePendingServices = async (request) => {
+    if (request.status !== 'pending' || Date.now() - request.createdAt < config.dataRequests.timeout) {
+        return request;
+    }
+
+    const services = {};
+    Object.entries(request.services).forEach(([service, outcome]) => {
+        services[service] = outcome.status === 'pending'
+            ? { status: 'timed_out', error: 'No answer from the service' }
+            : outcome;
+    });
+
+    applyServices(request, services);
+
+    return request.save();
+};
+
+/**
+ * Describe a request without the exported data
+ * @param {Object} request - DataRequest instance
+ * @returns {Object} Request status with the outcome of each service
+ */
+const describeDataRequest = (request) => {
+    const services = {};
+    Object.entries(request.services).forEach(([service, { status, completedAt, error, deleted }]) => {
+        services[service] = { status, completedAt: completedAt || null, error, deleted };
+    });
+
+    return {
+        requestId: request.id,
+        userId: request.userId,
+        type: request.type,
+        status: request.status,
+        services,
+        createdAt: request.createdAt,
+        completedAt: request.completedAt,
+        expiresAt: request.expiresAt
+    };
+};
+
+/**
+ * Collect the exported data of every service that completed
+ * @param {Object} request - DataRequest instance
+ * @returns {Object} Exported data by service
+ */
+const getExportBundle = (request) => {
+    const bundle = {};
+    Object.entries(request.services).forEach(([service, outcome]) => {
+        if (outcome.status === 'completed') {
+            bundle[service] = outcome.data || {};
+        }
+    });
+
+    return bundle;
+};
+
+module.exports = {
+    createDataRequest,
+    findDataRequestByStatusToken,
+    recordServiceResult,
+    collectServiceExports,
+    expirePendingServices,
+    describeDataRequest,
+    getExportBundle
+};
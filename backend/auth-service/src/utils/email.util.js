@@ -99,6 +99,41 @@ const createPasswordResetEmailContent = (token) => {
     };
 };
 
+/**
+ * Create passwordless sign-in email content
+ * @param {string} token - Sign-in token
+ * @returns {Object} Email content with subject, text, and HTML
+ */
+const createMagicLinkEmailContent = (token) => {
+    const signInUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/magic-link/${token}`;
+
+    return {
+        subject: config.email.magicLinkSubject,
+        text: `
+      You requested a link to sign in. Please click the link below to sign in:
+      
+      ${signInUrl}
+      
+      This link will expire in 15 minutes and can only be used once.
+      
+      If you did not request this link, you can safely ignore this email.
+    `,
+        html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Sign In</h2>
+        <p>You requested a link to sign in. Please click the button below to sign in:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${signInUrl}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">Sign In</a>
+        </div>
+        <p>Or copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #0066cc;">${signInUrl}</p>
+        <p>This link will expire in 15 minutes and can only be used once.</p>
+        <p>If you did not request this link, you can safely ignore this email.</p>
+      </div>
+    `
+    };
+};
+
 /**
  * Send an email
  * @param {string} to - Recipient email address
@@ -148,7 +183,19 @@ const sendPasswordResetEmail = async (email, token) => {
     return sendEmail(email, content.subject, content.text, content.html);
 };
 
+/**
+ * Send passwordless sign-in email
+ * @param {string} email - Recipient email address
+ * @param {string} token - Sign-in token
+ * @returns {Promise<Object>} Delivery information
+ */
+const sendMagicLinkEmail = async (email, token) => {
+    const content = createMagicLinkEmailContent(token);
+    return sendEmail(email, content.subject, content.text, content.html);
+};
+
 module.exports = {
     sendVerificationEmail,
-    sendPasswordResetEmail
+    sendPasswordResetEmail,
+    sendMagicLinkEmail
 };
\ No newline at end of file
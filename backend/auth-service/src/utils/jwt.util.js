@@ -3,88 +3,36 @@
  * Handles token generation, validation, and management
  */
 
-const fs = require('fs');
-const path = require('path');
 const jwt = require('jsonwebtoken');
-const { promisify } = require('util');
 const config = require('../config/auth.config');
+const { getSigningKey, getVerificationKey, getJwks } = require('./key-store.util');
+const { loadRoles } = require('./role.util');
 
-// Convert callbacks to promises
-const readFileAsync = promisify(fs.readFile);
-const writeFileAsync = promisify(fs.writeFile);
-
-// Cache for keys
-let privateKey = null;
-let publicKey = null;
+// Token types signed for the auth service's own sign-in flows rather than for the clients
+const FLOW_TOKEN_TYPES = ['oauth_state', '2fa_challenge', 'magic_link'];
 
 /**
- * Read key files or generate new ones if they don't exist
- * @returns {Promise<Object>} Object containing private and public keys
+ * Get the audience a token type is signed for
+ * @param {string} type - Token type
+ * @returns {string} Audience
  */
-const getKeyPair = async () => {
-    // Use cached keys if available
-    if (privateKey && publicKey) {
-        return { privateKey, publicKey };
-    }
-
-    try {
-        // Try to read existing keys
-        const privKeyPath = path.resolve(config.jwt.privateKeyPath);
-        const pubKeyPath = path.resolve(config.jwt.publicKeyPath);
-
-        // Check if key files exist
-        if (fs.existsSync(privKeyPath) && fs.existsSync(pubKeyPath)) {
-            privateKey = await readFileAsync(privKeyPath, 'utf8');
-            publicKey = await readFileAsync(pubKeyPath, 'utf8');
-        } else {
-            // Generate new key pair if files don't exist
-            console.log('Key files not found, generating new RSA key pair...');
-            const { generateKeyPairSync } = require('crypto');
-
-            // Create directory if it doesn't exist
-            const keyDir = path.dirname(privKeyPath);
-            if (!fs.existsSync(keyDir)) {
-                fs.mkdirSync(keyDir, { recursive: true });
-            }
-
-            // Generate key pair
-            const { privateKey: newPrivateKey, publicKey: newPublicKey } = generateKeyPairSync('rsa', {
-                modulusLength: 2048,
-                publicKeyEncoding: {
-                    type: 'spki',
-                    format: 'pem'
-                },
-                privateKeyEncoding: {
-                    type: 'pkcs8',
-                    format: 'pem'
-                }
-            });
-
-            // Save keys to files
-            await writeFileAsync(privKeyPath, newPrivateKey);
-            await writeFileAsync(pubKeyPath, newPublicKey);
-
-            privateKey = newPrivateKey;
-            publicKey = newPublicKey;
-        }
-
-        return { privateKey, publicKey };
-    } catch (error) {
-        console.error('Error getting key pair:', error);
-        throw new Error('Failed to get JWT key pair');
-    }
-};
+const getAudience = (type) => (FLOW_TOKEN_TYPES.includes(type) ? config.jwt.flowAudience : config.jwt.audience);
 
 /**
  * Generate access and refresh tokens for a user
+ * Use issueTokens from refresh-token.util so the refresh token is persisted
  * @param {Object} user - User object
+ * @param {Object} refresh - Refresh token identity
+ * @param {string} refresh.jti - Refresh token id
+ * @param {string} refresh.familyId - Token family id
  * @returns {Promise<Object>} Object containing access and refresh tokens
  */
-const generateTokens = async (user) => {
+const generateTokens = async (user, { jti, familyId }) => {
     try {
-        const { privateKey } = await getKeyPair();
+        const { kid, privateKey } = await getSigningKey();
 
-        // Prepare user permissions from roles
+        // Prepare user permissions from roles, as currently stored
+        await loadRoles();
         const permissions = user.getPermissions();
 
         // Create access token payload
@@ -93,12 +41,14 @@ const generateTokens = async (user) => {
             email: user.email,
             roles: user.roles,
             permissions,
+            sid: familyId, // Session the token was issued for
             type: 'access'
         };
 
         // Create refresh token payload
         const refreshPayload = {
             sub: user.id,
+            fam: familyId,
             type: 'refresh'
         };
 
@@ -107,14 +57,17 @@ const generateTokens = async (user) => {
             algorithm: config.jwt.algorithm,
             expiresIn: config.jwt.accessExpiresIn,
             issuer: config.jwt.issuer,
-            audience: config.jwt.audience
+            audience: config.jwt.audience,
+            keyid: kid
         });
 
         const refreshToken = jwt.sign(refreshPayload, privateKey, {
             algorithm: config.jwt.algorithm,
             expiresIn: config.jwt.refreshExpiresIn,
             issuer: config.jwt.issuer,
-            audience: config.jwt.audience
+            audience: config.jwt.audience,
+            jwtid: jti,
+            keyid: kid
         });
 
         return { accessToken, refreshToken };
@@ -124,21 +77,57 @@ const generateTokens = async (user) => {
     }
 };
 
+/**
+ * Generate a short-lived access token acting for an API key
+ * Carries the key's scoped roles and permissions rather than the owner's,
+ * so services authenticating from JWTs serve API key requests like any other
+ * @param {Object} user - Key owner
+ * @param {Object} apiKey - API key instance
+ * @param {Object} scope - { roles, permissions } granted to the key
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+const generateApiKeyAccessToken = async (user, apiKey, { roles, permissions }) => {
+    const { kid, privateKey } = await getSigningKey();
+
+    const token = jwt.sign({
+        sub: user.id,
+        email: user.email,
+        roles,
+        permissions,
+        akid: apiKey.id, // API key the token acts for
+        type: 'access'
+    }, privateKey, {
+        algorithm: config.jwt.algorithm,
+        expiresIn: config.apiKeys.accessTokenExpiresIn,
+        issuer: config.jwt.issuer,
+        audience: config.jwt.audience,
+        keyid: kid
+    });
+
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
 /**
  * Verify a JWT token
  * @param {string} token - JWT token to verify
- * @param {string} type - Token type (access or refresh)
+ * @param {string} type - Token type (access, refresh or one of the flow token types)
  * @returns {Promise<Object>} Decoded token payload
  */
 const verifyToken = async (token, type = 'access') => {
     try {
-        const { publicKey } = await getKeyPair();
+        // Pick the key the token was signed with, tokens issued before key rotation carry no kid
+        const header = jwt.decode(token, { complete: true })?.header;
+        const publicKey = await getVerificationKey(header?.kid);
+
+        if (!publicKey) {
+            throw new Error('Invalid token');
+        }
 
         // Verify token
         const decoded = jwt.verify(token, publicKey, {
             algorithms: [config.jwt.algorithm],
             issuer: config.jwt.issuer,
-            audience: config.jwt.audience
+            audience: getAudience(type)
         });
 
         // Verify token type
@@ -159,16 +148,65 @@ const verifyToken = async (token, type = 'access') => {
 };
 
 /**
- * Get public key for token verification
- * @returns {Promise<string>} Public key
+ * Generate a short-lived token carrying the state of an OAuth flow between redirect and callback
+ * @param {Object} payload - Flow state (provider, state, codeVerifier)
+ * @returns {Promise<string>} Signed state token, verified with verifyToken(token, 'oauth_state')
+ */
+const generateOAuthStateToken = async (payload) => {
+    const { kid, privateKey } = await getSigningKey();
+
+    return jwt.sign({ ...payload, type: 'oauth_state' }, privateKey, {
+        algorithm: config.jwt.algorithm,
+        expiresIn: config.oauth.stateExpiresIn,
+        issuer: config.jwt.issuer,
+        audience: getAudience('oauth_state'),
+        keyid: kid
+    });
+};
+
+/**
+ * Generate a short-lived token proving the password step of a sign-in that still needs a second factor
+ * @param {Object} user - User object
+ * @param {string} purpose - 'verify' to enter a code, 'setup' to enroll first
+ * @returns {Promise<string>} Signed challenge token, verified with verifyToken(token, '2fa_challenge')
+ */
+const generateChallengeToken = async (user, purpose) => {
+    const { kid, privateKey } = await getSigningKey();
+
+    return jwt.sign({ sub: user.id, purpose, type: '2fa_challenge' }, privateKey, {
+        algorithm: config.jwt.algorithm,
+        expiresIn: config.twoFactor.challengeExpiresIn,
+        issuer: config.jwt.issuer,
+        audience: getAudience('2fa_challenge'),
+        keyid: kid
+    });
+};
+
+/**
+ * Generate a short-lived token for a passwordless sign-in link
+ * @param {Object} user - User object
+ * @param {string} jti - Link id, stored on the user so the link works only once
+ * @returns {Promise<string>} Signed link token, verified with verifyToken(token, 'magic_link')
  */
-const getPublicKey = async () => {
-    const { publicKey } = await getKeyPair();
-    return publicKey;
+const generateMagicLinkToken = async (user, jti) => {
+    const { kid, privateKey } = await getSigningKey();
+
+    return jwt.sign({ sub: user.id, type: 'magic_link' }, privateKey, {
+        algorithm: config.jwt.algorithm,
+        expiresIn: config.email.magicLinkExpiresIn,
+        issuer: config.jwt.issuer,
+        audience: getAudience('magic_link'),
+        jwtid: jti,
+        keyid: kid
+    });
 };
 
 module.exports = {
     generateTokens,
+    generateApiKeyAccessToken,
     verifyToken,
-    getPublicKey
+    generateOAuthStateToken,
+    generateChallengeToken,
+    generateMagicLinkToken,
+    getJwks
 };
\ No newline at end of file
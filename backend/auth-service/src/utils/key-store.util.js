@@ -0,0 +1,288 @@
+/**
+ * Key Store Utility Functions
+ * Manages the RSA key pairs used to sign tokens, each identified by its kid
+ *
+ * Layout of config.jwt.keysDir:
+ *   keys.json            - manifest { current, next, keys: [{ kid, privateKeyFile, publicKeyFile, createdAt, retiredAt }] }
+ *   <kid>.private.key    - PKCS#8 PEM
+ *   <kid>.public.key     - SPKI PEM
+ *
+ * New tokens are signed with the current key. Rotation is two-phase: a rotation publishes
+ * the next key in the JWKS, and a later one makes it current once the services have had time
+ * to fetch it (config.jwt.keyPublishLead). The previous key is then retired and stays
+ * published until every token it signed has expired (config.jwt.keyRetention).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config/auth.config');
+
+// Convert callbacks to promises
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+const unlinkAsync = promisify(fs.unlink);
+
+const MANIFEST_FILE = 'keys.json';
+
+// Loaded keys, refreshed every config.jwt.keyReloadInterval
+let store = null;
+
+/**
+ * Resolve a path inside the key directory
+ * @param {string} file - File name, or an absolute path for migrated keys
+ * @returns {string} Absolute path
+ */
+const keyPath = (file) => path.resolve(config.jwt.keysDir, file);
+
+/**
+ * Compute the kid of a public key: its JWK thumbprint (RFC 7638)
+ * @param {string} publicKey - SPKI PEM
+ * @returns {string} Key ID
+ */
+const computeKid = (publicKey) => {
+    const { e, kty, n } = crypto.createPublicKey(publicKey).export({ format: 'jwk' });
+
+    // Required members in lexicographic order, as the thumbprint specification demands
+    return crypto.createHash('sha256').update(JSON.stringify({ e, kty, n })).digest('base64url');
+};
+
+/**
+ * Export a public key as a JWK
+ * @param {string} publicKey - SPKI PEM
+ * @param {string} kid - Key ID
+ * @returns {Object} JWK with the real modulus (n) and exponent (e)
+ */
+const toJwk = (publicKey, kid) => {
+    const { kty, n, e } = crypto.createPublicKey(publicKey).export({ format: 'jwk' });
+
+    return { kty, use: 'sig', alg: config.jwt.algorithm, kid, n, e };
+};
+
+/**
+ * Generate a key pair and write it to the key directory
+ * @returns {Promise<Object>} Manifest entry of the new key
+ */
+const createKey = async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: {
+            type: 'spki',
+            format: 'pem'
+        },
+        privateKeyEncoding: {
+            type: 'pkcs8',
+            format: 'pem'
+        }
+    });
+
+    const kid = computeKid(publicKey);
+    const entry = {
+        kid,
+        privateKeyFile: `${kid}.private.key`,
+        publicKeyFile: `${kid}.public.key`,
+        createdAt: new Date().toISOString(),
+        retiredAt: null
+    };
+
+    fs.mkdirSync(path.resolve(config.jwt.keysDir), { recursive: true });
+    await writeFileAsync(keyPath(entry.privateKeyFile), privateKey, { mode: 0o600 });
+    await writeFileAsync(keyPath(entry.publicKeyFile), publicKey);
+
+    return entry;
+};
+
+/**
+ * Write the manifest
+ * @param {Object} manifest - Key manifest
+ */
+const saveManifest = async (manifest) => {
+    await writeFileAsync(keyPath(MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+};
+
+/**
+ * Read the manifest, falling back to the single legacy key pair
+ * @param {Object} options - Read options
+ * @param {boolean} options.create - Generate a first key when there is none
+ * @returns {Promise<Object|null>} Key manifest, null when there are no keys
+ */
+const readManifest = async ({ create }) => {
+    const manifestPath = keyPath(MANIFEST_FILE);
+
+    if (fs.existsSync(manifestPath)) {
+        return JSON.parse(await readFileAsync(manifestPath, 'utf8'));
+    }
+
+    // Key pair created before the key store existed
+    const privKeyPath = path.resolve(config.jwt.privateKeyPath);
+    const pubKeyPath = path.resolve(config.jwt.publicKeyPath);
+
+    if (fs.existsSync(privKeyPath) && fs.existsSync(pubKeyPath)) {
+        const kid = computeKid(await readFileAsync(pubKeyPath, 'utf8'));
+
+        return {
+            current: kid,
+            keys: [{ kid, privateKeyFile: privKeyPath, publicKeyFile: pubKeyPath, createdAt: null, retiredAt: null }]
+        };
+    }
+
+    if (!create) {
+        return null;
+    }
+
+    // Generate a first key if none exists
+    console.log('No signing keys found, generating a new RSA key pair...');
+    const entry = await createKey();
+    const manifest = { current: entry.kid, keys: [entry] };
+    await saveManifest(manifest);
+
+    return manifest;
+};
+
+/**
+ * Check whether a retired key has outlived every token it signed
+ * @param {Object} entry - Manifest entry
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if the key can be dropped
+ */
+const isExpired = (entry, now) => Boolean(entry.retiredAt) && new Date(entry.retiredAt).getTime() + config.jwt.keyRetention < now;
+
+/**
+ * Load the keys, reusing the loaded ones until the reload interval has passed
+ * @returns {Promise<Object>} Loaded store { current, keys: Map<kid, { publicKey, privateKey }> }
+ */
+const loadKeys = async () => {
+    const now = Date.now();
+
+    if (store && now - store.loadedAt < config.jwt.keyReloadInterval) {
+        return store;
+    }
+
+    try {
+        const manifest = await readManifest({ create: true });
+        const keys = new Map();
+
+        for (const entry of manifest.keys) {
+            if (isExpired(entry, now)) continue;
+
+            keys.set(entry.kid, {
+                publicKey: await readFileAsync(keyPath(entry.publicKeyFile), 'utf8'),
+                // Only the current key signs
+                privateKey: entry.kid === manifest.current ? await readFileAsync(keyPath(entry.privateKeyFile), 'utf8') : null
+            });
+        }
+
+        if (!keys.has(manifest.current)) {
+            throw new Error(`Current key ${manifest.current} is missing`);
+        }
+
+        store = { current: manifest.current, next: manifest.next || null, keys, loadedAt: now };
+        return store;
+    } catch (error) {
+        console.error('Error loading signing keys:', error);
+
+        // Keep serving with the keys loaded before, if any
+        if (store) return store;
+        throw new Error('Failed to get JWT key pair');
+    }
+};
+
+/**
+ * Get the key new tokens are signed with
+ * @returns {Promise<Object>} Object containing kid and privateKey
+ */
+const getSigningKey = async () => {
+    const { current, keys } = await loadKeys();
+    return { kid: current, privateKey: keys.get(current).privateKey };
+};
+
+/**
+ * Get the public key of a kid
+ * @param {string} [kid] - Key ID from the token header, the current key when omitted
+ * @returns {Promise<string|null>} Public key, null when the kid is unknown or expired
+ */
+const getVerificationKey = async (kid) => {
+    const { current, keys } = await loadKeys();
+    const key = keys.get(kid || current);
+
+    return key ? key.publicKey : null;
+};
+
+/**
+ * Get the JSON Web Key Set of every published key, current key first, then the next key
+ * @returns {Promise<Object>} JWKS
+ */
+const getJwks = async () => {
+    const { current, next, keys } = await loadKeys();
+    const first = [current, next].filter(kid => kid && keys.has(kid));
+    const kids = [...first, ...[...keys.keys()].filter(kid => !first.includes(kid))];
+
+    return { keys: kids.map(kid => toJwk(keys.get(kid).publicKey, kid)) };
+};
+
+/**
+ * Rotate the signing keys: make the published next key current and publish a new next key
+ * The previous current key is retired and expired keys are dropped. When there is no next key
+ * yet, e.g. on the first rotation, only the next key is published. Running instances switch
+ * to the new current key on their next reload.
+ * @returns {Promise<Object>} Rotation summary { current, next, retired, removed }
+ */
+const rotateKeys = async () => {
+    let manifest = await readManifest({ create: false });
+    const now = Date.now();
+
+    // Empty store: the first key is current, there are no tokens to keep verifying
+    if (!manifest) {
+        const entry = await createKey();
+        manifest = { current: entry.kid, next: null, keys: [entry] };
+    }
+
+    const next = manifest.keys.find(key => key.kid === manifest.next);
+    let retired = null;
+
+    if (next) {
+        const publishedFor = now - new Date(next.createdAt).getTime();
+
+        if (publishedFor < config.jwt.keyPublishLead) {
+            throw new Error(
+                `Next key ${next.kid} has been published for less than ${Math.round(config.jwt.keyPublishLead / 60000)} minutes, ` +
+                'the services may not know it yet'
+            );
+        }
+
+        // Retire the current key, it stays published until its tokens expire
+        manifest.keys.forEach(key => {
+            if (key.kid === manifest.current && !key.retiredAt) {
+                key.retiredAt = new Date(now).toISOString();
+            }
+        });
+
+        retired = manifest.current;
+        manifest.current = next.kid;
+    }
+
+    // Drop keys no valid token can refer to anymore
+    const removed = manifest.keys.filter(key => isExpired(key, now));
+    for (const key of removed) {
+        await Promise.all([key.privateKeyFile, key.publicKeyFile].map(file => unlinkAsync(keyPath(file)).catch(() => {})));
+    }
+
+    const entry = await createKey();
+    manifest.keys = [...manifest.keys.filter(key => !isExpired(key, now)), entry];
+    manifest.next = entry.kid;
+    await saveManifest(manifest);
+
+    store = null;
+
+    return { current: manifest.current, next: entry.kid, retired, removed: removed.map(key => key.kid) };
+};
+
+module.exports = {
+    computeKid,
+    toJwk,
+    getSigningKey,
+    getVerificationKey,
+    getJwks,
+    rotateKeys
+};
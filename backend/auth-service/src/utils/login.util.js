@@ -0,0 +1,97 @@
+/**
+ * Login Utility Functions
+ * Final steps shared by every sign-in method (password, OAuth, two-factor)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { generateChallengeToken } = require('./jwt.util');
+const { issueTokens } = require('./refresh-token.util');
+const { recordAuthEvent } = require('./auth-audit.util');
+const { sendPasswordResetEmail } = require('./email.util');
+
+/**
+ * Get the second factor a user still has to provide before tokens are issued
+ * @param {Object} user - User object
+ * @returns {Promise<Object|null>} Challenge { twoFactorRequired, setupRequired, challengeToken }, null when none is needed
+ */
+const getTwoFactorChallenge = async (user) => {
+    if (!user.isTwoFactorRequired()) {
+        return null;
+    }
+
+    // Users the policy requires 2FA from must enroll before their first sign-in completes
+    const purpose = user.twoFactorEnabled ? 'verify' : 'setup';
+
+    return {
+        twoFactorRequired: true,
+        setupRequired: purpose === 'setup',
+        challengeToken: await generateChallengeToken(user, purpose)
+    };
+};
+
+/**
+ * Email a link to choose a new password to a user whose password expired
+ * Sign-ins are refused until it is changed, whatever the method.
+ * @param {Object} user - User object
+ * @returns {Promise<void>}
+ */
+const sendExpiredPasswordReset = async (user) => {
+    const resetToken = uuidv4();
+    user.resetPasswordToken = resetToken;
+    user.resetPasswordExpires = new Date(Date.now() + 3600000); // 1 hour
+    await user.save();
+
+    await sendPasswordResetEmail(user.email, resetToken);
+};
+
+/**
+ * Remove sensitive fields from a user for responses
+ * @param {Object} user - User object
+ * @returns {Object} User data
+ */
+const sanitizeUser = (user) => {
+    const userData = { ...user.toJSON() };
+    delete userData.password;
+    delete userData.verificationToken;
+    delete userData.resetPasswordToken;
+
+    return userData;
+};
+
+/**
+ * Start a session: issue tokens, set the refresh token cookie and record the sign-in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User object
+ * @param {string} method - Sign-in method for the audit trail, e.g. password
+ * @returns {Promise<Object>} Response data { accessToken, user }
+ */
+const signIn = async (req, res, user, method) => {
+    // Generate tokens, starting a new refresh token family
+    const tokens = await issueTokens(user, { req });
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    recordAuthEvent(req, { user, method, outcome: 'success' });
+
+    // Set refresh token in HTTP-only cookie
+    res.cookie('refreshToken', tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    });
+
+    return {
+        accessToken: tokens.accessToken,
+        user: sanitizeUser(user)
+    };
+};
+
+module.exports = {
+    getTwoFactorChallenge,
+    sendExpiredPasswordReset,
+    sanitizeUser,
+    signIn
+};
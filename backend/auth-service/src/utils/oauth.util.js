@@ -0,0 +1,186 @@
+/**
+ * OAuth Utility Functions
+ * Authorization code flow with PKCE against the Google and GitHub providers
+ */
+
+const crypto = require('crypto');
+const config = require('../config/auth.config');
+
+// Timeout of each request to a provider
+const PROVIDER_TIMEOUT = 10000;
+
+/**
+ * Get the settings of an OAuth provider
+ * @param {string} name - Provider name (google, github)
+ * @returns {Object|null} Provider settings with their name, null when the provider is not configured
+ */
+const getProvider = (name) => {
+    const provider = config.oauth[name];
+
+    if (!['google', 'github'].includes(name) || !provider.clientId || !provider.clientSecret) {
+        return null;
+    }
+
+    return { name, ...provider };
+};
+
+/**
+ * Generate a random base64url string
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Random string
+ */
+const randomString = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge (RFC 7636)
+ * @returns {Object} Object containing codeVerifier and codeChallenge
+ */
+const generatePkce = () => {
+    const codeVerifier = randomString(32);
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Compare two state values in constant time
+ * @param {string} expected - State stored when the flow started
+ * @param {string} received - State returned by the provider
+ * @returns {boolean} True if both values match
+ */
+const isSameState = (expected, received) => {
+    const a = Buffer.from(String(expected || ''));
+    const b = Buffer.from(String(received || ''));
+
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Build the provider authorization URL the user is redirected to
+ * @param {Object} provider - Provider settings
+ * @param {Object} params - Flow parameters
+ * @param {string} params.state - Anti-CSRF state
+ * @param {string} params.codeChallenge - PKCE code challenge
+ * @returns {string} Authorization URL
+ */
+const buildAuthorizationUrl = (provider, { state, codeChallenge }) => {
+    const url = new URL(provider.authorizationUrl);
+
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', provider.callbackUrl);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('scope', provider.scope);
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    // Google asks for account selection so users can pick which account to link
+    if (provider.name === 'google') {
+        url.searchParams.set('prompt', 'select_account');
+    }
+
+    return url.toString();
+};
+
+/**
+ * Call a provider endpoint and parse its JSON response
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Response body
+ */
+const requestProvider = async (url, options = {}) => {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            Accept: 'application/json',
+            'User-Agent': 'portfolio-auth-service',
+            ...options.headers
+        },
+        signal: AbortSignal.timeout(PROVIDER_TIMEOUT)
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    // GitHub reports token errors with a 200 status
+    if (!response.ok || body.error) {
+        throw new Error(body.error_description || body.error || `Provider responded with status ${response.status}`);
+    }
+
+    return body;
+};
+
+/**
+ * Exchange an authorization code for a provider access token
+ * @param {Object} provider - Provider settings
+ * @param {string} code - Authorization code
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {Promise<string>} Provider access token
+ */
+const exchangeCode = async (provider, code, codeVerifier) => {
+    const body = await requestProvider(provider.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: provider.callbackUrl,
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret,
+            code_verifier: codeVerifier
+        }).toString()
+    });
+
+    if (!body.access_token) {
+        throw new Error('Provider did not return an access token');
+    }
+
+    return body.access_token;
+};
+
+/**
+ * Fetch the user profile from the provider
+ * @param {Object} provider - Provider settings
+ * @param {string} accessToken - Provider access token
+ * @returns {Promise<Object>} Normalized profile { providerId, email, emailVerified, username, firstName, lastName, avatarUrl }
+ */
+const fetchProfile = async (provider, accessToken) => {
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    const profile = await requestProvider(provider.userInfoUrl, { headers });
+
+    if (provider.name === 'google') {
+        return {
+            providerId: String(profile.sub),
+            email: profile.email ? profile.email.toLowerCase() : null,
+            emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+            username: profile.email ? profile.email.split('@')[0] : null,
+            firstName: profile.given_name || null,
+            lastName: profile.family_name || null,
+            avatarUrl: profile.picture || null
+        };
+    }
+
+    // GitHub only reports verification on the emails endpoint, use the primary verified address
+    const emails = await requestProvider(provider.emailsUrl, { headers });
+    const primary = Array.isArray(emails) ? emails.find(entry => entry.primary && entry.verified) : null;
+    const [firstName, ...lastName] = (profile.name || '').trim().split(/\s+/);
+
+    return {
+        providerId: String(profile.id),
+        email: primary ? primary.email.toLowerCase() : null,
+        emailVerified: Boolean(primary),
+        username: profile.login || null,
+        firstName: firstName || null,
+        lastName: lastName.join(' ') || null,
+        avatarUrl: profile.avatar_url || null
+    };
+};
+
+module.exports = {
+    getProvider,
+    randomString,
+    generatePkce,
+    isSameState,
+    buildAuthorizationUrl,
+    exchangeCode,
+    fetchProfile
+};
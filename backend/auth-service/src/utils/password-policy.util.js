@@ -0,0 +1,186 @@
+/**
+ * Password Policy Utility
+ * Checks new passwords against the whole policy: composition rules, breached passwords
+ * and the user's previous passwords, and tells when a password has expired
+ *
+ * The breached list is stored like the Pwned Passwords range API: one file per SHA-1 prefix
+ * (e.g. 5B.txt) listing the rest of each hash and how often it was seen, as SUFFIX:COUNT lines.
+ * A check reads the file of one prefix only, so the list can be as large as the disk allows.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const PasswordHistory = require('../models/password-history.model');
+const { validatePassword } = require('./validation.util');
+const config = require('../config/auth.config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Look a password up in the breached password list
+ * @param {string} password - Plain text password
+ * @returns {Promise<number>} Number of times it was seen in breaches, 0 if not listed
+ */
+const getBreachCount = async (password) => {
+    const { enabled, dir, prefixLength } = config.password.breached;
+
+    if (!enabled || !password) return 0;
+
+    const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+    const prefix = hash.slice(0, prefixLength);
+    const suffix = hash.slice(prefixLength);
+
+    let content;
+    try {
+        content = await fs.readFile(path.join(dir, `${prefix}.txt`), 'utf8');
+    } catch (error) {
+        // No file means no listed password has this prefix
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    for (const line of content.split('\n')) {
+        const [lineSuffix, count] = line.trim().split(':');
+        if (lineSuffix === suffix) {
+            return parseInt(count) || 1;
+        }
+    }
+
+    return 0;
+};
+
+/**
+ * Get the hashes of the passwords a user cannot reuse, newest first
+ * @param {Object} user - User instance
+ * @returns {Promise<string[]>} bcrypt hashes
+ */
+const getRecentPasswordHashes = async (user) => {
+    const history = await PasswordHistory.findAll({
+        where: { userId: user.id },
+        attributes: ['passwordHash'],
+        order: [['createdAt', 'DESC']],
+        limit: config.password.historySize
+    });
+
+    // Accounts created before the history was kept only have their current password
+    return [...new Set([user.password, ...history.map(entry => entry.passwordHash)].filter(Boolean))];
+};
+
+/**
+ * Check whether a password is one of the user's current or recent passwords
+ * @param {Object} user - User instance
+ * @param {string} password - Plain text password
+ * @returns {Promise<boolean>} True if the password was used recently
+ */
+const isPasswordReused = async (user, password) => {
+    if (config.password.historySize <= 0) return false;
+
+    for (const hash of await getRecentPasswordHashes(user)) {
+        if (await bcrypt.compare(password, hash)) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Check a new password against the password policy
+ * Every failed rule is reported, so the UI can show them all at once
+ * @param {string} password - Plain text password
+ * @param {Object} [user] - User instance, for the history check when the user already exists
+ * @returns {Promise<Object>} { isValid, message, reasons: [{ code, message }] }
+ */
+const checkPasswordPolicy = async (password, user = null) => {
+    const composition = validatePassword(password);
+    const reasons = [...composition.reasons];
+    const messages = composition.isValid ? [] : [composition.message];
+
+    if (await getBreachCount(password) > 0) {
+        const message = 'Password has appeared in a data breach, choose another one';
+        reasons.push({ code: 'breached', message });
+        messages.push(message);
+    }
+
+    if (user && password && await isPasswordReused(user, password)) {
+        const message = `Password must differ from your last ${config.password.historySize} passwords`;
+        reasons.push({ code: 'reused', message });
+        messages.push(message);
+    }
+
+    if (reasons.length === 0) {
+        return { isValid: true, reasons };
+    }
+
+    return {
+        isValid: false,
+        message: messages.join('. '),
+        reasons
+    };
+};
+
+/**
+ * Remember the user's current password hash, call after the password is saved
+ * Entries beyond the history size are deleted
+ * @param {Object} user - User instance
+ * @returns {Promise<void>}
+ */
+const recordPasswordHistory = async (user) => {
+    const { historySize } = config.password;
+
+    if (historySize <= 0) return;
+
+    await PasswordHistory.create({ userId: user.id, passwordHash: user.password });
+
+    const stale = await PasswordHistory.findAll({
+        where: { userId: user.id },
+        attributes: ['id'],
+        order: [['createdAt', 'DESC']],
+        offset: historySize
+    });
+
+    if (stale.length) {
+        await PasswordHistory.destroy({ where: { id: { [Op.in]: stale.map(entry => entry.id) } } });
+    }
+};
+
+/**
+ * Get the date the user's password expires
+ * Every sign-in method checks it. Accounts created through an OAuth provider are exempt until
+ * the user sets a password: their random one was never known, so it cannot grow stale.
+ * @param {Object} user - User instance
+ * @returns {Date|null} Expiry date, null when the password does not expire
+ */
+const getPasswordExpiry = (user) => {
+    const { maxAgeDays } = config.password;
+
+    if (maxAgeDays <= 0 || user.hasPassword === false) return null;
+
+    // Passwords set before changes were tracked count from the account creation
+    const setAt = user.passwordChangedAt || user.createdAt;
+
+    return new Date(new Date(setAt).getTime() + maxAgeDays * DAY_MS);
+};
+
+/**
+ * Check whether the user's password is older than the policy allows
+ * @param {Object} user - User instance
+ * @returns {boolean} True if the password has expired
+ */
+const isPasswordExpired = (user) => {
+    const expiry = getPasswordExpiry(user);
+
+    return expiry !== null && expiry <= new Date();
+};
+
+module.exports = {
+    getBreachCount,
+    isPasswordReused,
+    checkPasswordPolicy,
+    recordPasswordHistory,
+    getPasswordExpiry,
+    isPasswordExpired
+};
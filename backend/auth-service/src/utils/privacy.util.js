@@ -0,0 +1,100 @@
+/**
+ * Privacy Utility
+ * Functions describing a client without storing personal data
+ */
+
+const UAParser = require('ua-parser-js');
+
+/**
+ * Anonymize an IP address by removing the last part
+ * @param {string} ipAddress - IP address to anonymize
+ * @returns {string} - Anonymized IP address
+ */
+const anonymizeIP = (ipAddress) => {
+    if (!ipAddress) return null;
+
+    try {
+        // Handle IPv4 addresses, including IPv4-mapped IPv6 (::ffff:1.2.3.4)
+        if (ipAddress.includes('.')) {
+            const parts = ipAddress.replace(/^::ffff:/i, '').split('.');
+            if (parts.length === 4) {
+                // Replace last octet with 0
+                return `${parts[0]}.${parts[1]}.${parts[2]}.0`;
+            }
+        }
+
+        // Handle IPv6 addresses
+        if (ipAddress.includes(':')) {
+            const parts = ipAddress.split(':');
+            if (parts.length > 4) {
+                // Replace last 3 parts with 0
+                const preserved = parts.slice(0, -3);
+                return `${preserved.join(':')}:0:0:0`;
+            }
+        }
+
+        // If format is unrecognized, return null
+        return null;
+    } catch (error) {
+        console.error('Error anonymizing IP:', error);
+        return null;
+    }
+};
+
+/**
+ * Get the client IP of a request, as forwarded by the API gateway
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Client IP address
+ */
+const getClientIP = (req) => {
+    const forwarded = req.headers['x-forwarded-for'];
+
+    if (forwarded) {
+        return String(forwarded).split(',')[0].trim();
+    }
+
+    return req.socket ? req.socket.remoteAddress : null;
+};
+
+/**
+ * Determine device type from user agent
+ * @param {Object} parsedUA - Parsed user agent
+ * @returns {string} - Device type
+ */
+const getDeviceType = (parsedUA) => {
+    const device = parsedUA.device.type || '';
+
+    if (device === 'mobile') return 'mobile';
+    if (device === 'tablet') return 'tablet';
+    if (device === 'smarttv') return 'smart tv';
+    if (device === 'console') return 'game console';
+    if (device === 'wearable') return 'wearable';
+
+    return 'desktop'; // Default to desktop
+};
+
+/**
+ * Describe the client of a request for session listings
+ * @param {Object} req - Express request object
+ * @returns {Object} - { device, deviceType, userAgent, ipAddress }, the IP address anonymized
+ */
+const describeClient = (req) => {
+    const userAgent = req.headers['user-agent'] || null;
+    const parsedUA = new UAParser(userAgent || '').getResult();
+    const browser = parsedUA.browser.name;
+    const os = parsedUA.os.name;
+
+    return {
+        // e.g. "Chrome on macOS"
+        device: [browser, os].filter(Boolean).join(' on ') || 'Unknown device',
+        deviceType: getDeviceType(parsedUA),
+        userAgent: userAgent ? userAgent.slice(0, 500) : null,
+        ipAddress: anonymizeIP(getClientIP(req))
+    };
+};
+
+module.exports = {
+    anonymizeIP,
+    getClientIP,
+    describeClient
+};
@@ -0,0 +1,190 @@
+/**
+ * Refresh Token Utility Functions
+ * Issues, rotates and revokes persisted refresh tokens and the sessions they belong to
+ */
+
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const RefreshToken = require('../models/refresh-token.model');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const { generateTokens, verifyToken } = require('./jwt.util');
+const { describeClient } = require('./privacy.util');
+const { isPasswordExpired } = require('./password-policy.util');
+
+/**
+ * Issue an access and refresh token pair, persist the refresh token and record its session
+ * @param {Object} user - User object
+ * @param {Object} options - Issue options
+ * @param {string} [options.familyId] - Family to continue, a new family (sign-in) when omitted
+ * @param {Object} [options.req] - Express request object, describes the client of the session
+ * @returns {Promise<Object>} Object containing access and refresh tokens and the family id
+ */
+const issueTokens = async (user, { familyId, req } = {}) => {
+    const isNewSession = !familyId;
+    const sessionId = familyId || uuidv4();
+    const jti = uuidv4();
+    const tokens = await generateTokens(user, { jti, familyId: sessionId });
+    const expiresAt = new Date(jwt.decode(tokens.refreshToken).exp * 1000);
+    const client = req ? describeClient(req) : {};
+
+    await RefreshToken.create({
+        id: jti,
+        userId: user.id,
+        familyId: sessionId,
+        expiresAt
+    });
+
+    if (isNewSession) {
+        await Session.create({ id: sessionId, userId: user.id, ...client, lastSeenAt: new Date(), expiresAt });
+    } else {
+        // Each refresh extends the session, the device stays the one that signed in
+        await Session.update(
+            { lastSeenAt: new Date(), expiresAt, ...(client.ipAddress ? { ipAddress: client.ipAddress } : {}) },
+            { where: { id: sessionId } }
+        );
+    }
+
+    return { ...tokens, familyId: sessionId };
+};
+
+/**
+ * Revoke every token of a family
+ * @param {string} familyId - Token family id
+ * @param {string} reason - Revocation reason, e.g. logout
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+const revokeFamily = async (familyId, reason) => {
+    const [revoked] = await RefreshToken.update(
+        { revokedAt: new Date(), revokedReason: reason },
+        { where: { familyId, revokedAt: null } }
+    );
+
+    await Session.update({ revokedAt: new Date() }, { where: { id: familyId, revokedAt: null } });
+
+    return revoked;
+};
+
+/**
+ * Revoke every token of a user, signing them out of all sessions
+ * Access tokens already issued stay valid until they expire (config.jwt.accessExpiresIn)
+ * @param {string} userId - User id
+ * @param {string} reason - Revocation reason, e.g. logout_all
+ * @param {Object} [options] - Revoke options
+ * @param {string} [options.exceptFamilyId] - Session kept signed in, e.g. the one changing the password
+ * @returns {Promise<number>} Number of sessions that were still active
+ */
+const revokeUserTokens = async (userId, reason, { exceptFamilyId } = {}) => {
+    const except = exceptFamilyId ? { familyId: { [Op.ne]: exceptFamilyId } } : {};
+
+    // The unused, unexpired token of a family is its live session
+    const activeSessions = await RefreshToken.count({
+        where: {
+            userId,
+            ...except,
+            usedAt: null,
+            revokedAt: null,
+            expiresAt: { [Op.gt]: new Date() }
+        },
+        distinct: true,
+        col: 'familyId'
+    });
+
+    await RefreshToken.update(
+        { revokedAt: new Date(), revokedReason: reason },
+        { where: { userId, ...except, revokedAt: null } }
+    );
+
+    await Session.update(
+        { revokedAt: new Date() },
+        { where: { userId, ...(exceptFamilyId ? { id: { [Op.ne]: exceptFamilyId } } : {}), revokedAt: null } }
+    );
+
+    return activeSessions;
+};
+
+/**
+ * Exchange a refresh token for a new token pair of the same family
+ * A token that was already exchanged is being replayed: its family is revoked
+ * Sessions of a user whose password expired are revoked, as if the user signed out
+ * @param {string} token - Refresh JWT
+ * @param {Object} [req] - Express request object, updates the session last seen IP
+ * @returns {Promise<Object>} Object containing the user, new tokens and the family id
+ */
+const rotateRefreshToken = async (token, req) => {
+    const decoded = await verifyToken(token, 'refresh');
+
+    // Tokens issued before rotation was introduced carry no id and are no longer accepted
+    const record = decoded.jti ? await RefreshToken.findByPk(decoded.jti) : null;
+
+    if (!record || record.userId !== decoded.sub) {
+        throw new Error('Invalid refresh token');
+    }
+
+    if (record.revokedAt) {
+        throw new Error('Refresh token has been revoked');
+    }
+
+    // Mark the token used, only one request can win this update
+    const [claimed] = await RefreshToken.update(
+        { usedAt: new Date() },
+        { where: { id: record.id, usedAt: null, revokedAt: null } }
+    );
+
+    if (!claimed) {
+        await revokeFamily(record.familyId, 'reuse_detected');
+        console.warn(`Refresh token reuse detected for user ${record.userId}, family ${record.familyId} revoked`);
+        throw new Error('Refresh token reuse detected, please log in again');
+    }
+
+    // Find user
+    const user = await User.findByPk(decoded.sub);
+
+    if (!user || !user.active) {
+        await revokeFamily(record.familyId, 'user_inactive');
+        throw new Error('User not found or inactive');
+    }
+
+    // Sessions end with the password, signing in again leads to a reset
+    if (isPasswordExpired(user)) {
+        await revokeFamily(record.familyId, 'password_expired');
+        throw new Error('Password expired, please log in again');
+    }
+
+    const tokens = await issueTokens(user, { familyId: record.familyId, req });
+
+    return { user, ...tokens };
+};
+
+/**
+ * Find the family of a refresh token without rotating it
+ * @param {string} token - Refresh JWT
+ * @returns {Promise<Object|null>} Object containing familyId and userId, null when the token is invalid
+ */
+const getTokenFamily = async (token) => {
+    try {
+        const decoded = await verifyToken(token, 'refresh');
+        return decoded.fam ? { familyId: decoded.fam, userId: decoded.sub } : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Delete expired tokens and sessions, an expired refresh JWT is rejected before any lookup
+ * @returns {Promise<number>} Number of tokens deleted
+ */
+const pruneExpiredTokens = async () => {
+    await Session.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+    return RefreshToken.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+};
+
+module.exports = {
+    issueTokens,
+    rotateRefreshToken,
+    revokeFamily,
+    revokeUserTokens,
+    getTokenFamily,
+    pruneExpiredTokens
+};
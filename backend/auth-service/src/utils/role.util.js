@@ -0,0 +1,107 @@
+/**
+ * Role Utility Functions
+ * Keeps the permissions of every role in memory so they can be read synchronously
+ * (User.getPermissions) while the roles themselves live in the database
+ *
+ * The cache is reloaded when a role changes on this instance and after config.roles.cacheTtl
+ * otherwise, which bounds how long other instances keep serving the previous permissions.
+ */
+
+const Role = require('../models/role.model');
+const config = require('../config/auth.config');
+
+// Loaded roles { permissions: Map<name, string[]>, loadedAt }
+let cache = null;
+
+// Load in progress, shared by concurrent callers
+let loading = null;
+
+/**
+ * Load the roles, reusing the loaded ones until the cache TTL has passed
+ * @param {boolean} [force] - Reload even if the cache is fresh
+ * @returns {Promise<Map>} Permissions by role name
+ */
+const loadRoles = async (force = false) => {
+    if (!force && cache && Date.now() - cache.loadedAt < config.roles.cacheTtl) {
+        return cache.permissions;
+    }
+
+    if (!loading) {
+        loading = Role.findAll({ attributes: ['name', 'permissions'] })
+            .then(roles => {
+                cache = {
+                    permissions: new Map(roles.map(role => [role.name, role.permissions || []])),
+                    loadedAt: Date.now()
+                };
+                return cache.permissions;
+            })
+            .catch(error => {
+                // Keep serving with the roles loaded before, if any
+                console.error('Error loading roles:', error);
+                if (cache) return cache.permissions;
+                throw error;
+            })
+            .finally(() => {
+                loading = null;
+            });
+    }
+
+    return loading;
+};
+
+/**
+ * Reload the roles after a change
+ * @returns {Promise<Map>} Permissions by role name
+ */
+const invalidateRoles = () => loadRoles(true);
+
+/**
+ * Get the permissions of a role from the cache
+ * Before the first load, the built-in roles from the configuration are used
+ * @param {string} name - Role name
+ * @returns {string[]} Permissions, empty for unknown roles
+ */
+const getRolePermissions = (name) => {
+    if (!cache) {
+        return config.roles.permissions[name] || [];
+    }
+
+    return cache.permissions.get(name) || [];
+};
+
+/**
+ * Check whether a role exists
+ * @param {string} name - Role name
+ * @returns {Promise<boolean>} True if the role exists
+ */
+const roleExists = async (name) => (await loadRoles()).has(name);
+
+/**
+ * Create the built-in roles that do not exist yet
+ * Existing roles keep their permissions, they may have been edited through the admin API
+ * @returns {Promise<string[]>} Names of the roles created
+ */
+const seedDefaultRoles = async () => {
+    const created = [];
+
+    for (const [name, permissions] of Object.entries(config.roles.permissions)) {
+        const [, wasCreated] = await Role.findOrCreate({
+            where: { name },
+            defaults: { name, permissions, isSystem: true }
+        });
+
+        if (wasCreated) created.push(name);
+    }
+
+    await invalidateRoles();
+
+    return created;
+};
+
+module.exports = {
+    loadRoles,
+    invalidateRoles,
+    getRolePermissions,
+    roleExists,
+    seedDefaultRoles
+};
@@ -0,0 +1,224 @@
+/**
+ * TOTP Utility Functions
+ * Time-based one-time passwords (RFC 6238) and recovery codes for two-factor authentication
+ */
+
+const crypto = require('crypto');
+const config = require('../config/auth.config');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding), the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach(byte => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+
+    return output;
+};
+
+/**
+ * Decode a base32 string
+ * @param {string} value - Base32 string, case and padding insensitive
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (value) => {
+    let bits = '';
+    String(value).toUpperCase().replace(/=+$/, '').split('').forEach(char => {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        bits += index.toString(2).padStart(5, '0');
+    });
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the TOTP code of a time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** config.twoFactor.digits).padStart(config.twoFactor.digits, '0');
+};
+
+/**
+ * Get the current time step
+ * @param {number} [now] - Timestamp in milliseconds
+ * @returns {number} Time step counter
+ */
+const getTimeStep = (now = Date.now()) => Math.floor(now / 1000 / config.twoFactor.period);
+
+/**
+ * Verify a TOTP code, allowing for clock drift of config.twoFactor.window steps
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [lastUsedStep] - Step of the last accepted code, codes cannot be replayed
+ * @returns {number|null} Matched time step, null when the code is invalid
+ */
+const verifyCode = (secret, code, lastUsedStep = -1) => {
+    const normalized = String(code || '').replace(/\s+/g, '');
+
+    if (!/^\d+$/.test(normalized) || normalized.length !== config.twoFactor.digits) {
+        return null;
+    }
+
+    const current = getTimeStep();
+
+    for (let step = current - config.twoFactor.window; step <= current + config.twoFactor.window; step++) {
+        if (step > lastUsedStep && crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build the otpauth:// provisioning URI, encoded in the QR code scanned by authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label, usually the email
+ * @returns {string} Provisioning URI
+ */
+const buildOtpauthUrl = (secret, accountName) => {
+    const { issuer, digits, period } = config.twoFactor;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(digits), period: String(period) });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Derive the AES key protecting stored secrets
+ * @returns {Buffer} 256-bit key
+ */
+const getEncryptionKey = () => crypto.createHash('sha256').update(config.twoFactor.encryptionKey).digest();
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv.tag.ciphertext, base64url encoded
+ */
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} value - Value produced by encryptSecret
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (value) => {
+    const [iv, tag, encrypted] = String(value).split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Hash a recovery code for storage, ignoring case and separators
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a set of single-use recovery codes
+ * @returns {Object} Object containing the codes to show once and their hashes to store
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: config.twoFactor.recoveryCodes }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check a second factor: a TOTP code, or a recovery code which is then consumed
+ * Updates the user on success, the caller saves it
+ * @param {Object} user - User object
+ * @param {Object} factor - Provided factor
+ * @param {string} [factor.code] - TOTP code
+ * @param {string} [factor.recoveryCode] - Recovery code
+ * @returns {boolean} True if the factor is valid
+ */
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = verifyCode(decryptSecret(user.twoFactorSecret), code, user.twoFactorLastUsedStep ?? -1);
+
+        if (step === null) {
+            return false;
+        }
+
+        user.twoFactorLastUsedStep = step;
+        return true;
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const remaining = user.twoFactorRecoveryCodes || [];
+
+        if (!remaining.includes(hash)) {
+            return false;
+        }
+
+        user.twoFactorRecoveryCodes = remaining.filter(stored => stored !== hash);
+        return true;
+    }
+
+    return false;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    getTimeStep,
+    verifyCode,
+    buildOtpauthUrl,
+    encryptSecret,
+    decryptSecret,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+    checkSecondFactor
+};
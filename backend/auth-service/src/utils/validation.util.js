@@ -19,61 +19,59 @@ const validateEmail = (email) => {
 };
 
 /**
- * Validate password strength
+ * Validate password strength against the composition rules of the password policy
+ * The breached list and password history are checked by checkPasswordPolicy (password-policy.util)
  * @param {string} password - Password to validate
- * @returns {Object} Object with validation result and message
+ * @returns {Object} Object with validation result, message and reasons ({ code, message }) for the UI
  */
 const validatePassword = (password) => {
     // Check password length
     if (!password || password.length < config.password.minLength) {
+        const message = `Password must be at least ${config.password.minLength} characters long`;
         return {
             isValid: false,
-            message: `Password must be at least ${config.password.minLength} characters long`
+            message,
+            reasons: [{ code: 'too_short', message }]
         };
     }
 
-    const validations = [];
+    const reasons = [];
     let missingCriteria = [];
 
     // Check for uppercase letters
-    if (config.password.requireUppercase) {
-        const hasUppercase = /[A-Z]/.test(password);
-        validations.push(hasUppercase);
-        if (!hasUppercase) missingCriteria.push('uppercase letter');
+    if (config.password.requireUppercase && !/[A-Z]/.test(password)) {
+        missingCriteria.push('uppercase letter');
+        reasons.push({ code: 'missing_uppercase', message: 'Password must include at least one uppercase letter' });
     }
 
     // Check for lowercase letters
-    if (config.password.requireLowercase) {
-        const hasLowercase = /[a-z]/.test(password);
-        validations.push(hasLowercase);
-        if (!hasLowercase) missingCriteria.push('lowercase letter');
+    if (config.password.requireLowercase && !/[a-z]/.test(password)) {
+        missingCriteria.push('lowercase letter');
+        reasons.push({ code: 'missing_lowercase', message: 'Password must include at least one lowercase letter' });
     }
 
     // Check for numbers
-    if (config.password.requireNumbers) {
-        const hasNumber = /\d/.test(password);
-        validations.push(hasNumber);
-        if (!hasNumber) missingCriteria.push('number');
+    if (config.password.requireNumbers && !/\d/.test(password)) {
+        missingCriteria.push('number');
+        reasons.push({ code: 'missing_number', message: 'Password must include at least one number' });
     }
 
     // Check for special characters
-    if (config.password.requireSpecialChars) {
-        const hasSpecial = /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password);
-        validations.push(hasSpecial);
-        if (!hasSpecial) missingCriteria.push('special character');
+    if (config.password.requireSpecialChars && !/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) {
+        missingCriteria.push('special character');
+        reasons.push({ code: 'missing_special', message: 'Password must include at least one special character' });
     }
 
     // Check if all validations passed
-    const isValid = validations.every(Boolean);
-
-    if (isValid) {
-        return { isValid: true };
-    } else {
-        return {
-            isValid: false,
-            message: `Password must include at least one ${missingCriteria.join(', ')}`
-        };
+    if (reasons.length === 0) {
+        return { isValid: true, reasons };
     }
+
+    return {
+        isValid: false,
+        message: `Password must include at least one ${missingCriteria.join(', ')}`,
+        reasons
+    };
 };
 
 /**
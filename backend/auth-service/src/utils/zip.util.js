@@ -0,0 +1,112 @@
+/**
+ * ZIP Utility Functions
+ * Writes small in-memory ZIP archives, enough for data export bundles
+ */
+
+const zlib = require('zlib');
+
+// CRC-32 lookup table (IEEE polynomial, reflected)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (buffer) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Convert a date to the MS-DOS time and date fields of a ZIP entry
+ * @param {Date} date - Modification date
+ * @returns {Object} { time, date }
+ */
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Create a ZIP archive
+ * @param {Array<{name: string, content: (string|Buffer)}>} files - Files to add
+ * @param {Date} [modifiedAt] - Modification date of every file
+ * @returns {Buffer} ZIP archive
+ */
+const createZip = (files, modifiedAt = new Date()) => {
+    const { time, date } = toDosDateTime(modifiedAt);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const fileName = Buffer.from(name, 'utf8');
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+        const deflated = zlib.deflateRawSync(data);
+
+        // Keep the data as is when compressing does not help
+        const compressed = deflated.length < data.length;
+        const stored = compressed ? deflated : data;
+        const method = compressed ? 8 : 0;
+        const crc = crc32(data);
+
+        // Local file header
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4); // Version needed to extract
+        local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        local.writeUInt16LE(0, 28); // Extra field length
+
+        // Central directory entry
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4); // Version made by
+        central.writeUInt16LE(20, 6); // Version needed to extract
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(stored.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42); // Offset of the local header
+
+        localParts.push(local, fileName, stored);
+        centralParts.push(central, fileName);
+        offset += local.length + fileName.length + stored.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+
+    // End of central directory record
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+module.exports = {
+    createZip
+};
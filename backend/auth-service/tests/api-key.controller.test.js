@@ -0,0 +1,71 @@
+/**
+ * API Key Controller Tests
+ */
+
+jest.mock('../../shared/utils/response-formatter', () => ({
+    formatResponse: (message, data) => ({ message, data }),
+    formatError: (error, message) => ({ error, message })
+}), { virtual: true });
+jest.mock('../../shared/utils/http-status', () => ({
+    CREATED: 201, OK: 200, BAD_REQUEST: 400, UNAUTHORIZED: 401, FORBIDDEN: 403, NOT_FOUND: 404
+}), { virtual: true });
+jest.mock('../src/models/api-key.model', () => ({ findOne: jest.fn() }));
+jest.mock('../src/models/user.model', () => ({}));
+jest.mock('../src/utils/role.util', () => ({ loadRoles: jest.fn(), getRolePermissions: jest.fn() }));
+jest.mock('../src/utils/jwt.util', () => ({ generateApiKeyAccessToken: jest.fn() }));
+
+const ApiKey = require('../src/models/api-key.model');
+const config = require('../src/config/auth.config');
+const { verifyApiKey } = require('../src/controllers/api-key.controller');
+
+/**
+ * Build a mock Express response
+ * @returns {Object} Response recording its status and body
+ */
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+describe('verifyApiKey', () => {
+    const internalToken = config.apiKeys.internalToken;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        config.apiKeys.internalToken = 'internal-secret';
+        ApiKey.findOne.mockResolvedValue(null);
+    });
+
+    afterAll(() => {
+        config.apiKeys.internalToken = internalToken;
+    });
+
+    it('refuses every caller when no internal token is configured', async () => {
+        config.apiKeys.internalToken = undefined;
+        const res = mockResponse();
+
+        await verifyApiKey({ headers: {}, body: { key: 'pak_1a2b3c4d_secret' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(ApiKey.findOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses a caller with another internal token', async () => {
+        const res = mockResponse();
+
+        await verifyApiKey({ headers: { 'x-internal-token': 'internal-guess' }, body: { key: 'pak_1a2b3c4d_secret' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(ApiKey.findOne).not.toHaveBeenCalled();
+    });
+
+    it('verifies keys for a caller holding the internal token', async () => {
+        const res = mockResponse();
+
+        await verifyApiKey({ headers: { 'x-internal-token': 'internal-secret' }, body: { key: 'not-a-key' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+});
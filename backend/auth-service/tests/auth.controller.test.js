@@ -0,0 +1,81 @@
+/**
+ * Authentication Controller Tests
+ */
+
+jest.mock('../../shared/utils/response-formatter', () => ({
+    formatResponse: (message, data) => ({ message, data }),
+    formatError: (error, message) => ({ error, message })
+}), { virtual: true });
+jest.mock('../../shared/utils/http-status', () => ({
+    CREATED: 201, OK: 200, BAD_REQUEST: 400, UNAUTHORIZED: 401, FORBIDDEN: 403, NOT_FOUND: 404
+}), { virtual: true });
+jest.mock('../src/models/user.model', () => ({ findByPk: jest.fn() }));
+jest.mock('../src/utils/jwt.util', () => ({ getJwks: jest.fn() }));
+jest.mock('../src/utils/login.util', () => ({}));
+jest.mock('../src/utils/refresh-token.util', () => ({ revokeUserTokens: jest.fn() }));
+jest.mock('../src/utils/password-policy.util', () => ({
+    checkPasswordPolicy: jest.fn(async () => ({ isValid: true })),
+    recordPasswordHistory: jest.fn()
+}));
+jest.mock('../src/utils/auth-audit.util', () => ({}));
+jest.mock('../src/utils/email.util', () => ({}));
+jest.mock('../src/events/auth-events', () => ({ publishEvent: jest.fn() }));
+jest.mock('bcrypt', () => ({
+    compare: jest.fn(async (password, hash) => hash === `hashed:${password}`),
+    hash: jest.fn(async (password) => `hashed:${password}`)
+}));
+
+const User = require('../src/models/user.model');
+const { revokeUserTokens } = require('../src/utils/refresh-token.util');
+const { publishEvent } = require('../src/events/auth-events');
+const { changePassword } = require('../src/controllers/auth.controller');
+
+/**
+ * Build a mock Express response
+ * @returns {Object} Response recording its status and body
+ */
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+describe('changePassword', () => {
+    let user;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        user = { id: 'user-1', password: 'hashed:old-Password1!', passwordChangedAt: null, save: jest.fn() };
+        User.findByPk.mockResolvedValue(user);
+    });
+
+    it('signs out every session but the current one', async () => {
+        const res = mockResponse();
+
+        await changePassword({
+            user: { id: 'user-1', sessionId: 'session-1' },
+            body: { currentPassword: 'old-Password1!', newPassword: 'new-Password2!' }
+        }, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(user.password).toBe('hashed:new-Password2!');
+        expect(user.passwordChangedAt).toBeInstanceOf(Date);
+        expect(revokeUserTokens).toHaveBeenCalledWith('user-1', 'password_changed', { exceptFamilyId: 'session-1' });
+        expect(publishEvent).toHaveBeenCalledWith('user.password.changed', { userId: 'user-1', method: 'change' });
+    });
+
+    it('keeps every session when the current password is wrong', async () => {
+        const res = mockResponse();
+
+        await changePassword({
+            user: { id: 'user-1', sessionId: 'session-1' },
+            body: { currentPassword: 'guess', newPassword: 'new-Password2!' }
+        }, res);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(user.save).not.toHaveBeenCalled();
+        expect(revokeUserTokens).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Authentication Routes Tests
+ */
+
+jest.mock('../../shared/utils/response-formatter', () => ({
+    formatResponse: (message, data) => ({ message, data }),
+    formatError: (error, message) => ({ error, message })
+}), { virtual: true });
+jest.mock('../../shared/utils/http-status', () => ({
+    OK: 200, BAD_REQUEST: 400, UNAUTHORIZED: 401, FORBIDDEN: 403, TOO_MANY_REQUESTS: 429
+}), { virtual: true });
+
+/**
+ * Build a mock controller whose handlers answer with their own name
+ * @returns {Object} Controller, any handler name resolves
+ */
+const mockController = () => new Proxy({}, {
+    get: (target, name) => (req, res) => res.status(200).json({ handler: name })
+});
+
+jest.mock('../src/controllers/auth.controller', () => mockController());
+jest.mock('../src/controllers/api-key.controller', () => mockController());
+jest.mock('../src/controllers/session.controller', () => mockController());
+jest.mock('../src/controllers/two-factor.controller', () => mockController());
+jest.mock('../src/controllers/user.controller', () => mockController());
+jest.mock('../src/controllers/role.controller', () => mockController());
+jest.mock('../src/controllers/magic-link.controller', () => mockController());
+jest.mock('../src/controllers/data-request.controller', () => mockController());
+jest.mock('../src/controllers/audit.controller', () => mockController());
+jest.mock('../src/controllers/oauth.controller', () => ({
+    startOAuth: () => (req, res) => res.status(200).end(),
+    handleOAuthCallback: () => (req, res) => res.status(200).end()
+}));
+jest.mock('../src/middleware/rate-limiter.middleware', () => {
+    const pass = (req, res, next) => next();
+    return new Proxy({}, { get: () => pass });
+});
+jest.mock('../src/utils/jwt.util', () => ({ verifyToken: jest.fn() }));
+jest.mock('../src/utils/role.util', () => ({ loadRoles: jest.fn() }));
+jest.mock('../src/models/user.model', () => ({ findByPk: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../src/models/user.model');
+const { verifyToken } = require('../src/utils/jwt.util');
+const authRoutes = require('../src/routes/auth.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/', authRoutes);
+
+// Routes that manage the account, a token minted for an API key must not reach them
+const SESSION_ONLY_ROUTES = [
+    ['post', '/logout-all'],
+    ['get', '/sessions'],
+    ['delete', '/sessions/session-2'],
+    ['post', '/change-password'],
+    ['get', '/me/export'],
+    ['delete', '/me'],
+    ['post', '/2fa/setup'],
+    ['post', '/2fa/enable'],
+    ['post', '/2fa/disable'],
+    ['post', '/2fa/recovery-codes'],
+    ['post', '/api-keys'],
+    ['get', '/api-keys'],
+    ['delete', '/api-keys/key-2']
+];
+
+describe('auth routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        // Access tokens name the session they were issued for, API key tokens the key
+        verifyToken.mockImplementation(async (token) => (token === 'api-key-token'
+            ? { sub: 'user-1', akid: 'key-1', roles: ['user'], permissions: ['profile:read:own'] }
+            : { sub: 'user-1', sid: 'session-1' }));
+
+        User.findByPk.mockResolvedValue({
+            id: 'user-1',
+            active: true,
+            roles: ['user'],
+            isAccountLocked: () => false,
+            getPermissions: () => ['profile:read:own', 'profile:write:own']
+        });
+    });
+
+    it.each(SESSION_ONLY_ROUTES)('%s %s refuses a token minted for an API key', async (method, path) => {
+        const res = await request(app)[method](path)
+            .set('Authorization', 'Bearer api-key-token')
+            .send({ name: 'ci', permissions: ['profile:read:own'] });
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toMatch(/API keys/);
+    });
+
+    it.each(SESSION_ONLY_ROUTES)('%s %s accepts a signed-in session', async (method, path) => {
+        const res = await request(app)[method](path)
+            .set('Authorization', 'Bearer session-token')
+            .send({ name: 'ci', permissions: ['profile:read:own'] });
+
+        expect(res.status).toBe(200);
+    });
+
+    it('lets a token minted for an API key read the current user', async () => {
+        const res = await request(app).get('/me').set('Authorization', 'Bearer api-key-token');
+
+        expect(res.status).toBe(200);
+    });
+
+    it('leaves two-factor enrollment with a setup challenge to the controller', async () => {
+        const res = await request(app).post('/2fa/setup').send({ challengeToken: 'challenge' });
+
+        expect(res.status).toBe(200);
+    });
+});
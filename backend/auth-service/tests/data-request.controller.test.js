@@ -0,0 +1,139 @@
+/**
+ * Data Request Controller Tests
+ */
+
+jest.mock('../../shared/utils/response-formatter', () => ({
+    formatResponse: (message, data, details) => ({ message, data, details }),
+    formatError: (error, message) => ({ error, message })
+}), { virtual: true });
+jest.mock('../../shared/utils/http-status', () => ({
+    OK: 200, ACCEPTED: 202, BAD_REQUEST: 400, UNAUTHORIZED: 401, NOT_FOUND: 404
+}), { virtual: true });
+jest.mock('../src/utils/database.util', () => ({
+    transaction: (callback) => callback({})
+}));
+jest.mock('../src/models/user.model', () => ({ findByPk: jest.fn() }));
+jest.mock('../src/models/session.model', () => ({ findByPk: jest.fn(), count: jest.fn() }));
+jest.mock('../src/models/api-key.model', () => ({ count: jest.fn() }));
+jest.mock('../src/models/refresh-token.model', () => ({ count: jest.fn() }));
+jest.mock('../src/models/auth-event.model', () => ({ count: jest.fn() }));
+jest.mock('../src/models/data-request.model', () => ({ build: jest.fn(), findByPk: jest.fn() }));
+jest.mock('../src/events/auth-events', () => ({ publishEvent: jest.fn() }));
+jest.mock('bcrypt', () => ({
+    compare: jest.fn(async (password, hash) => hash === `hashed:${password}`)
+}));
+
+const User = require('../src/models/user.model');
+const Session = require('../src/models/session.model');
+const DataRequest = require('../src/models/data-request.model');
+const { publishEvent } = require('../src/events/auth-events');
+const { encryptSecret, generateCode, getTimeStep } = require('../src/utils/totp.util');
+const config = require('../src/config/auth.config');
+const { deleteMyAccount, getDataRequestStatus } = require('../src/controllers/data-request.controller');
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+/**
+ * Build a mock Express response
+ * @returns {Object} Response recording its status and body
+ */
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.clearCookie = jest.fn(() => res);
+    return res;
+};
+
+describe('deleteMyAccount', () => {
+    let user;
+    let stored;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        // An account created through an OAuth provider, its password was generated
+        user = {
+            id: 'user-1',
+            password: 'hashed:generated-and-never-shown',
+            twoFactorEnabled: false,
+            destroy: jest.fn()
+        };
+        User.findByPk.mockResolvedValue(user);
+
+        DataRequest.build.mockImplementation((attributes) => {
+            stored = { id: 'request-1', ...attributes, save: jest.fn(() => Promise.resolve(stored)) };
+            return stored;
+        });
+    });
+
+    it('accepts a sign-in made moments ago in place of the password', async () => {
+        Session.findByPk.mockResolvedValue({ userId: 'user-1', createdAt: new Date(Date.now() - 60 * 1000) });
+        const res = mockResponse();
+
+        await deleteMyAccount({ user: { id: 'user-1', sessionId: 'session-1' }, body: {} }, res);
+
+        expect(res.status).toHaveBeenCalledWith(202);
+        expect(user.destroy).toHaveBeenCalled();
+        expect(publishEvent).toHaveBeenCalledWith('user.erasure.requested', { requestId: 'request-1', userId: 'user-1' });
+    });
+
+    it('refuses an older sign-in without the password', async () => {
+        Session.findByPk.mockResolvedValue({
+            userId: 'user-1',
+            createdAt: new Date(Date.now() - config.dataRequests.reauthMaxAge - 1000)
+        });
+        const res = mockResponse();
+
+        await deleteMyAccount({ user: { id: 'user-1', sessionId: 'session-1' }, body: {} }, res);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(user.destroy).not.toHaveBeenCalled();
+    });
+
+    it('refuses a token minted for an API key without the password', async () => {
+        const res = mockResponse();
+
+        await deleteMyAccount({ user: { id: 'user-1', sessionId: null, apiKeyId: 'key-1' }, body: {} }, res);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(Session.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('accepts a two-factor code', async () => {
+        Object.assign(user, { twoFactorEnabled: true, twoFactorSecret: encryptSecret(SECRET), twoFactorLastUsedStep: null });
+        const res = mockResponse();
+
+        await deleteMyAccount({
+            user: { id: 'user-1', sessionId: null },
+            body: { code: generateCode(SECRET, getTimeStep()) }
+        }, res);
+
+        expect(res.status).toHaveBeenCalledWith(202);
+    });
+
+    it('returns a status URL the erasure can be followed at without the account', async () => {
+        const res = mockResponse();
+
+        await deleteMyAccount({
+            user: { id: 'user-1', sessionId: null },
+            body: { password: 'generated-and-never-shown' }
+        }, res);
+
+        const { statusUrl } = res.json.mock.calls[0][0].data;
+        const [, token] = statusUrl.match(/^\/api\/auth\/data-requests\/request-1\/status\/([\w-]+)$/);
+
+        expect(stored.statusTokenHash).toMatch(/^[0-9a-f]{64}$/);
+        expect(stored.statusTokenHash).not.toContain(token);
+
+        DataRequest.findByPk.mockResolvedValue({ ...stored, createdAt: new Date() });
+        const statusRes = mockResponse();
+        await getDataRequestStatus({ params: { id: 'request-1', token } }, statusRes);
+        expect(statusRes.status).toHaveBeenCalledWith(200);
+        expect(statusRes.json.mock.calls[0][0].data).toMatchObject({ requestId: 'request-1', type: 'erasure' });
+
+        const wrongRes = mockResponse();
+        await getDataRequestStatus({ params: { id: 'request-1', token: `${token}x` } }, wrongRes);
+        expect(wrongRes.status).toHaveBeenCalledWith(404);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Data Request Utility Tests
+ */
+
+jest.mock('../src/utils/database.util', () => ({
+    transaction: (callback) => callback({ LOCK: { UPDATE: 'UPDATE' } })
+}));
+jest.mock('../src/models/data-request.model', () => ({
+    findByPk: jest.fn()
+}));
+
+const DataRequest = require('../src/models/data-request.model');
+const config = require('../src/config/auth.config');
+const { collectServiceExports, getExportBundle } = require('../src/utils/data-request.util');
+
+/**
+ * Build a pending export request, as stored by createDataRequest
+ * @returns {Object} DataRequest-like object
+ */
+const buildRequest = () => {
+    const services = { 'auth-service': { status: 'completed', data: { user: { id: 'user-1' } } } };
+    Object.keys(config.dataRequests.services).forEach(service => {
+        services[service] = { status: 'pending' };
+    });
+
+    const request = {
+        id: 'request-1',
+        userId: 'user-1',
+        type: 'export',
+        status: 'pending',
+        services,
+        save: jest.fn(() => Promise.resolve(request))
+    };
+
+    return request;
+};
+
+describe('collectServiceExports', () => {
+    const internalToken = config.dataRequests.internalToken;
+
+    beforeEach(() => {
+        config.dataRequests.internalToken = 'internal-secret';
+        global.fetch = jest.fn((url) => {
+            if (url.startsWith(config.dataRequests.services['profile-service'].url)) {
+                return Promise.resolve({ ok: true, json: async () => ({ data: { profile: { userId: 'user-1' } } }) });
+            }
+            if (url.startsWith(config.dataRequests.services['blog-service'].url)) {
+                return Promise.resolve({ ok: false, status: 500, json: async () => ({ message: 'Database unavailable' }) });
+            }
+            if (url.startsWith(config.dataRequests.services['analytics-service'].url)) {
+                return Promise.reject(new Error('connect ECONNREFUSED'));
+            }
+            return Promise.resolve({ ok: true, json: async () => ({ data: { projects: [] } }) });
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        config.dataRequests.internalToken = internalToken;
+        jest.restoreAllMocks();
+    });
+
+    it('pulls the data of every service from its internal export endpoint', async () => {
+        const request = buildRequest();
+        DataRequest.findByPk.mockResolvedValue(request);
+
+        await collectServiceExports(request);
+
+        const [url, { headers }] = global.fetch.mock.calls[0];
+        expect(url).toBe(`${config.dataRequests.services['profile-service'].url}/internal/users/user-1/export`);
+        expect(headers['X-Internal-Token']).toBe('internal-secret');
+        expect(headers.traceparent).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-0[01]$/);
+
+        expect(request.services['profile-service']).toMatchObject({ status: 'completed', data: { profile: { userId: 'user-1' } } });
+        expect(request.services['projects-service']).toMatchObject({ status: 'completed', data: { projects: [] } });
+        expect(request.services['blog-service']).toMatchObject({ status: 'failed', error: 'Database unavailable' });
+        expect(request.services['analytics-service']).toMatchObject({ status: 'failed', error: 'Service unavailable' });
+        expect(request.status).toBe('partial');
+
+        expect(Object.keys(getExportBundle(request))).toEqual(['auth-service', 'profile-service', 'projects-service']);
+    });
+
+    it('leaves the services that already answered alone', async () => {
+        const request = buildRequest();
+        request.services['profile-service'] = { status: 'completed', data: {} };
+        DataRequest.findByPk.mockResolvedValue(request);
+
+        await collectServiceExports(request);
+
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(global.fetch.mock.calls.map(([url]) => url)).not.toContain(
+            `${config.dataRequests.services['profile-service'].url}/internal/users/user-1/export`
+        );
+    });
+});
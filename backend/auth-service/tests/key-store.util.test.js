@@ -0,0 +1,69 @@
+/**
+ * Key Store Utility Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('rotateKeys', () => {
+    let config;
+    let getSigningKey;
+    let getJwks;
+    let rotateKeys;
+
+    beforeEach(() => {
+        // Fresh modules, the key store keeps the loaded keys between calls
+        jest.resetModules();
+        config = require('../src/config/auth.config');
+        ({ getSigningKey, getJwks, rotateKeys } = require('../src/utils/key-store.util'));
+
+        config.jwt.keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+        config.jwt.privateKeyPath = path.join(config.jwt.keysDir, 'private.key');
+        config.jwt.publicKeyPath = path.join(config.jwt.keysDir, 'public.key');
+
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    });
+
+    afterEach(() => {
+        fs.rmSync(config.jwt.keysDir, { recursive: true, force: true });
+        jest.useRealTimers();
+    });
+
+    it('derives the retention of retired keys from the refresh token lifetime', () => {
+        expect(config.jwt.keyRetention).toBe(8 * 24 * 60 * 60 * 1000);
+    });
+
+    it('publishes the next key before signing with it', async () => {
+        const { kid: first } = await getSigningKey();
+
+        const { current, next, retired } = await rotateKeys();
+        expect(current).toBe(first);
+        expect(retired).toBeNull();
+        expect((await getSigningKey()).kid).toBe(first);
+        expect((await getJwks()).keys.map(key => key.kid)).toEqual([first, next]);
+
+        // Promoted by a later rotation only
+        await expect(rotateKeys()).rejects.toThrow(/published for less than/);
+
+        jest.setSystemTime(Date.now() + config.jwt.keyPublishLead);
+        const rotated = await rotateKeys();
+        expect(rotated.current).toBe(next);
+        expect(rotated.retired).toBe(first);
+        expect((await getSigningKey()).kid).toBe(next);
+        expect((await getJwks()).keys.map(key => key.kid)).toEqual([next, rotated.next, first]);
+    });
+
+    it('drops retired keys once their tokens have expired', async () => {
+        const { kid: first } = await getSigningKey();
+        await rotateKeys();
+
+        jest.setSystemTime(Date.now() + config.jwt.keyPublishLead);
+        await rotateKeys();
+
+        jest.setSystemTime(Date.now() + config.jwt.keyRetention + 1);
+        const { removed } = await rotateKeys();
+        expect(removed).toEqual([first]);
+        expect((await getJwks()).keys.map(key => key.kid)).not.toContain(first);
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * OAuth Controller Tests
+ */
+
+jest.mock('../../shared/utils/response-formatter', () => ({
+    formatResponse: (message, data) => ({ message, data }),
+    formatError: (error, message) => ({ error, message })
+}), { virtual: true });
+jest.mock('../../shared/utils/http-status', () => ({
+    OK: 200, BAD_REQUEST: 400, UNAUTHORIZED: 401, FORBIDDEN: 403, NOT_IMPLEMENTED: 501
+}), { virtual: true });
+jest.mock('../src/models/user.model', () => ({ findOne: jest.fn(), create: jest.fn() }));
+jest.mock('../src/models/password-history.model', () => ({}));
+jest.mock('../src/utils/jwt.util', () => ({ verifyToken: jest.fn(), generateOAuthStateToken: jest.fn() }));
+jest.mock('../src/utils/login.util', () => ({
+    getTwoFactorChallenge: jest.fn(async () => null),
+    sendExpiredPasswordReset: jest.fn(),
+    signIn: jest.fn(async (req, res, user) => ({ accessToken: 'access', user: { id: user.id } }))
+}));
+jest.mock('../src/utils/auth-audit.util', () => ({ recordAuthEvent: jest.fn() }));
+jest.mock('../src/events/auth-events', () => ({ publishEvent: jest.fn() }));
+jest.mock('../src/utils/oauth.util', () => ({
+    ...jest.requireActual('../src/utils/oauth.util'),
+    getProvider: jest.fn((name) => ({ name })),
+    exchangeCode: jest.fn(async () => 'provider-access-token'),
+    fetchProfile: jest.fn()
+}));
+jest.mock('bcrypt', () => ({
+    hash: jest.fn(async (password) => `hashed:${password}`)
+}));
+
+const User = require('../src/models/user.model');
+const { verifyToken } = require('../src/utils/jwt.util');
+const { sendExpiredPasswordReset, signIn } = require('../src/utils/login.util');
+const { recordAuthEvent } = require('../src/utils/auth-audit.util');
+const { publishEvent } = require('../src/events/auth-events');
+const { exchangeCode, fetchProfile } = require('../src/utils/oauth.util');
+const config = require('../src/config/auth.config');
+const { handleOAuthCallback } = require('../src/controllers/oauth.controller');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a mock Express response
+ * @returns {Object} Response recording its status, body and cookies
+ */
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.redirect = jest.fn(() => res);
+    res.clearCookie = jest.fn(() => res);
+    return res;
+};
+
+/**
+ * Build the provider redirect back to the callback
+ * @param {Object} [query] - Query parameters to override
+ * @returns {Object} Express request
+ */
+const callbackRequest = (query = {}) => ({
+    cookies: { [config.oauth.stateCookieName]: 'state-token' },
+    query: { code: 'authorization-code', state: 'state-1', ...query },
+    headers: {}
+});
+
+/**
+ * Build a user instance
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} User-like object
+ */
+const buildUser = (fields = {}) => ({
+    id: 'user-1',
+    email: 'ada@example.com',
+    active: true,
+    hasPassword: true,
+    isVerified: true,
+    passwordChangedAt: new Date(Date.now() - DAY_MS),
+    isAccountLocked: () => false,
+    save: jest.fn(),
+    ...fields
+});
+
+describe('handleOAuthCallback', () => {
+    const maxAgeDays = config.password.maxAgeDays;
+    const { successRedirect, failureRedirect } = config.oauth;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        config.password.maxAgeDays = 90;
+        config.oauth.successRedirect = undefined;
+        config.oauth.failureRedirect = undefined;
+
+        User.findOne.mockResolvedValue(null);
+        verifyToken.mockResolvedValue({ provider: 'google', state: 'state-1', codeVerifier: 'verifier' });
+        fetchProfile.mockResolvedValue({ providerId: 'google-1', email: 'ada@example.com', emailVerified: true, username: 'ada' });
+    });
+
+    afterAll(() => {
+        config.password.maxAgeDays = maxAgeDays;
+        Object.assign(config.oauth, { successRedirect, failureRedirect });
+    });
+
+    describe('state', () => {
+        it('rejects a callback without the state cookie', async () => {
+            const req = { ...callbackRequest(), cookies: {} };
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(verifyToken).not.toHaveBeenCalled();
+            expect(exchangeCode).not.toHaveBeenCalled();
+        });
+
+        it('rejects a callback without an authorization code', async () => {
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest({ code: undefined }), res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(exchangeCode).not.toHaveBeenCalled();
+        });
+
+        it('rejects a state other than the one issued when the flow started', async () => {
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest({ state: 'state-2' }), res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(exchangeCode).not.toHaveBeenCalled();
+            expect(recordAuthEvent).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ reason: 'invalid_state' }));
+        });
+
+        it('rejects a state cookie that is expired or was not signed by the service', async () => {
+            verifyToken.mockRejectedValueOnce(new Error('jwt expired'));
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest(), res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(exchangeCode).not.toHaveBeenCalled();
+        });
+
+        it('rejects a state issued for another provider', async () => {
+            verifyToken.mockResolvedValueOnce({ provider: 'github', state: 'state-1', codeVerifier: 'verifier' });
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest(), res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(exchangeCode).not.toHaveBeenCalled();
+        });
+
+        it('clears the state cookie so it cannot be replayed', async () => {
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest({ state: 'state-2' }), res);
+
+            expect(res.clearCookie).toHaveBeenCalledWith(config.oauth.stateCookieName, expect.any(Object));
+        });
+
+        it('exchanges the code with the PKCE verifier of the flow', async () => {
+            User.findOne.mockResolvedValueOnce(buildUser());
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest(), res);
+
+            expect(verifyToken).toHaveBeenCalledWith('state-token', 'oauth_state');
+            expect(exchangeCode).toHaveBeenCalledWith(expect.objectContaining({ name: 'google' }), 'authorization-code', 'verifier');
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+
+    describe('account linking', () => {
+        it('signs in the account already linked to the provider', async () => {
+            const user = buildUser({ googleId: 'google-1' });
+            User.findOne.mockResolvedValueOnce(user);
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest(), res);
+
+            expect(User.findOne).toHaveBeenCalledTimes(1);
+            expect(User.findOne).toHaveBeenCalledWith({ where: { googleId: 'google-1' } });
+            expect(signIn).toHaveBeenCalledWith(expect.anything(), res, user, 'google');
+        });
+
+        it('links a verified account with the same email, keeping its password', async () => {
+            const user = buildUser({ password: 'hashed:own-password' });
+            User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(user);
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest(), res);
+
+            expect(User.findOne).toHaveBeenLastCalledWith({ where: { email: 'ada@example.com' } });
+            expect(user.googleId).toBe('google-1');
+            expect(user.password).toBe('hashed:own-password');
+            expect(user.hasPassword).toBe(true);
+            expect(user.save).toHaveBeenCalled();
+            expect(publishEvent).not.toHaveBeenCalled();
+            expect(signIn).toHaveBeenCalledWith(expect.anything(), res, user, 'google');
+        });
+
+        it('drops the password of an unverified account with the same email when linking it', async () => {
+            const user = buildUser({ isVerified: false, verificationToken: 'token', password: 'hashed:squatter-password' });
+            User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(user);
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest(), res);
+
+            expect(user).toMatchObject({ googleId: 'google-1', isVerified: true, verificationToken: null, hasPassword: false });
+            expect(user.password).not.toBe('hashed:squatter-password');
+            expect(publishEvent).toHaveBeenCalledWith('user.verified', expect.objectContaining({ userId: 'user-1', provider: 'google' }));
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        it('refuses to match or create an account from an address the provider has not verified', async () => {
+            fetchProfile.mockResolvedValueOnce({ providerId: 'google-1', email: 'ada@example.com', emailVerified: false });
+            User.findOne.mockResolvedValueOnce(null);
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest(), res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(User.findOne).toHaveBeenCalledTimes(1);
+            expect(User.create).not.toHaveBeenCalled();
+            expect(signIn).not.toHaveBeenCalled();
+        });
+
+        it('creates a verified account without a password of its own for a new email', async () => {
+            User.create.mockImplementationOnce(async (fields) => buildUser({ ...fields, id: 'user-2' }));
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest(), res);
+
+            expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+                username: 'ada',
+                email: 'ada@example.com',
+                googleId: 'google-1',
+                isVerified: true,
+                hasPassword: false
+            }));
+            expect(publishEvent).toHaveBeenCalledWith('user.registered', expect.objectContaining({ userId: 'user-2', provider: 'google' }));
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+
+    describe('password expiry', () => {
+        it('sends a reset link instead of signing in when the password has expired', async () => {
+            const user = buildUser({ passwordChangedAt: new Date(Date.now() - 91 * DAY_MS) });
+            User.findOne.mockResolvedValueOnce(user);
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest(), res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(sendExpiredPasswordReset).toHaveBeenCalledWith(user);
+            expect(signIn).not.toHaveBeenCalled();
+            expect(recordAuthEvent).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ reason: 'password_expired' }));
+        });
+
+        it('signs in an account created through a provider, its generated password never expires', async () => {
+            const user = buildUser({ hasPassword: false, passwordChangedAt: null, createdAt: new Date(Date.now() - 365 * DAY_MS) });
+            User.findOne.mockResolvedValueOnce(user);
+            const res = mockResponse();
+
+            await handleOAuthCallback('google')(callbackRequest(), res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(sendExpiredPasswordReset).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * OAuth Utility Tests
+ */
+
+const crypto = require('crypto');
+const { generatePkce, isSameState, buildAuthorizationUrl, exchangeCode } = require('../src/utils/oauth.util');
+
+const PROVIDER = {
+    name: 'google',
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    callbackUrl: 'http://localhost:3000/api/auth/google/callback',
+    authorizationUrl: 'https://accounts.example.com/authorize',
+    tokenUrl: 'https://accounts.example.com/token',
+    scope: 'openid email profile'
+};
+
+describe('generatePkce', () => {
+    it('derives the S256 challenge from the verifier', () => {
+        const { codeVerifier, codeChallenge } = generatePkce();
+
+        expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(codeChallenge).toBe(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    });
+
+    it('generates a new verifier for each flow', () => {
+        expect(generatePkce().codeVerifier).not.toBe(generatePkce().codeVerifier);
+    });
+});
+
+describe('isSameState', () => {
+    it('accepts the state issued when the flow started', () => {
+        expect(isSameState('state-1', 'state-1')).toBe(true);
+    });
+
+    it('rejects another state, whatever its length', () => {
+        expect(isSameState('state-1', 'state-2')).toBe(false);
+        expect(isSameState('state-1', 'state-10')).toBe(false);
+    });
+
+    it('rejects missing states, even on both sides', () => {
+        expect(isSameState('state-1', undefined)).toBe(false);
+        expect(isSameState(undefined, undefined)).toBe(false);
+        expect(isSameState('', '')).toBe(false);
+    });
+});
+
+describe('buildAuthorizationUrl', () => {
+    it('sends the state and the S256 challenge to the provider', () => {
+        const url = new URL(buildAuthorizationUrl(PROVIDER, { state: 'state-1', codeChallenge: 'challenge' }));
+
+        expect(url.origin + url.pathname).toBe(PROVIDER.authorizationUrl);
+        expect(Object.fromEntries(url.searchParams)).toMatchObject({
+            client_id: 'client-id',
+            redirect_uri: PROVIDER.callbackUrl,
+            response_type: 'code',
+            state: 'state-1',
+            code_challenge: 'challenge',
+            code_challenge_method: 'S256'
+        });
+    });
+});
+
+describe('exchangeCode', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('proves possession of the code verifier', async () => {
+        global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ access_token: 'provider-token' }) }));
+
+        await expect(exchangeCode(PROVIDER, 'authorization-code', 'verifier')).resolves.toBe('provider-token');
+
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toBe(PROVIDER.tokenUrl);
+        expect(Object.fromEntries(new URLSearchParams(options.body))).toMatchObject({
+            grant_type: 'authorization_code',
+            code: 'authorization-code',
+            code_verifier: 'verifier'
+        });
+    });
+
+    it('fails when the provider rejects the code, even with a 200 status', async () => {
+        global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ error: 'bad_verification_code' }) }));
+
+        await expect(exchangeCode(PROVIDER, 'authorization-code', 'verifier')).rejects.toThrow('bad_verification_code');
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Password Policy Utility Tests
+ */
+
+jest.mock('../src/models/password-history.model', () => ({}));
+jest.mock('bcrypt', () => ({}));
+
+const config = require('../src/config/auth.config');
+const { getPasswordExpiry, isPasswordExpired } = require('../src/utils/password-policy.util');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('password expiry', () => {
+    const maxAgeDays = config.password.maxAgeDays;
+
+    beforeEach(() => {
+        config.password.maxAgeDays = 90;
+    });
+
+    afterAll(() => {
+        config.password.maxAgeDays = maxAgeDays;
+    });
+
+    it('counts from the last password change', () => {
+        const passwordChangedAt = new Date('2026-01-01T00:00:00Z');
+
+        expect(getPasswordExpiry({ passwordChangedAt, createdAt: new Date('2025-01-01T00:00:00Z') }))
+            .toEqual(new Date('2026-04-01T00:00:00Z'));
+    });
+
+    it('counts from the account creation when the password change was not tracked', () => {
+        const createdAt = new Date('2026-01-01T00:00:00Z');
+
+        expect(getPasswordExpiry({ passwordChangedAt: null, createdAt })).toEqual(new Date('2026-04-01T00:00:00Z'));
+    });
+
+    it('tells whether the password is older than the policy allows', () => {
+        expect(isPasswordExpired({ passwordChangedAt: new Date(Date.now() - 91 * DAY_MS) })).toBe(true);
+        expect(isPasswordExpired({ passwordChangedAt: new Date(Date.now() - 89 * DAY_MS) })).toBe(false);
+    });
+
+    it('never expires the generated password of an account created through an OAuth provider', () => {
+        const user = { hasPassword: false, passwordChangedAt: null, createdAt: new Date(Date.now() - 365 * DAY_MS) };
+
+        expect(getPasswordExpiry(user)).toBeNull();
+        expect(isPasswordExpired(user)).toBe(false);
+    });
+
+    it('never expires passwords when the policy sets no maximum age', () => {
+        config.password.maxAgeDays = 0;
+
+        expect(isPasswordExpired({ passwordChangedAt: new Date(Date.now() - 1000 * DAY_MS) })).toBe(false);
+    });
+});
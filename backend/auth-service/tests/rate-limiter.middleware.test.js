@@ -0,0 +1,131 @@
+/**
+ * Rate Limiter Middleware Tests
+ */
+
+jest.mock('../../shared/utils/response-formatter', () => ({
+    formatError: (error, message) => ({ error, message })
+}), { virtual: true });
+jest.mock('../../shared/utils/http-status', () => ({
+    TOO_MANY_REQUESTS: 429
+}), { virtual: true });
+jest.mock('../src/utils/jwt.util', () => ({ verifyToken: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const config = require('../src/config/auth.config');
+
+/**
+ * Build an app behind a single proxy address, as auth-service is behind the gateway
+ * The limiters are loaded again for each app, so their counts start from zero
+ * @returns {Object} Express app
+ */
+const buildApp = () => {
+    jest.resetModules();
+    const { verifyToken } = require('../src/utils/jwt.util');
+    const { strictRateLimiter, twoFactorLimiter, apiKeyVerifyLimiter } = require('../src/middleware/rate-limiter.middleware');
+
+    verifyToken.mockImplementation(async (token) => {
+        const [, sub] = token.match(/^challenge-(.+)$/) || [];
+        if (!sub) throw new Error('Invalid token');
+        return { sub, purpose: 'verify' };
+    });
+
+    const app = express();
+    app.use(express.json());
+
+    // Signed-in requests name their user in a header, in place of the authenticate middleware
+    app.use((req, res, next) => {
+        req.user = req.headers['x-test-user'] ? { id: req.headers['x-test-user'] } : null;
+        next();
+    });
+
+    // Codes are valid when they are 123456
+    app.post('/2fa/verify', twoFactorLimiter, (req, res) => res.status(req.body.code === '123456' ? 200 : 401).end());
+    app.post('/change-password', strictRateLimiter, (req, res) => res.status(200).end());
+    app.delete('/me', strictRateLimiter, (req, res) => res.status(200).end());
+    app.post('/internal/api-keys/verify', apiKeyVerifyLimiter, (req, res) => res.status(req.body.key === 'valid' ? 200 : 401).end());
+
+    return app;
+};
+
+describe('rate limiters', () => {
+    const { maxAttempts } = config.rateLimit.twoFactor;
+
+    describe('twoFactorLimiter', () => {
+        it('counts invalid codes against the account of the challenge', async () => {
+            const app = buildApp();
+
+            for (let i = 0; i < maxAttempts; i++) {
+                const res = await request(app).post('/2fa/verify').send({ challengeToken: 'challenge-user-1', code: '000000' });
+                expect(res.status).toBe(401);
+            }
+
+            const blocked = await request(app).post('/2fa/verify').send({ challengeToken: 'challenge-user-1', code: '123456' });
+            expect(blocked.status).toBe(429);
+
+            // Another account signing in from the same address is not affected
+            const other = await request(app).post('/2fa/verify').send({ challengeToken: 'challenge-user-2', code: '123456' });
+            expect(other.status).toBe(200);
+        });
+
+        it('does not count successful sign-ins', async () => {
+            const app = buildApp();
+
+            for (let i = 0; i < maxAttempts * 2; i++) {
+                const res = await request(app).post('/2fa/verify').send({ challengeToken: 'challenge-user-1', code: '123456' });
+                expect(res.status).toBe(200);
+            }
+        });
+
+        it('counts requests with an invalid challenge against the address', async () => {
+            const app = buildApp();
+
+            for (let i = 0; i < maxAttempts; i++) {
+                await request(app).post('/2fa/verify').send({ challengeToken: 'forged', code: '000000' });
+            }
+
+            const blocked = await request(app).post('/2fa/verify').send({ challengeToken: 'forged', code: '000000' });
+            expect(blocked.status).toBe(429);
+
+            const valid = await request(app).post('/2fa/verify').send({ challengeToken: 'challenge-user-1', code: '123456' });
+            expect(valid.status).toBe(200);
+        });
+    });
+
+    describe('strictRateLimiter', () => {
+        it('counts each operation per signed-in user', async () => {
+            const app = buildApp();
+
+            for (let i = 0; i < 5; i++) {
+                const res = await request(app).post('/change-password').set('X-Test-User', 'user-1');
+                expect(res.status).toBe(200);
+            }
+
+            const blocked = await request(app).post('/change-password').set('X-Test-User', 'user-1');
+            expect(blocked.status).toBe(429);
+
+            const otherUser = await request(app).post('/change-password').set('X-Test-User', 'user-2');
+            expect(otherUser.status).toBe(200);
+
+            const otherOperation = await request(app).delete('/me').set('X-Test-User', 'user-1');
+            expect(otherOperation.status).toBe(200);
+        });
+    });
+
+    describe('apiKeyVerifyLimiter', () => {
+        it('stops verifying keys after too many invalid ones', async () => {
+            const app = buildApp();
+            const { maxAttempts: maxVerifyAttempts } = config.rateLimit.apiKeyVerify;
+
+            const valid = await request(app).post('/internal/api-keys/verify').send({ key: 'valid' });
+            expect(valid.status).toBe(200);
+
+            for (let i = 0; i < maxVerifyAttempts; i++) {
+                await request(app).post('/internal/api-keys/verify').send({ key: `guess-${i}` });
+            }
+
+            const blocked = await request(app).post('/internal/api-keys/verify').send({ key: 'valid' });
+            expect(blocked.status).toBe(429);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Refresh Token Utility Tests
+ */
+
+jest.mock('../src/models/refresh-token.model', () => ({
+    findByPk: jest.fn(),
+    update: jest.fn(),
+    create: jest.fn(),
+    count: jest.fn()
+}));
+jest.mock('../src/models/session.model', () => ({
+    update: jest.fn(),
+    create: jest.fn()
+}));
+jest.mock('../src/models/user.model', () => ({ findByPk: jest.fn() }));
+jest.mock('../src/models/password-history.model', () => ({}));
+jest.mock('../src/utils/jwt.util', () => ({
+    verifyToken: jest.fn(),
+    generateTokens: jest.fn()
+}));
+jest.mock('bcrypt', () => ({}));
+
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const RefreshToken = require('../src/models/refresh-token.model');
+const Session = require('../src/models/session.model');
+const User = require('../src/models/user.model');
+const { verifyToken, generateTokens } = require('../src/utils/jwt.util');
+const config = require('../src/config/auth.config');
+const { rotateRefreshToken, revokeUserTokens } = require('../src/utils/refresh-token.util');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('rotateRefreshToken', () => {
+    const maxAgeDays = config.password.maxAgeDays;
+    let user;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        config.password.maxAgeDays = 90;
+
+        user = {
+            id: 'user-1',
+            active: true,
+            createdAt: new Date(Date.now() - 365 * DAY_MS),
+            passwordChangedAt: new Date(Date.now() - 30 * DAY_MS)
+        };
+
+        verifyToken.mockResolvedValue({ sub: 'user-1', jti: 'token-1' });
+        RefreshToken.findByPk.mockResolvedValue({ id: 'token-1', userId: 'user-1', familyId: 'family-1', revokedAt: null });
+        RefreshToken.update.mockResolvedValue([1]);
+        User.findByPk.mockResolvedValue(user);
+        generateTokens.mockResolvedValue({
+            accessToken: 'access',
+            refreshToken: jwt.sign({ sub: 'user-1' }, 'secret', { expiresIn: '7d' })
+        });
+    });
+
+    afterAll(() => {
+        config.password.maxAgeDays = maxAgeDays;
+    });
+
+    it('issues a new token pair of the same family', async () => {
+        const result = await rotateRefreshToken('refresh');
+
+        expect(result).toMatchObject({ user, accessToken: 'access', familyId: 'family-1' });
+        expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ familyId: 'family-1' }));
+    });
+
+    it('revokes the family of a replayed token', async () => {
+        RefreshToken.update.mockResolvedValueOnce([0]);
+
+        await expect(rotateRefreshToken('refresh')).rejects.toThrow('reuse detected');
+        expect(RefreshToken.update).toHaveBeenLastCalledWith(
+            expect.objectContaining({ revokedReason: 'reuse_detected' }),
+            { where: { familyId: 'family-1', revokedAt: null } }
+        );
+    });
+
+    it('ends the session once the password has expired', async () => {
+        user.passwordChangedAt = new Date(Date.now() - 91 * DAY_MS);
+
+        await expect(rotateRefreshToken('refresh')).rejects.toThrow('Password expired');
+        expect(RefreshToken.update).toHaveBeenLastCalledWith(
+            expect.objectContaining({ revokedReason: 'password_expired' }),
+            { where: { familyId: 'family-1', revokedAt: null } }
+        );
+        expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('continues the session of an account without a password of its own', async () => {
+        // Created through an OAuth provider, the password was generated and never shown
+        Object.assign(user, { hasPassword: false, passwordChangedAt: null });
+
+        await expect(rotateRefreshToken('refresh')).resolves.toMatchObject({ familyId: 'family-1' });
+    });
+
+    it('does not check the password age when passwords do not expire', async () => {
+        config.password.maxAgeDays = 0;
+        user.passwordChangedAt = new Date(Date.now() - 1000 * DAY_MS);
+
+        await expect(rotateRefreshToken('refresh')).resolves.toMatchObject({ familyId: 'family-1' });
+    });
+});
+
+describe('revokeUserTokens', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        RefreshToken.count.mockResolvedValue(3);
+    });
+
+    it('revokes every token and session of the user', async () => {
+        await expect(revokeUserTokens('user-1', 'logout_all')).resolves.toBe(3);
+
+        expect(RefreshToken.update).toHaveBeenCalledWith(
+            expect.objectContaining({ revokedReason: 'logout_all' }),
+            { where: { userId: 'user-1', revokedAt: null } }
+        );
+        expect(Session.update).toHaveBeenCalledWith(expect.anything(), { where: { userId: 'user-1', revokedAt: null } });
+    });
+
+    it('keeps the session it is told to', async () => {
+        await revokeUserTokens('user-1', 'password_changed', { exceptFamilyId: 'family-1' });
+
+        expect(RefreshToken.count.mock.calls[0][0].where.familyId).toEqual({ [Op.ne]: 'family-1' });
+        expect(RefreshToken.update).toHaveBeenCalledWith(
+            expect.objectContaining({ revokedReason: 'password_changed' }),
+            { where: { userId: 'user-1', familyId: { [Op.ne]: 'family-1' }, revokedAt: null } }
+        );
+        expect(Session.update).toHaveBeenCalledWith(
+            expect.anything(),
+            { where: { userId: 'user-1', id: { [Op.ne]: 'family-1' }, revokedAt: null } }
+        );
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * TOTP Utility Tests
+ */
+
+const config = require('../src/config/auth.config');
+const {
+    generateCode,
+    getTimeStep,
+    verifyCode,
+    encryptSecret,
+    generateRecoveryCodes,
+    checkSecondFactor
+} = require('../src/utils/totp.util');
+
+// "12345678901234567890", the SHA-1 seed of the RFC 6238 test vectors
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP codes', () => {
+    const digits = config.twoFactor.digits;
+
+    afterEach(() => {
+        config.twoFactor.digits = digits;
+        jest.restoreAllMocks();
+    });
+
+    it.each([
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+        [20000000000, '65353130']
+    ])('matches the RFC 6238 vector at %i', (seconds, code) => {
+        config.twoFactor.digits = 8;
+
+        expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(code);
+    });
+
+    it('accepts the codes of the adjacent steps only', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+        const step = getTimeStep();
+
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step))).toBe(step);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+    });
+
+    it('rejects malformed codes', () => {
+        expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+        expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+        expect(verifyCode(RFC_SECRET, null)).toBeNull();
+    });
+
+    it('rejects a code whose step was already used', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+        const step = getTimeStep();
+        const code = generateCode(RFC_SECRET, step);
+
+        expect(verifyCode(RFC_SECRET, code, step - 1)).toBe(step);
+        expect(verifyCode(RFC_SECRET, code, step)).toBeNull();
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), step)).toBeNull();
+    });
+});
+
+describe('checkSecondFactor', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('records the step of an accepted code so it cannot be replayed', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+        const user = { twoFactorSecret: encryptSecret(RFC_SECRET), twoFactorLastUsedStep: null };
+        const code = generateCode(RFC_SECRET, getTimeStep());
+
+        expect(checkSecondFactor(user, { code })).toBe(true);
+        expect(user.twoFactorLastUsedStep).toBe(getTimeStep());
+        expect(checkSecondFactor(user, { code })).toBe(false);
+    });
+
+    it('consumes a recovery code', () => {
+        const { codes, hashes } = generateRecoveryCodes();
+        const user = { twoFactorRecoveryCodes: hashes };
+
+        expect(codes).toHaveLength(config.twoFactor.recoveryCodes);
+
+        // Case and separators are ignored
+        expect(checkSecondFactor(user, { recoveryCode: codes[0].toUpperCase().replace('-', ' ') })).toBe(true);
+        expect(user.twoFactorRecoveryCodes).toHaveLength(hashes.length - 1);
+        expect(checkSecondFactor(user, { recoveryCode: codes[0] })).toBe(false);
+        expect(checkSecondFactor(user, { recoveryCode: codes[1] })).toBe(true);
+    });
+
+    it('rejects an unknown recovery code or no factor', () => {
+        const { hashes } = generateRecoveryCodes();
+        const user = { twoFactorRecoveryCodes: hashes };
+
+        expect(checkSecondFactor(user, { recoveryCode: 'aaaaa-bbbbb' })).toBe(false);
+        expect(checkSecondFactor(user, {})).toBe(false);
+        expect(user.twoFactorRecoveryCodes).toEqual(hashes);
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * ZIP Utility Tests
+ */
+
+const zlib = require('zlib');
+const { createZip } = require('../src/utils/zip.util');
+
+/**
+ * Read the entries of a ZIP archive from its central directory
+ * @param {Buffer} zip - ZIP archive
+ * @returns {Object[]} Entries { name, method, crc, time, date, content }
+ */
+const readZip = (zip) => {
+    const end = zip.length - 22;
+    expect(zip.readUInt32LE(end)).toBe(0x06054B50);
+
+    const count = zip.readUInt16LE(end + 10);
+    let position = zip.readUInt32LE(end + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        expect(zip.readUInt32LE(position)).toBe(0x02014B50);
+
+        const method = zip.readUInt16LE(position + 10);
+        const compressedSize = zip.readUInt32LE(position + 20);
+        const nameLength = zip.readUInt16LE(position + 28);
+        const localOffset = zip.readUInt32LE(position + 42);
+        const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+
+        // The local header repeats the name, the data follows it
+        expect(zip.readUInt32LE(localOffset)).toBe(0x04034B50);
+        const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26);
+        const stored = zip.subarray(dataStart, dataStart + compressedSize);
+
+        entries.push({
+            name,
+            method,
+            flags: zip.readUInt16LE(position + 8),
+            crc: zip.readUInt32LE(position + 16),
+            time: zip.readUInt16LE(position + 12),
+            date: zip.readUInt16LE(position + 14),
+            content: method === 8 ? zlib.inflateRawSync(stored) : stored
+        });
+
+        position += 46 + nameLength;
+    }
+
+    return entries;
+};
+
+describe('createZip', () => {
+    it('writes every file with its name and content', () => {
+        const json = JSON.stringify({ articles: Array.from({ length: 50 }, (_, id) => ({ id, title: 'Article' })) }, null, 2);
+        const entries = readZip(createZip([
+            { name: 'blog-service.json', content: json },
+            { name: 'résumé.txt', content: Buffer.from('binary \u0000 content') }
+        ]));
+
+        expect(entries.map(entry => entry.name)).toEqual(['blog-service.json', 'résumé.txt']);
+        expect(entries[0].content.toString('utf8')).toBe(json);
+        expect(entries[1].content.toString('utf8')).toBe('binary \u0000 content');
+
+        // Names are flagged as UTF-8
+        entries.forEach(entry => expect(entry.flags & 0x0800).toBe(0x0800));
+    });
+
+    it('deflates data that compresses and stores data that does not', () => {
+        const [deflated, stored] = readZip(createZip([
+            { name: 'a.json', content: 'a'.repeat(1000) },
+            { name: 'b.txt', content: '123456789' }
+        ]));
+
+        expect(deflated.method).toBe(8);
+        expect(stored.method).toBe(0);
+    });
+
+    it('records the CRC-32 of the uncompressed data', () => {
+        const [entry] = readZip(createZip([{ name: 'check.txt', content: '123456789' }]));
+
+        // Check value of CRC-32/ISO-HDLC
+        expect(entry.crc).toBe(0xCBF43926);
+    });
+
+    it('records the modification date in MS-DOS format', () => {
+        const [entry] = readZip(createZip([{ name: 'a.txt', content: 'a' }], new Date(2024, 2, 15, 13, 45, 31)));
+
+        expect(entry.date).toBe(((2024 - 1980) << 9) | (3 << 5) | 15);
+        expect(entry.time).toBe((13 << 11) | (45 << 5) | 15);
+    });
+
+    it('writes an empty archive', () => {
+        const zip = createZip([]);
+
+        expect(zip).toHaveLength(22);
+        expect(readZip(zip)).toEqual([]);
+    });
+});
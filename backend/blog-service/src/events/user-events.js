@@ -0,0 +1,66 @@
+/**
+ * User Events
+ * Answers the data requests auth-service publishes for user accounts
+ *
+ * user.erasure.requested - permanently delete the user's articles and comments, with the comments made on them
+ */
+
+const kafka = require('kafka-node');
+const { Op } = require('sequelize');
+const { Article, Comment, ArticleCategory } = require('../models');
+const { publishEvent } = require('./blog-events');
+const { answerDataRequest, createUserEventConsumer } = require('../../../shared/utils/user-events');
+
+/**
+ * Export the articles and comments of a user, including soft-deleted records
+ * @param {Object} data - { userId }, from the internal export endpoint
+ * @returns {Promise<Object>} Exported data
+ */
+const exportUserData = async ({ userId }) => {
+    const [articles, comments] = await Promise.all([
+        Article.findAll({ where: { authorId: userId }, order: [['createdAt', 'ASC']], paranoid: false }),
+        Comment.findAll({ where: { authorId: userId }, order: [['createdAt', 'ASC']], paranoid: false })
+    ]);
+
+    return { data: { articles, comments } };
+};
+
+/**
+ * Permanently delete the articles and comments of a user
+ * Comments made by others on the user's articles go with them, replies to the user's
+ * comments on other articles are kept
+ * @param {Object} data - Event data
+ * @returns {Promise<Object>} Number of records deleted per model
+ */
+const eraseUserData = async ({ userId }) => {
+    const articles = await Article.findAll({ where: { authorId: userId }, attributes: ['id'], paranoid: false });
+    const articleIds = articles.map(article => article.id);
+
+    // Comments the user approved as a moderator stay, without naming the user
+    await Comment.update({ approvedBy: null }, { where: { approvedBy: userId }, paranoid: false });
+
+    const deleted = {
+        comments: await Comment.destroy({
+            where: { [Op.or]: [{ authorId: userId }, { articleId: articleIds }] },
+            force: true
+        }),
+        articleCategories: await ArticleCategory.destroy({ where: { articleId: articleIds } }),
+        articles: await Article.destroy({ where: { id: articleIds }, force: true })
+    };
+
+    return { deleted };
+};
+
+const { startUserEventConsumer, stopUserEventConsumer } = createUserEventConsumer({
+    kafka,
+    groupId: 'blog-service-user-events', // One instance handles each event
+    handlers: {
+        'user.erasure.requested': answerDataRequest(publishEvent, 'user.erasure', eraseUserData)
+    }
+});
+
+module.exports = {
+    exportUserData,
+    startUserEventConsumer,
+    stopUserEventConsumer
+};
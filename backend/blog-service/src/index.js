@@ -5,12 +5,16 @@
 
 const server = require('./server');
 const { testConnection, initDatabase } = require('./utils/database.util');
+const { startUserEventConsumer, stopUserEventConsumer } = require('./events/user-events');
 const { Article, Category, Comment } = require('./models');
 
 // Server port
 const PORT = process.env.PORT || 3004;
 const HOST = process.env.HOST || '0.0.0.0';
 
+// HTTP server, set once listening
+let httpServer = null;
+
 // Start the server
 const startServer = async () => {
     try {
@@ -34,10 +38,13 @@ const startServer = async () => {
         }
 
         // Start the server
-        server.listen(PORT, HOST, () => {
+        httpServer = server.listen(PORT, HOST, () => {
             console.log(`Blog Service running on http://${HOST}:${PORT}`);
             console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
         });
+
+        // Export and erase user data when auth-service asks
+        startUserEventConsumer();
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
@@ -288,19 +295,25 @@ process.on('SIGINT', gracefulShutdown);
 /**
  * Graceful shutdown
  */
-function gracefulShutdown() {
+async function gracefulShutdown() {
     console.log('Received kill signal, shutting down gracefully...');
 
-    server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
-    });
-
     // Force close after timeout
     setTimeout(() => {
         console.error('Could not close connections in time, forcefully shutting down');
         process.exit(1);
-    }, 10000);
+    }, 10000).unref();
+
+    await stopUserEventConsumer();
+
+    if (!httpServer) {
+        process.exit(0);
+    }
+
+    httpServer.close(() => {
+        console.log('Server closed');
+        process.exit(0);
+    });
 }
 
 // Start the server
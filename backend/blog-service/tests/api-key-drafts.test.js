@@ -0,0 +1,104 @@
+/**
+ * API Key Access Tests
+ * Requests made with an API key reach the services with an access token minted for the key
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+jest.mock('../../shared/utils/response-formatter', () => ({
+    formatResponse: (message, data) => ({ message, data }),
+    formatError: (error, message) => ({ error, message })
+}), { virtual: true });
+jest.mock('../../shared/utils/http-status', () => ({
+    OK: 200, CREATED: 201, BAD_REQUEST: 400, UNAUTHORIZED: 401, FORBIDDEN: 403, NOT_FOUND: 404
+}), { virtual: true });
+jest.mock('axios');
+jest.mock('../src/utils/database.util', () => ({ fn: jest.fn(), col: jest.fn() }));
+jest.mock('../src/events/blog-events', () => ({ publishEvent: jest.fn() }));
+jest.mock('../src/models', () => ({
+    Article: { findAndCountAll: jest.fn() },
+    Category: {},
+    Comment: {},
+    ArticleCategory: {}
+}));
+
+const axios = require('axios');
+const { Article } = require('../src/models');
+const { authenticate } = require('../src/middleware/auth.middleware');
+const { getAllArticles } = require('../src/controllers/article.controller');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'test-key';
+
+/**
+ * Sign a token the way the auth service does
+ * @param {Object} payload - Token claims
+ * @returns {string} - JWT
+ */
+const signToken = (payload) => jwt.sign(payload, privateKey, {
+    algorithm: 'RS256',
+    keyid: KID,
+    issuer: 'portfolio-api',
+    audience: 'portfolio-client',
+    expiresIn: '5m'
+});
+
+describe('GET /articles with an API key', () => {
+    const app = express();
+    app.get('/articles', authenticate(false), getAllArticles);
+
+    beforeAll(() => {
+        axios.get.mockResolvedValue({
+            data: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] }
+        });
+    });
+
+    beforeEach(() => {
+        Article.findAndCountAll.mockReset().mockResolvedValue({ count: [], rows: [] });
+    });
+
+    it('lists drafts for the access token the gateway forwards for a key', async () => {
+        const token = signToken({
+            sub: 'user-1',
+            email: 'ci@example.com',
+            roles: ['user'],
+            permissions: ['blog:read:own'],
+            akid: 'key-1',
+            type: 'access'
+        });
+
+        await request(app)
+            .get('/articles?published=false')
+            .set('Authorization', `Bearer ${token}`)
+            .set('X-API-Key-ID', 'key-1')
+            .expect(200);
+
+        const { where } = Article.findAndCountAll.mock.calls[0][0];
+        expect(where.published).toBeUndefined();
+    });
+
+    it('does not take a sign-in flow token for an access token', async () => {
+        const token = signToken({ sub: 'user-1', purpose: 'verify', type: '2fa_challenge' });
+
+        await request(app)
+            .get('/articles?published=false')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        const { where } = Article.findAndCountAll.mock.calls[0][0];
+        expect(where.published).toBe(true);
+    });
+
+    it('lists only published articles without a token', async () => {
+        await request(app)
+            .get('/articles?published=false')
+            .set('X-API-Key-ID', 'key-1')
+            .expect(200);
+
+        const { where } = Article.findAndCountAll.mock.calls[0][0];
+        expect(where.published).toBe(true);
+    });
+});
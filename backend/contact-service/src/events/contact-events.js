@@ -5,6 +5,7 @@
 
 const kafka = require('kafka-node');
 const { v4: uuidv4 } = require('uuid');
+const { startSpan, getTraceContext, formatTraceparent } = require('../../../shared/utils/tracing');
 
 // Kafka configuration
 const kafkaClientOptions = {
@@ -18,6 +19,9 @@ const kafkaClientOptions = {
  * @returns {Promise<void>}
  */
 const publishEvent = async (eventType, data) => {
+    // Publishing is a span of the current request's trace, consumers continue from it
+    const span = startSpan(getTraceContext());
+
     try {
         // Initialize producer if not connected
         if (!isConnected) {
@@ -30,6 +34,7 @@ const publishEvent = async (eventType, data) => {
             type: eventType,
             timestamp: new Date().toISOString(),
             service: 'contact-service',
+            traceparent: formatTraceparent(span),
             data
         };
 
@@ -57,7 +62,7 @@ const publishEvent = async (eventType, data) => {
                     console.error(`Failed to publish event ${eventType}:`, err);
                     reject(err);
                 } else {
-                    console.log(`Event ${eventType} published successfully:`, data);
+                    console.log(`Event ${eventType} published successfully (trace ${span.traceId}):`, data);
                     resolve(data);
                 }
             });
@@ -70,6 +75,7 @@ const publishEvent = async (eventType, data) => {
             type: eventType,
             timestamp: new Date().toISOString(),
             service: 'contact-service',
+            traceparent: formatTraceparent(span),
             data
         });
     }
@@ -5,6 +5,7 @@
 
 const { kafkaClient } = require('../config/kafka.config');
 const kafka = require('kafka-node');
+const { startSpan, runWithTraceContext } = require('../../../shared/utils/tracing');
 
 /**
  * Create a consumer for analytics-related events
@@ -30,22 +31,27 @@ const createAnalyticsConsumer = async () => {
             consumer.on('message', async (message) => {
                 try {
                     const analyticsEvent = JSON.parse(message.value);
-                    console.log('Received analytics event:', analyticsEvent);
 
-                    // Process different types of analytics events
-                    switch (analyticsEvent.type) {
-                        case 'PAGE_VIEW':
-                            await handlePageView(analyticsEvent);
-                            break;
-                        case 'USER_INTERACTION':
-                            await handleUserInteraction(analyticsEvent);
-                            break;
-                        case 'VISITOR_TRACKED':
-                            await handleVisitorTracked(analyticsEvent);
-                            break;
-                        default:
-                            console.warn('Unhandled analytics event type:', analyticsEvent.type);
-                    }
+                    // Continue the trace of the request that published the event
+                    const traceContext = startSpan(analyticsEvent.traceparent);
+                    console.log('Received analytics event:', analyticsEvent, { traceId: traceContext.traceId });
+
+                    await runWithTraceContext(traceContext, async () => {
+                        // Process different types of analytics events
+                        switch (analyticsEvent.type) {
+                            case 'PAGE_VIEW':
+                                await handlePageView(analyticsEvent);
+                                break;
+                            case 'USER_INTERACTION':
+                                await handleUserInteraction(analyticsEvent);
+                                break;
+                            case 'VISITOR_TRACKED':
+                                await handleVisitorTracked(analyticsEvent);
+                                break;
+                            default:
+                                console.warn('Unhandled analytics event type:', analyticsEvent.type);
+                        }
+                    });
                 } catch (error) {
                     console.error('Error processing analytics event:', error);
                 }
@@ -5,6 +5,7 @@
 
 const { kafkaClient } = require('../config/kafka.config');
 const kafka = require('kafka-node');
+const { startSpan, runWithTraceContext } = require('../../../shared/utils/tracing');
 
 /**
  * Create a consumer for blog-related events
@@ -30,22 +31,27 @@ const createBlogConsumer = async () => {
             consumer.on('message', async (message) => {
                 try {
                     const blogEvent = JSON.parse(message.value);
-                    console.log('Received blog event:', blogEvent);
 
-                    // Process different types of blog events
-                    switch (blogEvent.type) {
-                        case 'ARTICLE_CREATED':
-                            await handleArticleCreated(blogEvent);
-                            break;
-                        case 'ARTICLE_UPDATED':
-                            await handleArticleUpdated(blogEvent);
-                            break;
-                        case 'COMMENT_ADDED':
-                            await handleCommentAdded(blogEvent);
-                            break;
-                        default:
-                            console.warn('Unhandled blog event type:', blogEvent.type);
-                    }
+                    // Continue the trace of the request that published the event
+                    const traceContext = startSpan(blogEvent.traceparent);
+                    console.log('Received blog event:', blogEvent, { traceId: traceContext.traceId });
+
+                    await runWithTraceContext(traceContext, async () => {
+                        // Process different types of blog events
+                        switch (blogEvent.type) {
+                            case 'ARTICLE_CREATED':
+                                await handleArticleCreated(blogEvent);
+                                break;
+                            case 'ARTICLE_UPDATED':
+                                await handleArticleUpdated(blogEvent);
+                                break;
+                            case 'COMMENT_ADDED':
+                                await handleCommentAdded(blogEvent);
+                                break;
+                            default:
+                                console.warn('Unhandled blog event type:', blogEvent.type);
+                        }
+                    });
                 } catch (error) {
                     console.error('Error processing blog event:', error);
                 }
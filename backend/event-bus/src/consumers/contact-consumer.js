@@ -5,6 +5,7 @@
 
 const { kafkaClient } = require('../config/kafka.config');
 const kafka = require('kafka-node');
+const { startSpan, runWithTraceContext } = require('../../../shared/utils/tracing');
 
 /**
  * Create a consumer for contact-related events
@@ -22,7 +23,8 @@ const createContactConsumer = async () => {
 
             const consumer = new Consumer(
                 kafkaClient,
-                [{ topic: 'contact-events' }],
+                // contact-service publishes new messages and replies on the notification topic
+                [{ topic: 'contact-events' }, { topic: 'notification-events' }],
                 consumerOptions
             );
 
@@ -30,22 +32,36 @@ const createContactConsumer = async () => {
             consumer.on('message', async (message) => {
                 try {
                     const contactEvent = JSON.parse(message.value);
-                    console.log('Received contact event:', contactEvent);
 
-                    // Process different types of contact events
-                    switch (contactEvent.type) {
-                        case 'MESSAGE_RECEIVED':
-                            await handleMessageReceived(contactEvent);
-                            break;
-                        case 'MESSAGE_REPLIED':
-                            await handleMessageReplied(contactEvent);
-                            break;
-                        case 'MESSAGE_STATUS_UPDATED':
-                            await handleMessageStatusUpdated(contactEvent);
-                            break;
-                        default:
-                            console.warn('Unhandled contact event type:', contactEvent.type);
+                    // The notification topic is shared with other services
+                    if (message.topic === 'notification-events' && contactEvent.service !== 'contact-service') {
+                        return;
                     }
+
+                    // Continue the trace of the request that published the event
+                    const traceContext = startSpan(contactEvent.traceparent);
+                    console.log('Received contact event:', contactEvent, { traceId: traceContext.traceId });
+
+                    await runWithTraceContext(traceContext, async () => {
+                        // Process different types of contact events
+                        switch (contactEvent.type) {
+                            case 'MESSAGE_RECEIVED':
+                            case 'message.created':
+                                await handleMessageReceived(contactEvent);
+                                break;
+                            case 'MESSAGE_REPLIED':
+                            case 'reply.created':
+                                await handleMessageReplied(contactEvent);
+                                break;
+                            case 'MESSAGE_STATUS_UPDATED':
+                            case 'message.read':
+                            case 'message.updated':
+                                await handleMessageStatusUpdated(contactEvent);
+                                break;
+                            default:
+                                console.warn('Unhandled contact event type:', contactEvent.type);
+                        }
+                    });
                 } catch (error) {
                     console.error('Error processing contact event:', error);
                 }
@@ -72,7 +88,7 @@ const createContactConsumer = async () => {
  */
 const handleMessageReceived = async (event) => {
     try {
-        console.log('Message received:', event.payload);
+        console.log('Message received:', event.payload || event.data);
         // Implement additional logic for new message
     } catch (error) {
         console.error('Error handling message received:', error);
@@ -85,7 +101,7 @@ const handleMessageReceived = async (event) => {
  */
 const handleMessageReplied = async (event) => {
     try {
-        console.log('Message replied:', event.payload);
+        console.log('Message replied:', event.payload || event.data);
         // Implement additional logic for message reply
     } catch (error) {
         console.error('Error handling message replied:', error);
@@ -98,7 +114,7 @@ const handleMessageReplied = async (event) => {
  */
 const handleMessageStatusUpdated = async (event) => {
     try {
-        console.log('Message status updated:', event.payload);
+        console.log('Message status updated:', event.payload || event.data);
         // Implement additional logic for message status update
     } catch (error) {
         console.error('Error handling message status update:', error);
@@ -5,6 +5,7 @@
 
 const { kafkaClient } = require('../config/kafka.config');
 const kafka = require('kafka-node');
+const { startSpan, runWithTraceContext } = require('../../../shared/utils/tracing');
 
 /**
  * Create a consumer for profile-related events
@@ -30,22 +31,27 @@ const createProfileConsumer = async () => {
             consumer.on('message', async (message) => {
                 try {
                     const profileEvent = JSON.parse(message.value);
-                    console.log('Received profile event:', profileEvent);
 
-                    // Process different types of profile events
-                    switch (profileEvent.type) {
-                        case 'PROFILE_CREATED':
-                            await handleProfileCreated(profileEvent);
-                            break;
-                        case 'PROFILE_UPDATED':
-                            await handleProfileUpdated(profileEvent);
-                            break;
-                        case 'SKILL_ADDED':
-                            await handleSkillAdded(profileEvent);
-                            break;
-                        default:
-                            console.warn('Unhandled profile event type:', profileEvent.type);
-                    }
+                    // Continue the trace of the request that published the event
+                    const traceContext = startSpan(profileEvent.traceparent);
+                    console.log('Received profile event:', profileEvent, { traceId: traceContext.traceId });
+
+                    await runWithTraceContext(traceContext, async () => {
+                        // Process different types of profile events
+                        switch (profileEvent.type) {
+                            case 'PROFILE_CREATED':
+                                await handleProfileCreated(profileEvent);
+                                break;
+                            case 'PROFILE_UPDATED':
+                                await handleProfileUpdated(profileEvent);
+                                break;
+                            case 'SKILL_ADDED':
+                                await handleSkillAdded(profileEvent);
+                                break;
+                            default:
+                                console.warn('Unhandled profile event type:', profileEvent.type);
+                        }
+                    });
                 } catch (error) {
                     console.error('Error processing profile event:', error);
                 }
@@ -5,6 +5,7 @@
 
 const { kafkaClient } = require('../config/kafka.config');
 const kafka = require('kafka-node');
+const { startSpan, runWithTraceContext } = require('../../../shared/utils/tracing');
 
 /**
  * Create a consumer for project-related events
@@ -30,22 +31,27 @@ const createProjectConsumer = async () => {
             consumer.on('message', async (message) => {
                 try {
                     const projectEvent = JSON.parse(message.value);
-                    console.log('Received project event:', projectEvent);
 
-                    // Process different types of project events
-                    switch (projectEvent.type) {
-                        case 'PROJECT_CREATED':
-                            await handleProjectCreated(projectEvent);
-                            break;
-                        case 'PROJECT_UPDATED':
-                            await handleProjectUpdated(projectEvent);
-                            break;
-                        case 'TECHNOLOGY_ADDED':
-                            await handleTechnologyAdded(projectEvent);
-                            break;
-                        default:
-                            console.warn('Unhandled project event type:', projectEvent.type);
-                    }
+                    // Continue the trace of the request that published the event
+                    const traceContext = startSpan(projectEvent.traceparent);
+                    console.log('Received project event:', projectEvent, { traceId: traceContext.traceId });
+
+                    await runWithTraceContext(traceContext, async () => {
+                        // Process different types of project events
+                        switch (projectEvent.type) {
+                            case 'PROJECT_CREATED':
+                                await handleProjectCreated(projectEvent);
+                                break;
+                            case 'PROJECT_UPDATED':
+                                await handleProjectUpdated(projectEvent);
+                                break;
+                            case 'TECHNOLOGY_ADDED':
+                                await handleTechnologyAdded(projectEvent);
+                                break;
+                            default:
+                                console.warn('Unhandled project event type:', projectEvent.type);
+                        }
+                    });
                 } catch (error) {
                     console.error('Error processing project event:', error);
                 }
@@ -3,6 +3,7 @@
  * Manages authentication and authorization for Event Bus service
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const { formatError } = require('../../../shared/utils/response-formatter');
@@ -12,16 +13,19 @@ const { UNAUTHORIZED, FORBIDDEN } = require('../../../shared/utils/http-status')
 let jwksCache = null;
 let jwksCacheTime = null;
 const JWKS_CACHE_TTL = 3600000; // 1 hour
+const JWKS_REFRESH_INTERVAL = 30000; // Minimum age before an unknown kid triggers a refetch
 
 /**
  * Fetch JWKS from auth service
+ * @param {boolean} forceRefresh - Refetch unless just fetched, e.g. for a kid introduced by a key rotation
  * @returns {Promise<Object>} - JWKS response
  */
-const fetchJwks = async () => {
+const fetchJwks = async (forceRefresh = false) => {
     try {
         // Use cached JWKS if available and not expired
         const now = Date.now();
-        if (jwksCache && jwksCacheTime && (now - jwksCacheTime < JWKS_CACHE_TTL)) {
+        const ttl = forceRefresh ? JWKS_REFRESH_INTERVAL : JWKS_CACHE_TTL;
+        if (jwksCache && jwksCacheTime && (now - jwksCacheTime < ttl)) {
             return jwksCache;
         }
 
@@ -80,24 +84,35 @@ const verifyToken = async (token) => {
         }
 
         // Fetch JWKS
-        const jwks = await fetchJwks();
+        let jwks = await fetchJwks();
 
-        // Find the key with matching kid
-        const key = jwks.keys.find(k => k.kid === decoded.header.kid);
+        // Find the key with matching kid, refetching once in case the signing key was rotated
+        let key = jwks.keys.find(k => k.kid === decoded.header.kid);
+        if (!key) {
+            jwks = await fetchJwks(true);
+            key = jwks.keys.find(k => k.kid === decoded.header.kid);
+        }
 
         if (!key) {
             throw new Error('No matching key found in JWKS');
         }
 
-        // Convert JWK to PEM format (simplified)
-        const publicKey = `-----BEGIN PUBLIC KEY-----\n${key.n}\n-----END PUBLIC KEY-----`;
+        // Convert JWK to a public key object
+        const publicKey = crypto.createPublicKey({ key: { kty: key.kty, n: key.n, e: key.e }, format: 'jwk' });
 
         // Verify token
-        return jwt.verify(token, publicKey, {
+        const payload = jwt.verify(token, publicKey, {
             algorithms: ['RS256'],
             issuer: process.env.TOKEN_ISSUER || 'portfolio-api',
             audience: process.env.TOKEN_AUDIENCE || 'portfolio-client'
         });
+
+        // Only access tokens authenticate requests, refresh tokens are for the auth service
+        if (payload.type !== 'access') {
+            throw new Error('Invalid token type');
+        }
+
+        return payload;
     } catch (error) {
         console.error('Token verification error:', error.message);
         throw new Error('Invalid token');
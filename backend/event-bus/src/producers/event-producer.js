@@ -6,6 +6,7 @@
 const { kafkaClient } = require('../config/kafka.config');
 const kafka = require('kafka-node');
 const { v4: uuidv4 } = require('uuid');
+const { startSpan, getTraceContext, formatTraceparent } = require('../../../shared/utils/tracing');
 
 /**
  * Create a Kafka producer
@@ -43,11 +44,12 @@ const publishEvent = async (topic, event) => {
     const producer = await createProducer();
 
     return new Promise((resolve, reject) => {
-        // Enrich event with metadata
+        // Enrich event with metadata, continuing the trace of the event or of the current request
         const enrichedEvent = {
             id: uuidv4(),
             timestamp: new Date().toISOString(),
-            ...event
+            ...event,
+            traceparent: formatTraceparent(startSpan(event.traceparent || getTraceContext()))
         };
 
         const payloads = [{
@@ -10,6 +10,7 @@ const { requestLoggerMiddleware } = require('./middleware/logger.middleware');
 const { kafkaHealthCheck } = require('./utils/health-check.util');
 const eventProducer = require('./producers/event-producer');
 const { TOPICS } = require('./config/kafka.config');
+const { traceRequest } = require('../../shared/utils/tracing');
 
 // Load environment variables
 require('dotenv').config();
@@ -22,6 +23,7 @@ const PORT = process.env.PORT || 3007;
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
+app.use(traceRequest); // Continue the caller's trace (W3C traceparent)
 app.use(requestLoggerMiddleware);
 
 // Health check endpoint
@@ -0,0 +1,65 @@
+/**
+ * Resume Configuration
+ * Output formats and templates of the resumes rendered from profiles
+ */
+
+module.exports = {
+    // Base URL pinned resumes are served from, through the API gateway
+    publicUrl: process.env.PUBLIC_API_URL || 'http://localhost:3000',
+
+    defaultFormat: 'pdf',
+    defaultTemplate: 'classic',
+
+    formats: {
+        pdf: {
+            contentType: 'application/pdf',
+            extension: 'pdf'
+        },
+        markdown: {
+            contentType: 'text/markdown; charset=utf-8',
+            extension: 'md'
+        },
+        // JSON Resume schema, https://jsonresume.org/schema
+        json: {
+            contentType: 'application/json; charset=utf-8',
+            extension: 'json'
+        }
+    },
+
+    /**
+     * Template options:
+     *   sections     - sections in the order they are rendered: summary, experience, skills
+     *   skills       - skills layout: grouped (by category), levels (by level) or inline (one list)
+     *   descriptions - include the experience descriptions
+     *   accentColor  - PDF headings color, RGB from 0 to 1
+     *   fontSize     - PDF body font size in points
+     *
+     * The JSON Resume format always holds every section, the template is recorded as its theme.
+     */
+    templates: {
+        // Summary first, skills grouped by category
+        classic: {
+            sections: ['summary', 'experience', 'skills'],
+            skills: 'grouped',
+            descriptions: true,
+            accentColor: [0.16, 0.33, 0.58],
+            fontSize: 10
+        },
+        // Skills before experience, grouped by level
+        modern: {
+            sections: ['summary', 'skills', 'experience'],
+            skills: 'levels',
+            descriptions: true,
+            accentColor: [0.05, 0.52, 0.47],
+            fontSize: 10
+        },
+        // No summary nor descriptions, to fit on one page
+        compact: {
+            sections: ['experience', 'skills'],
+            skills: 'inline',
+            descriptions: false,
+            accentColor: [0.2, 0.2, 0.2],
+            fontSize: 9
+        }
+    }
+};
@@ -3,13 +3,32 @@
  * Handles user profile CRUD operations
  */
 
+const { Op } = require('sequelize');
 const Profile = require('../models/profile.model');
 const Skill = require('../models/skill.model');
 const Experience = require('../models/experience.model');
 const { publishEvent } = require('../events/profile-events');
+const { normalizeHandle, mergeVisibility, toPublicProfile } = require('../utils/profile-visibility.util');
 const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
 const { CREATED, OK, NOT_FOUND, BAD_REQUEST, UNAUTHORIZED, FORBIDDEN } = require('../../../shared/utils/http-status');
 
+/**
+ * Check that a handle is not used by another profile
+ * Soft-deleted profiles keep their handle so it can be restored with them
+ * @param {string} handle - Normalized handle
+ * @param {string} [profileId] - ID of the profile taking the handle
+ * @returns {Promise<boolean>} - True if the handle is free
+ */
+const isHandleAvailable = async (handle, profileId = null) => {
+    const existing = await Profile.findOne({
+        where: { handle },
+        attributes: ['id'],
+        paranoid: false
+    });
+
+    return !existing || existing.id === profileId;
+};
+
 /**
  * Create a new profile
  * @param {Object} req - Express request object
@@ -32,37 +51,52 @@ const createProfile = async (req, res) => {
 
         // Extract profile data from request body
         const {
+            displayName,
             title,
             bio,
             location,
+            phone,
             website,
             github,
             linkedin,
             twitter,
             avatar,
             resumeUrl,
-            isAvailableForHire
+            isAvailableForHire,
+            visibility
         } = req.body;
+        const handle = req.body.handle ? normalizeHandle(req.body.handle) : null;
+
+        if (handle && !await isHandleAvailable(handle)) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Profile Error', 'Handle is already taken')
+            );
+        }
 
         // Create new profile
         const profile = await Profile.create({
             userId,
+            handle,
+            displayName,
             title,
             bio,
             location,
+            phone,
             website,
             github,
             linkedin,
             twitter,
             avatar,
             resumeUrl,
-            isAvailableForHire: isAvailableForHire || false
+            isAvailableForHire: isAvailableForHire || false,
+            visibility: mergeVisibility({}, visibility || {})
         });
 
         // Publish profile created event
         publishEvent('profile.created', {
             userId,
             profileId: profile.id,
+            handle: profile.handle,
             title: profile.title
         });
 
@@ -120,7 +154,7 @@ const getOwnProfile = async (req, res) => {
 };
 
 /**
- * Get profile by ID (public)
+ * Get profile by ID (admin only)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -161,7 +195,7 @@ const getProfileById = async (req, res) => {
 };
 
 /**
- * Get all profiles (public)
+ * Get all profiles (admin only)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -210,6 +244,104 @@ const getAllProfiles = async (req, res) => {
     }
 };
 
+/**
+ * Get an active profile by its handle (public)
+ * Sections the owner hid are left out
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPublicProfile = async (req, res) => {
+    try {
+        const handle = normalizeHandle(req.params.handle);
+
+        // Inactive profiles are not found, as if they did not exist
+        const profile = await Profile.findOne({
+            where: { handle, isActive: true },
+            include: [
+                {
+                    model: Skill,
+                    as: 'skills'
+                },
+                {
+                    model: Experience,
+                    as: 'experiences'
+                }
+            ],
+            order: [[{ model: Experience, as: 'experiences' }, 'startDate', 'DESC']]
+        });
+
+        if (!profile) {
+            return res.status(NOT_FOUND).json(
+                formatError('Profile Error', 'Profile not found')
+            );
+        }
+
+        return res.status(OK).json(
+            formatResponse('Profile retrieved successfully', { profile: toPublicProfile(profile) })
+        );
+    } catch (error) {
+        console.error('Get public profile error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Profile Error', error.message)
+        );
+    }
+};
+
+/**
+ * Get all active profiles that have a handle (public)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPublicProfiles = async (req, res) => {
+    try {
+        // Pagination parameters
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+        const offset = (page - 1) * limit;
+
+        // Find public profiles with pagination
+        const { count, rows: profiles } = await Profile.findAndCountAll({
+            where: {
+                isActive: true,
+                handle: { [Op.ne]: null }
+            },
+            include: [{
+                model: Skill,
+                as: 'skills',
+                attributes: ['id', 'name', 'level']
+            }],
+            distinct: true,
+            limit,
+            offset,
+            order: [['updatedAt', 'DESC']]
+        });
+
+        // Calculate pagination info
+        const totalPages = Math.ceil(count / limit);
+        const hasNext = page < totalPages;
+        const hasPrev = page > 1;
+
+        return res.status(OK).json(
+            formatResponse('Profiles retrieved successfully', {
+                profiles: profiles.map(toPublicProfile),
+                pagination: {
+                    page,
+                    limit,
+                    totalItems: count,
+                    totalPages,
+                    hasNext,
+                    hasPrev
+                }
+            })
+        );
+    } catch (error) {
+        console.error('Get public profiles error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Profile Error', error.message)
+        );
+    }
+};
+
 /**
  * Update user's own profile
  * @param {Object} req - Express request object
@@ -232,36 +364,51 @@ const updateProfile = async (req, res) => {
 
         // Extract profile data from request body
         const {
+            displayName,
             title,
             bio,
             location,
+            phone,
             website,
             github,
             linkedin,
             twitter,
             avatar,
             resumeUrl,
-            isAvailableForHire
+            isAvailableForHire,
+            visibility
         } = req.body;
+        const handle = req.body.handle ? normalizeHandle(req.body.handle) : req.body.handle;
+
+        if (handle && !await isHandleAvailable(handle, profile.id)) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Profile Error', 'Handle is already taken')
+            );
+        }
 
         // Update profile
         const updatedProfile = await profile.update({
+            handle: handle !== undefined ? handle : profile.handle,
+            displayName: displayName !== undefined ? displayName : profile.displayName,
             title: title !== undefined ? title : profile.title,
             bio: bio !== undefined ? bio : profile.bio,
             location: location !== undefined ? location : profile.location,
+            phone: phone !== undefined ? phone : profile.phone,
             website: website !== undefined ? website : profile.website,
             github: github !== undefined ? github : profile.github,
             linkedin: linkedin !== undefined ? linkedin : profile.linkedin,
             twitter: twitter !== undefined ? twitter : profile.twitter,
             avatar: avatar !== undefined ? avatar : profile.avatar,
             resumeUrl: resumeUrl !== undefined ? resumeUrl : profile.resumeUrl,
-            isAvailableForHire: isAvailableForHire !== undefined ? isAvailableForHire : profile.isAvailableForHire
+            isAvailableForHire: isAvailableForHire !== undefined ? isAvailableForHire : profile.isAvailableForHire,
+            visibility: visibility !== undefined ? mergeVisibility(profile.visibility, visibility) : profile.visibility
         });
 
         // Publish profile updated event
         publishEvent('profile.updated', {
             userId,
             profileId: profile.id,
+            handle: updatedProfile.handle,
             title: updatedProfile.title
         });
 
@@ -296,9 +443,11 @@ const updateProfileById = async (req, res) => {
 
         // Extract profile data from request body
         const {
+            displayName,
             title,
             bio,
             location,
+            phone,
             website,
             github,
             linkedin,
@@ -306,14 +455,25 @@ const updateProfileById = async (req, res) => {
             avatar,
             resumeUrl,
             isAvailableForHire,
-            isActive
+            isActive,
+            visibility
         } = req.body;
+        const handle = req.body.handle ? normalizeHandle(req.body.handle) : req.body.handle;
+
+        if (handle && !await isHandleAvailable(handle, profile.id)) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Profile Error', 'Handle is already taken')
+            );
+        }
 
         // Update profile
         const updatedProfile = await profile.update({
+            handle: handle !== undefined ? handle : profile.handle,
+            displayName: displayName !== undefined ? displayName : profile.displayName,
             title: title !== undefined ? title : profile.title,
             bio: bio !== undefined ? bio : profile.bio,
             location: location !== undefined ? location : profile.location,
+            phone: phone !== undefined ? phone : profile.phone,
             website: website !== undefined ? website : profile.website,
             github: github !== undefined ? github : profile.github,
             linkedin: linkedin !== undefined ? linkedin : profile.linkedin,
@@ -321,13 +481,15 @@ const updateProfileById = async (req, res) => {
             avatar: avatar !== undefined ? avatar : profile.avatar,
             resumeUrl: resumeUrl !== undefined ? resumeUrl : profile.resumeUrl,
             isAvailableForHire: isAvailableForHire !== undefined ? isAvailableForHire : profile.isAvailableForHire,
-            isActive: isActive !== undefined ? isActive : profile.isActive
+            isActive: isActive !== undefined ? isActive : profile.isActive,
+            visibility: visibility !== undefined ? mergeVisibility(profile.visibility, visibility) : profile.visibility
         });
 
         // Publish profile updated event
         publishEvent('profile.updated.admin', {
             profileId: profile.id,
             userId: profile.userId,
+            handle: updatedProfile.handle,
             title: updatedProfile.title,
             adminId: req.user.id
         });
@@ -432,6 +594,8 @@ module.exports = {
     getOwnProfile,
     getProfileById,
     getAllProfiles,
+    getPublicProfile,
+    getPublicProfiles,
     updateProfile,
     updateProfileById,
     deleteProfile,
@@ -0,0 +1,225 @@
+/**
+ * Resume Controller
+ * Renders resumes from profiles and pins them as the profile's resume URL
+ */
+
+const sequelize = require('../utils/database.util');
+const { Profile, Skill, Experience, Resume } = require('../models');
+const { renderResume } = require('../utils/resume.util');
+const { publishEvent } = require('../events/profile-events');
+const config = require('../config/resume.config');
+const { formatResponse, formatError } = require('../../../shared/utils/response-formatter');
+const { CREATED, OK, NOT_FOUND, BAD_REQUEST, FORBIDDEN } = require('../../../shared/utils/http-status');
+
+/**
+ * Read and check the format and template of a resume
+ * @param {Object} source - Query or body holding { format, template }
+ * @returns {Object} { format, template } or { error }
+ */
+const getResumeOptions = ({ format = config.defaultFormat, template = config.defaultTemplate }) => {
+    if (!Object.prototype.hasOwnProperty.call(config.formats, format)) {
+        return { error: `Format must be one of: ${Object.keys(config.formats).join(', ')}` };
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(config.templates, template)) {
+        return { error: `Template must be one of: ${Object.keys(config.templates).join(', ')}` };
+    }
+
+    return { format, template };
+};
+
+/**
+ * Find a profile with the records a resume is rendered from
+ * @param {string} id - Profile ID
+ * @returns {Promise<Object|null>} Profile instance
+ */
+const findResumeProfile = (id) => Profile.findByPk(id, {
+    include: [
+        {
+            model: Skill,
+            as: 'skills'
+        },
+        {
+            model: Experience,
+            as: 'experiences'
+        }
+    ]
+});
+
+/**
+ * Check whether the current user owns a profile or is an admin
+ * @param {Object} req - Express request object
+ * @param {Object} profile - Profile instance
+ * @returns {boolean} True if the user can see and change the whole profile
+ */
+const canManageProfile = (req, profile) => Boolean(req.user) && (
+    req.user.id === profile.userId || req.user.roles.includes('admin')
+);
+
+/**
+ * Send a rendered resume file
+ * @param {Object} res - Express response object
+ * @param {Object} file - { content, contentType, fileName }
+ * @param {boolean} download - Send as an attachment instead of inline
+ */
+const sendResumeFile = (res, { content, contentType, fileName }, download) => {
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${fileName}"`);
+    return res.status(OK).send(content);
+};
+
+/**
+ * Render the resume of a profile (public)
+ * Others get the resume of an active profile without the sections its owner hid,
+ * the owner and admins get the whole profile.
+ * ?format=pdf|markdown|json, ?template=classic|modern|compact, ?download=true
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getResume = async (req, res) => {
+    try {
+        const options = getResumeOptions(req.query);
+
+        if (options.error) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Validation Error', options.error)
+            );
+        }
+
+        const profile = await findResumeProfile(req.params.id);
+        const fullView = Boolean(profile) && canManageProfile(req, profile);
+
+        if (!profile || (!fullView && !profile.isActive)) {
+            return res.status(NOT_FOUND).json(
+                formatError('Profile Error', 'Profile not found')
+            );
+        }
+
+        const file = renderResume(profile, { ...options, publicView: !fullView });
+
+        return sendResumeFile(res, file, req.query.download === 'true');
+    } catch (error) {
+        console.error('Get resume error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Resume Error', error.message)
+        );
+    }
+};
+
+/**
+ * Render the resume of a profile and pin it as the profile's resume URL
+ * The pinned file is public, so it is rendered without the sections the owner hid.
+ * It replaces the file pinned before.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const pinResume = async (req, res) => {
+    try {
+        const options = getResumeOptions(req.body);
+
+        if (options.error) {
+            return res.status(BAD_REQUEST).json(
+                formatError('Validation Error', options.error)
+            );
+        }
+
+        const profile = await findResumeProfile(req.params.id);
+
+        if (!profile) {
+            return res.status(NOT_FOUND).json(
+                formatError('Profile Error', 'Profile not found')
+            );
+        }
+
+        if (!canManageProfile(req, profile)) {
+            return res.status(FORBIDDEN).json(
+                formatError('Access denied', 'Only the owner of the profile can pin its resume')
+            );
+        }
+
+        const file = renderResume(profile, { ...options, publicView: true });
+
+        const resume = await sequelize.transaction(async (transaction) => {
+            await Resume.destroy({ where: { profileId: profile.id }, transaction });
+
+            const created = await Resume.create({
+                profileId: profile.id,
+                format: options.format,
+                template: options.template,
+                fileName: file.fileName,
+                contentType: file.contentType,
+                content: file.content
+            }, { transaction });
+
+            await profile.update({ resumeUrl: `${config.publicUrl}/api/profiles/resumes/${created.id}` }, { transaction });
+
+            return created;
+        });
+
+        // Publish resume pinned event
+        publishEvent('profile.resume.pinned', {
+            userId: profile.userId,
+            profileId: profile.id,
+            resumeId: resume.id,
+            format: resume.format,
+            template: resume.template
+        });
+
+        return res.status(CREATED).json(
+            formatResponse('Resume pinned successfully', {
+                resume: {
+                    id: resume.id,
+                    format: resume.format,
+                    template: resume.template,
+                    fileName: resume.fileName,
+                    contentType: resume.contentType,
+                    size: file.content.length,
+                    createdAt: resume.createdAt
+                },
+                resumeUrl: profile.resumeUrl
+            })
+        );
+    } catch (error) {
+        console.error('Pin resume error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Resume Error', error.message)
+        );
+    }
+};
+
+/**
+ * Get a pinned resume file (public)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPinnedResume = async (req, res) => {
+    try {
+        const resume = await Resume.findByPk(req.params.id, {
+            include: [{
+                model: Profile,
+                as: 'profile',
+                attributes: ['id', 'isActive']
+            }]
+        });
+
+        // Resumes of inactive profiles are not served, as if they did not exist
+        if (!resume || !resume.profile || !resume.profile.isActive) {
+            return res.status(NOT_FOUND).json(
+                formatError('Resume Error', 'Resume not found')
+            );
+        }
+
+        return sendResumeFile(res, resume, req.query.download === 'true');
+    } catch (error) {
+        console.error('Get pinned resume error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Resume Error', error.message)
+        );
+    }
+};
+
+module.exports = {
+    getResume,
+    pinResume,
+    getPinnedResume
+};
@@ -0,0 +1,124 @@
+/**
+ * User Events
+ * Keeps profiles in step with the user accounts published by auth-service
+ *
+ * user.registered - create an empty profile for the new user, named after them
+ * user.deleted    - soft-delete the user's profile
+ * user.restored   - restore it along with its skills and experiences
+ *
+ * user.erasure.requested - permanently delete the user's profile, skills, experiences and pinned resumes
+ */
+
+const kafka = require('kafka-node');
+const { Profile, Skill, Experience, Resume } = require('../models');
+const { publishEvent } = require('./profile-events');
+const { answerDataRequest, createUserEventConsumer } = require('../../../shared/utils/user-events');
+
+/**
+ * Create an empty profile for a new user
+ * @param {Object} data - Event data
+ */
+const handleUserRegistered = async ({ userId, username, firstName, lastName }) => {
+    const displayName = [firstName, lastName].filter(Boolean).join(' ') || username || null;
+
+    // Events can be delivered more than once, and the user may have created a profile already
+    const [profile, created] = await Profile.findOrCreate({
+        where: { userId },
+        defaults: { userId, displayName },
+        paranoid: false
+    });
+
+    if (created) {
+        publishEvent('profile.created', {
+            userId,
+            profileId: profile.id,
+            title: profile.title
+        });
+    }
+};
+
+/**
+ * Soft-delete the profile of a deleted user
+ * @param {Object} data - Event data
+ */
+const handleUserDeleted = async ({ userId }) => {
+    const profile = await Profile.findOne({ where: { userId } });
+
+    if (!profile) return;
+
+    await profile.destroy();
+
+    publishEvent('profile.deleted', {
+        userId,
+        profileId: profile.id
+    });
+};
+
+/**
+ * Restore the profile of a restored user
+ * @param {Object} data - Event data
+ */
+const handleUserRestored = async ({ userId }) => {
+    const profile = await Profile.findOne({ where: { userId }, paranoid: false });
+
+    if (!profile || !profile.deletedAt) return;
+
+    // Skills and experiences are restored by the afterRestore hook
+    await profile.restore();
+};
+
+/**
+ * Export the profile of a user, including soft-deleted records
+ * @param {Object} data - { userId }, from the internal export endpoint
+ * @returns {Promise<Object>} Exported data
+ */
+const exportUserData = async ({ userId }) => {
+    const profile = await Profile.findOne({
+        where: { userId },
+        include: [
+            { model: Skill, as: 'skills', paranoid: false },
+            { model: Experience, as: 'experiences', paranoid: false },
+            // The files can be rendered again, only what was pinned is exported
+            { model: Resume, as: 'resumes', attributes: { exclude: ['content'] } }
+        ],
+        paranoid: false
+    });
+
+    return { data: { profile } };
+};
+
+/**
+ * Permanently delete the profile of a user with its skills, experiences and resumes
+ * @param {Object} data - Event data
+ * @returns {Promise<Object>} Number of records deleted per model
+ */
+const eraseUserData = async ({ userId }) => {
+    const profiles = await Profile.findAll({ where: { userId }, attributes: ['id'], paranoid: false });
+    const profileIds = profiles.map(profile => profile.id);
+
+    const deleted = {
+        skills: await Skill.destroy({ where: { profileId: profileIds }, force: true }),
+        experiences: await Experience.destroy({ where: { profileId: profileIds }, force: true }),
+        resumes: await Resume.destroy({ where: { profileId: profileIds } }),
+        profiles: await Profile.destroy({ where: { id: profileIds }, force: true })
+    };
+
+    return { deleted };
+};
+
+const { startUserEventConsumer, stopUserEventConsumer } = createUserEventConsumer({
+    kafka,
+    groupId: 'profile-service-user-events', // One instance handles each event
+    handlers: {
+        'user.registered': handleUserRegistered,
+        'user.deleted': handleUserDeleted,
+        'user.restored': handleUserRestored,
+        'user.erasure.requested': answerDataRequest(publishEvent, 'user.erasure', eraseUserData)
+    }
+});
+
+module.exports = {
+    exportUserData,
+    startUserEventConsumer,
+    stopUserEventConsumer
+};
@@ -1,71 +1,88 @@
 /**
- * Profile Service Server Setup
- * Configures the Express server with middleware and routes
+ * Profile Service Entry Point
+ * Initializes the profile service
  */
 
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const cookieParser = require('cookie-parser');
-const profileRoutes = require('./routes/profile.routes');
-const { errorHandler } = require('../../shared/middleware/error-handler.middleware');
-const { OK } = require('../../shared/utils/http-status');
-
-// Create Express app
-const app = express();
-
-// Basic middleware
-app.use(helmet()); // Security headers
-app.use(express.json({ limit: '1mb' })); // Parse JSON request bodies
-app.use(express.urlencoded({ extended: true, limit: '1mb' })); // Parse URL-encoded request bodies
-app.use(cookieParser()); // Parse cookies
-
-// CORS configuration
-app.use(cors({
-    origin: process.env.CORS_ORIGIN || '*',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
-    credentials: true
-}));
-
-// Request logging
-app.use(morgan(process.env.NODE_ENV === 'development' ? 'dev' : 'combined'));
-
-// Add request ID to each request
-app.use((req, res, next) => {
-    req.id = req.headers['x-request-id'] || require('uuid').v4();
-    res.setHeader('x-request-id', req.id);
-    next();
+const server = require('./server');
+const { testConnection, initDatabase } = require('./utils/database.util');
+const { startUserEventConsumer, stopUserEventConsumer } = require('./events/user-events');
+
+// Server port
+const PORT = process.env.PORT || 3002;
+const HOST = process.env.HOST || '0.0.0.0';
+
+// HTTP server, set once listening
+let httpServer = null;
+
+// Start the server
+const startServer = async () => {
+    try {
+        // Test database connection
+        const dbConnected = await testConnection();
+        if (!dbConnected) {
+            console.error('Failed to connect to database. Exiting...');
+            process.exit(1);
+        }
+
+        // Initialize database (sync models)
+        const dbSync = await initDatabase(process.env.NODE_ENV === 'development' && process.env.DB_FORCE_SYNC === 'true');
+        if (!dbSync) {
+            console.error('Failed to sync database. Exiting...');
+            process.exit(1);
+        }
+
+        // Start the server
+        httpServer = server.listen(PORT, HOST, () => {
+            console.log(`Profile Service running on http://${HOST}:${PORT}`);
+            console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+        });
+
+        // Create and remove profiles as user accounts come and go
+        startUserEventConsumer();
+    } catch (error) {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    }
+};
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+    console.error('Uncaught Exception:', error);
+    process.exit(1);
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.status(OK).json({
-        status: 'ok',
-        service: 'profile-service',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime()
-    });
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection:', reason);
 });
 
-// Main profile routes
-app.use('/api/profiles', profileRoutes);
+// Handle termination signals
+process.on('SIGTERM', gracefulShutdown);
+process.on('SIGINT', gracefulShutdown);
 
-// Backward compatibility with API gateway routing
-app.use('/', profileRoutes);
+/**
+ * Graceful shutdown
+ */
+async function gracefulShutdown() {
+    console.log('Received kill signal, shutting down gracefully...');
 
-// Fallback route handler for undefined routes
-app.use('*', (req, res) => {
-    res.status(404).json({
-        error: 'Not Found',
-        message: `Route ${req.originalUrl} not found`,
-        code: 404
-    });
-});
+    // Force close after timeout
+    setTimeout(() => {
+        console.error('Could not close connections in time, forcefully shutting down');
+        process.exit(1);
+    }, 10000).unref();
 
-// Global error handler
-app.use(errorHandler);
+    await stopUserEventConsumer();
+
+    if (!httpServer) {
+        process.exit(0);
+    }
+
+    httpServer.close(() => {
+        console.log('Server closed');
+        process.exit(0);
+    });
+}
 
-// Export Express app
-module.exports = app;
\ No newline at end of file
+// Start the server
+startServer();
@@ -33,13 +33,21 @@ const extractToken = (req) => {
     return null;
 };
 
+/**
+ * Attach access metadata to a middleware so it can be published in the route manifest
+ * @param {Function} middleware - Express middleware function
+ * @param {Object} access - Access requirements enforced by the middleware
+ * @returns {Function} - The same middleware, tagged with its access requirements
+ */
+const withRouteAccess = (middleware, access) => Object.assign(middleware, { routeAccess: access });
+
 /**
  * Authentication middleware
  * @param {boolean} required - Whether authentication is required
  * @returns {Function} Express middleware function
  */
 const authenticate = (required = true) => {
-    return async (req, res, next) => {
+    return withRouteAccess(async (req, res, next) => {
         try {
             const token = extractToken(req);
 
@@ -111,7 +119,7 @@ const authenticate = (required = true) => {
             req.user = null;
             next();
         }
-    };
+    }, { auth: required });
 };
 
 /**
@@ -122,7 +130,7 @@ const authenticate = (required = true) => {
 const hasRole = (roles) => {
     const requiredRoles = Array.isArray(roles) ? roles : [roles];
 
-    return (req, res, next) => {
+    return withRouteAccess((req, res, next) => {
         // Must be authenticated first
         if (!req.user) {
             return res.status(UNAUTHORIZED).json(
@@ -140,7 +148,7 @@ const hasRole = (roles) => {
         }
 
         next();
-    };
+    }, { auth: true, roles: requiredRoles });
 };
 
 /**
@@ -151,7 +159,7 @@ const hasRole = (roles) => {
 const hasPermission = (permissions) => {
     const requiredPermissions = Array.isArray(permissions) ? permissions : [permissions];
 
-    return (req, res, next) => {
+    return withRouteAccess((req, res, next) => {
         // Must be authenticated first
         if (!req.user) {
             return res.status(UNAUTHORIZED).json(
@@ -171,7 +179,7 @@ const hasPermission = (permissions) => {
         }
 
         next();
-    };
+    }, { auth: true, permissions: requiredPermissions });
 };
 
 module.exports = {
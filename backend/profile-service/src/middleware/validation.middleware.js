@@ -5,6 +5,7 @@
 
 const { formatError } = require('../../../shared/utils/response-formatter');
 const { BAD_REQUEST } = require('../../../shared/utils/http-status');
+const { RESERVED_HANDLES, normalizeHandle } = require('../utils/profile-visibility.util');
 
 /**
  * Validate profile data
@@ -15,14 +16,39 @@ const { BAD_REQUEST } = require('../../../shared/utils/http-status');
 const validateProfile = (req, res, next) => {
     const errors = [];
     const {
+        handle,
+        displayName,
         title,
         bio,
+        phone,
         website,
         github,
         linkedin,
-        twitter
+        twitter,
+        visibility
     } = req.body;
 
+    // Validate handle if provided, null removes it
+    if (handle !== undefined && handle !== null) {
+        const normalized = typeof handle === 'string' ? normalizeHandle(handle) : '';
+
+        if (!/^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/.test(normalized) || normalized.length < 3 || normalized.length > 30) {
+            errors.push('Handle must be 3 to 30 letters, numbers or hyphens, and cannot start or end with a hyphen');
+        } else if (RESERVED_HANDLES.includes(normalized)) {
+            errors.push('Handle is reserved');
+        }
+    }
+
+    // Validate phone number if provided
+    if (phone && !/^\+?[0-9 ()-]{6,30}$/.test(phone)) {
+        errors.push('Phone must be a valid phone number');
+    }
+
+    // Validate visibility settings if provided
+    if (visibility !== undefined) {
+        errors.push(...validateVisibility(visibility));
+    }
+
     // Validate website URL if provided
     if (website && !isValidUrl(website)) {
         errors.push('Website must be a valid URL');
@@ -42,6 +68,10 @@ const validateProfile = (req, res, next) => {
     }
 
     // Validate text lengths
+    if (displayName && displayName.length > 100) {
+        errors.push('Display name cannot exceed 100 characters');
+    }
+
     if (title && title.length > 100) {
         errors.push('Title cannot exceed 100 characters');
     }
@@ -140,6 +170,10 @@ const validateExperience = (req, res, next) => {
     }
 
     // Validate text lengths
+    if (displayName && displayName.length > 100) {
+        errors.push('Display name cannot exceed 100 characters');
+    }
+
     if (title && title.length > 100) {
         errors.push('Job title cannot exceed 100 characters');
     }
@@ -204,6 +238,44 @@ const validateExperience = (req, res, next) => {
     next();
 };
 
+/**
+ * Validate profile visibility settings
+ * @param {Object} visibility - { hidePhone, hideLocation, hiddenExperienceIds }
+ * @returns {string[]} - Validation errors
+ */
+const validateVisibility = (visibility) => {
+    if (!visibility || typeof visibility !== 'object' || Array.isArray(visibility)) {
+        return ['Visibility must be an object'];
+    }
+
+    const errors = [];
+    const { hidePhone, hideLocation, hiddenExperienceIds } = visibility;
+
+    if (hidePhone !== undefined && typeof hidePhone !== 'boolean') {
+        errors.push('Visibility hidePhone must be a boolean');
+    }
+
+    if (hideLocation !== undefined && typeof hideLocation !== 'boolean') {
+        errors.push('Visibility hideLocation must be a boolean');
+    }
+
+    if (hiddenExperienceIds !== undefined && (
+        !Array.isArray(hiddenExperienceIds) ||
+        !hiddenExperienceIds.every(id => typeof id === 'string' && isValidUuid(id))
+    )) {
+        errors.push('Visibility hiddenExperienceIds must be a list of experience IDs');
+    }
+
+    return errors;
+};
+
+/**
+ * Validate UUID format
+ * @param {string} id - ID to validate
+ * @returns {boolean} - True if ID is a UUID
+ */
+const isValidUuid = (id) => /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id);
+
 /**
  * Validate URL format
  * @param {string} url - URL to validate
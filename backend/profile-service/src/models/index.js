@@ -6,6 +6,7 @@
 const Profile = require('./profile.model');
 const Skill = require('./skill.model');
 const Experience = require('./experience.model');
+const Resume = require('./resume.model');
 
 // Define relationships between models
 Profile.hasMany(Skill, {
@@ -28,8 +29,19 @@ Experience.belongsTo(Profile, {
     as: 'profile'
 });
 
+Profile.hasMany(Resume, {
+    foreignKey: 'profileId',
+    as: 'resumes',
+    onDelete: 'CASCADE'
+});
+Resume.belongsTo(Profile, {
+    foreignKey: 'profileId',
+    as: 'profile'
+});
+
 module.exports = {
     Profile,
     Skill,
-    Experience
+    Experience,
+    Resume
 };
\ No newline at end of file
@@ -17,6 +17,20 @@ const Profile = sequelize.define('Profile', {
         allowNull: false,
         unique: true
     },
+    handle: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+        unique: true,
+        validate: {
+            is: /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/
+        },
+        comment: 'Vanity handle of the public profile, e.g. "jane-doe"'
+    },
+    displayName: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Name shown on the profile and resume'
+    },
     title: {
         type: DataTypes.STRING,
         allowNull: true,
@@ -32,6 +46,11 @@ const Profile = sequelize.define('Profile', {
         allowNull: true,
         comment: 'City, State, Country'
     },
+    phone: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+        comment: 'Contact phone number'
+    },
     website: {
         type: DataTypes.STRING,
         allowNull: true,
@@ -75,6 +94,12 @@ const Profile = sequelize.define('Profile', {
         defaultValue: true,
         comment: 'Profile visibility status'
     },
+    visibility: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Sections hidden from the public profile: { hidePhone, hideLocation, hiddenExperienceIds }'
+    },
     /*views: {
         type: DataTypes.INTEGER,
         defaultValue: 0,
@@ -93,6 +118,10 @@ const Profile = sequelize.define('Profile', {
         {
             unique: true,
             fields: ['userId']
+        },
+        {
+            unique: true,
+            fields: ['handle']
         }
     ],
     hooks: {
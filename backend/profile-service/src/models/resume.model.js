@@ -0,0 +1,61 @@
+/**
+ * Resume Model
+ * Defines the resume files rendered from a profile and pinned as its resume URL
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/database.util');
+
+const Resume = sequelize.define('Resume', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    profileId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'profiles',
+            key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    },
+    format: {
+        type: DataTypes.ENUM('pdf', 'markdown', 'json'),
+        allowNull: false,
+        comment: 'Output format'
+    },
+    template: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: 'Template the resume was rendered with'
+    },
+    fileName: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'File name offered on download'
+    },
+    contentType: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'MIME type of the file'
+    },
+    content: {
+        type: DataTypes.BLOB('long'),
+        allowNull: false,
+        comment: 'Rendered file'
+    }
+}, {
+    timestamps: true,
+    paranoid: false, // Replaced when a new resume is pinned, nothing to restore
+    tableName: 'resumes',
+    indexes: [
+        {
+            fields: ['profileId']
+        }
+    ]
+});
+
+module.exports = Resume;
@@ -8,12 +8,12 @@ const router = express.Router();
 const profileController = require('../controllers/profile.controller');
 const skillController = require('../controllers/skill.controller');
 const experienceController = require('../controllers/experience.controller');
+const resumeController = require('../controllers/resume.controller');
 const { authenticate, hasRole } = require('../middleware/auth.middleware');
 const { validateProfile, validateSkill, validateExperience } = require('../middleware/validation.middleware');
 
-// Middleware to enforce admin role globally
-router.use(authenticate); // Ensure all users are authenticated
-router.use(hasRole('admin')); // Ensure all users have the admin role
+// Admin routes need an authenticated admin
+const adminOnly = [authenticate(), hasRole('admin')];
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -24,80 +24,41 @@ router.get('/health', (req, res) => {
     });
 });
 
-// Profile routes
-router.post('/', validateProfile, profileController.createProfile);
-router.get('/me', profileController.getOwnProfile);
-router.get('/:id', profileController.getProfileById);
-router.get('/', profileController.getAllProfiles);
-router.put('/me', validateProfile, profileController.updateProfile);
-router.delete('/me', profileController.deleteProfile);
-
-// Admin profile routes
-router.put('/:id', validateProfile, profileController.updateProfileById);
-router.delete('/:id', profileController.deleteProfileById);
-
-// Skill routes
-router.post('/me/skills', validateSkill, skillController.addSkill);
-router.post('/me/skills/bulk', skillController.bulkAddSkills);
-router.get('/me/skills', skillController.getSkills);
-router.get('/me/skills/:id', skillController.getSkillById);
-router.put('/me/skills/:id', validateSkill, skillController.updateSkill);
-router.delete('/me/skills/:id', skillController.deleteSkill);
-
-// Experience routes
-router.post('/me/experiences', validateExperience, experienceController.addExperience);
-router.post('/me/experiences/bulk', experienceController.bulkAddExperiences);
-router.get('/me/experiences', experienceController.getExperiences);
-router.get('/me/experiences/:id', experienceController.getExperienceById);
-router.put('/me/experiences/:id', validateExperience, experienceController.updateExperience);
-router.delete('/me/experiences/:id', experienceController.deleteExperience);
-
-module.exports = router;
-
-/*const express = require('express');
-const router = express.Router();
-const profileController = require('../controllers/profile.controller');
-const skillController = require('../controllers/skill.controller');
-const experienceController = require('../controllers/experience.controller');
-const { authenticate, hasRole } = require('../middleware/auth.middleware');
-const { validateProfile, validateSkill, validateExperience } = require('../middleware/validation.middleware');
-
-// Health check endpoint
-router.get('/health', (req, res) => {
-    res.status(200).json({
-        status: 'ok',
-        service: 'profile-service',
-        timestamp: new Date().toISOString()
-    });
-});
+// Public profile routes, only active profiles with their visible sections
+router.get('/public', profileController.getPublicProfiles);
+router.get('/public/:handle', profileController.getPublicProfile);
+router.get('/resumes/:id', resumeController.getPinnedResume);
 
 // Profile routes
-router.post('/', authenticate, validateProfile, profileController.createProfile);
-router.get('/me', authenticate, profileController.getOwnProfile);
-router.get('/:id', profileController.getProfileById);
-router.get('/', profileController.getAllProfiles);
-router.put('/me', authenticate, validateProfile, profileController.updateProfile);
-router.delete('/me', authenticate, profileController.deleteProfile);
+router.post('/', authenticate(), validateProfile, profileController.createProfile);
+router.get('/me', authenticate(), profileController.getOwnProfile);
+router.put('/me', authenticate(), validateProfile, profileController.updateProfile);
+router.delete('/me', authenticate(), profileController.deleteProfile);
 
 // Admin profile routes
-router.put('/:id', authenticate, hasRole('admin'), validateProfile, profileController.updateProfileById);
-router.delete('/:id', authenticate, hasRole('admin'), profileController.deleteProfileById);
+router.get('/', adminOnly, profileController.getAllProfiles);
+router.get('/:id', adminOnly, profileController.getProfileById);
+router.put('/:id', adminOnly, validateProfile, profileController.updateProfileById);
+router.delete('/:id', adminOnly, profileController.deleteProfileById);
+
+// Resume routes, the owner and admins get the whole profile
+router.get('/:id/resume', authenticate(false), resumeController.getResume);
+router.post('/:id/resume', authenticate(), resumeController.pinResume);
 
 // Skill routes
-router.post('/me/skills', authenticate, validateSkill, skillController.addSkill);
-router.post('/me/skills/bulk', authenticate, skillController.bulkAddSkills);
-router.get('/me/skills', authenticate, skillController.getSkills);
-router.get('/me/skills/:id', authenticate, skillController.getSkillById);
-router.put('/me/skills/:id', authenticate, validateSkill, skillController.updateSkill);
-router.delete('/me/skills/:id', authenticate, skillController.deleteSkill);
+router.post('/me/skills', authenticate(), validateSkill, skillController.addSkill);
+router.post('/me/skills/bulk', authenticate(), skillController.bulkAddSkills);
+router.get('/me/skills', authenticate(), skillController.getSkills);
+router.get('/me/skills/:id', authenticate(), skillController.getSkillById);
+router.put('/me/skills/:id', authenticate(), validateSkill, skillController.updateSkill);
+router.delete('/me/skills/:id', authenticate(), skillController.deleteSkill);
 
 // Experience routes
-router.post('/me/experiences', authenticate, validateExperience, experienceController.addExperience);
-router.post('/me/experiences/bulk', authenticate, experienceController.bulkAddExperiences);
-router.get('/me/experiences', authenticate, experienceController.getExperiences);
-router.get('/me/experiences/:id', authenticate, experienceController.getExperienceById);
-router.put('/me/experiences/:id', authenticate, validateExperience, experienceController.updateExperience);
-router.delete('/me/experiences/:id', authenticate, experienceController.deleteExperience);
+router.post('/me/experiences', authenticate(), validateExperience, experienceController.addExperience);
+router.post('/me/experiences/bulk', authenticate(), experienceController.bulkAddExperiences);
+router.get('/me/experiences', authenticate(), experienceController.getExperiences);
+router.get('/me/experiences/:id', authenticate(), experienceController.getExperienceById);
+router.put('/me/experiences/:id', authenticate(), validateExperience, experienceController.updateExperience);
+router.delete('/me/experiences/:id', authenticate(), experienceController.deleteExperience);
 
 module.exports = router;
-*/
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Profile Service Server Setup
+ * Configures the Express server with middleware and routes
+ */
+
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
+const morgan = require('morgan');
+const profileRoutes = require('./routes/profile.routes');
+const { routeManifestHandler } = require('../../shared/utils/route-manifest');
+const { traceRequest, traceLogger } = require('../../shared/utils/tracing');
+const { userDataExportHandler } = require('../../shared/utils/user-events');
+const { exportUserData } = require('./events/user-events');
+const { errorHandler } = require('../../shared/middleware/error-handler.middleware');
+const { OK } = require('../../shared/utils/http-status');
+
+// Create Express app
+const app = express();
+
+// Basic middleware
+app.use(helmet()); // Security headers
+app.use(express.json({ limit: '1mb' })); // Parse JSON request bodies
+app.use(express.urlencoded({ extended: true, limit: '1mb' })); // Parse URL-encoded request bodies
+app.use(cookieParser()); // Parse cookies
+
+// CORS configuration
+app.use(cors({
+    origin: process.env.CORS_ORIGIN || '*',
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    credentials: true
+}));
+
+// Continue the trace started by the gateway (W3C traceparent)
+app.use(traceRequest);
+
+// Request logging, tagged with the trace ids
+app.use(traceLogger(morgan));
+
+// Add request ID to each request
+app.use((req, res, next) => {
+    req.id = req.headers['x-request-id'] || require('uuid').v4();
+    res.setHeader('x-request-id', req.id);
+    next();
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.status(OK).json({
+        status: 'ok',
+        service: 'profile-service',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime()
+    });
+});
+
+// Route manifest consumed by the API gateway to build its proxy table
+app.get('/_routes', routeManifestHandler('profile-service', profileRoutes));
+
+// User data pulled by auth-service for data exports, kept out of the route manifest so it is never proxied
+app.get('/internal/users/:userId/export', userDataExportHandler(exportUserData));
+
+// Main profile routes
+app.use('/api/profiles', profileRoutes);
+
+// Backward compatibility with API gateway routing
+app.use('/', profileRoutes);
+
+// Fallback route handler for undefined routes
+app.use('*', (req, res) => {
+    res.status(404).json({
+        error: 'Not Found',
+        message: `Route ${req.originalUrl} not found`,
+        code: 404
+    });
+});
+
+// Global error handler
+app.use(errorHandler);
+
+// Export Express app
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,273 @@
+/**
+ * PDF Utility Functions
+ * Writes simple text documents as PDF, enough for resumes
+ *
+ * Text uses the standard Helvetica fonts, which every PDF reader provides, so nothing is
+ * embedded. They only cover the Windows-1252 characters, anything else is printed as "?".
+ */
+
+const zlib = require('zlib');
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+
+const LINE_HEIGHT = 1.35;
+
+// Glyph widths of the printable ASCII characters (32 to 126), in 1/1000 of the font size
+const FONT_WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Width used for the characters outside printable ASCII
+const DEFAULT_WIDTH = 556;
+
+const FONT_NAMES = {
+    regular: 'F1',
+    bold: 'F2'
+};
+
+// Windows-1252 codes of the characters above U+00FF it can print
+const WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85,
+    '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A,
+    '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+    '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C,
+    'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+/**
+ * Convert text to the single byte characters of the fonts
+ * @param {string} text - Text
+ * @returns {string} Text where every character code is below 256
+ */
+const toWinAnsi = (text) => Array.from(String(text).replace(/\t/g, '    '), (char) => {
+    if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+
+    const code = char.charCodeAt(0);
+    return (code >= 32 && code < 127) || (code >= 160 && code < 256) ? char : '?';
+}).join('');
+
+/**
+ * Measure the width of a text
+ * @param {string} text - Text, already converted with toWinAnsi
+ * @param {string} font - regular or bold
+ * @param {number} size - Font size in points
+ * @returns {number} Width in points
+ */
+const measureText = (text, font, size) => {
+    let width = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        width += code >= 32 && code <= 126 ? FONT_WIDTHS[font][code - 32] : DEFAULT_WIDTH;
+    }
+    return (width * size) / 1000;
+};
+
+/**
+ * Split a paragraph into lines fitting a width
+ * Words wider than a line are cut
+ * @param {string} text - Paragraph, already converted with toWinAnsi
+ * @param {string} font - regular or bold
+ * @param {number} size - Font size in points
+ * @param {number} maxWidth - Line width in points
+ * @returns {string[]} Lines
+ */
+const wrapText = (text, font, size, maxWidth) => {
+    const lines = [];
+    let line = '';
+
+    text.split(' ').forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+
+        if (measureText(candidate, font, size) <= maxWidth) {
+            line = candidate;
+            return;
+        }
+
+        if (line) lines.push(line);
+        line = word;
+
+        // Cut the word until the rest fits
+        while (measureText(line, font, size) > maxWidth && line.length > 1) {
+            let cut = line.length - 1;
+            while (cut > 1 && measureText(line.slice(0, cut), font, size) > maxWidth) cut--;
+            lines.push(line.slice(0, cut));
+            line = line.slice(cut);
+        }
+    });
+
+    lines.push(line);
+
+    return lines;
+};
+
+/**
+ * Escape a string for a PDF literal string
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (text) => text.replace(/[\\()]/g, match => `\\${match}`);
+
+/**
+ * Format a color as PDF operands
+ * @param {number[]} color - RGB from 0 to 1
+ * @returns {string} Operands
+ */
+const formatColor = (color) => color.map(value => Number(value).toFixed(3)).join(' ');
+
+/**
+ * Lay blocks out on pages
+ * @param {Object[]} blocks - Blocks, see createPdf
+ * @returns {string[][]} Content stream operators of each page
+ */
+const layoutPages = (blocks) => {
+    const pages = [[]];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    // Start a new page when there is no room left for a height, tells whether it did
+    const breakPage = (height) => {
+        if (y - height >= MARGIN) return false;
+
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+        return true;
+    };
+
+    // Move down to the baseline of the next line, on a new page when it does not fit
+    const advance = (height) => {
+        breakPage(height);
+        y -= height;
+    };
+
+    // Move down by a blank space, which is dropped when it would start a new page
+    const skip = (height) => {
+        if (!breakPage(height)) y -= height;
+    };
+
+    const page = () => pages[pages.length - 1];
+
+    blocks.forEach(block => {
+        const spaceBefore = block.spaceBefore || 0;
+        const color = formatColor(block.color || [0, 0, 0]);
+
+        if (block.type === 'rule') {
+            skip(spaceBefore);
+            page().push(`${color} RG 0.75 w ${MARGIN} ${y.toFixed(2)} m ${(PAGE_WIDTH - MARGIN).toFixed(2)} ${y.toFixed(2)} l S`);
+            return;
+        }
+
+        const font = block.font || 'regular';
+        const size = block.size || 10;
+        const indent = block.indent || 0;
+        const lineHeight = size * LINE_HEIGHT;
+        const lines = wrapText(toWinAnsi(block.text || ''), font, size, PAGE_WIDTH - 2 * MARGIN - indent);
+
+        // Space before a block is dropped at the top of a page
+        skip(spaceBefore);
+
+        lines.forEach((line, index) => {
+            advance(lineHeight);
+
+            // The bullet hangs before the first line, the next lines align with its text
+            const position = index === 0 && block.bullet
+                ? `${MARGIN + indent - size} ${y.toFixed(2)} Td (\\225) Tj ${size} 0 Td`
+                : `${MARGIN + indent} ${y.toFixed(2)} Td`;
+
+            page().push(`BT /${FONT_NAMES[font]} ${size} Tf ${color} rg ${position} (${escapeText(line)}) Tj ET`);
+        });
+    });
+
+    return pages;
+};
+
+/**
+ * Create a PDF document
+ * Blocks are laid out from top to bottom, wrapping lines and adding pages as needed:
+ *   { type: 'text', text, font: 'regular'|'bold', size, color, indent, bullet, spaceBefore }
+ *   { type: 'rule', color, spaceBefore } - horizontal line across the page
+ * @param {Object[]} blocks - Blocks, type defaults to text
+ * @param {Object} [info] - Document information, e.g. { title, author }
+ * @returns {Buffer} PDF document
+ */
+const createPdf = (blocks, info = {}) => {
+    const pages = layoutPages(blocks);
+    const objects = [];
+
+    // Objects 1 to 4: catalog, page tree, fonts; then a page and its content per page
+    const pageIds = pages.map((_, index) => 5 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    pages.forEach((operators, index) => {
+        const content = zlib.deflateSync(Buffer.from(operators.join('\n'), 'latin1'));
+
+        objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+        objects[pageIds[index] + 1] = Buffer.concat([
+            Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            content,
+            Buffer.from('\nendstream', 'latin1')
+        ]);
+    });
+
+    const infoId = objects.length;
+    const infoEntries = Object.entries(info)
+        .filter(([, value]) => value)
+        .map(([key, value]) => `/${key.charAt(0).toUpperCase()}${key.slice(1)} (${escapeText(toWinAnsi(value))})`);
+    objects[infoId] = `<< ${infoEntries.join(' ')} /Producer (profile-service) >>`;
+
+    // Body, remembering where each object starts for the cross-reference table
+    const parts = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let offset = parts[0].length;
+
+    for (let id = 1; id < objects.length; id++) {
+        const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+        const object = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+
+        offsets[id] = offset;
+        parts.push(object);
+        offset += object.length;
+    }
+
+    const xref = [
+        'xref',
+        `0 ${objects.length}`,
+        '0000000000 65535 f ',
+        ...offsets.slice(1).map(value => `${String(value).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF\n'
+    ].join('\n');
+
+    parts.push(Buffer.from(xref, 'latin1'));
+
+    return Buffer.concat(parts);
+};
+
+module.exports = {
+    createPdf
+};
@@ -0,0 +1,111 @@
+/**
+ * Profile Visibility Utility
+ * Applies the owner's visibility settings to the profiles served on the public endpoints
+ */
+
+// Sections shown unless the owner hides them
+const DEFAULT_VISIBILITY = {
+    hidePhone: false,
+    hideLocation: false,
+    hiddenExperienceIds: []
+};
+
+// Fields served on the public endpoints, anything else (owner, soft delete, settings) stays internal
+const PUBLIC_FIELDS = {
+    profile: [
+        'id', 'handle', 'displayName', 'title', 'bio', 'location', 'phone', 'website',
+        'github', 'linkedin', 'twitter', 'avatar', 'resumeUrl', 'isAvailableForHire',
+        'createdAt', 'updatedAt'
+    ],
+    skill: ['id', 'name', 'level', 'category', 'yearsOfExperience'],
+    experience: [
+        'id', 'title', 'company', 'location', 'startDate', 'endDate', 'isCurrentPosition',
+        'description', 'employmentType'
+    ]
+};
+
+// Handles that would be confused with the service's own paths
+const RESERVED_HANDLES = ['admin', 'api', 'health', 'me', 'public', 'resume'];
+
+/**
+ * Normalize a handle for storage and lookup
+ * @param {string} handle - Handle as entered by the user
+ * @returns {string} - Lowercase handle without surrounding spaces
+ */
+const normalizeHandle = (handle) => String(handle).trim().toLowerCase();
+
+/**
+ * Get the visibility settings of a profile, defaults included
+ * @param {Object} profile - Profile instance or plain object
+ * @returns {Object} - { hidePhone, hideLocation, hiddenExperienceIds }
+ */
+const getVisibility = (profile) => ({
+    ...DEFAULT_VISIBILITY,
+    ...(profile.visibility || {})
+});
+
+/**
+ * Merge updated visibility settings into the current ones
+ * Settings missing from the update are kept
+ * @param {Object} current - Current visibility settings
+ * @param {Object} update - Settings sent by the owner
+ * @returns {Object} - Visibility settings to store
+ */
+const mergeVisibility = (current, update) => {
+    const visibility = { ...DEFAULT_VISIBILITY, ...(current || {}) };
+
+    if (update.hidePhone !== undefined) visibility.hidePhone = update.hidePhone;
+    if (update.hideLocation !== undefined) visibility.hideLocation = update.hideLocation;
+    if (update.hiddenExperienceIds !== undefined) {
+        visibility.hiddenExperienceIds = [...new Set(update.hiddenExperienceIds)];
+    }
+
+    return visibility;
+};
+
+/**
+ * Copy the allowed fields of a record, leaving out the ones it does not have
+ * @param {Object} record - Plain record
+ * @param {string[]} fields - Allowed fields
+ * @returns {Object} - Record with the allowed fields only
+ */
+const pickFields = (record, fields) => fields
+    .filter(field => record[field] !== undefined)
+    .reduce((picked, field) => ({ ...picked, [field]: record[field] }), {});
+
+/**
+ * Build the public view of a profile
+ * Only public fields are kept, without the sections the owner hid
+ * @param {Object} profile - Profile instance, with its skills and experiences when loaded
+ * @returns {Object} - Public profile
+ */
+const toPublicProfile = (profile) => {
+    const visibility = getVisibility(profile);
+    const data = profile.toJSON();
+    const publicProfile = pickFields(data, PUBLIC_FIELDS.profile);
+
+    if (visibility.hidePhone) delete publicProfile.phone;
+    if (visibility.hideLocation) delete publicProfile.location;
+
+    if (data.skills) {
+        publicProfile.skills = data.skills.map(skill => pickFields(skill, PUBLIC_FIELDS.skill));
+    }
+
+    if (data.experiences) {
+        publicProfile.experiences = data.experiences
+            .filter(experience => !visibility.hiddenExperienceIds.includes(experience.id))
+            .map(experience => pickFields(experience, PUBLIC_FIELDS.experience));
+    }
+
+    return publicProfile;
+};
+
+module.exports = {
+    DEFAULT_VISIBILITY,
+    PUBLIC_FIELDS,
+    RESERVED_HANDLES,
+    normalizeHandle,
+    getVisibility,
+    mergeVisibility,
+    toPublicProfile
+};
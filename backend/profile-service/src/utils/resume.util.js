@@ -0,0 +1,364 @@
+/**
+ * Resume Utility Functions
+ * Renders a resume from a profile with its skills and experiences, as PDF, Markdown or JSON Resume
+ */
+
+const { createPdf } = require('./pdf.util');
+const { toPublicProfile } = require('./profile-visibility.util');
+const config = require('../config/resume.config');
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const SKILL_LEVELS = ['Expert', 'Advanced', 'Intermediate', 'Beginner'];
+
+// Base URLs of the social networks stored as usernames
+const SOCIAL_NETWORKS = {
+    github: { network: 'GitHub', url: 'https://github.com/' },
+    linkedin: { network: 'LinkedIn', url: 'https://www.linkedin.com/in/' },
+    twitter: { network: 'Twitter', url: 'https://twitter.com/' }
+};
+
+/**
+ * Get the social network links of a profile
+ * Usernames and URLs are both accepted
+ * @param {Object} profile - Profile data
+ * @returns {Array<{network: string, username: string, url: string}>} Links
+ */
+const getSocialProfiles = (profile) => Object.entries(SOCIAL_NETWORKS)
+    .filter(([field]) => profile[field])
+    .map(([field, { network, url }]) => {
+        const value = profile[field].trim();
+        const isUrl = /^https?:\/\//i.test(value);
+        const username = isUrl ? value.replace(/\/+$/, '').split('/').pop() : value.replace(/^@/, '');
+
+        return { network, username, url: isUrl ? value : `${url}${username}` };
+    });
+
+/**
+ * Format a YYYY-MM-DD date as month and year, e.g. "Mar 2021"
+ * @param {string} date - Date
+ * @returns {string} Formatted date
+ */
+const formatMonth = (date) => {
+    const [year, month] = String(date).split('-');
+    return `${MONTHS[parseInt(month) - 1] || ''} ${year}`.trim();
+};
+
+/**
+ * Format the period of an experience, e.g. "Mar 2021 – Present"
+ * @param {Object} experience - Experience data
+ * @returns {string} Period
+ */
+const formatPeriod = (experience) => {
+    const end = experience.isCurrentPosition || !experience.endDate ? 'Present' : formatMonth(experience.endDate);
+    return `${formatMonth(experience.startDate)} – ${end}`;
+};
+
+/**
+ * Group skills for a template skills layout
+ * @param {Object[]} skills - Skills data
+ * @param {string} layout - grouped, levels or inline
+ * @returns {Array<{name: (string|null), skills: Object[]}>} Groups, a single unnamed one for inline
+ */
+const groupSkills = (skills, layout) => {
+    if (layout === 'inline') {
+        return skills.length ? [{ name: null, skills }] : [];
+    }
+
+    const key = layout === 'levels' ? 'level' : 'category';
+    const groups = new Map();
+
+    skills.forEach(skill => {
+        const name = skill[key] || 'Other';
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(skill);
+    });
+
+    const names = [...groups.keys()];
+    if (layout === 'levels') {
+        names.sort((a, b) => SKILL_LEVELS.indexOf(a) - SKILL_LEVELS.indexOf(b));
+    }
+
+    return names.map(name => ({ name, skills: groups.get(name) }));
+};
+
+/**
+ * Collect the data a resume is rendered from
+ * @param {Object} profile - Profile instance with its skills and experiences
+ * @param {Object} [options] - { publicView: apply the owner's visibility settings }
+ * @returns {Object} Resume data
+ */
+const buildResumeData = (profile, { publicView = false } = {}) => {
+    const data = publicView ? toPublicProfile(profile) : profile.toJSON();
+
+    const experiences = [...(data.experiences || [])]
+        .sort((a, b) => String(b.startDate).localeCompare(String(a.startDate)));
+
+    // Most experienced first
+    const skills = [...(data.skills || [])]
+        .sort((a, b) => (b.yearsOfExperience || 0) - (a.yearsOfExperience || 0) || a.name.localeCompare(b.name));
+
+    return {
+        name: data.displayName || data.handle || 'Resume',
+        title: data.title || null,
+        summary: data.bio || null,
+        location: data.location || null,
+        phone: data.phone || null,
+        website: data.website || null,
+        avatar: data.avatar || null,
+        profiles: getSocialProfiles(data),
+        experiences,
+        skills,
+        updatedAt: data.updatedAt ? new Date(data.updatedAt) : new Date()
+    };
+};
+
+/**
+ * Escape the characters Markdown would format in a single line value
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]#<>|])/g, '\\$1');
+
+/**
+ * Render a resume as Markdown
+ * Summaries and descriptions are kept as written, they may hold Markdown themselves
+ * @param {Object} resume - Resume data
+ * @param {Object} template - Template options
+ * @returns {string} Markdown document
+ */
+const renderMarkdown = (resume, template) => {
+    const lines = [`# ${escapeMarkdown(resume.name)}`, ''];
+
+    if (resume.title) {
+        lines.push(`**${escapeMarkdown(resume.title)}**`, '');
+    }
+
+    const contact = [
+        resume.location && escapeMarkdown(resume.location),
+        resume.phone && escapeMarkdown(resume.phone),
+        resume.website && `<${resume.website}>`,
+        ...resume.profiles.map(({ network, url }) => `[${network}](${url})`)
+    ].filter(Boolean);
+
+    if (contact.length) {
+        lines.push(contact.join(' · '), '');
+    }
+
+    const sections = {
+        summary: () => {
+            if (!resume.summary) return;
+            lines.push('## Summary', '', resume.summary.trim(), '');
+        },
+        experience: () => {
+            if (!resume.experiences.length) return;
+            lines.push('## Experience', '');
+
+            resume.experiences.forEach(experience => {
+                const details = [formatPeriod(experience), experience.location, experience.employmentType]
+                    .filter(Boolean)
+                    .map(escapeMarkdown);
+
+                lines.push(
+                    `### ${escapeMarkdown(experience.title)} — ${escapeMarkdown(experience.company)}`,
+                    '',
+                    `*${details.join(' · ')}*`,
+                    ''
+                );
+
+                if (template.descriptions && experience.description) {
+                    lines.push(experience.description.trim(), '');
+                }
+            });
+        },
+        skills: () => {
+            const groups = groupSkills(resume.skills, template.skills);
+            if (!groups.length) return;
+            lines.push('## Skills', '');
+
+            groups.forEach(group => {
+                const names = group.skills.map(skill => escapeMarkdown(skill.name)).join(', ');
+                lines.push(group.name ? `- **${escapeMarkdown(group.name)}:** ${names}` : names);
+            });
+
+            lines.push('');
+        }
+    };
+
+    template.sections.forEach(section => sections[section]());
+
+    return `${lines.join('\n').trim()}\n`;
+};
+
+/**
+ * Render a resume in the JSON Resume schema
+ * @param {Object} resume - Resume data
+ * @param {string} templateName - Template name, recorded as the theme
+ * @returns {Object} JSON Resume document
+ */
+const renderJsonResume = (resume, templateName) => {
+    // "City, Region, Country" is split into the schema fields it maps to
+    const [city, ...region] = (resume.location || '').split(',').map(part => part.trim()).filter(Boolean);
+
+    return {
+        $schema: JSON_RESUME_SCHEMA,
+        basics: {
+            name: resume.name,
+            label: resume.title || undefined,
+            image: resume.avatar || undefined,
+            phone: resume.phone || undefined,
+            url: resume.website || undefined,
+            summary: resume.summary || undefined,
+            location: city ? { city, region: region.join(', ') || undefined } : undefined,
+            profiles: resume.profiles
+        },
+        work: resume.experiences.map(experience => ({
+            name: experience.company,
+            position: experience.title,
+            location: experience.location || undefined,
+            startDate: experience.startDate,
+            endDate: experience.isCurrentPosition ? undefined : experience.endDate || undefined,
+            summary: experience.description || undefined
+        })),
+        skills: resume.skills.map(skill => ({
+            name: skill.name,
+            level: skill.level,
+            keywords: skill.category ? [skill.category] : []
+        })),
+        meta: {
+            version: 'v1.0.0',
+            lastModified: resume.updatedAt.toISOString(),
+            theme: templateName
+        }
+    };
+};
+
+/**
+ * Render a resume as PDF
+ * @param {Object} resume - Resume data
+ * @param {Object} template - Template options
+ * @returns {Buffer} PDF document
+ */
+const renderPdf = (resume, template) => {
+    const size = template.fontSize;
+    const accent = template.accentColor;
+    const muted = [0.4, 0.4, 0.4];
+    const blocks = [{ text: resume.name, font: 'bold', size: size * 2.2 }];
+
+    if (resume.title) {
+        blocks.push({ text: resume.title, size: size * 1.3, color: accent, spaceBefore: 2 });
+    }
+
+    const contact = [
+        resume.location,
+        resume.phone,
+        resume.website,
+        ...resume.profiles.map(({ url }) => url.replace(/^https?:\/\/(www\.)?/i, ''))
+    ].filter(Boolean);
+
+    if (contact.length) {
+        blocks.push({ text: contact.join('  •  '), size: size * 0.9, color: muted, spaceBefore: 4 });
+    }
+
+    const heading = (text) => {
+        blocks.push(
+            { text: text.toUpperCase(), font: 'bold', size: size * 1.1, color: accent, spaceBefore: size * 1.6 },
+            { type: 'rule', color: accent, spaceBefore: 3 }
+        );
+    };
+
+    // Paragraphs of a free text, lines starting with "-" or "*" become bullets
+    const paragraphs = (text, indent = 0) => {
+        text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+            const bullet = /^[-*•]\s+/.test(line);
+            blocks.push({
+                text: bullet ? line.replace(/^[-*•]\s+/, '') : line,
+                size,
+                indent: bullet ? indent + size * 1.5 : indent,
+                bullet,
+                spaceBefore: 2
+            });
+        });
+    };
+
+    const sections = {
+        summary: () => {
+            if (!resume.summary) return;
+            heading('Summary');
+            paragraphs(resume.summary);
+        },
+        experience: () => {
+            if (!resume.experiences.length) return;
+            heading('Experience');
+
+            resume.experiences.forEach((experience, index) => {
+                const details = [formatPeriod(experience), experience.location, experience.employmentType].filter(Boolean);
+
+                blocks.push(
+                    { text: `${experience.title} — ${experience.company}`, font: 'bold', size, spaceBefore: index ? size * 0.9 : 0 },
+                    { text: details.join('  •  '), size: size * 0.9, color: muted }
+                );
+
+                if (template.descriptions && experience.description) {
+                    paragraphs(experience.description);
+                }
+            });
+        },
+        skills: () => {
+            const groups = groupSkills(resume.skills, template.skills);
+            if (!groups.length) return;
+            heading('Skills');
+
+            groups.forEach(group => {
+                const names = group.skills.map(skill => skill.name).join(', ');
+                blocks.push({ text: group.name ? `${group.name}: ${names}` : names, size, spaceBefore: 2 });
+            });
+        }
+    };
+
+    template.sections.forEach(section => sections[section]());
+
+    return createPdf(blocks, {
+        title: resume.title ? `${resume.name} - ${resume.title}` : resume.name,
+        author: resume.name
+    });
+};
+
+/**
+ * Render the resume of a profile
+ * @param {Object} profile - Profile instance with its skills and experiences
+ * @param {Object} options - { format, template, publicView }
+ * @returns {Object} { content: Buffer, contentType, fileName }
+ */
+const renderResume = (profile, { format = config.defaultFormat, template = config.defaultTemplate, publicView = false } = {}) => {
+    const { contentType, extension } = config.formats[format];
+    const resume = buildResumeData(profile, { publicView });
+
+    let content;
+    if (format === 'pdf') {
+        content = renderPdf(resume, config.templates[template]);
+    } else if (format === 'markdown') {
+        content = Buffer.from(renderMarkdown(resume, config.templates[template]), 'utf8');
+    } else {
+        content = Buffer.from(JSON.stringify(renderJsonResume(resume, template), null, 2), 'utf8');
+    }
+
+    // File name from the handle, or the name when there is none
+    const baseName = (profile.handle || resume.name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'resume';
+
+    return {
+        content,
+        contentType,
+        fileName: `${baseName}-resume.${extension}`
+    };
+};
+
+module.exports = {
+    buildResumeData,
+    renderMarkdown,
+    renderJsonResume,
+    renderPdf,
+    renderResume
+};
@@ -0,0 +1,93 @@
+/**
+ * PDF Utility Tests
+ */
+
+const zlib = require('zlib');
+const { createPdf } = require('../src/utils/pdf.util');
+
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+
+/**
+ * Read the content stream of each page of a document
+ * @param {Buffer} pdf - PDF document
+ * @returns {string[]} Inflated content stream of each page
+ */
+const readPages = (pdf) => {
+    const pages = [];
+    const header = /<< \/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+    const text = pdf.toString('latin1');
+    let match;
+
+    while ((match = header.exec(text)) !== null) {
+        const start = match.index + match[0].length;
+        pages.push(zlib.inflateSync(pdf.subarray(start, start + parseInt(match[1]))).toString('latin1'));
+    }
+
+    return pages;
+};
+
+/**
+ * Read the baselines of the text lines of a page
+ * @param {string} content - Content stream of a page
+ * @returns {number[]} Baseline of each line, from top to bottom
+ */
+const readBaselines = (content) => content.split('\n')
+    .filter(operator => operator.startsWith('BT'))
+    .map(operator => parseFloat(operator.match(/ rg [\d.]+ ([\d.]+) Td/)[1]));
+
+describe('createPdf', () => {
+    it('writes a document with its pages, fonts and information', () => {
+        const pdf = createPdf([{ text: 'Ada Lovelace', font: 'bold', size: 22 }], { title: 'Resume (Ada)', author: 'Ada' });
+        const text = pdf.toString('latin1');
+
+        expect(text.startsWith('%PDF-1.4')).toBe(true);
+        expect(text).toContain('/Count 1');
+        expect(text).toContain('/BaseFont /Helvetica-Bold');
+        expect(text).toContain('/Title (Resume \\(Ada\\)) /Author (Ada)');
+        expect(text.endsWith('%%EOF\n')).toBe(true);
+
+        // The cross-reference table points at the objects
+        const startxref = parseInt(text.match(/startxref\n(\d+)/)[1]);
+        expect(text.slice(startxref, startxref + 4)).toBe('xref');
+        const [, firstOffset] = text.match(/0000000000 65535 f \n(\d{10}) 00000 n /);
+        expect(text.slice(parseInt(firstOffset), parseInt(firstOffset) + 7)).toBe('1 0 obj');
+    });
+
+    it('prints characters outside the fonts as question marks and escapes parentheses', () => {
+        const [content] = readPages(createPdf([{ text: 'Café (Paris) – 東京' }]));
+
+        expect(content).toContain('(Caf\xE9 \\(Paris\\) \x96 ??) Tj');
+    });
+
+    it('wraps long text within the margins', () => {
+        const [content] = readPages(createPdf([{ text: 'word '.repeat(200), size: 10 }]));
+        const baselines = readBaselines(content);
+
+        expect(baselines.length).toBeGreaterThan(1);
+        baselines.slice(1).forEach((y, index) => {
+            expect(baselines[index] - y).toBeCloseTo(13.5);
+        });
+    });
+
+    it('continues on a new page one line below the top margin', () => {
+        const blocks = Array.from({ length: 80 }, (_, index) => ({ text: `Line ${index}`, size: 10 }));
+        const pages = readPages(createPdf(blocks));
+
+        expect(pages.length).toBe(2);
+
+        const [first, second] = pages.map(readBaselines);
+        expect(first.length + second.length).toBe(80);
+        first.concat(second).forEach(y => expect(y).toBeGreaterThanOrEqual(MARGIN));
+        expect(first[0]).toBeCloseTo(PAGE_HEIGHT - MARGIN - 13.5);
+        expect(second[0]).toBeCloseTo(PAGE_HEIGHT - MARGIN - 13.5);
+    });
+
+    it('drops the space before a block at the top of a page', () => {
+        const blocks = Array.from({ length: 60 }, (_, index) => ({ text: `Line ${index}`, size: 10, spaceBefore: 6 }));
+        const [first, second] = readPages(createPdf(blocks)).map(readBaselines);
+
+        expect(first[0]).toBeCloseTo(PAGE_HEIGHT - MARGIN - 6 - 13.5);
+        expect(second[0]).toBeCloseTo(PAGE_HEIGHT - MARGIN - 13.5);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Profile Visibility Utility Tests
+ */
+
+const { toPublicProfile } = require('../src/utils/profile-visibility.util');
+
+/**
+ * Build a profile instance as loaded with its skills and experiences
+ * @param {Object} [fields] - Profile fields to override
+ * @returns {Object} Object with the toJSON of a model instance
+ */
+const buildProfile = (fields = {}) => {
+    const data = {
+        id: 'profile-1',
+        userId: 'user-1',
+        handle: 'ada',
+        displayName: 'Ada Lovelace',
+        phone: '+44 20 7946 0000',
+        location: 'London',
+        isActive: true,
+        visibility: {},
+        deletedAt: null,
+        skills: [
+            { id: 'skill-1', profileId: 'profile-1', name: 'Mathematics', level: 'Expert', deletedAt: null }
+        ],
+        experiences: [
+            { id: 'experience-1', profileId: 'profile-1', title: 'Analyst', company: 'Analytical Engine', deletedAt: null },
+            { id: 'experience-2', profileId: 'profile-1', title: 'Translator', company: 'Taylor', deletedAt: null }
+        ],
+        ...fields
+    };
+
+    return { ...data, toJSON: () => JSON.parse(JSON.stringify(data)) };
+};
+
+describe('toPublicProfile', () => {
+    it('keeps only the public fields of the profile and its records', () => {
+        const profile = toPublicProfile(buildProfile());
+
+        expect(profile).toEqual({
+            id: 'profile-1',
+            handle: 'ada',
+            displayName: 'Ada Lovelace',
+            phone: '+44 20 7946 0000',
+            location: 'London',
+            skills: [{ id: 'skill-1', name: 'Mathematics', level: 'Expert' }],
+            experiences: [
+                { id: 'experience-1', title: 'Analyst', company: 'Analytical Engine' },
+                { id: 'experience-2', title: 'Translator', company: 'Taylor' }
+            ]
+        });
+    });
+
+    it('leaves out the sections the owner hid', () => {
+        const profile = toPublicProfile(buildProfile({
+            visibility: { hidePhone: true, hideLocation: true, hiddenExperienceIds: ['experience-2'] }
+        }));
+
+        expect(profile).not.toHaveProperty('phone');
+        expect(profile).not.toHaveProperty('location');
+        expect(profile.experiences.map(experience => experience.id)).toEqual(['experience-1']);
+    });
+
+    it('does not add the records that were not loaded', () => {
+        const profile = toPublicProfile(buildProfile({ skills: undefined, experiences: undefined }));
+
+        expect(profile).not.toHaveProperty('skills');
+        expect(profile).not.toHaveProperty('experiences');
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * User Events Tests
+ * The internal export endpoint the profile service serves through the shared user events utility
+ */
+
+jest.mock('../../shared/utils/response-formatter', () => ({
+    formatResponse: (message, data) => ({ message, data }),
+    formatError: (error, message) => ({ error, message })
+}), { virtual: true });
+jest.mock('../../shared/utils/http-status', () => ({
+    OK: 200, BAD_REQUEST: 400, FORBIDDEN: 403
+}), { virtual: true });
+
+const { userDataExportHandler } = require('../../shared/utils/user-events');
+
+/**
+ * Build a mock Express response
+ * @returns {Object} Response recording its status and body
+ */
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+describe('userDataExportHandler', () => {
+    const internalToken = process.env.INTERNAL_API_TOKEN;
+    const exportUserData = jest.fn(async ({ userId }) => ({ data: { profile: { userId } } }));
+    const handler = userDataExportHandler(exportUserData);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env.INTERNAL_API_TOKEN = 'internal-secret';
+    });
+
+    afterAll(() => {
+        if (internalToken === undefined) {
+            delete process.env.INTERNAL_API_TOKEN;
+        } else {
+            process.env.INTERNAL_API_TOKEN = internalToken;
+        }
+    });
+
+    it('refuses every caller when no internal token is configured', async () => {
+        delete process.env.INTERNAL_API_TOKEN;
+        const res = mockResponse();
+
+        await handler({ headers: {}, params: { userId: 'user-1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(exportUserData).not.toHaveBeenCalled();
+    });
+
+    it('refuses a caller without the internal token', async () => {
+        const res = mockResponse();
+
+        await handler({ headers: { 'x-internal-token': 'internal-guess' }, params: { userId: 'user-1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(exportUserData).not.toHaveBeenCalled();
+    });
+
+    it('serves the user data to a caller holding the internal token', async () => {
+        const res = mockResponse();
+
+        await handler({ headers: { 'x-internal-token': 'internal-secret' }, params: { userId: 'user-1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            message: 'User data exported successfully',
+            data: { profile: { userId: 'user-1' } }
+        });
+    });
+});
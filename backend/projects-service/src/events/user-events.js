@@ -0,0 +1,58 @@
+/**
+ * User Events
+ * Answers the data requests auth-service publishes for user accounts
+ *
+ * user.erasure.requested - permanently delete the user's projects and their technologies
+ */
+
+const kafka = require('kafka-node');
+const { Project, Technology } = require('../models');
+const { publishEvent } = require('./project-events');
+const { answerDataRequest, createUserEventConsumer } = require('../../../shared/utils/user-events');
+
+/**
+ * Export the projects of a user, including soft-deleted records
+ * @param {Object} data - { userId }, from the internal export endpoint
+ * @returns {Promise<Object>} Exported data
+ */
+const exportUserData = async ({ userId }) => {
+    const projects = await Project.findAll({
+        where: { userId },
+        include: [{ model: Technology, as: 'technologies', paranoid: false }],
+        order: [['createdAt', 'ASC']],
+        paranoid: false
+    });
+
+    return { data: { projects } };
+};
+
+/**
+ * Permanently delete the projects of a user with their technologies
+ * @param {Object} data - Event data
+ * @returns {Promise<Object>} Number of records deleted per model
+ */
+const eraseUserData = async ({ userId }) => {
+    const projects = await Project.findAll({ where: { userId }, attributes: ['id'], paranoid: false });
+    const projectIds = projects.map(project => project.id);
+
+    const deleted = {
+        technologies: await Technology.destroy({ where: { projectId: projectIds }, force: true }),
+        projects: await Project.destroy({ where: { id: projectIds }, force: true })
+    };
+
+    return { deleted };
+};
+
+const { startUserEventConsumer, stopUserEventConsumer } = createUserEventConsumer({
+    kafka,
+    groupId: 'projects-service-user-events', // One instance handles each event
+    handlers: {
+        'user.erasure.requested': answerDataRequest(publishEvent, 'user.erasure', eraseUserData)
+    }
+});
+
+module.exports = {
+    exportUserData,
+    startUserEventConsumer,
+    stopUserEventConsumer
+};
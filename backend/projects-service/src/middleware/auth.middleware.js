@@ -3,6 +3,7 @@
  * Validates JWT tokens and manages authorization
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const { formatError } = require('../../../shared/utils/response-formatter');
@@ -12,16 +13,19 @@ const { UNAUTHORIZED, FORBIDDEN } = require('../../../shared/utils/http-status')
 let jwksCache = null;
 let jwksCacheTime = null;
 const JWKS_CACHE_TTL = 3600000; // 1 hour
+const JWKS_REFRESH_INTERVAL = 30000; // Minimum age before an unknown kid triggers a refetch
 
 /**
  * Fetch JWKS from auth service
+ * @param {boolean} forceRefresh - Refetch unless just fetched, e.g. for a kid introduced by a key rotation
  * @returns {Promise<Object>} - JWKS response
  */
-const fetchJwks = async () => {
+const fetchJwks = async (forceRefresh = false) => {
     try {
         // Use cached JWKS if available and not expired
         const now = Date.now();
-        if (jwksCache && jwksCacheTime && (now - jwksCacheTime < JWKS_CACHE_TTL)) {
+        const ttl = forceRefresh ? JWKS_REFRESH_INTERVAL : JWKS_CACHE_TTL;
+        if (jwksCache && jwksCacheTime && (now - jwksCacheTime < ttl)) {
             return jwksCache;
         }
 
@@ -43,24 +47,25 @@ const fetchJwks = async () => {
 /**
  * Get public key from JWKS
  * @param {string} kid - Key ID from token header
- * @returns {Promise<string>} - Public key
+ * @returns {Promise<KeyObject>} - Public key
  */
 const getPublicKey = async (kid) => {
     try {
-        const jwks = await fetchJwks();
+        let jwks = await fetchJwks();
 
-        // Find the key with matching kid
-        const key = jwks.keys.find(k => k.kid === kid);
+        // Find the key with matching kid, refetching once in case the signing key was rotated
+        let key = jwks.keys.find(k => k.kid === kid);
+        if (!key) {
+            jwks = await fetchJwks(true);
+            key = jwks.keys.find(k => k.kid === kid);
+        }
 
         if (!key) {
             throw new Error('No matching key found in JWKS');
         }
 
-        // Convert JWK to PEM format
-        // This is a simplified version; in production, use a library like jwk-to-pem
-        const publicKey = `-----BEGIN PUBLIC KEY-----\n${key.n}\n-----END PUBLIC KEY-----`;
-
-        return publicKey;
+        // Convert JWK to a public key object
+        return crypto.createPublicKey({ key: { kty: key.kty, n: key.n, e: key.e }, format: 'jwk' });
     } catch (error) {
         console.error('Error getting public key:', error.message);
         throw new Error('Unable to retrieve public key for token verification');
@@ -110,24 +115,39 @@ const verifyToken = async (token) => {
         const publicKey = await getPublicKey(decoded.header.kid);
 
         // Verify token
-        return jwt.verify(token, publicKey, {
+        const payload = jwt.verify(token, publicKey, {
             algorithms: ['RS256'],
             issuer: process.env.TOKEN_ISSUER || 'portfolio-api',
             audience: process.env.TOKEN_AUDIENCE || 'portfolio-client'
         });
+
+        // Only access tokens authenticate requests, refresh tokens are for the auth service
+        if (payload.type !== 'access') {
+            throw new Error('Invalid token type');
+        }
+
+        return payload;
     } catch (error) {
         console.error('Token verification error:', error.message);
         throw new Error('Invalid token');
     }
 };
 
+/**
+ * Attach access metadata to a middleware so it can be published in the route manifest
+ * @param {Function} middleware - Express middleware function
+ * @param {Object} access - Access requirements enforced by the middleware
+ * @returns {Function} - The same middleware, tagged with its access requirements
+ */
+const withRouteAccess = (middleware, access) => Object.assign(middleware, { routeAccess: access });
+
 /**
  * Authentication middleware
  * @param {boolean} required - Whether authentication is required for the route
  * @returns {Function} - Express middleware function
  */
 const authenticate = (required = true) => {
-    return async (req, res, next) => {
+    return withRouteAccess(async (req, res, next) => {
         try {
             const token = extractToken(req);
 
@@ -166,7 +186,7 @@ const authenticate = (required = true) => {
             req.user = null;
             next();
         }
-    };
+    }, { auth: required });
 };
 
 /**
@@ -177,7 +197,7 @@ const authenticate = (required = true) => {
 const hasRole = (roles) => {
     const requiredRoles = Array.isArray(roles) ? roles : [roles];
 
-    return (req, res, next) => {
+    return withRouteAccess((req, res, next) => {
         // Must be authenticated first
         if (!req.user) {
             return res.status(UNAUTHORIZED).json(
@@ -195,7 +215,7 @@ const hasRole = (roles) => {
         }
 
         next();
-    };
+    }, { auth: true, roles: requiredRoles });
 };
 
 /**
@@ -206,7 +226,7 @@ const hasRole = (roles) => {
 const hasPermission = (permissions) => {
     const requiredPermissions = Array.isArray(permissions) ? permissions : [permissions];
 
-    return (req, res, next) => {
+    return withRouteAccess((req, res, next) => {
         // Must be authenticated first
         if (!req.user) {
             return res.status(UNAUTHORIZED).json(
@@ -226,7 +246,7 @@ const hasPermission = (permissions) => {
         }
 
         next();
-    };
+    }, { auth: true, permissions: requiredPermissions });
 };
 
 module.exports = {
@@ -6,9 +6,13 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
+const morgan = require('morgan');
 const projectRoutes = require('./routes/project.routes');
+const { routeManifestHandler } = require('../../shared/utils/route-manifest');
+const { traceRequest, traceLogger } = require('../../shared/utils/tracing');
+const { userDataExportHandler } = require('../../shared/utils/user-events');
+const { exportUserData } = require('./events/user-events');
 const { errorHandler } = require('../../shared/middleware/error-handler.middleware');
 const { OK } = require('../../shared/utils/http-status');
 
@@ -29,8 +33,11 @@ app.use(cors({
     credentials: true
 }));
 
-// Request logging
-app.use(morgan(process.env.NODE_ENV === 'development' ? 'dev' : 'combined'));
+// Continue the trace started by the gateway (W3C traceparent)
+app.use(traceRequest);
+
+// Request logging, tagged with the trace ids
+app.use(traceLogger(morgan));
 
 // Add request ID to each request
 app.use((req, res, next) => {
@@ -49,6 +56,12 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Route manifest consumed by the API gateway to build its proxy table
+app.get('/_routes', routeManifestHandler('projects-service', projectRoutes));
+
+// User data pulled by auth-service for data exports, kept out of the route manifest so it is never proxied
+app.get('/internal/users/:userId/export', userDataExportHandler(exportUserData));
+
 // Main project routes
 app.use('/api/projects', projectRoutes);
 
@@ -0,0 +1,30 @@
+/**
+ * Internal Token Utility
+ * Checks the shared secret (X-Internal-Token) callers of the internal endpoints send
+ *
+ * Internal endpoints are never published in the route manifest, but the services can still be
+ * reached directly: without a configured token (INTERNAL_API_TOKEN) every request is refused.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Check whether a request holds the internal token
+ * @param {Object} req - Express request object
+ * @param {string} [internalToken] - Configured token, requests are refused when it is missing
+ * @returns {boolean} - True if the request may call internal endpoints
+ */
+const isInternalRequest = (req, internalToken) => {
+    if (!internalToken) {
+        return false;
+    }
+
+    const provided = Buffer.from(String(req.headers['x-internal-token'] || ''));
+    const expected = Buffer.from(internalToken);
+
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+module.exports = {
+    isInternalRequest
+};
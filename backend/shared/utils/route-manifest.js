@@ -0,0 +1,80 @@
+/**
+ * Route Manifest Utility
+ * Describes the routes served by this service so the API gateway can build its proxy table
+ */
+
+/**
+ * Merge access requirements from two middleware layers
+ * @param {Object} current - Access requirements collected so far
+ * @param {Object} access - Access requirements of the next layer
+ * @returns {Object} - Combined access requirements
+ */
+const mergeAccess = (current, access) => ({
+    auth: current.auth || access.auth === true,
+    roles: [...new Set([...current.roles, ...(access.roles || [])])],
+    permissions: [...new Set([...current.permissions, ...(access.permissions || [])])]
+});
+
+/**
+ * Build the route manifest of an Express router
+ * Access requirements are read from the routeAccess metadata set by the auth middleware;
+ * router-level middleware (router.use) applies to every route registered after it
+ * @param {string} serviceName - Name of the service publishing the manifest
+ * @param {Object} router - Express router
+ * @returns {Object} - Route manifest
+ */
+const buildRouteManifest = (serviceName, router) => {
+    const routes = [];
+    let inherited = { auth: false, roles: [], permissions: [] };
+
+    router.stack.forEach(layer => {
+        // Router-level middleware
+        if (!layer.route) {
+            if (layer.handle && layer.handle.routeAccess) {
+                inherited = mergeAccess(inherited, layer.handle.routeAccess);
+            }
+            return;
+        }
+
+        const access = layer.route.stack.reduce((current, routeLayer) => {
+            return routeLayer.handle && routeLayer.handle.routeAccess
+                ? mergeAccess(current, routeLayer.handle.routeAccess)
+                : current;
+        }, inherited);
+
+        Object.keys(layer.route.methods)
+            .filter(method => method !== '_all')
+            .forEach(method => {
+                routes.push({
+                    method: method.toUpperCase(),
+                    path: layer.route.path,
+                    auth: access.auth,
+                    roles: access.roles,
+                    permissions: access.permissions
+                });
+            });
+    });
+
+    return {
+        service: serviceName,
+        generatedAt: new Date().toISOString(),
+        routes
+    };
+};
+
+/**
+ * Express handler publishing the route manifest
+ * @param {string} serviceName - Name of the service publishing the manifest
+ * @param {Object} router - Express router
+ * @returns {Function} - Express route handler
+ */
+const routeManifestHandler = (serviceName, router) => {
+    return (req, res) => {
+        res.status(200).json(buildRouteManifest(serviceName, router));
+    };
+};
+
+module.exports = {
+    buildRouteManifest,
+    routeManifestHandler
+};
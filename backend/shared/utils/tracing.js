@@ -0,0 +1,137 @@
+/**
+ * Tracing Utility
+ * W3C Trace Context (traceparent) handling shared by the gateway and every service,
+ * for HTTP requests and Kafka events
+ *
+ * traceparent format: 00-<32 hex trace id>-<16 hex parent span id>-<2 hex flags>
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// Trace context of the request or event currently being handled
+const storage = new AsyncLocalStorage();
+
+/**
+ * Generate a random lowercase hex identifier
+ * @param {number} bytes - Identifier size in bytes
+ * @returns {string} - Hex identifier
+ */
+const randomId = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Parse a traceparent header
+ * @param {string} header - traceparent value
+ * @returns {Object|null} - { traceId, spanId, flags }, null when missing or invalid
+ */
+const parseTraceparent = (header) => {
+    const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+
+    if (!match) return null;
+
+    const [, version, traceId, spanId, flags] = match;
+
+    // Version ff and all-zero identifiers are invalid per the specification
+    if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(spanId)) {
+        return null;
+    }
+
+    return { traceId, spanId, flags };
+};
+
+/**
+ * Format a trace context as a traceparent header
+ * @param {Object} context - Trace context
+ * @returns {string} - traceparent value
+ */
+const formatTraceparent = (context) => `00-${context.traceId}-${context.spanId}-${context.flags}`;
+
+/**
+ * Start a new span
+ * Continues the parent trace when one is given, otherwise starts a new trace
+ * @param {Object|string} [parent] - Parent trace context or traceparent header
+ * @returns {Object} - Trace context { traceId, spanId, parentSpanId, flags }
+ */
+const startSpan = (parent) => {
+    const parentContext = typeof parent === 'string' ? parseTraceparent(parent) : parent;
+
+    if (!parentContext) {
+        return { traceId: randomId(16), spanId: randomId(8), parentSpanId: null, flags: '01' };
+    }
+
+    return {
+        traceId: parentContext.traceId,
+        spanId: randomId(8),
+        parentSpanId: parentContext.spanId,
+        flags: parentContext.flags
+    };
+};
+
+/**
+ * Get the trace context of the current request or event
+ * @returns {Object|undefined} - Trace context
+ */
+const getTraceContext = () => storage.getStore();
+
+/**
+ * Run a function inside a trace context
+ * @param {Object} context - Trace context
+ * @param {Function} fn - Function to run
+ * @returns {*} - Function result
+ */
+const runWithTraceContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Trace ids of the current context, for log entries
+ * @returns {Object} - { traceId, spanId } or an empty object outside a trace
+ */
+const getTraceFields = () => {
+    const context = getTraceContext();
+
+    return context ? { traceId: context.traceId, spanId: context.spanId } : {};
+};
+
+/**
+ * Tracing middleware
+ * Continues the trace sent by the caller, or starts one, and keeps it available for the whole request.
+ * The trace id is returned so callers can look the request up in the logs.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const traceRequest = (req, res, next) => {
+    req.traceContext = startSpan(req.headers.traceparent);
+    res.setHeader('x-trace-id', req.traceContext.traceId);
+    runWithTraceContext(req.traceContext, next);
+};
+
+/**
+ * Request logger with the trace ids appended to each line
+ * morgan is passed in by the service, shared code does not resolve packages of its own
+ * @param {Function} morgan - The service's morgan module
+ * @returns {Function} - Express middleware function
+ */
+const traceLogger = (morgan) => {
+    // Trace tokens for request logs
+    morgan.token('trace-id', (req) => (req.traceContext ? req.traceContext.traceId : '-'));
+    morgan.token('span-id', (req) => (req.traceContext ? req.traceContext.spanId : '-'));
+
+    const format = process.env.NODE_ENV === 'development'
+        ? ':method :url :status :response-time ms - :res[content-length]'
+        : morgan.combined;
+
+    return morgan(`${format} trace_id=:trace-id span_id=:span-id`);
+};
+
+module.exports = {
+    parseTraceparent,
+    formatTraceparent,
+    startSpan,
+    getTraceContext,
+    runWithTraceContext,
+    getTraceFields,
+    traceRequest,
+    traceLogger
+};
@@ -0,0 +1,144 @@
+/**
+ * User Events Utility
+ * Consumer of the user account events published by auth-service, shared by the services
+ * holding user data
+ *
+ * Data requests (user.<type>.requested) are answered on the service's own topic with
+ * user.<type>.completed or user.<type>.failed. Only outcomes go on the topics: the exported
+ * data itself is pulled by auth-service from the internal export endpoint of each service.
+ */
+
+const { startSpan, runWithTraceContext } = require('./tracing');
+const { isInternalRequest } = require('./internal-token');
+const { formatResponse, formatError } = require('./response-formatter');
+const { OK, FORBIDDEN, BAD_REQUEST } = require('./http-status');
+
+const USER_TOPIC = 'user-events';
+
+/**
+ * Answer a data request of auth-service with the outcome of a handler
+ * @param {Function} publishEvent - The service's event publisher
+ * @param {string} type - Request type, e.g. user.erasure
+ * @param {Function} handler - Returns the answer data
+ * @returns {Function} - Event handler
+ */
+const answerDataRequest = (publishEvent, type, handler) => async (data) => {
+    const { requestId, userId } = data;
+
+    try {
+        const result = await handler(data);
+        await publishEvent(`${type}.completed`, { requestId, userId, ...result });
+    } catch (error) {
+        console.error(`Error handling ${type}.requested:`, error);
+        await publishEvent(`${type}.failed`, { requestId, userId, error: error.message });
+    }
+};
+
+/**
+ * Internal endpoint serving the data a service holds about a user, pulled by auth-service
+ * for data exports. Only callers holding the internal token (X-Internal-Token, INTERNAL_API_TOKEN)
+ * may call it: it serves personal data, so every caller is refused when no token is configured.
+ * Not published in the route manifest.
+ * @param {Function} exportUserData - Returns { data } for { userId }
+ * @returns {Function} - Express route handler for GET /internal/users/:userId/export
+ */
+const userDataExportHandler = (exportUserData) => async (req, res) => {
+    if (!isInternalRequest(req, process.env.INTERNAL_API_TOKEN)) {
+        return res.status(FORBIDDEN).json(
+            formatError('Access denied', 'Invalid or unconfigured internal token')
+        );
+    }
+
+    try {
+        const { data } = await exportUserData({ userId: req.params.userId });
+
+        return res.status(OK).json(
+            formatResponse('User data exported successfully', data)
+        );
+    } catch (error) {
+        console.error('User data export error:', error);
+        return res.status(BAD_REQUEST).json(
+            formatError('Data Export Error', error.message)
+        );
+    }
+};
+
+/**
+ * Create the consumer of the user account events
+ * kafka-node is passed in by the service, shared code does not resolve packages of its own
+ * @param {Object} options - Consumer options
+ * @param {Object} options.kafka - The service's kafka-node module
+ * @param {string} options.groupId - Consumer group, one instance of the service handles each event
+ * @param {Object} options.handlers - Handler per event type, called with the event data
+ * @returns {Object} - { handleMessage, startUserEventConsumer, stopUserEventConsumer }
+ */
+const createUserEventConsumer = ({ kafka, groupId, handlers }) => {
+    const consumerOptions = {
+        kafkaHost: process.env.KAFKA_BROKERS || 'localhost:9092',
+        groupId,
+        fromOffset: 'earliest', // Events published while the service was down are still handled
+        autoCommit: true
+    };
+
+    let consumer = null;
+
+    /**
+     * Handle an event bus message
+     * @param {Object} message - Kafka message
+     */
+    const handleMessage = async (message) => {
+        try {
+            const event = JSON.parse(message.value);
+            const handler = handlers[event.type];
+
+            if (!handler) return;
+
+            // Continue the trace of the request that published the event
+            await runWithTraceContext(startSpan(event.traceparent), () => handler(event.data || {}));
+            console.log(`Processed ${event.type} for user ${event.data && event.data.userId}`);
+        } catch (error) {
+            console.error('Error processing user event:', error);
+        }
+    };
+
+    /**
+     * Subscribe to the user account events
+     */
+    const startUserEventConsumer = () => {
+        if (consumer) return;
+
+        consumer = new kafka.ConsumerGroup(consumerOptions, [USER_TOPIC]);
+
+        consumer.on('message', handleMessage);
+
+        consumer.on('error', (err) => {
+            console.error('User event consumer error:', err);
+        });
+
+        console.log(`Listening for user events on ${USER_TOPIC}`);
+    };
+
+    /**
+     * Close the user event consumer
+     * @returns {Promise<void>}
+     */
+    const stopUserEventConsumer = () => new Promise(resolve => {
+        if (!consumer) return resolve();
+
+        consumer.close(true, () => resolve());
+        consumer = null;
+    });
+
+    return {
+        handleMessage,
+        startUserEventConsumer,
+        stopUserEventConsumer
+    };
+};
+
+module.exports = {
+    USER_TOPIC,
+    answerDataRequest,
+    userDataExportHandler,
+    createUserEventConsumer
+};